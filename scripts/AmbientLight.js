@@ -75,13 +75,27 @@ export function refreshAmbientLightHook(light, flags) {
     const tt = light._getTooltipText();
     if ( tt !== light.tooltip.text ) light.tooltip.text = tt;
   }
+
+  // Directional lights may be lighting the hillshade.
+  if ( light.source.isDirectional ) canvas.elevation?.refreshHillshade();
+}
+
+/**
+ * Hook ambient light deletion.
+ * If a directional light was lighting the hillshade, fall back to the scene light direction.
+ * @param {Document} document                       The existing Document which was deleted
+ */
+function deleteAmbientLightHook(document, _options, _userId) {
+  if ( !document.getFlag(MODULE_ID, FLAGS.DIRECTIONAL_LIGHT.ENABLED) ) return;
+  canvas.elevation?.refreshHillshade();
 }
 
 
 PATCHES.BASIC.HOOKS = {
   updateAmbientLight: updateAmbientLightHook,
   hoverAmbientLight: hoverAmbientLightHook,
-  refreshAmbientLight: refreshAmbientLightHook
+  refreshAmbientLight: refreshAmbientLightHook,
+  deleteAmbientLight: deleteAmbientLightHook
 };
 
 // Note: Ambient Light Wraps
@@ -0,0 +1,187 @@
+/* globals
+canvas,
+CONFIG,
+flattenObject,
+game,
+renderTemplate
+*/
+"use strict";
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+
+import { MODULE_ID, FLAGS, TEMPLATES } from "./const.js";
+import { Point3d } from "./geometry/3d/Point3d.js";
+import { wallsBlockLine, terrainBlocksLine } from "./util.js";
+
+// AmbientSound and SoundsLayer patches, methods, hooks
+
+/* Elevation-aware sounds
+Each ambient sound may have a bottom and top elevation. Listeners outside that vertical
+range cannot hear the sound. Otherwise, the sound is treated as coming from the point on its
+vertical range closest to the listener, but not below the terrain at the sound location.
+
+Limited-height walls are removed from the sound polygon by Wall Height, and the terrain is
+not part of it at all. So test the 3d line from the sound to the listener for collisions with
+sound-blocking limited-height walls and with the terrain, and reduce the volume for each.
+*/
+
+export const PATCHES_AmbientSound = {};
+export const PATCHES_AmbientSoundConfig = {};
+export const PATCHES_SoundsLayer = {};
+PATCHES_AmbientSound.BASIC = {};
+PATCHES_AmbientSoundConfig.BASIC = {};
+PATCHES_SoundsLayer.BASIC = {};
+
+// ----- NOTE: AmbientSound ----- //
+
+/**
+ * Hook when the elevation range flags are changed in the AmbientSoundDocument.
+ * Re-sync sound volumes for the new range.
+ * @param {Document} document                       The existing Document which was updated
+ * @param {object} change                           Differential data that was used to update the document
+ * @param {DocumentModificationContext} options     Additional options which modified the update request
+ * @param {string} userId                           The ID of the User who triggered the update workflow
+ */
+function updateAmbientSoundHook(doc, data, _options, _userId) {
+  const changed = new Set(Object.keys(flattenObject(data)));
+  const { BOTTOM, TOP } = FLAGS.SOUND;
+  if ( !changed.has(`flags.${MODULE_ID}.${BOTTOM}`) && !changed.has(`flags.${MODULE_ID}.${TOP}`) ) return;
+  doc.object?.renderFlags.set({ refreshElevation: true });
+  canvas.sounds.refresh();
+}
+
+PATCHES_AmbientSound.BASIC.HOOKS = { updateAmbientSound: updateAmbientSoundHook };
+
+/**
+ * New getter: AmbientSound.prototype.elevationRange
+ * Bottom and top elevation of the sound, in grid units. Infinite if not set.
+ * @type {{bottomE: number, topE: number}}
+ */
+function elevationRange() {
+  const flags = this.document.flags[MODULE_ID] ?? {};
+  const bottomE = flags[FLAGS.SOUND.BOTTOM];
+  const topE = flags[FLAGS.SOUND.TOP];
+  return {
+    bottomE: Number.isFinite(bottomE) ? bottomE : Number.NEGATIVE_INFINITY,
+    topE: Number.isFinite(topE) ? topE : Number.POSITIVE_INFINITY
+  };
+}
+
+PATCHES_AmbientSound.BASIC.GETTERS = { elevationRange };
+
+/**
+ * New method: AmbientSound.prototype.listenerInRange
+ * Is the listener within the vertical range of the sound?
+ * @param {Point3d} listener    Listener position; z in pixel units
+ * @returns {boolean}
+ */
+function listenerInRange(listener) {
+  const { gridUnitsToPixels } = CONFIG.GeometryLib.utils;
+  const { bottomE, topE } = this.elevationRange;
+  return listener.z.between(gridUnitsToPixels(bottomE), gridUnitsToPixels(topE));
+}
+
+/**
+ * New method: AmbientSound.prototype.soundOrigin
+ * Point from which the sound reaches the listener.
+ * @param {Point3d} listener    Listener position; z in pixel units
+ * @returns {Point3d}
+ */
+function soundOrigin(listener) {
+  const { gridUnitsToPixels } = CONFIG.GeometryLib.utils;
+  const { bottomE, topE } = this.elevationRange;
+  const terrainE = canvas.elevation.elevationAt(this.center);
+  const bottomZ = gridUnitsToPixels(Math.max(bottomE, terrainE));
+  const topZ = Math.max(bottomZ, gridUnitsToPixels(topE));
+  return new Point3d(this.center.x, this.center.y, Math.clamped(listener.z, bottomZ, topZ));
+}
+
+/**
+ * New method: AmbientSound.prototype.listenerOcclusion
+ * Comparable to RenderedPointSource.prototype.targetInShadow.
+ * Detect how much of the sound is blocked by limited-height walls and terrain between the
+ * sound and the listener. See CONFIG.elevatedvision.soundAttenuation.
+ * @param {Point3d} listener    Listener position; z in pixel units
+ * @returns {number} Percent of the sound blocked, between 0 (none) and 1 (all).
+ */
+function listenerOcclusion(listener) {
+  const { walls, terrain } = CONFIG[MODULE_ID].soundAttenuation;
+  const origin = this.soundOrigin(listener);
+  let volume = 1;
+
+  // Infinite-height walls are already accounted for by the sound polygon.
+  if ( walls && wallsBlockLine(origin, listener, { senseType: "sound", limitedOnly: true }) ) volume *= 1 - walls;
+  if ( terrain && terrainBlocksLine(origin, listener) ) volume *= 1 - terrain;
+  return 1 - volume;
+}
+
+PATCHES_AmbientSound.BASIC.METHODS = { listenerInRange, soundOrigin, listenerOcclusion };
+
+// ----- NOTE: AmbientSoundConfig ----- //
+
+/**
+ * Inject html to add controls to the ambient sound configuration to set the elevation range.
+ */
+async function renderAmbientSoundConfigHook(app, html, data) {
+  const myHTML = await renderTemplate(TEMPLATES.AMBIENT_SOUND, data);
+  html.find("button[type='submit']").before(myHTML);
+  app.setPosition({ height: "auto" });
+}
+
+PATCHES_AmbientSoundConfig.BASIC.HOOKS = { renderAmbientSoundConfig: renderAmbientSoundConfigHook };
+
+// ----- NOTE: SoundsLayer ----- //
+
+/**
+ * Override SoundsLayer.prototype.getListenerPositions
+ * Same as Foundry v11, but include the token elevation.
+ * @returns {Point3d[]}
+ */
+function getListenerPositions() {
+  const listenerPosition = token => new Point3d(token.center.x, token.center.y, token.elevationZ);
+  const listeners = canvas.tokens.controlled.map(listenerPosition);
+  if ( !listeners.length && !game.user.isGM ) {
+    for ( const token of canvas.tokens.placeables ) {
+      if ( token.actor?.isOwner && token.isVisible ) listeners.push(listenerPosition(token));
+    }
+  }
+  return listeners;
+}
+
+/**
+ * Override SoundsLayer.prototype._syncPositions
+ * Same as Foundry v11, but skip listeners outside the sound elevation range and
+ * reduce the volume for walls and terrain between the sound and the listener.
+ * @param {Point3d[]} listeners     Locations of listeners which have the capacity to hear
+ * @param {object} [options]        Additional options forwarded to AmbientSound#sync
+ */
+function _syncPositions(listeners, { fade = 250 } = {}) {
+  if ( !this.placeables.length || game.audio.locked ) return;
+  const sounds = {};
+  for ( const sound of this.placeables ) {
+    const p = sound.document.path;
+    const r = sound.radius;
+    if ( !p ) continue;
+
+    // Track one audible object per unique sound path
+    if ( !(p in sounds) ) sounds[p] = { path: p, audible: false, volume: 0, sound };
+    const s = sounds[p];
+    if ( !sound.isAudible ) continue; // The sound may not be currently audible
+
+    // Determine whether the sound is audible, and its greatest audible volume
+    for ( const l of listeners ) {
+      if ( !sound.source.active || !sound.source.shape?.contains(l.x, l.y) ) continue;
+      if ( !sound.listenerInRange(l) ) continue;
+      s.audible = true;
+      const distance = Math.hypot(l.x - sound.x, l.y - sound.y);
+      let volume = sound.document.volume;
+      if ( sound.document.easing ) volume *= this._getEasingVolume(distance, r);
+      volume *= 1 - sound.listenerOcclusion(l);
+      if ( !s.volume || (volume > s.volume) ) s.volume = volume;
+    }
+  }
+
+  // For each audible sound, sync at the target volume
+  for ( const s of Object.values(sounds) ) s.sound.sync(s.audible, s.volume, { fade });
+}
+
+PATCHES_SoundsLayer.BASIC.OVERRIDES = { getListenerPositions, _syncPositions };
@@ -7,11 +7,12 @@ canvas
 // Methods related to Canvas
 
 /**
- * Track mouse events for the canvas elevation layer.
+ * Track mouse events for the canvas elevation layer and the elevation readout.
  */
 export function _onMouseMove(wrapper, event) {
   wrapper(event);
   canvas.elevation._onMouseMove(event);
+  canvas.elevation.readout?._onMouseMove(event);
 }
 
 export const PATCHES = {};
@@ -0,0 +1,117 @@
+/* globals
+Application,
+canvas,
+CONFIG,
+foundry,
+game,
+mergeObject
+*/
+"use strict";
+
+import { MODULE_ID, FLAGS, TEMPLATES } from "./const.js";
+import { DirectionalLightSource } from "./DirectionalLightSource.js";
+import { SunPath } from "./SunPath.js";
+import { log } from "./util.js";
+
+/**
+ * Window listing the directional lights in the scene, with controls to set the celestial body
+ * each follows, its shadow tint and intensity, and to add a sun or moon.
+ */
+export class CelestialLightsConfig extends Application {
+  static get defaultOptions() {
+    const options = {
+      classes: ["form", `${MODULE_ID}-celestial-lights`],
+      template: TEMPLATES.CELESTIAL_LIGHTS,
+      id: `${MODULE_ID}-celestial-lights`,
+      title: game.i18n.localize(`${MODULE_ID}.celestial.title`),
+      width: 560,
+      height: "auto",
+      resizable: true
+    };
+    return mergeObject(super.defaultOptions, options);
+  }
+
+  getData(options) { // eslint-disable-line no-unused-vars
+    const { CELESTIAL_BODY, MOON_PERIOD, MOON_PHASE, SHADOW_TINT, SHADOW_INTENSITY } = FLAGS.DIRECTIONAL_LIGHT;
+    const bodies = Object.entries(SunPath.BODY_LABELS).map(([body, label]) => {
+      return { body, label: game.i18n.localize(label) };
+    });
+
+    const lights = canvas.lighting.placeables.filter(l => l.source.isDirectional).map(l => {
+      const doc = l.document;
+      const body = doc.getFlag(MODULE_ID, CELESTIAL_BODY) || SunPath.BODIES.NONE;
+      return {
+        id: doc.id,
+        body,
+        isMoon: body === SunPath.BODIES.MOON,
+        azimuth: Math.normalizeDegrees(Math.toDegrees(l.source.azimuth)).toFixed(0),
+        elevationAngle: Math.toDegrees(l.source.elevationAngle).toFixed(0),
+        active: l.source.active,
+        moonPeriod: doc.getFlag(MODULE_ID, MOON_PERIOD) ?? 29.5,
+        moonPhase: doc.getFlag(MODULE_ID, MOON_PHASE) ?? 0,
+        shadowTint: doc.getFlag(MODULE_ID, SHADOW_TINT) || "#ffffff",
+        shadowIntensity: doc.getFlag(MODULE_ID, SHADOW_INTENSITY) ?? 1
+      };
+    });
+
+    return { lights, bodies, skyEnabled: canvas.elevation.sun?.enabled };
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+    html.find("[data-action]").on("click", this._onClickAction.bind(this));
+    html.find("select, input").on("change", this._onChangeLight.bind(this));
+  }
+
+  /**
+   * Handle a button click for a light or an add button.
+   * @param {Event} event
+   */
+  async _onClickAction(event) {
+    event.preventDefault();
+    const action = event.currentTarget.dataset.action;
+    const id = event.currentTarget.closest("[data-light-id]")?.dataset.lightId;
+    log(`CelestialLightsConfig ${action} ${id}`);
+
+    switch ( action ) {
+      case "add-sun": await this.constructor.createCelestialLight(SunPath.BODIES.SUN); break;
+      case "add-moon": await this.constructor.createCelestialLight(SunPath.BODIES.MOON); break;
+      case "configure": canvas.lighting.get(id)?.sheet.render(true); break;
+      case "remove": await canvas.scene.deleteEmbeddedDocuments("AmbientLight", [id]); break;
+    }
+    this.render();
+  }
+
+  /**
+   * Handle a change to a light's celestial body, moon orbit, or shadow color.
+   * @param {Event} event
+   */
+  async _onChangeLight(event) {
+    const input = event.currentTarget;
+    const id = input.closest("[data-light-id]")?.dataset.lightId;
+    const doc = canvas.scene.lights.get(id);
+    if ( !doc ) return;
+    const value = input.type === "number" ? Number(input.value) : input.value;
+    await doc.update({ [`flags.${MODULE_ID}.${input.name}`]: value });
+    this.render();
+  }
+
+  /**
+   * Create a directional light that follows a celestial body.
+   * Uses the light data in CONFIG[MODULE_ID].celestialLights for the body.
+   * @param {string} body   One of SunPath.BODIES
+   * @returns {Promise<AmbientLightDocument[]>}
+   */
+  static async createCelestialLight(body) {
+    const { ENABLED, CELESTIAL_BODY } = FLAGS.DIRECTIONAL_LIGHT;
+
+    // Place the light at 45º above the horizon, due north, until the sky moves it.
+    const { x, y } = DirectionalLightSource.positionFromDirectionalParameters(Math.PI * 1.5, Math.PI_1_2 * 0.5);
+    const data = foundry.utils.mergeObject({
+      x,
+      y,
+      flags: { [MODULE_ID]: { [ENABLED]: true, [CELESTIAL_BODY]: body } }
+    }, CONFIG[MODULE_ID].celestialLights[body] ?? {}, { inplace: false });
+    return canvas.scene.createEmbeddedDocuments("AmbientLight", [data]);
+  }
+}
@@ -112,6 +112,14 @@ export class CoordinateElevationCalculator {
     return CoordinateElevationCalculator.terrainElevationAt(this.#point);
   }
 
+  /**
+   * Elevation of the tile surface at this location.
+   * Tiles with a heightmap vary in elevation across the tile.
+   * @param {Tile} tile
+   * @returns {number} Elevation in grid units
+   */
+  tileElevation(tile) { return tile.elevationEAt(this.location); }
+
   /**
    * Determine the terrain or tile elevation at this location.
    * @returns {number} Elevation in grid units
@@ -126,7 +134,7 @@ export class CoordinateElevationCalculator {
     const terrainE = this.terrainElevation();
 
     // If the terrain is above the tile, use the terrain elevation. (Math.max(null, 5) returns 5.)
-    return Math.max(terrainE, matchingTile?.elevationE ?? null);
+    return Math.max(terrainE, matchingTile ? this.tileElevation(matchingTile) : null);
   }
 
   /**
@@ -146,7 +154,7 @@ export class CoordinateElevationCalculator {
    */
   isOnTile(tile) {
     if ( !tile ) return Boolean(this.findSupportingTileAtElevation());
-    const tileE = tile.elevationE;
+    const tileE = this.tileElevation(tile);
     if ( !this.elevation.almostEqual(tileE) ) return false;
     return this.tileCouldSupport(tile);
   }
@@ -217,7 +225,7 @@ export class CoordinateElevationCalculator {
    * @returns {boolean}
    */
   tileWithinStep(tile) {
-    const tileE = tile.elevationE;
+    const tileE = this.tileElevation(tile);
     return almostBetween(this.elevation, tileE, tileE + this.tileStep);
   }
 
@@ -228,7 +236,7 @@ export class CoordinateElevationCalculator {
    * @returns {boolean}
    */
   tileWithinReach(tile) {
-    const tileE = tile.elevationE;
+    const tileE = this.tileElevation(tile);
     if ( !almostBetween(this.elevation, tileE, tileE + this.tileStep) ) return false;
     return this.tileCouldSupport(tile);
   }
@@ -262,7 +270,7 @@ export class CoordinateElevationCalculator {
     const excludeFn = excludeUndergroundTilesFn(this.#point, this.elevation);
     for ( const tile of this.tiles ) {
       if ( tile === excludeTile ) continue;
-      const tileE = tile.elevationE;
+      const tileE = this.tileElevation(tile);
       if ( excludeFn(tileE) || !almostLessThan(tileE, this.elevation) ) continue;
       if ( this.isOnTile(tile) ) return tile;
     }
@@ -291,8 +299,8 @@ export class CoordinateElevationCalculator {
     const terrainE = this.terrainElevation();
     const excludeFn = excludeUndergroundTilesFn(this.#point, this.elevation);
     for ( const tile of this.tiles ) { // Tiles are sorted highest --> lowest.
-      const tileE = tile.elevationE;
-      if ( tileE <= terrainE ) break;
+      const tileE = this.tileElevation(tile);
+      if ( tileE <= terrainE ) continue; // A lower tile with a heightmap may still rise above.
       if ( excludeFn(tileE) ) continue;
 
       if ( this.tileCouldSupport(tile) ) return tile;
@@ -311,8 +319,8 @@ export class CoordinateElevationCalculator {
     const e = this.elevation;
     for ( const tile of this.tiles ) {
       if ( tile === excludeTile ) continue;
-      if ( tile.elevationE >= e ) continue;
-      if ( tile.elevationE < floor ) break;
+      const tileE = this.tileElevation(tile);
+      if ( tileE >= e || tileE < floor ) continue; // Heightmap tiles may be out of order.
       if ( this.tileCouldSupport(tile) ) return tile;
     }
     return null;
@@ -327,7 +335,7 @@ export class CoordinateElevationCalculator {
     for ( const tile of this.tiles ) {
       if ( tile === excludeTile ) continue;
       if ( !this.tileCouldSupport(tile) ) continue;
-      if ( e.almostEqual(tile.elevationE) ) return tile;
+      if ( e.almostEqual(this.tileElevation(tile)) ) return tile;
     }
     return null;
   }
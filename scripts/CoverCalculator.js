@@ -0,0 +1,155 @@
+/* globals
+CONFIG,
+Hooks,
+PIXI
+*/
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+"use strict";
+
+import { MODULE_ID } from "./const.js";
+import { Point3d } from "./geometry/3d/Point3d.js";
+import { wallsBlockLine, terrainBlocksLine } from "./util.js";
+import { CoordinateElevationCalculator } from "./CoordinateElevationCalculator.js";
+
+/* Cover
+Measure cover from an attacker to a target token.
+Draw a line from the attacker's eye, at the top of the attacker token, to each of several sample
+points on the target token: the center and the four corners of the target token footprint, each
+at the bottom, middle, and top of the target token. A line is blocked by a sight-blocking wall,
+by an opaque portion of an overhead tile, or by terrain higher than the line.
+The percentage of blocked lines determines the cover level. See CONFIG.elevatedvision.cover.
+*/
+
+export class CoverCalculator {
+  /**
+   * Cover levels, from least to most.
+   * @enum {string}
+   */
+  static COVER = {
+    NONE: "none",
+    HALF: "half",
+    THREE_QUARTERS: "three-quarters",
+    TOTAL: "total"
+  };
+
+  /** @type {Token} */
+  attacker;
+
+  /** @type {Token} */
+  target;
+
+  /**
+   * @param {Token} attacker
+   * @param {Token} target
+   */
+  constructor(attacker, target) {
+    this.attacker = attacker;
+    this.target = target;
+  }
+
+  /**
+   * Point from which the attacker views the target.
+   * @type {Point3d}
+   */
+  get viewpoint() {
+    const { x, y } = this.attacker.center;
+    return new Point3d(x, y, this.attacker.topZ);
+  }
+
+  /**
+   * Sample points on the target token, inset from the edges of the token footprint.
+   * @type {Point3d[]}
+   */
+  get targetPoints() {
+    const { x, y, width, height } = this.target.bounds;
+    const inset = CONFIG[MODULE_ID].cover.inset;
+    const dx = width * inset;
+    const dy = height * inset;
+    const pts2d = [
+      this.target.center,
+      new PIXI.Point(x + dx, y + dy),
+      new PIXI.Point(x + width - dx, y + dy),
+      new PIXI.Point(x + width - dx, y + height - dy),
+      new PIXI.Point(x + dx, y + height - dy)
+    ];
+
+    const { bottomZ, topZ } = this.target;
+    const zs = new Set([bottomZ, (bottomZ + topZ) * 0.5, topZ]);
+    const pts = [];
+    for ( const z of zs ) pts.push(...pts2d.map(pt => new Point3d(pt.x, pt.y, z)));
+    return pts;
+  }
+
+  /**
+   * Percentage of the sample points on the target that are blocked from the attacker.
+   * @returns {number} Between 0 and 1.
+   */
+  percentBlocked() {
+    const viewpoint = this.viewpoint;
+    const targetPoints = this.targetPoints;
+    const numBlocked = targetPoints.reduce((acc, pt) => acc + this.lineIsBlocked(viewpoint, pt), 0);
+    return numBlocked / targetPoints.length;
+  }
+
+  /**
+   * Cover level for the target from the attacker.
+   * Calls the elevatedvision.calculateCover hook, which may modify the result.
+   * @returns {{level: CoverCalculator.COVER, percentBlocked: number}}
+   */
+  calculate() {
+    const percentBlocked = this.percentBlocked();
+    const result = { level: this.constructor.coverLevel(percentBlocked), percentBlocked };
+    Hooks.callAll(`${MODULE_ID}.calculateCover`, this.attacker, this.target, result);
+    return result;
+  }
+
+  /**
+   * Cover level for a percentage of blocked sample points.
+   * @param {number} percentBlocked   Between 0 and 1.
+   * @returns {CoverCalculator.COVER}
+   */
+  static coverLevel(percentBlocked) {
+    const { thresholds } = CONFIG[MODULE_ID].cover;
+    if ( percentBlocked >= thresholds.total ) return this.COVER.TOTAL;
+    if ( percentBlocked >= thresholds.threeQuarters ) return this.COVER.THREE_QUARTERS;
+    if ( percentBlocked >= thresholds.half ) return this.COVER.HALF;
+    return this.COVER.NONE;
+  }
+
+  /**
+   * Is the line between two points blocked by walls, overhead tiles, or terrain?
+   * @param {Point3d} a
+   * @param {Point3d} b
+   * @returns {boolean}
+   */
+  lineIsBlocked(a, b) {
+    return wallsBlockLine(a, b)
+      || this.constructor.tilesBlockLine(a, b)
+      || terrainBlocksLine(a, b);
+  }
+
+  /**
+   * Does the line cross an opaque portion of an overhead tile with a finite elevation?
+   * @param {Point3d} a
+   * @param {Point3d} b
+   * @returns {boolean}
+   */
+  static tilesBlockLine(a, b) {
+    if ( a.z === b.z ) return false;
+    const xMinMax = Math.minMax(a.x, b.x);
+    const yMinMax = Math.minMax(a.y, b.y);
+    const lineBounds = new PIXI.Rectangle(
+      xMinMax.min,
+      yMinMax.min,
+      xMinMax.max - xMinMax.min,
+      yMinMax.max - yMinMax.min);
+    const tiles = CoordinateElevationCalculator.locateTiles(lineBounds);
+    const alphaThreshold = CONFIG[MODULE_ID].alphaThreshold;
+    return tiles.some(tile => {
+      const t = (tile.elevationZ - a.z) / (b.z - a.z);
+      if ( t <= 0 || t >= 1 ) return false;
+      const ix = a.projectToward(b, t);
+      return tile.evPixelCache?.containsPixel(ix.x, ix.y, alphaThreshold);
+    });
+  }
+}
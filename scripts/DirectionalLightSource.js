@@ -1,6 +1,7 @@
 /* globals
 AmbientLight,
 canvas,
+Color,
 CONST,
 LightSource,
 PIXI,
@@ -18,6 +19,7 @@ import { EVQuadMesh } from "./glsl/EVQuadMesh.js";
 import { Point3d } from "./geometry/3d/Point3d.js";
 import { Draw } from "./geometry/Draw.js";
 import { pointCircleCoord } from "./util.js";
+import { SunPath } from "./SunPath.js";
 
 
 /* RenderedPointSource mesh geometry workflow
@@ -95,6 +97,44 @@ export class DirectionalLightSource extends LightSource {
     this.data.elevationAngle = elevationAngle;
     this.data.solarAngle = Math.toRadians(this.object.document.getFlag(MODULE_ID, FLAGS.DIRECTIONAL_LIGHT.SOLAR_ANGLE)
       ?? 1);
+    this._initializeShadowColor();
+    if ( this.celestialBody ) this._initializeFromSky();
+  }
+
+  /**
+   * Celestial body followed by this light, if the scene sky is enabled.
+   * See SunPath.
+   * @type {string} One of SunPath.BODIES
+   */
+  get celestialBody() {
+    const sun = canvas.elevation?.sun;
+    if ( !sun?.enabled ) return SunPath.BODIES.NONE;
+    return this.object?.document.getFlag(MODULE_ID, FLAGS.DIRECTIONAL_LIGHT.CELESTIAL_BODY) || SunPath.BODIES.NONE;
+  }
+
+  /**
+   * Color and strength of the shadows cast by this light.
+   * Shadowed areas receive the tint, darkened by the intensity.
+   * See ShadowDirectionalTextureRenderer.
+   */
+  _initializeShadowColor() {
+    const { SHADOW_TINT, SHADOW_INTENSITY } = FLAGS.DIRECTIONAL_LIGHT;
+    const doc = this.object?.document;
+    this.data.shadowTint = Color.from(doc?.getFlag(MODULE_ID, SHADOW_TINT) || 0xFFFFFF).rgb;
+    this.data.shadowIntensity = Math.clamped(doc?.getFlag(MODULE_ID, SHADOW_INTENSITY) ?? 1, 0, 1);
+  }
+
+  /**
+   * Take the azimuth and elevation angle from the sun or moon instead of the light position.
+   * Fade the light as the body nears the horizon and turn it off when the body has set.
+   */
+  _initializeFromSky() {
+    const { azimuth, elevationAngle, brightness } = canvas.elevation.sun.positionFor(this.object.document);
+    this.data.azimuth = azimuth;
+    this.data.elevationAngle = Math.clamped(elevationAngle, 0, Math.PI_1_2);
+    this.data.alpha *= brightness;
+    this.data.luminosity *= brightness;
+    this.data.disabled ||= brightness <= 0;
   }
 
   /** @override */
@@ -428,23 +468,42 @@ export class DirectionalLightSource extends LightSource {
    */
 
   /**
-   * Update shadow data when the light is moved or solarAngle is updated.
+   * Update shadow data when the light is moved, follows the sky, or its solarAngle or shadow color is updated.
    */
   _updateEVShadowData(changes, changeObj = {}) {
     if ( Object.hasOwn(changes, "x") || Object.hasOwn(changes, "y") ) {
       changeObj.changedAzimuth = true;
       changeObj.changedElevationAngle = true;
     }
+
+    // Lights following the sky change direction without moving.
+    if ( Object.hasOwn(changes, "azimuth") ) changeObj.changedAzimuth = true;
+    if ( Object.hasOwn(changes, "elevationAngle") ) changeObj.changedElevationAngle = true;
     changeObj.changedSolarAngle = Object.hasOwn(changes, "solarAngle");
     super._updateEVShadowData(changes, changeObj);
+
+    // Shadow tint and intensity only change the light color texture.
+    if ( Object.hasOwn(changes, "shadowTint") || Object.hasOwn(changes, "shadowIntensity") ) {
+      this[MODULE_ID]?.shadowRenderer?.renderLightColorTexture();
+    }
+
+    // Sky lights are weighted by their brightness in the combined sky light color.
+    else if ( Object.hasOwn(changes, "alpha") || Object.hasOwn(changes, "disabled") ) {
+      ShadowDirectionalTextureRenderer.renderSkyTexture();
+    }
   }
 
   /**
    * Set the uEVDirectional uniform so that the we can pass a canvas-sized shadow texture.
+   * Pass the light color texture, which combines the shadows with the shadow tint and intensity.
+   * Lights that follow the sun or a moon share the combined sky light color.
    */
   _updateCommonUniforms(shader) {
     super._updateCommonUniforms(shader);
     shader.uniforms.uEVDirectional = true;
+    const skyTexture = this.celestialBody ? ShadowDirectionalTextureRenderer.skyTexture : undefined;
+    const lightColorTexture = skyTexture ?? this[MODULE_ID]?.shadowRenderer?.lightColorTexture;
+    if ( lightColorTexture ) shader.uniforms.uEVShadowSampler = lightColorTexture.baseTexture;
   }
 
   /**
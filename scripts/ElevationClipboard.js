@@ -0,0 +1,116 @@
+/* globals
+*/
+"use strict";
+
+/* Elevation clipboard
+Holds a region of elevation copied from a scene, so it can be pasted into the same or another scene.
+- Values are elevations in grid units, so they paste correctly into scenes with a different
+  elevation minimum or step.
+- Cells outside the selected shape are NaN and are skipped when pasting.
+- The cell size is measured in grid spaces, so the region keeps its size on the grid when pasted
+  into a scene with a different grid size or elevation texture resolution.
+*/
+
+export class ElevationClipboard {
+  /**
+   * @param {object} data
+   * @param {Float32Array|number[]} data.values   Elevation of each cell, row by row. NaN or null if empty.
+   * @param {number} data.width                   Number of columns
+   * @param {number} data.height                  Number of rows
+   * @param {number} data.cellSize                Width of each cell, in grid spaces
+   * @param {string} [data.source]                Name of the scene copied from
+   */
+  constructor({ values, width, height, cellSize, source = "" } = {}) {
+    this.values = values instanceof Float32Array
+      ? values : Float32Array.from(values, v => v ?? Number.NaN);
+    this.width = width;
+    this.height = height;
+    this.cellSize = cellSize;
+    this.source = source;
+  }
+
+  /**
+   * Lowest elevation in the region.
+   * Used to paste the region relative to the terrain.
+   * @type {number}
+   */
+  get baseElevation() { return this.elevationRange.low; }
+
+  /**
+   * Lowest and highest elevations in the region. Both 0 if the region is empty.
+   * @type {{low: number, high: number}}
+   */
+  get elevationRange() {
+    let low = Number.POSITIVE_INFINITY;
+    let high = Number.NEGATIVE_INFINITY;
+    for ( const v of this.values ) {
+      if ( v < low ) low = v;
+      if ( v > high ) high = v;
+    }
+    return Number.isFinite(low) ? { low, high } : { low: 0, high: 0 };
+  }
+
+  /**
+   * Size of the region, in grid spaces.
+   * @type {{width: number, height: number}}
+   */
+  get gridSize() {
+    return { width: this.width * this.cellSize, height: this.height * this.cellSize };
+  }
+
+  /**
+   * Construct a copy of the region, flipped and then rotated clockwise.
+   * @param {object} [opts]
+   * @param {number} [opts.rotation]    Degrees clockwise; rounded to a multiple of 90
+   * @param {boolean} [opts.flipX]      Mirror left to right
+   * @param {boolean} [opts.flipY]      Mirror top to bottom
+   * @returns {ElevationClipboard}
+   */
+  transform({ rotation = 0, flipX = false, flipY = false } = {}) {
+    const { width: w, height: h, values } = this;
+    const turns = ((Math.round(rotation / 90) % 4) + 4) % 4;
+    const swap = turns % 2 === 1;
+    const newWidth = swap ? h : w;
+    const newHeight = swap ? w : h;
+    const newValues = new Float32Array(w * h);
+
+    for ( let y = 0, i = 0; y < h; y += 1 ) {
+      const fy = flipY ? h - 1 - y : y;
+      for ( let x = 0; x < w; x += 1, i += 1 ) {
+        const fx = flipX ? w - 1 - x : x;
+        let nx;
+        let ny;
+        switch ( turns ) {
+          case 0: [nx, ny] = [fx, fy]; break;
+          case 1: [nx, ny] = [h - 1 - fy, fx]; break;
+          case 2: [nx, ny] = [w - 1 - fx, h - 1 - fy]; break;
+          case 3: [nx, ny] = [fy, w - 1 - fx]; break;
+        }
+        newValues[(ny * newWidth) + nx] = values[i];
+      }
+    }
+
+    return new this.constructor({
+      values: newValues,
+      width: newWidth,
+      height: newHeight,
+      cellSize: this.cellSize,
+      source: this.source
+    });
+  }
+
+  /**
+   * Data to store the region, for example in a flag or setting.
+   * Empty cells are stored as null.
+   * @returns {object}
+   */
+  toJSON() {
+    return {
+      values: Array.from(this.values, v => (Number.isNaN(v) ? null : v)),
+      width: this.width,
+      height: this.height,
+      cellSize: this.cellSize,
+      source: this.source
+    };
+  }
+}
@@ -0,0 +1,242 @@
+/* globals
+canvas,
+CONFIG,
+foundry,
+PIXI,
+PreciseText
+*/
+"use strict";
+
+import { MODULE_ID } from "./const.js";
+import { Settings, getSceneSetting } from "./settings.js";
+
+/* Elevation contours
+
+Overlay of iso-elevation lines, traced from the elevation texture using marching squares.
+Lines are drawn every contour interval, in grid units. Every Nth line is a major line,
+drawn thicker and labeled with its elevation.
+
+The overlay is shown on the elevation layer when toggled by the GM, and on the token layer
+when enabled for the scene in the scene configuration.
+*/
+
+export class ElevationContours extends PIXI.Container {
+  /** @type {PIXI.Graphics} */
+  minorLines = this.addChild(new PIXI.Graphics());
+
+  /** @type {PIXI.Graphics} */
+  majorLines = this.addChild(new PIXI.Graphics());
+
+  /** @type {PIXI.Container} */
+  labels = this.addChild(new PIXI.Container());
+
+  /**
+   * Do the contours need to be traced again from the elevation texture?
+   * @type {boolean}
+   */
+  #dirty = true;
+
+  constructor() {
+    super();
+    this.eventMode = "none";
+    this.visible = false;
+  }
+
+  /**
+   * Trace the contours again once the elevation has stopped changing.
+   * While hidden, tracing is deferred until the overlay is shown.
+   */
+  refresh() {
+    this.#dirty = true;
+    if ( this.visible ) this.#debouncedDraw();
+  }
+
+  #debouncedDraw = foundry.utils.debounce(() => {
+    if ( this.#dirty && this.visible ) this.draw();
+  }, 250);
+
+  /**
+   * Show the overlay if the elevation layer is active and contours are toggled on,
+   * or if the token layer is active and contours are enabled for players in this scene.
+   */
+  updateVisibility() {
+    const { CONTOURS } = Settings.KEYS;
+    const onElevation = canvas.elevation.active && Settings.get(CONTOURS.DISPLAY);
+    const onTokens = canvas.tokens.active && getSceneSetting(CONTOURS.PLAYERS);
+    this.visible = Boolean(onElevation || onTokens);
+    if ( this.visible && this.#dirty ) this.draw();
+  }
+
+  /**
+   * Trace the contours from the elevation texture and draw them.
+   */
+  draw() {
+    this.#dirty = false;
+    this.clear();
+
+    const { CONTOURS } = Settings.KEYS;
+    const interval = getSceneSetting(CONTOURS.INTERVAL);
+    const majorEvery = Math.max(Math.round(getSceneSetting(CONTOURS.MAJOR)), 1);
+    if ( !(interval > 0) ) return;
+
+    const layer = canvas.elevation;
+    const { pixels, width, height } = layer._extractFromElevationTexture();
+    const elevations = new Float32Array(width * height);
+    const ln = elevations.length;
+    for ( let i = 0; i < ln; i += 1 ) {
+      const idx = i * 4;
+      elevations[i] = layer.pixelChannelsToElevation(pixels[idx], pixels[idx + 1]);
+    }
+
+    // Contours are traced between texel centers. Each texel covers 1 / resolution canvas pixels.
+    const { sceneX, sceneY, size } = canvas.dimensions;
+    const scale = 1 / layer._elevationTexture.resolution;
+    const toCanvas = (x, y) => ({ x: sceneX + ((x + 0.5) * scale), y: sceneY + ((y + 0.5) * scale) });
+
+    const style = CONFIG[MODULE_ID].contours;
+    this.minorLines.lineStyle({ width: style.width, color: style.color, alpha: style.alpha });
+    this.majorLines.lineStyle({ width: style.majorWidth, color: style.color, alpha: style.alpha });
+    const labelSpacing2 = Math.pow(style.labelSpacing * size, 2);
+
+    // Elevations are multiples of the elevation step, so trace halfway between steps to
+    // place each line on the boundary between texels below and at the contour elevation.
+    const offset = layer.elevationStep * 0.5;
+    for ( const [k, segments] of traceContours(elevations, width, height, interval, offset) ) {
+      const isMajor = !(k % majorEvery);
+      const graphics = isMajor ? this.majorLines : this.minorLines;
+      const labelPositions = [];
+      const nSegments = segments.length;
+      for ( let i = 0; i < nSegments; i += 4 ) {
+        const a = toCanvas(segments[i], segments[i + 1]);
+        const b = toCanvas(segments[i + 2], segments[i + 3]);
+        graphics.moveTo(a.x, a.y);
+        graphics.lineTo(b.x, b.y);
+
+        if ( !isMajor ) continue;
+        const mid = { x: (a.x + b.x) * 0.5, y: (a.y + b.y) * 0.5 };
+        if ( labelPositions.some(p => Math.pow(p.x - mid.x, 2) + Math.pow(p.y - mid.y, 2) < labelSpacing2) ) continue;
+        labelPositions.push(mid);
+        this.#drawLabel(k * interval, mid, Math.atan2(b.y - a.y, b.x - a.x));
+      }
+    }
+  }
+
+  /**
+   * Label a major contour line with its elevation.
+   * @param {number} elevation
+   * @param {Point} position      Canvas position of the label center
+   * @param {number} rotation     Direction of the line at the label, in radians
+   */
+  #drawLabel(elevation, position, rotation) {
+    const style = CONFIG.canvasTextStyle.clone();
+    style.fontSize /= 1.5;
+    const text = this.labels.addChild(new PreciseText(`${Math.round(elevation * 10) / 10}`, style));
+    text.anchor.set(0.5, 0.5);
+    text.position.set(position.x, position.y);
+
+    // Keep the text upright.
+    let angle = Math.toDegrees(rotation);
+    angle = ((angle + 90) % 180) - 90;
+    text.angle = angle < -90 ? angle + 180 : angle;
+  }
+
+  /**
+   * Remove all lines and labels.
+   */
+  clear() {
+    this.minorLines.clear();
+    this.majorLines.clear();
+    this.labels.removeChildren().forEach(c => c.destroy());
+  }
+}
+
+/**
+ * Marching squares lookup: for each cell case, pairs of cell edges joined by a segment.
+ * Edges are 0: top, 1: right, 2: bottom, 3: left. The case is formed from the corners at or
+ * above the contour level: 8: top left, 4: top right, 2: bottom right, 1: bottom left.
+ * Saddles (5 and 10) are resolved using the cell center; see traceContours.
+ * @type {number[][][]}
+ */
+const CELL_SEGMENTS = [
+  [],
+  [[3, 2]],
+  [[2, 1]],
+  [[3, 1]],
+  [[0, 1]],
+  [[0, 1], [3, 2]], // Saddle; center below the level
+  [[0, 2]],
+  [[0, 3]],
+  [[0, 3]],
+  [[0, 2]],
+  [[0, 3], [2, 1]], // Saddle; center below the level
+  [[0, 1]],
+  [[3, 1]],
+  [[2, 1]],
+  [[3, 2]],
+  []
+];
+
+/**
+ * Trace contour lines at every multiple of the interval.
+ * @param {Float32Array} values   Elevation of each texel, row by row from the top left
+ * @param {number} width
+ * @param {number} height
+ * @param {number} interval       Elevation between contour lines
+ * @param {number} [offset]       Trace each line this far below its elevation
+ * @returns {Map<number, number[]>} Multiple of the interval mapped to its line segments,
+ *   stored as [x0, y0, x1, y1, ...] in texel coordinates.
+ */
+function traceContours(values, width, height, interval, offset = 0) {
+  const out = new Map();
+  const corners = new Float32Array(4); // Top left, top right, bottom right, bottom left
+
+  // Point along a cell edge where the elevation crosses the level.
+  const edgePoint = (edge, x, y, level) => {
+    const a = corners[edge];
+    const b = corners[(edge + 1) % 4];
+    const t = (level - a) / (b - a);
+    switch ( edge ) {
+      case 0: return [x + t, y];
+      case 1: return [x + 1, y + t];
+      case 2: return [x + 1 - t, y + 1];
+      case 3: return [x, y + 1 - t];
+    }
+  };
+
+  for ( let y = 0; y < height - 1; y += 1 ) {
+    for ( let x = 0; x < width - 1; x += 1 ) {
+      const i = (y * width) + x;
+      corners[0] = values[i];
+      corners[1] = values[i + 1];
+      corners[2] = values[i + width + 1];
+      corners[3] = values[i + width];
+      const min = Math.min(corners[0], corners[1], corners[2], corners[3]);
+      const max = Math.max(corners[0], corners[1], corners[2], corners[3]);
+      if ( min === max ) continue;
+
+      // Levels where min < level <= max.
+      const kMin = Math.floor((min + offset) / interval) + 1;
+      const kMax = Math.floor((max + offset) / interval);
+      for ( let k = kMin; k <= kMax; k += 1 ) {
+        const level = (k * interval) - offset;
+        const c = ((corners[0] >= level) << 3)
+          | ((corners[1] >= level) << 2)
+          | ((corners[2] >= level) << 1)
+          | (corners[3] >= level);
+
+        let cellSegments = CELL_SEGMENTS[c];
+        if ( c === 5 || c === 10 ) {
+          const center = (corners[0] + corners[1] + corners[2] + corners[3]) * 0.25;
+          if ( center >= level ) cellSegments = CELL_SEGMENTS[c === 5 ? 10 : 5];
+        }
+
+        if ( !out.has(k) ) out.set(k, []);
+        const segments = out.get(k);
+        for ( const [e0, e1] of cellSegments ) {
+          segments.push(...edgePoint(e0, x, y, level), ...edgePoint(e1, x, y, level));
+        }
+      }
+    }
+  }
+  return out;
+}
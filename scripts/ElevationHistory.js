@@ -0,0 +1,178 @@
+/* globals
+*/
+"use strict";
+
+// Undo/redo history for the elevation layer.
+
+/**
+ * @typedef {object} ElevationHistoryEntry
+ * @property {string} label               Short description of the edit, for display.
+ * @property {function} undo              Revert the edit.
+ * @property {function} redo              Re-apply the edit.
+ * @property {function} [discard]         Release resources held by the edit when it is dropped
+ *   from the history. Passed true if the edit is currently applied to the scene, false if it
+ *   was undone.
+ */
+
+/**
+ * Stores reversible edits to the elevation layer.
+ * Edits are undone and redone in order. A new edit discards any edits that were undone.
+ * Named checkpoints mark a point in the history that can be returned to later.
+ */
+export class ElevationHistory {
+  /** @type {ElevationHistoryEntry[]} */
+  #undoStack = [];
+
+  /** @type {ElevationHistoryEntry[]} */
+  #redoStack = [];
+
+  /**
+   * Checkpoint names mapped to the most recent applied entry when the checkpoint was created.
+   * Null represents the start of the history.
+   * @type {Map<string, ElevationHistoryEntry|null>}
+   */
+  #checkpoints = new Map();
+
+  /**
+   * @param {number} [max]    Maximum number of edits that can be undone.
+   */
+  constructor(max = 50) {
+    this.max = max;
+  }
+
+  /** @type {boolean} */
+  get canUndo() { return this.#undoStack.length > 0; }
+
+  /** @type {boolean} */
+  get canRedo() { return this.#redoStack.length > 0; }
+
+  /** @type {number} */
+  get length() { return this.#undoStack.length; }
+
+  /**
+   * Labels of the edits that can be undone, oldest first.
+   * @type {string[]}
+   */
+  get undoLabels() { return this.#undoStack.map(entry => entry.label); }
+
+  /**
+   * Labels of the edits that can be redone, next redo first.
+   * @type {string[]}
+   */
+  get redoLabels() { return this.#redoStack.map(entry => entry.label).reverse(); }
+
+  /**
+   * Names of the checkpoints that can still be restored.
+   * @type {string[]}
+   */
+  get checkpoints() { return [...this.#checkpoints.keys()]; }
+
+  /**
+   * Add an edit that has just been applied.
+   * Any undone edits are discarded.
+   * @param {ElevationHistoryEntry} entry
+   */
+  record(entry) {
+    this.#discardEntries(this.#redoStack.splice(0), false);
+    this.#undoStack.push(entry);
+    if ( this.#undoStack.length > this.max ) this.#discardEntries(this.#undoStack.splice(0, 1), true);
+  }
+
+  /**
+   * Revert the most recent edit.
+   * @returns {ElevationHistoryEntry|undefined} The entry undone, if any.
+   */
+  undo() {
+    const entry = this.#undoStack.pop();
+    if ( !entry ) return;
+    entry.undo();
+    this.#redoStack.push(entry);
+    return entry;
+  }
+
+  /**
+   * Re-apply the most recently undone edit.
+   * @returns {ElevationHistoryEntry|undefined} The entry redone, if any.
+   */
+  redo() {
+    const entry = this.#redoStack.pop();
+    if ( !entry ) return;
+    entry.redo();
+    this.#undoStack.push(entry);
+    return entry;
+  }
+
+  /**
+   * Name the current point in the history so it can be restored.
+   * Replaces any existing checkpoint with the same name.
+   * @param {string} name
+   */
+  createCheckpoint(name) {
+    this.#checkpoints.set(name, this.#undoStack.at(-1) ?? null);
+  }
+
+  /**
+   * Remove a named checkpoint. Does not change the elevation data.
+   * @param {string} name
+   * @returns {boolean} True if the checkpoint existed.
+   */
+  deleteCheckpoint(name) {
+    return this.#checkpoints.delete(name);
+  }
+
+  /**
+   * Undo or redo edits until the history is back at the named checkpoint.
+   * @param {string} name
+   * @returns {boolean} True if the checkpoint was restored.
+   */
+  restoreCheckpoint(name) {
+    if ( !this.#checkpoints.has(name) ) return false;
+    const target = this.#checkpoints.get(name);
+
+    if ( target === null ) {
+      while ( this.canUndo ) this.undo();
+      return true;
+    }
+
+    if ( this.#undoStack.includes(target) ) {
+      while ( this.#undoStack.at(-1) !== target ) this.undo();
+      return true;
+    }
+
+    if ( this.#redoStack.includes(target) ) {
+      while ( this.#undoStack.at(-1) !== target ) this.redo();
+      return true;
+    }
+
+    // Checkpoint edit was discarded; it can no longer be reached.
+    this.#checkpoints.delete(name);
+    return false;
+  }
+
+  /**
+   * Drop all edits and checkpoints.
+   */
+  clear() {
+    this.#discardEntries(this.#redoStack.splice(0), false);
+    this.#discardEntries(this.#undoStack.splice(0), true);
+    this.#checkpoints.clear();
+  }
+
+  /**
+   * Release resources held by entries and update checkpoints that pointed to them.
+   * When the oldest applied edits are evicted, a checkpoint at the newest evicted edit now
+   * marks the start of the history; checkpoints before it can no longer be reached.
+   * @param {ElevationHistoryEntry[]} entries   Entries to discard, oldest first.
+   * @param {boolean} applied   Are the entries currently applied to the scene?
+   */
+  #discardEntries(entries, applied) {
+    if ( !entries.length ) return;
+    const newestApplied = applied ? entries.at(-1) : undefined;
+    const removed = new Set(entries);
+    for ( const [name, entry] of this.#checkpoints.entries() ) {
+      if ( entry === newestApplied ) this.#checkpoints.set(name, null);
+      else if ( removed.has(entry) || (applied && entry === null) ) this.#checkpoints.delete(name);
+    }
+    entries.forEach(entry => entry.discard?.(applied));
+  }
+}
@@ -6,6 +6,7 @@ FullCanvasObjectMixin,
 game,
 InteractionLayer,
 isEmpty,
+KeyboardManager,
 mergeObject,
 PIXI,
 PolygonVertex,
@@ -17,29 +18,48 @@ ui,
 */
 "use strict";
 
-import { MODULE_ID, FLAGS } from "./const.js";
+import { MODULE_ID, FLAGS, TEMPLATES } from "./const.js";
 import { PixelCache } from "./geometry/PixelCache.js";
 import {
   log,
   readDataURLFromFile,
   convertBase64ToImage,
   drawPolygonWithHoles,
-  quotient256,
-  mod256 } from "./util.js";
+  polygonsWithHolesContain,
+  decodeElevationChannels,
+  encodeElevationChannels } from "./util.js";
 import { testWallsForIntersections } from "./ClockwiseSweepPolygon.js";
 import { SCENE_GRAPH } from "./WallTracer.js";
-import { FILOQueue } from "./FILOQueue.js";
+import { ElevationHistory } from "./ElevationHistory.js";
 import { setSceneSetting, getSceneSetting, Settings } from "./settings.js";
 import { CoordinateElevationCalculator } from "./CoordinateElevationCalculator.js";
 import { TokenElevationCalculator } from "./TokenElevationCalculator.js";
 import { TravelElevationRay } from "./TravelElevationRay.js";
+import { CoverCalculator } from "./CoverCalculator.js";
+import { ElevationTransition } from "./ElevationTransition.js";
+import { WaterRegion } from "./WaterRegion.js";
 import { ElevationTextureManager } from "./ElevationTextureManager.js";
+import { ElevationSublayer, ElevationSublayerCompositor } from "./ElevationSublayer.js";
+import { ElevationContours } from "./ElevationContours.js";
+import { ElevationReadout } from "./ElevationReadout.js";
+import { SunPath } from "./SunPath.js";
+import { ElevationClipboard } from "./ElevationClipboard.js";
+import {
+  HEIGHTMAP_FORMATS,
+  HEIGHTMAP_FILE_TYPES,
+  parseHeightmap,
+  encodeHeightmap,
+  heightmapRange } from "./heightmap.js";
+import { TERRAIN_NOISE_TYPES, generateTerrain } from "./terrain_generator.js";
 
 import { Draw } from "./geometry/Draw.js";
 
 import { ElevationLayerShader } from "./glsl/ElevationLayerShader.js";
+import { HillshadeShader } from "./glsl/HillshadeShader.js";
+import { ElevationVersionShader } from "./glsl/ElevationVersionShader.js";
 import { EVQuadMesh } from "./glsl/EVQuadMesh.js";
 
+import { extractPixels } from "./perfect-vision/extract-pixels.js";
 import "./perfect-vision/extract-async.js";
 
 /* Elevation layer
@@ -80,7 +100,7 @@ export class ElevationLayer extends InteractionLayer {
     super();
     this.controls = ui.controls.controls.find(obj => obj.name === "elevation");
 
-    this.undoQueue = new FILOQueue();
+    this.history = new ElevationHistory();
     this._activateHoverListener();
   }
 
@@ -88,6 +108,11 @@ export class ElevationLayer extends InteractionLayer {
   TravelElevationRay = TravelElevationRay;
   CoordinateElevationCalculator = CoordinateElevationCalculator;
   TokenElevationCalculator = TokenElevationCalculator;
+  CoverCalculator = CoverCalculator;
+  ElevationTransition = ElevationTransition;
+  WaterRegion = WaterRegion;
+  SunPath = SunPath;
+  ElevationClipboard = ElevationClipboard;
 
   /**
    * Activate a listener to display elevation values when the mouse hovers over an area
@@ -154,9 +179,23 @@ export class ElevationLayer extends InteractionLayer {
 
     switch (game.activeTool) {
       case "fill-by-pixel":
+        this.brush.drawShape(this._pixelBrushShape({ x: 0, y: 0 }));
+        break;
+      case "fill-by-gradient":
         const ellipseSize = Math.round(size / 2)
         this.brush.drawEllipse(0, 0, ellipseSize, ellipseSize);
         break;
+      case "paste": {
+        // Outline of the clipboard region, as it will be rotated.
+        if ( !this.clipboard ) break;
+        const gridSize = this.clipboard.gridSize;
+        const { rotation, scale } = this.pasteOptions;
+        const turned = Math.round(rotation / 90) % 2 !== 0;
+        const w = (turned ? gridSize.height : gridSize.width) * canvas.dimensions.size * scale;
+        const h = (turned ? gridSize.width : gridSize.height) * canvas.dimensions.size * scale;
+        this.brush.drawRect(-w * 0.5, -h * 0.5, w, h);
+        break;
+      }
       default:
         break;
     }
@@ -170,11 +209,19 @@ export class ElevationLayer extends InteractionLayer {
 
   /**
    * Update the brush size when the [ or ] keys are pressed.
+   * For the fill-by-grid tool, update the grid brush radius instead.
    * Potentially replace with keybindings if/when it supports holding the key.
    */
   updateBrushSize(event) {
-    if ( game.activeTool !== 'fill-by-pixel' ) return;
+    if ( !['fill-by-grid', 'fill-by-pixel', 'fill-by-gradient'].includes(game.activeTool) ) return;
     if ( !['BracketLeft', 'BracketRight'].includes(event.code) ) return;
+    if ( game.activeTool === "fill-by-grid" ) {
+      const radius = Settings.get(Settings.KEYS.BRUSH.GRID_RADIUS);
+      const change = event.code === "BracketLeft" ? -1 : 1;
+      Settings.set(Settings.KEYS.BRUSH.GRID_RADIUS,
+        Math.clamped(radius + change, 0, Settings.KEYS.BRUSH.MAX_GRID_RADIUS));
+      return;
+    }
     if ( !this.brush.visible ) return;
 
     const size = Settings.get(Settings.KEYS.BRUSH.SIZE);
@@ -207,20 +254,70 @@ export class ElevationLayer extends InteractionLayer {
   _wallDataContainer = new PIXI.Container();
 
   /**
-   * Sprite that contains the elevation values from the saved elevation file.
+   * Elevation sublayers, bottom first. Visible sublayers are blended into the elevation texture.
+   * @type {ElevationSublayer[]}
+   */
+  sublayers = [];
+
+  /**
+   * Sublayer modified by the layer tools.
+   * @type {ElevationSublayer}
+   */
+  activeSublayer;
+
+  /**
+   * Blends the sublayers into the elevation texture.
+   * @type {ElevationSublayerCompositor}
+   */
+  _sublayerCompositor;
+
+  /**
+   * Contour line overlay. Added to the interface canvas group so players can see it
+   * on the token layer.
+   * @type {ElevationContours}
+   */
+  contours;
+
+  /**
+   * Elevation readout that follows the cursor on the token layer.
+   * @type {ElevationReadout}
+   */
+  readout;
+
+  /**
+   * Sun that moves directional lights with the game clock.
+   * @type {SunPath}
+   */
+  sun;
+
+  /**
+   * Region of elevation most recently copied. Kept when changing scenes, so it can be pasted
+   * into another scene.
+   * @type {ElevationClipboard|undefined}
+   */
+  clipboard;
+
+  /**
+   * Options last used to paste the clipboard. See pasteRegion.
+   * @type {object}
+   */
+  pasteOptions = { rotation: 0, flipX: false, flipY: false, scale: 1, offset: 0, relative: false };
+
+  /**
+   * Sprite that contains the elevation values from the saved elevation file, for the active sublayer.
    * This is added to the _graphicsContainer, along with any graphics representing
    * adjustments by the GM to the scene elevation.
    * @type {PIXI.Sprite}
    */
-  _backgroundElevation = PIXI.Sprite.from(PIXI.Texture.EMPTY);
+  get _backgroundElevation() { return this.activeSublayer.backgroundSprite; }
 
   /**
-   * Container to hold the current graphics objects representing elevation.
+   * Container to hold the current graphics objects representing elevation, for the active sublayer.
    * These graphics objects are created when the GM modifies the scene elevation using
    * the layer tools.
    * @type {PIXI.Container}
    */
-  _graphicsContainer = new PIXI.Container();
+  get _graphicsContainer() { return this.activeSublayer.graphicsContainer; }
 
 
   /**
@@ -349,8 +446,10 @@ export class ElevationLayer extends InteractionLayer {
       return out || 0; // In case of NaN, etc.
     };
 
+    // Sublayers that add elevation store a height above the minimum, which does not change.
+    const sublayers = this.sublayers.filter(s => s.blendMode !== ElevationSublayer.BLEND_MODES.ADD);
     setSceneSetting(Settings.KEYS.ELEVATION_MINIMUM, minNew);
-    this.changePixelValuesUsingFunction(minAdjust);
+    this.changePixelValuesUsingFunction(minAdjust, { sublayers });
   }
 
   /* ------------------------ */
@@ -403,6 +502,32 @@ export class ElevationLayer extends InteractionLayer {
    */
   #temporaryGraphics = new Map();
 
+  /**
+   * Stores the starting point, starting elevation, optional clip region, and preview graphics
+   * when dragging using the fill-by-gradient control.
+   * @type {object|undefined}
+   */
+  #gradientDrag;
+
+  /**
+   * Stores the starting point, region class, and preview graphics when dragging using the
+   * transition or water controls.
+   * @type {object|undefined}
+   */
+  #regionDrag;
+
+  /**
+   * Stores the starting point and preview graphics when dragging using the select-rectangle control.
+   * @type {object|undefined}
+   */
+  #selectionDrag;
+
+  /**
+   * Stores the vertices and preview graphics while clicking out a shape using the select-polygon control.
+   * @type {object|undefined}
+   */
+  #selectionPolygon;
+
   /**
    * Convert a pixel value to an elevation value.
    * @param {object} value    Pixel value
@@ -475,7 +600,7 @@ export class ElevationLayer extends InteractionLayer {
    * @param {number} g    Green channel value, between 0 and 255.
    * @returns {number} Number between 0 and 65,536. (256 * 256).
    */
-  _decodeElevationChannels(r, g) { return (g * 256) + r; }
+  _decodeElevationChannels(r, g) { return decodeElevationChannels(r, g); }
 
   /**
    * Given a number representing normalized elevation, returns its encoded color channels.
@@ -485,7 +610,7 @@ export class ElevationLayer extends InteractionLayer {
    *   - {number} g   Green channel, integer between 0 and 255
    *   - {number} b   Blue channel, currently unused
    */
-  _encodeElevationChannels(e) { return { r: mod256(e), g: quotient256(e), b: 0 }; }
+  _encodeElevationChannels(e) { return encodeElevationChannels(e); }
 
   /**
    * Convert value such as elevation from grid units to x,y coordinate dimensions.
@@ -549,7 +674,9 @@ export class ElevationLayer extends InteractionLayer {
     }
 
     this.drawElevation();
+    this.drawRegions();
     this.container.visible = true;
+    this.contours.updateVisibility();
     canvas.stage.addChild(this.brush);
     canvas.stage.addChild(this.elevationLabel);
     canvas.stage.addChild(this._wallDataContainer);
@@ -568,11 +695,13 @@ export class ElevationLayer extends InteractionLayer {
     const wallData = this._wallDataContainer.removeChildren();
     wallData.forEach(d => d.destroy(true));
 
+    this.#cancelSelection();
     canvas.stage.removeChild(this.brush);
     canvas.stage.removeChild(this.elevationLabel);
     if ( this._requiresSave ) this.saveSceneElevationData();
     Draw.clearDrawings();
     this.container.visible = false;
+    this.contours?.updateVisibility();
   }
 
   /** @override */
@@ -588,9 +717,6 @@ export class ElevationLayer extends InteractionLayer {
     log("_tearDown Elevation Layer");
     if ( this._requiresSave ) await this.saveSceneElevationData();
 
-    // Probably need to figure out how to destroy and/or remove these objects
-    //     this._graphicsContainer.destroy({children: true});
-    //     this._graphicsContainer = null;
     this.#destroy();
     this.container = null;
     return super._tearDown(options);
@@ -626,17 +752,15 @@ export class ElevationLayer extends InteractionLayer {
     const w = new FullCanvasContainer();
     this.container = this.addChild(w);
 
-    // Background elevation sprite should start at the upper left scene corner
-    const { sceneX, sceneY } = canvas.dimensions;
-    this._backgroundElevation.position = { x: sceneX, y: sceneY };
-
     // Add the render texture for displaying elevation information to the GM
     this._elevationTexture = PIXI.RenderTexture.create(this._textureManager.textureConfiguration);
     // Set the clear color of the render texture to black. The texture needs to be opaque.
     this._elevationTexture.baseTexture.clearColor = [0, 0, 0, 1];
 
-    // Add the sprite that holds the default background elevation settings
-    this._graphicsContainer.addChild(this._backgroundElevation);
+    // Start with a single sublayer that holds the default background elevation settings.
+    this._sublayerCompositor = new ElevationSublayerCompositor(this._textureManager.textureConfiguration);
+    this.activeSublayer = this.#createSublayer({ name: this.#defaultSublayerName(0) });
+    this.sublayers = [this.activeSublayer];
 
 
     await this.loadSceneElevationData();
@@ -645,7 +769,26 @@ export class ElevationLayer extends InteractionLayer {
     const shader = ElevationLayerShader.create();
     this._elevationColorsMesh = new EVQuadMesh(canvas.dimensions.sceneRect, shader);
 
+    // Add the hillshade mesh. It is a direct child of the layer so players can see it
+    // when the elevation layer is not active.
+    this._hillshadeMesh = new EVQuadMesh(canvas.dimensions.sceneRect, HillshadeShader.create());
+    this.addChildAt(this._hillshadeMesh, 0);
+
+    // Add the contour overlay, drawn above the grid.
+    this.contours = new ElevationContours();
+    this.contours.zIndex = canvas.grid.zIndex + 1;
+    canvas.interface.addChild(this.contours);
+
+    // Add the elevation readout for the token layer.
+    this.readout = canvas.interface.addChild(new ElevationReadout());
+
+    // Move directional lights that follow the sun to the current time.
+    this.sun = new SunPath();
+    this.sun.update({ animate: false });
+
     this.renderElevation();
+    this.contours.updateVisibility();
+    this.refreshHillshade();
 
     this._initialized = true;
 
@@ -691,6 +834,9 @@ export class ElevationLayer extends InteractionLayer {
   async loadSceneElevationData() {
     log("loadSceneElevationData");
 
+    const sublayerData = canvas.scene.getFlag(MODULE_ID, FLAGS.ELEVATION_SUBLAYERS);
+    if ( sublayerData?.length ) return this.#loadSublayers(sublayerData);
+
     const elevationImage = canvas.scene.getFlag(MODULE_ID, FLAGS.ELEVATION_IMAGE);
     if ( !elevationImage ) return;
 
@@ -738,9 +884,78 @@ export class ElevationLayer extends InteractionLayer {
       version: game.modules.get(MODULE_ID).version };
 
     await canvas.scene.setFlag(MODULE_ID, FLAGS.ELEVATION_IMAGE, saveObj);
+    await this.#saveSublayers();
     this._requiresSave = false;
   }
 
+  /**
+   * Load the sublayers saved to the scene flag, replacing the current sublayers.
+   * @param {ElevationSublayerData[]} sublayerData
+   */
+  async #loadSublayers(sublayerData) {
+    const sublayers = [];
+    for ( const data of sublayerData ) {
+      const sublayer = this.#createSublayer(data);
+      sublayers.push(sublayer);
+      if ( !data.imageURL ) continue;
+
+      const fileName = data.imageURL.split("/").at(-1);
+      const texture = await this._textureManager.load({ fileName });
+      if ( !texture || !texture.valid ) {
+        const msg = `ElevatedVision|loadSceneElevationData failed to load the "${data.name}" sublayer from ${data.imageURL}.`;
+        ui.notifications.warn(msg);
+        console.warn(msg, data);
+        continue;
+      }
+      sublayer.backgroundSprite.texture = texture;
+    }
+
+    // Loading does not change the elevation, so only require a save if already modified.
+    const neededSave = this._requiresSave;
+    this.sublayers.forEach(s => s.destroy());
+    this.sublayers = sublayers;
+    this.activeSublayer = sublayers[0];
+    this.renderElevation();
+    this._requiresSave = neededSave;
+  }
+
+  /**
+   * Save each sublayer image and store the sublayer data in the scene flag.
+   * A scene using only the default sublayer does not need the sublayer data,
+   * because the elevation image is identical.
+   */
+  async #saveSublayers() {
+    if ( this.#usesDefaultSublayer ) {
+      if ( canvas.scene.getFlag(MODULE_ID, FLAGS.ELEVATION_SUBLAYERS) ) {
+        await canvas.scene.unsetFlag(MODULE_ID, FLAGS.ELEVATION_SUBLAYERS);
+      }
+      return;
+    }
+
+    const sublayerData = [];
+    for ( const sublayer of this.sublayers ) {
+      const fileName = this._textureManager.sublayerFileName(sublayer.id);
+      const res = await this._textureManager.save(sublayer.renderTexture, { fileName });
+      if ( res.status !== "success" ) {
+        ui.notifications.error(`There was an error saving the "${sublayer.name}" elevation sublayer. Check the console for details.`);
+        console.error(res);
+      }
+      sublayerData.push(sublayer.toJSON(res.path));
+    }
+
+    await canvas.scene.setFlag(MODULE_ID, FLAGS.ELEVATION_SUBLAYERS, sublayerData);
+  }
+
+  /**
+   * Is the scene using only a single, visible, replace sublayer?
+   * @type {boolean}
+   */
+  get #usesDefaultSublayer() {
+    if ( this.sublayers.length !== 1 ) return false;
+    const sublayer = this.sublayers[0];
+    return sublayer.visible && sublayer.blendMode === ElevationSublayer.BLEND_MODES.REPLACE;
+  }
+
   /**
    * Import elevation data as png. Same format as download.
    * See importFromJSONDialog in Foundry.
@@ -785,22 +1000,23 @@ export class ElevationLayer extends InteractionLayer {
       const msg = `ElevatedVision|importFromImageFile failed to import ${file.name}.`;
       ui.notifications.error(msg);
       console.error(msg, file);
+      return;
     }
 
     log(`Loaded texture with dim ${texture.width},${texture.height}`, texture);
-    this.#replaceBackgroundElevationTexture(texture);
+    this.#recordElevationState([{ sublayer: this.activeSublayer, texture, children: [] }], "Import elevation data");
   }
 
   /**
-   * Replace the background elevation texture with a new one.
-   * Used by loadSceneElevationData and importFromImageFile.
+   * Replace the background elevation texture with a new one, without recording the change.
+   * Used by loadSceneElevationData.
    * @param {PIXI.Texture} texture
    */
   #replaceBackgroundElevationTexture(texture) {
-    canvas.elevation._backgroundElevation.texture.destroy();
-    canvas.elevation._backgroundElevation.texture = texture;
-    canvas.elevation.renderElevation();
-    canvas.elevation._requiresSave = true;
+    this._backgroundElevation.texture.destroy();
+    this._backgroundElevation.texture = texture;
+    this.renderElevation();
+    this._requiresSave = true;
   }
 
 
@@ -820,172 +1036,785 @@ export class ElevationLayer extends InteractionLayer {
   }
 
   /* -------------------------------------------- */
-  /* NOTE: ELEVATION PIXEL DATA */
-
-  /** @type {PixelFrame} */
-  #elevationPixelCache;
+  /* NOTE: HEIGHTMAPS */
+
+  /**
+   * Import a heightmap into the active sublayer.
+   * Heightmap values are mapped linearly from the value range onto the elevation range.
+   * Elevations outside elevationMin–elevationMax are clamped. Cells without data are left
+   * empty, so sublayers below show through.
+   * @param {Heightmap} heightmap           See parseHeightmap
+   * @param {object} [opts]                 Options that affect how values are mapped
+   * @param {number[]} [opts.valueRange]      Low and high heightmap values.
+   *   Defaults to the lowest and highest values in the heightmap.
+   * @param {number[]} [opts.elevationRange]  Elevations, in grid units, for the low and high values.
+   *   Defaults to the value range; in other words, the heightmap values are elevations.
+   * @param {string} [opts.label]           Description of the import in the undo history
+   */
+  importHeightmap(heightmap, { valueRange, elevationRange, label = "Import heightmap" } = {}) {
+    const { values, width, height, noData } = heightmap;
+    valueRange ??= Object.values(heightmapRange(heightmap));
+    elevationRange ??= valueRange;
+
+    const [valueLow, valueHigh] = valueRange;
+    const [elevationLow, elevationHigh] = elevationRange;
+    const scale = valueHigh === valueLow ? 0 : (elevationHigh - elevationLow) / (valueHigh - valueLow);
+
+    // Pixels left at 0 have no data.
+    const pixels = new Uint8Array(width * height * 4);
+    const ln = values.length;
+    for ( let i = 0; i < ln; i += 1 ) {
+      const v = values[i];
+      if ( v === noData || !Number.isFinite(v) ) continue;
+
+      const e = elevationLow + ((v - valueLow) * scale);
+      const normE = Math.clamped(Math.round(this._normalizeElevation(e)), 0, 65535);
+      const { r, g } = this._encodeElevationChannels(normE);
+      const idx = i * 4;
+      pixels[idx] = r;
+      pixels[idx + 1] = g;
+      pixels[idx + 3] = 255;
+    }
 
-  get elevationPixelCache() {
-    return this.#elevationPixelCache ?? (this.#elevationPixelCache = this.#refreshElevationPixelCache());
+    const texture = this._textureManager.textureFromPixels(pixels, width, height);
+    this.#recordElevationState([{ sublayer: this.activeSublayer, texture, children: [] }], label);
   }
 
   /**
-   * Refresh the pixel array cache from the elevation texture.
+   * Download the scene elevation as a heightmap.
+   * PNG and RAW heightmaps store the normalized elevation, so that each value is one
+   * elevationStep above elevationMin. ASCII grids store the elevation in grid units.
+   * @param {object} [opts]  Options that affect how the heightmap is formatted.
+   * @param {string} [opts.format]    One of HEIGHTMAP_FORMATS
+   * @param {string} [opts.fileName]  Name of the file. Extension will be added based on format
    */
-  #refreshElevationPixelCache() {
-    const { sceneX: x, sceneY: y } = canvas.dimensions;
-    return PixelCache.fromTexture(
-      this._elevationTexture,
-      { x, y, arrayClass: Uint16Array, combineFn: this._decodeElevationChannels });
-  }
+  async downloadHeightmap({ format = HEIGHTMAP_FORMATS.PNG16, fileName = canvas.scene.name } = {}) {
+    const { pixels, width, height } = this._extractFromElevationTexture();
+    const values = new Float32Array(width * height);
+    const useElevation = format === HEIGHTMAP_FORMATS.ASC;
+    const ln = values.length;
+    for ( let i = 0; i < ln; i += 1 ) {
+      const idx = i * 4;
+      values[i] = useElevation
+        ? this.pixelChannelsToElevation(pixels[idx], pixels[idx + 1])
+        : this._decodeElevationChannels(pixels[idx], pixels[idx + 1]);
+    }
 
-  /**
-   * Clear the pixel cache
-   */
-  _clearElevationPixelCache() {
-    this.#elevationPixelCache = undefined;
+    // Each texel covers 1 / resolution canvas pixels.
+    const cellSize = this.coordinatesToGridUnits(1 / this._elevationTexture.resolution);
+    const data = await encodeHeightmap({ values, width, height }, format, { cellSize });
+    const { extension, type } = HEIGHTMAP_FILE_TYPES[format];
+    saveDataToFile(data, type, `${fileName}.${extension}`);
   }
 
-  /* -------------------------------------------- */
-  /* NOTE: ELEVATION VALUES */
-
   /**
-   * Retrieve the elevation at a single canvas location.
-   * @param {Point} {x, y}    Canvas coordinates
-   * @returns {number} Elevation value.
+   * Dialog to import a heightmap file into the active sublayer.
+   * After the file is read, a second dialog maps the heightmap values onto scene elevations.
+   * @returns {Promise<void>}
    */
-  elevationAt({x, y}) {
-    const value = this.elevationPixelCache.pixelAtCanvas(x, y);
-    return this._scaleNormalizedElevation(value);
+  async importHeightmapDialog() {
+    const content = await renderTemplate(TEMPLATES.HEIGHTMAP_FILE, { import: true, formats: heightmapFormatChoices() });
+    new Dialog({
+      title: game.i18n.format(`${MODULE_ID}.heightmap.import-title`, { name: canvas.scene.name }),
+      content,
+      buttons: {
+        import: {
+          icon: '<i class="fas fa-file-import"></i>',
+          label: game.i18n.localize(`${MODULE_ID}.heightmap.import`),
+          callback: html => {
+            const form = html.find("form")[0];
+            if ( !form.data.files.length ) return ui.notifications.error("You did not upload a data file!");
+            const file = form.data.files[0];
+            const opts = {
+              width: Number(form.width.value) || undefined,
+              height: Number(form.height.value) || undefined
+            };
+            file.arrayBuffer()
+              .then(buffer => parseHeightmap(buffer, form.format.value, opts))
+              .then(heightmap => this.#heightmapRangeDialog(heightmap, form.format.value, file.name))
+              .catch(err => {
+                ui.notifications.error(game.i18n.format(`${MODULE_ID}.heightmap.read-error`, { name: file.name }));
+                console.error(err);
+              });
+          }
+        },
+        no: {
+          icon: '<i class="fas fa-times"></i>',
+          label: "Cancel"
+        }
+      },
+      default: "import"
+    }, {
+      width: 400
+    }).render(true);
   }
 
   /**
-   * Calculate the average value of pixels within a given shape.
-   * For rectangles, averageValue will be faster.
-   * @param {PIXI.Circle|PIXI.Polygon|PIXI.Rectangle|PIXI.Ellipse} shape
-   * @returns {number} Average of pixel values within the shape
+   * Dialog to map the values of a heightmap onto scene elevations, then import it.
+   * PNG and RAW values default to elevation steps above elevationMin, matching downloadHeightmap.
+   * ASCII grid values default to elevations in grid units.
+   * @param {Heightmap} heightmap
+   * @param {string} format       One of HEIGHTMAP_FORMATS
+   * @param {string} fileName     Name of the file, for display
+   * @returns {Promise<void>}
    */
-  averageElevationWithinShape(shape) {
-    const skip = CONFIG[MODULE_ID]?.averageTerrain ?? 1;
-    const average = this.elevationPixelCache.average(shape, skip);
-    return this._scaleNormalizedElevation(average);
-  }
+  async #heightmapRangeDialog(heightmap, format, fileName) {
+    const { min, max } = heightmapRange(heightmap);
+    const toElevation = format === HEIGHTMAP_FORMATS.ASC
+      ? v => v
+      : v => this.elevationMin + (v * this.elevationStep);
+
+    const content = await renderTemplate(TEMPLATES.HEIGHTMAP_RANGE, {
+      fileName,
+      width: heightmap.width,
+      height: heightmap.height,
+      valueLow: min,
+      valueHigh: max,
+      elevationLow: toElevation(min),
+      elevationHigh: toElevation(max),
+      elevationMin: this.elevationMin,
+      elevationMax: this.elevationMax,
+      elevationStep: this.elevationStep
+    });
 
-  /**
-   * Calculate the average elevation for a grid space.
-   * @param {number} row    Grid row
-   * @param {number} col    Grid column
-   * @param {object} [options]  Options that affect the calculation
-   * @param {boolean} [options.useHex]  Use a hex-shaped grid for the calculation.
-   *   Defaults to true if the canvas grid is hex.
-   * @returns {number} Elevation value.
-   */
-  averageElevationForGridSpace(row, col, { useHex = canvas.grid.isHex } = {}) {
-    const [x, y] = canvas.grid.grid.getPixelsFromGridPosition(row, col);
-    return this.averageElevationAtGridPoint(x, y, { useHex });
+    new Dialog({
+      title: game.i18n.format(`${MODULE_ID}.heightmap.import-title`, { name: canvas.scene.name }),
+      content,
+      buttons: {
+        import: {
+          icon: '<i class="fas fa-file-import"></i>',
+          label: game.i18n.localize(`${MODULE_ID}.heightmap.import`),
+          callback: html => {
+            const form = html.find("form")[0];
+            this.importHeightmap(heightmap, {
+              valueRange: [Number(form.valueLow.value), Number(form.valueHigh.value)],
+              elevationRange: [Number(form.elevationLow.value), Number(form.elevationHigh.value)],
+              label: `Import ${fileName}`
+            });
+          }
+        },
+        no: {
+          icon: '<i class="fas fa-times"></i>',
+          label: "Cancel"
+        }
+      },
+      default: "import"
+    }, {
+      width: 400
+    }).render(true);
   }
 
   /**
-   * Retrieve the average elevation of the grid space that encloses these
-   * coordinates.
-   * @param {Point} pt
-   * @returns {number} Elevation value.
+   * Dialog to choose a heightmap format and download the scene elevation.
+   * @returns {Promise<void>}
    */
-  averageElevationAtGridPoint(pt, { useHex = canvas.grid.isHex } = {}) {
-    const shape = useHex ? this._hexGridShape(pt) : this._squareGridShape(pt);
-    return this.averageElevationWithinShape(shape);
+  async downloadHeightmapDialog() {
+    const formats = heightmapFormatChoices();
+    const content = await renderTemplate(TEMPLATES.HEIGHTMAP_FILE, { import: false, formats });
+    new Dialog({
+      title: game.i18n.format(`${MODULE_ID}.heightmap.export-title`, { name: canvas.scene.name }),
+      content,
+      buttons: {
+        download: {
+          icon: '<i class="fas fa-file-export"></i>',
+          label: game.i18n.localize(`${MODULE_ID}.heightmap.export`),
+          callback: html => this.downloadHeightmap({ format: html.find("[name=format]").val() })
+        },
+        no: {
+          icon: '<i class="fas fa-times"></i>',
+          label: "Cancel"
+        }
+      },
+      default: "download"
+    }, {
+      width: 400
+    }).render(true);
   }
 
   /* -------------------------------------------- */
-  /* NOTE: CHANGE ELEVATION VALUES */
+  /* NOTE: TERRAIN GENERATOR */
+
+  /**
+   * Generate procedural terrain in the active sublayer.
+   * Generated elevations are rounded to the scene elevation step and clamped to the scene range.
+   * See terrain_generator.js for the noise options.
+   * @param {object} [opts]                   Options that affect the terrain
+   * @param {string} [opts.type]                One of TERRAIN_NOISE_TYPES
+   * @param {number|string} [opts.seed]         Seed; the same seed and options produce the same terrain
+   * @param {number} [opts.scale]               Approximate size of the largest features, in grid spaces
+   * @param {number} [opts.octaves]             Number of noise layers to combine
+   * @param {number} [opts.persistence]         Amplitude of each octave relative to the one before
+   * @param {boolean} [opts.island]             Lower the terrain toward the edges of the scene
+   * @param {number} [opts.erosion]             Number of thermal erosion iterations
+   * @param {number[]} [opts.elevationRange]    Elevations, in grid units, of the lowest and highest terrain.
+   *   Defaults to the scene minimum elevation and the currently selected elevation.
+   * @param {Point} [opts.clipOrigin]           If set, only change the space enclosed by walls
+   *   around this point. See SCENE_GRAPH.encompassingPolygonWithHoles.
+   */
+  generateTerrain({
+    elevationRange = [this.elevationMin, this.controls.currentElevation],
+    scale = 10,
+    clipOrigin,
+    ...opts } = {}) {
+
+    let clip;
+    if ( clipOrigin ) {
+      clip = SCENE_GRAPH.encompassingPolygonWithHoles(clipOrigin);
+      if ( !clip.length ) {
+        ui.notifications.warn(`Sorry; cannot locate a closed boundary for the requested fill at { x: ${clipOrigin.x}, y: ${clipOrigin.y} }!`);
+        return;
+      }
+    }
 
-  /**
-   * Apply a function to every pixel.
-   * @param {function} fn   Function to use.
-   *   It should take a single normalized elevation value and return a different normalized value.
-   */
-  changePixelValuesUsingFunction(fn) {
     this.renderElevation(); // Just in case
-
-    // Because we just re-rendered the elevation, it would be pointless to use the cache.
-    const sceneRect = canvas.dimensions.sceneRect;
-    const { pixels, width, height } = this._extractFromElevationTexture(sceneRect);
-    const ln = pixels.length;
-    for ( let i = 0; i < ln; i += 4 ) {
-      const currNormE = this._decodeElevationChannels(pixels[i], pixels[i + 1]);
-      const newNormE = fn(currNormE);
-      const newPixelChannels = this._encodeElevationChannels(newNormE);
-      pixels[i] = newPixelChannels.r;
-      pixels[i + 1] = newPixelChannels.g;
+    const sublayer = this.activeSublayer;
+    const { pixels, width, height } = this._extractFromElevationTexture(sublayer.renderTexture);
+    const { sceneRect, size } = canvas.dimensions;
+    const cellWidth = sceneRect.width / width;
+    const cellHeight = sceneRect.height / height;
+    log(`generateTerrain ${width}x${height} with seed ${opts.seed}`);
+    const { values } = generateTerrain({ ...opts, width, height, scale: scale * size / cellWidth });
+
+    const [low, high] = elevationRange.map(e => this.clampElevation(e));
+    const pt = new PIXI.Point();
+    for ( let y = 0, i = 0; y < height; y += 1 ) {
+      for ( let x = 0; x < width; x += 1, i += 1 ) {
+        if ( clip ) {
+          pt.set(sceneRect.x + ((x + 0.5) * cellWidth), sceneRect.y + ((y + 0.5) * cellHeight));
+          if ( !polygonsWithHolesContain(clip, pt) ) continue;
+        }
+        const e = low + ((high - low) * values[i]);
+        const { r, g } = this._encodeElevationChannels(Math.round(this._normalizeElevation(e)));
+        const idx = i * 4;
+        pixels[idx] = r;
+        pixels[idx + 1] = g;
+        pixels[idx + 3] = 255;
+      }
     }
 
-    // Reset the elevation maximum, b/c we don't know this value anymore.
-    this.#elevationCurrentMax = undefined;
+    const texture = this._textureManager.textureFromPixels(pixels, width, height);
+    this.#recordElevationState([{ sublayer, texture, children: [] }], "Generate terrain");
+  }
 
-    // This makes vertical lines: newTex = PIXI.Texture.fromBuffer(pixels, width, height)
-    const br = new PIXI.BufferResource(pixels, {width, height});
-    const bt = new PIXI.BaseTexture(br);
-    const newTex = new PIXI.Texture(bt);
+  /**
+   * Dialog to choose the options for procedural terrain, then generate it.
+   * @param {Point} [origin]    Point clicked to open the dialog, used to limit the terrain to
+   *   the space enclosed by walls.
+   * @returns {Promise<void>}
+   */
+  async generateTerrainDialog(origin) {
+    const types = Object.fromEntries(Object.values(TERRAIN_NOISE_TYPES)
+      .map(type => [type, `${MODULE_ID}.terrain.types.${type}`]));
+    const content = await renderTemplate(TEMPLATES.TERRAIN, {
+      types,
+      type: TERRAIN_NOISE_TYPES.FRACTAL,
+      seed: Math.floor(Math.random() * 100000),
+      scale: 10,
+      octaves: 5,
+      persistence: 0.5,
+      erosion: 10,
+      elevationLow: this.elevationMin,
+      elevationHigh: this.controls.currentElevation,
+      gridUnits: canvas.scene.grid.units,
+      canClip: Boolean(origin)
+    });
 
-    // Save to the background texture (used by the background sprite, like with saved images)
-    this.#replaceBackgroundElevationTexture(newTex);
+    new Dialog({
+      title: game.i18n.format(`${MODULE_ID}.terrain.title`, { name: canvas.scene.name }),
+      content,
+      buttons: {
+        generate: {
+          icon: '<i class="fas fa-mountain"></i>',
+          label: game.i18n.localize(`${MODULE_ID}.terrain.generate`),
+          callback: html => {
+            const form = html.find("form")[0];
+            this.generateTerrain({
+              type: form.type.value,
+              seed: form.seed.value,
+              scale: Number(form.scale.value) || 10,
+              octaves: Math.clamped(Math.round(Number(form.octaves.value) || 1), 1, 8),
+              persistence: Number(form.persistence.value) || 0.5,
+              island: form.island.checked,
+              erosion: Math.max(0, Math.round(Number(form.erosion.value) || 0)),
+              elevationRange: [Number(form.elevationLow.value), Number(form.elevationHigh.value)],
+              clipOrigin: form.clip?.checked ? origin : undefined
+            });
+          }
+        },
+        no: {
+          icon: '<i class="fas fa-times"></i>',
+          label: "Cancel"
+        }
+      },
+      default: "generate"
+    }, {
+      width: 400
+    }).render(true);
   }
 
+  /* -------------------------------------------- */
+  /* NOTE: CLIPBOARD */
+
   /**
-   * Change elevation of every pixel that currently is set to X value.
-   * Faster than changePixelValuesUsingFunction.
-   * @param {number} from   Pixels with this elevation will be changed.
-   * @param {number} to     Selected pixels will be changed to this elevation.
+   * Copy the scene elevation within a shape to the clipboard.
+   * Copies the elevation shown on the layer, combining all sublayers.
+   * @param {PIXI.Rectangle|PIXI.Polygon} shape   Area to copy, in canvas coordinates
+   * @returns {ElevationClipboard|undefined} The clipboard, or undefined if the shape is outside the scene.
    */
-  changePixelElevationValues(from, to) {
-    if ( from < this.elevationMin || from > this.elevationMax ) {
-      console.error(`changePixelElevationValues from value must be between ${this.elevationMin} and ${this.elevationMax}`);
-      return;
+  copyRegion(shape) {
+    this.renderElevation(); // Just in case
+    const { pixels, width, height } = this._extractFromElevationTexture();
+    const { sceneRect, size } = canvas.dimensions;
+    const cellWidth = sceneRect.width / width;
+    const cellHeight = sceneRect.height / height;
+
+    // Texels covered by the shape bounds.
+    const bounds = shape.getBounds();
+    const x0 = Math.clamped(Math.floor((bounds.left - sceneRect.x) / cellWidth), 0, width);
+    const x1 = Math.clamped(Math.ceil((bounds.right - sceneRect.x) / cellWidth), 0, width);
+    const y0 = Math.clamped(Math.floor((bounds.top - sceneRect.y) / cellHeight), 0, height);
+    const y1 = Math.clamped(Math.ceil((bounds.bottom - sceneRect.y) / cellHeight), 0, height);
+    const regionWidth = x1 - x0;
+    const regionHeight = y1 - y0;
+    if ( !regionWidth || !regionHeight ) {
+      ui.notifications.warn(game.i18n.localize(`${MODULE_ID}.clipboard.outside`));
+      return undefined;
     }
 
-    if ( to < this.elevationMin || to > this.elevationMax ) {
-      console.error(`changePixelElevationValues to value must be between ${this.elevationMin} and ${this.elevationMax}`);
-      return;
+    const values = new Float32Array(regionWidth * regionHeight).fill(Number.NaN);
+    for ( let y = 0, i = 0; y < regionHeight; y += 1 ) {
+      const cy = sceneRect.y + ((y0 + y + 0.5) * cellHeight);
+      for ( let x = 0; x < regionWidth; x += 1, i += 1 ) {
+        const cx = sceneRect.x + ((x0 + x + 0.5) * cellWidth);
+        if ( !shape.contains(cx, cy) ) continue;
+        const idx = (((y0 + y) * width) + x0 + x) * 4;
+        values[i] = this.pixelChannelsToElevation(pixels[idx], pixels[idx + 1]);
+      }
     }
 
-    from = this.clampElevation(from);
-    to = this.clampElevation(to);
+    log(`copyRegion ${regionWidth}x${regionHeight} texels`);
+    this.clipboard = new ElevationClipboard({
+      values,
+      width: regionWidth,
+      height: regionHeight,
+      cellSize: cellWidth / size,
+      source: canvas.scene.name
+    });
+    ui.notifications.info(game.i18n.localize(`${MODULE_ID}.clipboard.copied`));
+    return this.clipboard;
+  }
+
+  /**
+   * Paste a copied region into the active sublayer, centered on a point.
+   * Elevations are rounded to the scene elevation step and clamped to the scene range,
+   * with a warning if any were clamped.
+   * @param {Point} center                        Canvas location of the center of the region
+   * @param {object} [opts]                       Options that affect the pasted elevation
+   * @param {ElevationClipboard} [opts.clipboard]   Region to paste. Defaults to the clipboard.
+   * @param {number} [opts.rotation]                Degrees clockwise, in multiples of 90
+   * @param {boolean} [opts.flipX]                  Mirror left to right
+   * @param {boolean} [opts.flipY]                  Mirror top to bottom
+   * @param {number} [opts.scale]                   Multiplier for the size of the region on the grid
+   * @param {number} [opts.offset]                  Elevation, in grid units, added to the region
+   * @param {boolean} [opts.relative]               Place the lowest point of the region on the
+   *   terrain at the center, before adding the offset.
+   * @param {string} [opts.label]                   Description of the paste in the undo history
+   */
+  pasteRegion(center, {
+    clipboard = this.clipboard,
+    rotation = 0,
+    flipX = false,
+    flipY = false,
+    scale = 1,
+    offset = 0,
+    relative = false,
+    label = "Paste elevation" } = {}) {
+
+    if ( !clipboard ) {
+      ui.notifications.warn(game.i18n.localize(`${MODULE_ID}.clipboard.empty`));
+      return;
+    }
 
-    const fromPixelChannels = this.elevationToPixelChannels(from);
-    const toPixelChannels = this.elevationToPixelChannels(to);
+    const region = clipboard.transform({ rotation, flipX, flipY });
+    const shift = offset + (relative ? this.elevationAt(center) - region.baseElevation : 0);
 
     this.renderElevation(); // Just in case
-
-    // Extract pixels from the renderTexture (combined graphics + underlying sprite)
-    const sceneRect = canvas.dimensions.sceneRect;
-    const { pixels, width, height } = this._extractFromElevationTexture(sceneRect);
-
-    const ln = pixels.length;
-    for ( let i = 0; i < ln; i += 4 ) {
-      if ( pixels[i] === fromPixelChannels.r && pixels[i + 1] === fromPixelChannels.g ) {
-        pixels[i] = toPixelChannels.r;
-        pixels[i + 1] = toPixelChannels.g;
+    const sublayer = this.activeSublayer;
+    const { pixels, width, height } = this._extractFromElevationTexture(sublayer.renderTexture);
+    const { sceneRect, size } = canvas.dimensions;
+    const cellWidth = sceneRect.width / width;
+    const cellHeight = sceneRect.height / height;
+
+    // Canvas size of each region cell, and the canvas bounds of the region.
+    const regionCell = region.cellSize * size * Math.max(scale, 0.01);
+    const left = center.x - (region.width * regionCell * 0.5);
+    const top = center.y - (region.height * regionCell * 0.5);
+    const x0 = Math.clamped(Math.floor((left - sceneRect.x) / cellWidth), 0, width);
+    const x1 = Math.clamped(Math.ceil((left + (region.width * regionCell) - sceneRect.x) / cellWidth), 0, width);
+    const y0 = Math.clamped(Math.floor((top - sceneRect.y) / cellHeight), 0, height);
+    const y1 = Math.clamped(Math.ceil((top + (region.height * regionCell) - sceneRect.y) / cellHeight), 0, height);
+    log(`pasteRegion ${region.width}x${region.height} cells at ${center.x},${center.y}`);
+
+    // Sample the nearest region cell for each texel.
+    const { elevationMin, elevationMax, elevationStep } = this;
+    let clamped = false;
+    for ( let ty = y0; ty < y1; ty += 1 ) {
+      const ry = Math.floor((sceneRect.y + ((ty + 0.5) * cellHeight) - top) / regionCell);
+      if ( ry < 0 || ry >= region.height ) continue;
+      for ( let tx = x0; tx < x1; tx += 1 ) {
+        const rx = Math.floor((sceneRect.x + ((tx + 0.5) * cellWidth) - left) / regionCell);
+        if ( rx < 0 || rx >= region.width ) continue;
+        const value = region.values[(ry * region.width) + rx];
+        if ( Number.isNaN(value) ) continue;
+
+        // Rounding to the elevation step moves the value at most half a step; more means it was clamped.
+        const e = this.clampElevation(value + shift);
+        clamped ||= Math.abs(e - (value + shift)) > (elevationStep * 0.5);
+        const { r, g } = this._encodeElevationChannels(Math.round(this._normalizeElevation(e)));
+        const idx = ((ty * width) + tx) * 4;
+        pixels[idx] = r;
+        pixels[idx + 1] = g;
+        pixels[idx + 3] = 255;
       }
     }
 
-    // Update the elevation maximum.
-    if ( this.#elevationCurrentMax === from ) this.#elevationCurrentMax = undefined;
-    else this._updateElevationCurrentMax(to);
-
-    // Error Makes vertical lines:
-    // newTex = PIXI.Texture.fromBuffer(pixels, width, height)
-    const br = new PIXI.BufferResource(pixels, {width, height});
-    const bt = new PIXI.BaseTexture(br);
-    const newTex = new PIXI.Texture(bt);
-
-    // Save to the background texture (used by the background sprite, like with saved images)
-    this.#replaceBackgroundElevationTexture(newTex);
-
+    const texture = this._textureManager.textureFromPixels(pixels, width, height);
+    this.#recordElevationState([{ sublayer, texture, children: [] }], label);
+    if ( clamped ) ui.notifications.warn(game.i18n.format(`${MODULE_ID}.clipboard.clamped`, {
+      min: elevationMin,
+      max: elevationMax,
+      units: canvas.scene.grid.units
+    }));
   }
 
   /**
-   * Set the elevation for the grid space that contains the point.
-   * If this is a hex grid, it will fill in the hex grid space.
+   * Dialog to choose how to paste the clipboard, then paste it at a point.
+   * The options are remembered for the next paste.
+   * @param {Point} center    Canvas location of the center of the pasted region
+   * @returns {Promise<void>}
+   */
+  async pasteRegionDialog(center) {
+    if ( !this.clipboard ) {
+      ui.notifications.warn(game.i18n.localize(`${MODULE_ID}.clipboard.empty`));
+      return;
+    }
+
+    const { width, height } = this.clipboard.gridSize;
+    const rotations = Object.fromEntries([0, 90, 180, 270].map(r => [r, `${r}º`]));
+    const content = await renderTemplate(TEMPLATES.PASTE, {
+      ...this.pasteOptions,
+      rotations,
+      source: this.clipboard.source,
+      size: `${width.toFixed(1)} × ${height.toFixed(1)}`,
+      gridUnits: canvas.scene.grid.units
+    });
+
+    new Dialog({
+      title: game.i18n.localize(`${MODULE_ID}.clipboard.title`),
+      content,
+      buttons: {
+        paste: {
+          icon: '<i class="fas fa-paste"></i>',
+          label: game.i18n.localize(`${MODULE_ID}.clipboard.paste`),
+          callback: html => {
+            const form = html.find("form")[0];
+            this.pasteOptions = {
+              rotation: Number(form.rotation.value) || 0,
+              flipX: form.flipX.checked,
+              flipY: form.flipY.checked,
+              scale: Number(form.scale.value) || 1,
+              offset: Number(form.offset.value) || 0,
+              relative: form.relative.checked
+            };
+            this.pasteRegion(center, this.pasteOptions);
+          }
+        },
+        no: {
+          icon: '<i class="fas fa-times"></i>',
+          label: "Cancel"
+        }
+      },
+      default: "paste"
+    }, {
+      width: 400
+    }).render(true);
+  }
+
+  /**
+   * Draw a preview of the rectangle being dragged from the drag origin to the given point.
+   * @param {Point} destination
+   */
+  #previewSelectionRectangle(destination) {
+    if ( !this.#selectionDrag ) return;
+    this.#removeSelectionPreview(this.#selectionDrag);
+    const { origin } = this.#selectionDrag;
+    const rect = new PIXI.Rectangle(
+      Math.min(origin.x, destination.x),
+      Math.min(origin.y, destination.y),
+      Math.abs(destination.x - origin.x),
+      Math.abs(destination.y - origin.y));
+    this.#selectionDrag.preview = this.#drawSelectionPreview(rect);
+  }
+
+  /**
+   * Add a vertex to the polygon being selected and redraw its preview.
+   * @param {Point} pt
+   */
+  #addSelectionVertex(pt) {
+    this.#selectionPolygon ??= { points: [] };
+    const { points } = this.#selectionPolygon;
+    const prev = points.at(-1);
+
+    // Skip the repeated click of a double-click.
+    if ( prev && Math.abs(prev.x - pt.x) < 1 && Math.abs(prev.y - pt.y) < 1 ) return;
+    points.push({ x: pt.x, y: pt.y });
+    this.#removeSelectionPreview(this.#selectionPolygon);
+    this.#selectionPolygon.preview = this.#drawSelectionPreview(points, { closed: false });
+  }
+
+  /**
+   * Close the polygon being selected and copy the region it encloses.
+   */
+  #completeSelectionPolygon() {
+    const selection = this.#selectionPolygon;
+    this.#cancelSelection();
+    if ( !selection || selection.points.length < 3 ) return;
+    this.copyRegion(new PIXI.Polygon(selection.points.flatMap(pt => [pt.x, pt.y])));
+  }
+
+  /**
+   * Draw a selection shape or an open set of polygon vertices.
+   * @param {PIXI.Rectangle|Point[]} shape
+   * @param {object} [opts]
+   * @param {boolean} [opts.closed]   If false, draw the points as an open path.
+   * @returns {PIXI.Graphics}
+   */
+  #drawSelectionPreview(shape, { closed = true } = {}) {
+    const preview = new PIXI.Graphics();
+    preview.lineStyle(2, 0xFFFFFF, 0.9);
+    if ( closed ) preview.drawShape(shape);
+    else {
+      const [first, ...rest] = shape;
+      preview.moveTo(first.x, first.y);
+      rest.forEach(pt => preview.lineTo(pt.x, pt.y));
+      shape.forEach(pt => preview.drawCircle(pt.x, pt.y, 4));
+    }
+    this._wallDataContainer.addChild(preview);
+    return preview;
+  }
+
+  /**
+   * Remove the preview graphics of a selection, if any.
+   * @param {object} [selection]
+   */
+  #removeSelectionPreview(selection) {
+    const preview = selection?.preview;
+    if ( !preview ) return;
+    this._wallDataContainer.removeChild(preview);
+    preview.destroy();
+    selection.preview = undefined;
+  }
+
+  /**
+   * Stop selecting a rectangle or polygon without copying.
+   */
+  #cancelSelection() {
+    this.#removeSelectionPreview(this.#selectionDrag);
+    this.#removeSelectionPreview(this.#selectionPolygon);
+    this.#selectionDrag = undefined;
+    this.#selectionPolygon = undefined;
+  }
+
+  /* -------------------------------------------- */
+  /* NOTE: ELEVATION PIXEL DATA */
+
+  /** @type {PixelFrame} */
+  #elevationPixelCache;
+
+  get elevationPixelCache() {
+    return this.#elevationPixelCache ?? (this.#elevationPixelCache = this.#refreshElevationPixelCache());
+  }
+
+  /**
+   * Refresh the pixel array cache from the elevation texture.
+   */
+  #refreshElevationPixelCache() {
+    const { sceneX: x, sceneY: y } = canvas.dimensions;
+    return PixelCache.fromTexture(
+      this._elevationTexture,
+      { x, y, arrayClass: Uint16Array, combineFn: this._decodeElevationChannels });
+  }
+
+  /**
+   * Clear the pixel cache
+   */
+  _clearElevationPixelCache() {
+    this.#elevationPixelCache = undefined;
+  }
+
+  /* -------------------------------------------- */
+  /* NOTE: ELEVATION VALUES */
+
+  /**
+   * Retrieve the elevation at a single canvas location.
+   * @param {Point} {x, y}    Canvas coordinates
+   * @returns {number} Elevation value.
+   */
+  elevationAt({x, y}) {
+    const value = this.elevationPixelCache.pixelAtCanvas(x, y);
+    return this._scaleNormalizedElevation(value);
+  }
+
+  /**
+   * Measure the cover the target token has from the attacker token.
+   * See CoverCalculator.
+   * @param {Token} attacker
+   * @param {Token} target
+   * @returns {{level: CoverCalculator.COVER, percentBlocked: number}}
+   */
+  cover(attacker, target) {
+    return new CoverCalculator(attacker, target).calculate();
+  }
+
+  /**
+   * Calculate the average value of pixels within a given shape.
+   * For rectangles, averageValue will be faster.
+   * @param {PIXI.Circle|PIXI.Polygon|PIXI.Rectangle|PIXI.Ellipse} shape
+   * @returns {number} Average of pixel values within the shape
+   */
+  averageElevationWithinShape(shape) {
+    const skip = CONFIG[MODULE_ID]?.averageTerrain ?? 1;
+    const average = this.elevationPixelCache.average(shape, skip);
+    return this._scaleNormalizedElevation(average);
+  }
+
+  /**
+   * Calculate the average elevation for a grid space.
+   * @param {number} row    Grid row
+   * @param {number} col    Grid column
+   * @param {object} [options]  Options that affect the calculation
+   * @param {boolean} [options.useHex]  Use a hex-shaped grid for the calculation.
+   *   Defaults to true if the canvas grid is hex.
+   * @returns {number} Elevation value.
+   */
+  averageElevationForGridSpace(row, col, { useHex = canvas.grid.isHex } = {}) {
+    const [x, y] = canvas.grid.grid.getPixelsFromGridPosition(row, col);
+    return this.averageElevationAtGridPoint(x, y, { useHex });
+  }
+
+  /**
+   * Retrieve the average elevation of the grid space that encloses these
+   * coordinates.
+   * @param {Point} pt
+   * @returns {number} Elevation value.
+   */
+  averageElevationAtGridPoint(pt, { useHex = canvas.grid.isHex } = {}) {
+    const shape = useHex ? this._hexGridShape(pt) : this._squareGridShape(pt);
+    return this.averageElevationWithinShape(shape);
+  }
+
+  /* -------------------------------------------- */
+  /* NOTE: CHANGE ELEVATION VALUES */
+
+  /**
+   * Apply a function to every pixel.
+   * @param {function} fn   Function to use.
+   *   It should take a single normalized elevation value and return a different normalized value.
+   * @param {object} [opts]                       Options that affect which pixels are changed
+   * @param {ElevationSublayer[]} [opts.sublayers]  Sublayers to change. Defaults to all.
+   */
+  changePixelValuesUsingFunction(fn, { sublayers = this.sublayers } = {}) {
+    this.renderElevation(); // Just in case
+
+    // Because we just re-rendered the elevation, it would be pointless to use the cache.
+    const states = sublayers.map(sublayer => this.#changeSublayerPixels(sublayer, fn));
+
+    // Save to the background texture (used by the background sprite, like with saved images)
+    // The graphics are now baked into the texture, so remove them.
+    // Resets the elevation maximum, b/c we don't know this value anymore.
+    this.#recordElevationState(states, "Change elevation using function");
+  }
+
+  /**
+   * Change elevation of every pixel that currently is set to X value.
+   * Only changes the active sublayer.
+   * Faster than changePixelValuesUsingFunction.
+   * @param {number} from   Pixels with this elevation will be changed.
+   * @param {number} to     Selected pixels will be changed to this elevation.
+   */
+  changePixelElevationValues(from, to) {
+    if ( from < this.elevationMin || from > this.elevationMax ) {
+      console.error(`changePixelElevationValues from value must be between ${this.elevationMin} and ${this.elevationMax}`);
+      return;
+    }
+
+    if ( to < this.elevationMin || to > this.elevationMax ) {
+      console.error(`changePixelElevationValues to value must be between ${this.elevationMin} and ${this.elevationMax}`);
+      return;
+    }
+
+    from = this.clampElevation(from);
+    to = this.clampElevation(to);
+
+    const fromNormE = this._normalizeElevation(from);
+    const toNormE = this._normalizeElevation(to);
+
+    this.renderElevation(); // Just in case
+
+    // Extract pixels from the sublayer renderTexture (combined graphics + underlying sprite)
+    const state = this.#changeSublayerPixels(this.activeSublayer,
+      normE => normE === fromNormE ? toNormE : undefined);
+
+    // Save to the background texture (used by the background sprite, like with saved images)
+    // The graphics are now baked into the texture, so remove them.
+    // Resets the elevation maximum.
+    this.#recordElevationState([state], `Change elevation ${from} to ${to}`);
+  }
+
+  /**
+   * Apply a function to every pixel of a sublayer, baking its graphics into a new texture.
+   * Pixels where the sublayer has no data are skipped, except for the bottom sublayer,
+   * where they represent the scene minimum elevation.
+   * @param {ElevationSublayer} sublayer
+   * @param {function} fn   Takes a normalized elevation value and returns a normalized value,
+   *   or undefined to leave the pixel unchanged.
+   * @returns {ElevationLayerState} The new state for the sublayer
+   */
+  #changeSublayerPixels(sublayer, fn) {
+    const isBottom = sublayer === this.sublayers[0];
+    const { pixels, width, height } = this._extractFromElevationTexture(sublayer.renderTexture);
+    const ln = pixels.length;
+    for ( let i = 0; i < ln; i += 4 ) {
+      const hasData = pixels[i + 3] > 0;
+      if ( !hasData && !isBottom ) continue;
+
+      const currNormE = hasData ? this._decodeElevationChannels(pixels[i], pixels[i + 1]) : 0;
+      const newNormE = fn(currNormE);
+      if ( typeof newNormE === "undefined" ) continue;
+
+      const newPixelChannels = this._encodeElevationChannels(newNormE);
+      pixels[i] = newPixelChannels.r;
+      pixels[i + 1] = newPixelChannels.g;
+      pixels[i + 3] = 255;
+    }
+
+    const texture = this._textureManager.textureFromPixels(pixels, width, height);
+    return { sublayer, texture, children: [] };
+  }
+
+  /**
+   * Extract the pixels of the elevation texture, which covers the scene rectangle.
+   * Elevation is encoded in the red and green channels; see _decodeElevationChannels.
+   * @param {PIXI.RenderTexture} [texture]    Texture to extract. Defaults to the elevation texture.
+   * @returns {{pixels: Uint8Array, width: number, height: number}}
+   */
+  _extractFromElevationTexture(texture = this._elevationTexture) {
+    return extractPixels(canvas.app.renderer, texture);
+  }
+
+  /**
+   * Set the elevation for the grid space that contains the point.
+   * If this is a hex grid, it will fill in the hex grid space.
    * @param {Point} p             Point within the grid square/hex.
    * @param {number} elevation    Elevation to use to fill the grid space
    * @param {object}  [options]   Options that affect setting this elevation
@@ -993,11 +1822,19 @@ export class ElevationLayer extends InteractionLayer {
    *   This setting does not prevent a save if the user further modifies the canvas.
    * @param {boolean} [options.useHex]      If true, use a hex grid; if false use square.
    *   Defaults to canvas.grid.isHex.
+   * @param {number} [options.radius]       Also fill grid spaces up to this many steps away.
+   *   Defaults to the grid brush radius setting.
    *
    * @returns {PIXI.Graphics} The child graphics added to the _graphicsContainer
    */
-  setElevationForGridSpace(p, elevation = 0, { temporary = false, useHex = canvas.grid.isHex } = {}) {
-    const shape = useHex ? this._hexGridShape(p) : this._squareGridShape(p);
+  setElevationForGridSpace(p, elevation = 0, {
+    temporary = false,
+    useHex = canvas.grid.isHex,
+    radius = Settings.get(Settings.KEYS.BRUSH.GRID_RADIUS) } = {}) {
+
+    const diamond = Settings.get(Settings.KEYS.BRUSH.GRID_FOOTPRINT) === Settings.KEYS.BRUSH.FOOTPRINTS.DIAMOND;
+    const spaces = radius > 0 ? this._gridSpacesAround(p, { steps: radius, diamond }) : [p];
+    const shapes = spaces.map(space => (useHex ? this._hexGridShape(space) : this._squareGridShape(space)));
     const graphics = this._graphicsContainer.addChild(new PIXI.Graphics());
     const color = this.elevationColor(elevation);
     this._updateElevationCurrentMax(elevation);
@@ -1005,17 +1842,28 @@ export class ElevationLayer extends InteractionLayer {
     // Set width = 0 to avoid drawing a border line. The border line will use antialiasing
     // and that causes a lighter-color border to appear outside the shape.
     const draw = new Draw(graphics);
-    draw.shape(shape, { width: 0, fill: color});
+    shapes.forEach(shape => draw.shape(shape, { width: 0, fill: color}));
 
     this.renderElevation();
 
     this._requiresSave = !temporary;
-    this.undoQueue.enqueue(graphics);
+    this._recordGraphics(graphics, "Fill by grid");
     return graphics;
   }
 
+  /**
+   * Set the elevation for the area under the pixel brush, centered on the point.
+   * Uses the brush size and shape settings.
+   * @param {Point} p             Center of the brush
+   * @param {number} elevation    Elevation to use to fill the brush area
+   * @param {object}  [options]   Options that affect setting this elevation
+   * @param {boolean} [options.temporary]   If true, don't immediately require a save.
+   *   This setting does not prevent a save if the user further modifies the canvas.
+   *
+   * @returns {PIXI.Graphics} The child graphics added to the _graphicsContainer
+   */
   setElevationForPixel(p, elevation = 0, { temporary = false } = {}) {
-    const shape = this._circleShape(p);
+    const shapes = this._pixelBrushShapes(p);
     const graphics = this._graphicsContainer.addChild(new PIXI.Graphics());
     const color = this.elevationColor(elevation);
     this._updateElevationCurrentMax(elevation);
@@ -1023,12 +1871,12 @@ export class ElevationLayer extends InteractionLayer {
     // Set width = 0 to avoid drawing a border line. The border line will use antialiasing
     // and that causes a lighter-color border to appear outside the shape.
     const draw = new Draw(graphics);
-    draw.shape(shape, { width: 0, fill: color});
+    shapes.forEach(shape => draw.shape(shape, { width: 0, fill: color}));
 
     this.renderElevation();
 
     this._requiresSave = !temporary;
-    this.undoQueue.enqueue(graphics);
+    this._recordGraphics(graphics, "Fill by pixel");
     return graphics;
   }
 
@@ -1070,6 +1918,92 @@ export class ElevationLayer extends InteractionLayer {
     return new PIXI.Circle(p.x, p.y, r);
   }
 
+  /**
+   * Shape of the pixel brush centered on a point, for the circle, square, and hex brushes.
+   * The grid cells brush uses a circle.
+   * @param {Point} p
+   * @returns {PIXI.Circle|PIXI.Rectangle|PIXI.Polygon}
+   */
+  _pixelBrushShape(p) {
+    const SHAPES = Settings.KEYS.BRUSH.SHAPES;
+    const circle = this._circleShape(p);
+    const r = circle.radius;
+    switch ( Settings.get(Settings.KEYS.BRUSH.SHAPE) ) {
+      case SHAPES.SQUARE: return new PIXI.Rectangle(p.x - r, p.y - r, r * 2, r * 2);
+      case SHAPES.HEX: {
+        // Match the orientation of the hexes on a hex grid; otherwise pointy-topped.
+        const offset = (canvas.grid.isHex && canvas.grid.grid.columnar) ? 0 : Math.PI / 6;
+        const points = [];
+        for ( let i = 0; i < 6; i += 1 ) {
+          const angle = offset + (i * Math.PI / 3);
+          points.push(p.x + (r * Math.cos(angle)), p.y + (r * Math.sin(angle)));
+        }
+        return new PIXI.Polygon(points);
+      }
+      default: return circle;
+    }
+  }
+
+  /**
+   * Shapes to fill with the pixel brush centered on a point.
+   * The grid cells brush fills each grid space whose center is within the brush circle.
+   * @param {Point} p
+   * @returns {PIXI.Circle[]|PIXI.Rectangle[]|PIXI.Polygon[]}
+   */
+  _pixelBrushShapes(p) {
+    const { SHAPE, SHAPES } = Settings.KEYS.BRUSH;
+    if ( Settings.get(SHAPE) !== SHAPES.GRID ) return [this._pixelBrushShape(p)];
+    const distance = this._circleShape(p).radius;
+    const spaces = this._gridSpacesAround(p, { distance });
+    return spaces.map(space => (canvas.grid.isHex ? this._hexGridShape(space) : this._squareGridShape(space)));
+  }
+
+  /**
+   * Grid spaces around the grid space that contains a point, found by stepping between
+   * neighboring spaces. On hex grids, each step adds a ring of hexes.
+   * @param {Point} p
+   * @param {object} [options]
+   * @param {number} [options.steps]      Maximum number of steps from the space containing p
+   * @param {number} [options.distance]   Maximum distance from p to the center of a space
+   * @param {boolean} [options.diamond]   On square grids, only step orthogonally
+   * @returns {PIXI.Point[]} Center of each grid space, starting with the space containing p.
+   */
+  _gridSpacesAround(p, {
+    steps = Number.POSITIVE_INFINITY,
+    distance = Number.POSITIVE_INFINITY,
+    diamond = false } = {}) {
+
+    const grid = canvas.grid.grid;
+    const { w, h } = canvas.grid;
+    const spaceCenter = (row, col) => {
+      const [x, y] = grid.getPixelsFromGridPosition(row, col);
+      return new PIXI.Point(x + (w * 0.5), y + (h * 0.5));
+    };
+
+    const [row0, col0] = grid.getGridPositionFromPixels(p.x, p.y);
+    const seen = new Set([`${row0},${col0}`]);
+    const spaces = [];
+    let frontier = [[row0, col0]];
+    for ( let step = 0; frontier.length; step += 1 ) {
+      const next = [];
+      for ( const [row, col] of frontier ) {
+        const center = spaceCenter(row, col);
+        if ( step && PIXI.Point.distanceBetween(p, center) > distance ) continue;
+        spaces.push(center);
+        if ( step >= steps ) continue;
+        for ( const [nRow, nCol] of grid.getNeighbors(row, col) ) {
+          if ( diamond && !canvas.grid.isHex && nRow !== row && nCol !== col ) continue;
+          const key = `${nRow},${nCol}`;
+          if ( seen.has(key) ) continue;
+          seen.add(key);
+          next.push([nRow, nCol]);
+        }
+      }
+      frontier = next;
+    }
+    return spaces;
+  }
+
   /* -------------------------------------------- */
   /* NOTE: FILLING ELEVATION ON CANVAS */
 
@@ -1093,7 +2027,7 @@ export class ElevationLayer extends InteractionLayer {
     this.renderElevation();
 
     this._requiresSave = true;
-    this.undoQueue.enqueue(graphics);
+    this._recordGraphics(graphics, "Fill by line-of-sight");
 
     return graphics;
   }
@@ -1141,164 +2075,964 @@ export class ElevationLayer extends InteractionLayer {
       return;
     }
 
-    this._updateElevationCurrentMax(elevation);
+    this._updateElevationCurrentMax(elevation);
+
+    // Create the graphics representing the fill!
+    const graphics = this._graphicsContainer.addChild(new PIXI.Graphics());
+    drawPolygonWithHoles(polys, { graphics, fillColor: this.elevationColor(elevation) });
+
+    this.renderElevation();
+
+    this._requiresSave = true;
+    this._recordGraphics(graphics, "Fill space");
+
+    return graphics;
+  }
+
+  /**
+   * Fill a ramp between two points, changing from one elevation to another.
+   * The ramp is drawn as a series of bands perpendicular to A|B, one for each elevation step,
+   * so that every pixel of the ramp holds an exact elevation value.
+   * @param {Point} A                 Start of the ramp.
+   * @param {Point} B                 End of the ramp.
+   * @param {number} startElevation   Elevation at A.
+   * @param {number} endElevation     Elevation at B.
+   * @param {object} [options]        Options that affect the ramp.
+   * @param {string} [options.easing]         One of Settings.KEYS.GRADIENT.TYPES.
+   *   Defaults to the Fill by Gradient Easing setting.
+   * @param {number} [options.width]          Width of the ramp, perpendicular to A|B.
+   *   Defaults to the brush size, or the scene diagonal if clipping.
+   * @param {PIXI.Polygon[]} [options.clip]   Polygons, possibly with holes, to which the ramp is
+   *   clipped. See SCENE_GRAPH.encompassingPolygonWithHoles.
+   * @param {boolean} [options.preview]       If true, don't require a save and don't record the
+   *   graphics in the history. Used while dragging.
+   * @returns {PIXI.Graphics|undefined} The child graphics added to the _graphicsContainer
+   */
+  fillGradient(A, B, startElevation, endElevation, {
+    easing = Settings.get(Settings.KEYS.GRADIENT.EASING),
+    width,
+    clip,
+    preview = false } = {}) {
+
+    const dx = B.x - A.x;
+    const dy = B.y - A.y;
+    const dist = Math.hypot(dx, dy);
+    if ( dist < 1 ) return;
+
+    startElevation = this.clampElevation(startElevation);
+    endElevation = this.clampElevation(endElevation);
+    width ??= clip
+      ? Math.hypot(canvas.dimensions.sceneWidth, canvas.dimensions.sceneHeight) * 2
+      : this._circleShape(A).radius * 2;
+
+    // Offset perpendicular to the ramp, equal to half the ramp width.
+    const halfWidthRatio = width * 0.5 / dist;
+    const perp = { x: -dy * halfWidthRatio, y: dx * halfWidthRatio };
+
+    // Each band covers the portion of the ramp that rounds to a given elevation step.
+    // Inverting the easing function gives the ramp position at which that step begins and ends.
+    const inverseEase = INVERSE_EASING[easing] ?? INVERSE_EASING[Settings.KEYS.GRADIENT.TYPES.LINEAR];
+    const step = this.elevationStep;
+    const numSteps = Math.round(Math.abs(endElevation - startElevation) / step);
+    const sign = Math.sign(endElevation - startElevation);
+    log(`fillGradient from ${startElevation} to ${endElevation} over ${numSteps} steps using ${easing}`);
+
+    const graphics = this._graphicsContainer.addChild(new PIXI.Graphics());
+    for ( let i = 0; i <= numSteps; i += 1 ) {
+      const t0 = numSteps ? inverseEase(Math.clamped((i - 0.5) / numSteps, 0, 1)) : 0;
+      const t1 = numSteps ? inverseEase(Math.clamped((i + 0.5) / numSteps, 0, 1)) : 1;
+      if ( t1 <= t0 ) continue;
+
+      const a = { x: A.x + (dx * t0), y: A.y + (dy * t0) };
+      const b = { x: A.x + (dx * t1), y: A.y + (dy * t1) };
+      const e = startElevation + (sign * i * step);
+      graphics.beginFill(this.elevationColor(e));
+      graphics.drawPolygon([
+        a.x - perp.x, a.y - perp.y,
+        b.x - perp.x, b.y - perp.y,
+        b.x + perp.x, b.y + perp.y,
+        a.x + perp.x, a.y + perp.y
+      ]);
+      graphics.endFill();
+    }
+
+    // Clip to the provided region using a stencil mask, which respects holes.
+    if ( clip?.length ) {
+      const mask = graphics.addChild(new PIXI.Graphics());
+      drawPolygonWithHoles(clip, { graphics: mask });
+      graphics.mask = mask;
+    }
+
+    this._updateElevationCurrentMax(Math.max(startElevation, endElevation));
+    this.renderElevation();
+
+    if ( !preview ) {
+      this._requiresSave = true;
+      this._recordGraphics(graphics, "Fill by gradient");
+    }
+    return graphics;
+  }
+
+  /**
+   * Helper function to get all walls that may intersect a ray, and then
+   * return the intersections of those walls.
+   * @param {Point} origin        Origin of the ray.
+   * @param {Point} destination   Destination of the ray
+   * @param {"any"|"all"|"sorted"|"closest"}  mode    Affects return value.
+   * @returns {Point3d[][Point3d|boolean|null]}
+   *    any: True if any wall intersects.
+   *    all: Array of intersections that intersect.
+   *    sorted: Sorted array by distance from origin.
+   *    closest: Closest intersection from origin.
+   * Intersections each have the respective wall attached as the "wall" property.
+   */
+  _getAllWallCollisions(origin, destination, mode) {
+    const ray = new Ray(origin, destination);
+    const walls = canvas.walls.quadtree.getObjects(ray.bounds);
+    return testWallsForIntersections(origin, destination, walls, mode);
+  }
+
+  /**
+   * Walk from a starting wall, turning right at each intersection or endpoint,
+   * to determine whether the wall is part of a closed polygon boundary.
+   * @param {WallTracer} startingWall
+   * @param {PolygonVertex} startingEndpoint
+   * @param {Map<Wall, WallTracer>} wallTracerMap
+   * @param {Set<WallTracer>} wallTracerSet         Walls encountered will be removed from this set.
+   * @param {Point} startingIx                      Where to start on the starting wall.
+   * @returns {PIXI.Polygon|false} Return the closed polygon or false if no closed polygon found.
+   */
+  _testForClosedBoundaryWalls(startingWall, startingEndpoint, wallTracerMap, wallTracerSet, startingIx) {
+    const poly = new PIXI.Polygon();
+
+    /* Debug
+      drawSegment(startingWall)
+      drawPoint(startingEndpoint, {color: COLORS.black})
+    */
+
+    let maxIter = 1000;
+    let i = 0;
+    let currWall = startingWall;
+    let currEndpoint = startingEndpoint;
+    let startDistance2 = 0;
+
+    if ( startingIx ) {
+      startDistance2 = PIXI.Point.distanceSquaredBetween(startingEndpoint, startingIx);
+    } else {
+      poly.addPoint(startingEndpoint);
+    }
+    let currDistance2 = startDistance2;
+    let passedStartingPoint = false;
+
+    while ( i < maxIter ) {
+      wallTracerSet.delete(currWall);
+
+      // Determine ccw and cw endpoints
+      // If origin --> A --> B is cw, then A is ccw, B is cw
+      if ( currWall.numIntersections ) currWall.processIntersections(wallTracerMap);
+      let next = currWall.nextFromStartingEndpoint(currEndpoint, currDistance2);
+
+      /* Debug
+      drawSegment(next.wall)
+      drawPoint(next.startingEndpoint, {color: COLORS.black})
+      */
+
+      let pointToAdd;
+      if ( !next ) {
+        // Need to reverse directions
+        currEndpoint = currWall.otherEndpoint(currEndpoint);
+        currDistance2 = 0;
+        pointToAdd = currEndpoint;
+      } else {
+        currWall = next.wall;
+        currEndpoint = next.startingEndpoint;
+        if ( next.ix ) {
+          currDistance2 = PIXI.Point.distanceSquaredBetween(currEndpoint, next.ix);
+          pointToAdd = next.ix;
+        } else {
+          currDistance2 = 0;
+          pointToAdd = currEndpoint;
+        }
+      }
+
+      poly.addPoint(pointToAdd);
+
+      // Stop when returning to the first point.
+      // This is tricky because it is possible to return to the starting wall multiple times.
+      // 1. Simple polygon. Connects at the starting wall endpoint.
+      // 2. Starting below an intersection. Intersection may return to starting wall.
+      //    Need to pass the starting point before returning.
+      // 3. Starting above an intersection.
+      //    Must pass the starting point after processing the intersection at end.
+      if ( currWall === startingWall && currDistance2 <= startDistance2 ) passedStartingPoint = true;
+
+      const firstPoint = new PIXI.Point(poly.points[0], poly.points[1]);
+      if ( passedStartingPoint && firstPoint.almostEqual(pointToAdd) ) break;
+
+      i += 1;
+    }
+
+    if ( poly.isClosed ) return poly;
+    return false;
+  }
+
+  /* -------------------------------------------- */
+  /* NOTE: SUBLAYERS */
+
+  /**
+   * Construct a sublayer sized to the elevation texture.
+   * @param {object} [opts]   See ElevationSublayerData
+   * @returns {ElevationSublayer}
+   */
+  #createSublayer(opts) {
+    const sublayer = new ElevationSublayer(opts);
+    sublayer.initializeTexture(this._textureManager.textureConfiguration);
+    return sublayer;
+  }
+
+  /**
+   * Default name for a sublayer.
+   * @param {number} idx    Index of the sublayer
+   * @returns {string}
+   */
+  #defaultSublayerName(idx) {
+    if ( !idx ) return game.i18n.localize(`${MODULE_ID}.sublayers.base-name`);
+    return game.i18n.format(`${MODULE_ID}.sublayers.default-name`, { number: idx + 1 });
+  }
+
+  /**
+   * Retrieve a sublayer by id.
+   * @param {string} id
+   * @returns {ElevationSublayer|undefined}
+   */
+  getSublayer(id) {
+    return this.sublayers.find(s => s.id === id);
+  }
+
+  /**
+   * Add a sublayer on top of the others and make it the active sublayer.
+   * @param {object} [opts]               Options that affect the new sublayer
+   * @param {string} [opts.name]          Name of the sublayer
+   * @param {string} [opts.blendMode]     One of ElevationSublayer.BLEND_MODES
+   * @returns {ElevationSublayer}
+   */
+  addSublayer({ name, blendMode } = {}) {
+    name ||= this.#defaultSublayerName(this.sublayers.length);
+    const sublayer = this.#createSublayer({ name, blendMode });
+    this.#recordSublayers([...this.sublayers, sublayer], "Add sublayer", { activeSublayer: sublayer });
+    return sublayer;
+  }
+
+  /**
+   * Remove a sublayer and its elevation data. The last sublayer cannot be removed.
+   * @param {string} id
+   * @returns {boolean} True if the sublayer was removed.
+   */
+  removeSublayer(id) {
+    const idx = this.sublayers.findIndex(s => s.id === id);
+    if ( idx === -1 || this.sublayers.length < 2 ) return false;
+
+    const sublayers = this.sublayers.filter((_s, i) => i !== idx);
+    const activeSublayer = this.activeSublayer === this.sublayers[idx]
+      ? sublayers[Math.max(0, idx - 1)] : this.activeSublayer;
+    this.#recordSublayers(sublayers, "Remove sublayer", { activeSublayer });
+    return true;
+  }
+
+  /**
+   * Move a sublayer up or down in the blend order.
+   * @param {string} id
+   * @param {number} direction    Positive to move up (toward the top), negative to move down.
+   * @returns {boolean} True if the sublayer was moved.
+   */
+  moveSublayer(id, direction) {
+    const idx = this.sublayers.findIndex(s => s.id === id);
+    const newIdx = idx + Math.sign(direction);
+    if ( idx === -1 || newIdx < 0 || newIdx >= this.sublayers.length ) return false;
+
+    const sublayers = [...this.sublayers];
+    const [sublayer] = sublayers.splice(idx, 1);
+    sublayers.splice(newIdx, 0, sublayer);
+    this.#recordSublayers(sublayers, "Move sublayer", { activeSublayer: this.activeSublayer });
+    return true;
+  }
+
+  /**
+   * Change the name, visibility, or blend mode of a sublayer.
+   * @param {string} id
+   * @param {object} changes                  Properties to change
+   * @param {string} [changes.name]
+   * @param {boolean} [changes.visible]
+   * @param {string} [changes.blendMode]     One of ElevationSublayer.BLEND_MODES
+   */
+  updateSublayer(id, { name, visible, blendMode } = {}) {
+    const sublayer = this.getSublayer(id);
+    if ( !sublayer ) return;
+    const changes = {};
+    if ( name ) changes.name = name;
+    if ( typeof visible === "boolean" ) changes.visible = visible;
+    if ( Object.values(ElevationSublayer.BLEND_MODES).includes(blendMode) ) changes.blendMode = blendMode;
+    const prevChanges = Object.fromEntries(Object.keys(changes).map(key => [key, sublayer[key]]));
+    const apply = props => {
+      Object.assign(sublayer, props);
+      this.sublayerConfig?.render();
+    };
+    apply(changes);
+    this.#refreshAfterSublayerChange();
+
+    this.history.record({
+      label: "Change sublayer",
+      undo: () => apply(prevChanges),
+      redo: () => apply(changes)
+    });
+  }
+
+  /**
+   * Set the sublayer modified by the layer tools.
+   * @param {string} id
+   */
+  activateSublayer(id) {
+    const sublayer = this.getSublayer(id);
+    if ( sublayer ) this.activeSublayer = sublayer;
+  }
+
+  /**
+   * Update the elevation texture after the sublayers are changed.
+   */
+  #refreshAfterSublayerChange() {
+    this.#elevationCurrentMax = undefined;
+    this._requiresSave = true;
+    this.renderElevation();
+  }
+
+  /* -------------------------------------------- */
+  /* NOTE: REGIONS */
+
+  /**
+   * Scene flag data and the regions constructed from it, for each region flag.
+   * @type {Map<string, {data: object[], regions: object[]}>}
+   */
+  #regionCache = new Map();
+
+  /** @type {PIXI.Graphics|undefined} */
+  #regionGraphics;
+
+  /**
+   * Construct the regions stored in a scene flag, reusing them if the flag is unchanged.
+   * @param {string} flag     Scene flag storing the region data
+   * @param {class} cls       Region class, such as ElevationTransition or WaterRegion
+   * @returns {object[]}
+   */
+  #getRegions(flag, cls) {
+    const data = canvas.scene?.getFlag(MODULE_ID, flag);
+    if ( !data ) return [];
+    let cached = this.#regionCache.get(flag);
+    if ( cached?.data !== data ) {
+      cached = { data, regions: data.map(d => new cls(d)) };
+      this.#regionCache.set(flag, cached);
+    }
+    return cached.regions;
+  }
+
+  /**
+   * Store regions in a scene flag and redraw them.
+   * @param {string} flag         Scene flag storing the region data
+   * @param {object[]} regions
+   */
+  async #saveRegions(flag, regions) {
+    await canvas.scene.setFlag(MODULE_ID, flag, regions.map(r => r.toJSON()));
+    if ( this.active ) this.drawRegions();
+  }
+
+  /**
+   * Draw the transitions and water regions when the layer is active.
+   */
+  drawRegions() {
+    if ( this.#regionGraphics && !this.#regionGraphics.destroyed ) {
+      this._wallDataContainer.removeChild(this.#regionGraphics);
+      this.#regionGraphics.destroy();
+    }
+    const graphics = this.#regionGraphics = new PIXI.Graphics();
+    this.waterRegions.forEach(w => w.draw(graphics));
+    this.transitions.forEach(t => t.draw(graphics));
+    this._wallDataContainer.addChild(graphics);
+  }
+
+  /**
+   * Draw a preview of the region being dragged from the drag origin to the given point.
+   * @param {Point} destination
+   */
+  #previewRegion(destination) {
+    if ( !this.#regionDrag ) return;
+    this.#removeRegionPreview();
+    const { origin, cls } = this.#regionDrag;
+    const region = new cls({
+      x: origin.x,
+      y: origin.y,
+      width: destination.x - origin.x,
+      height: destination.y - origin.y
+    });
+    const preview = this.#regionDrag.preview = new PIXI.Graphics();
+    region.draw(preview, { color: 0xFFFFFF });
+    this._wallDataContainer.addChild(preview);
+  }
+
+  /**
+   * Remove the region preview, if any.
+   */
+  #removeRegionPreview() {
+    const preview = this.#regionDrag?.preview;
+    if ( !preview ) return;
+    this._wallDataContainer.removeChild(preview);
+    preview.destroy();
+    this.#regionDrag.preview = undefined;
+  }
+
+  /* -------------------------------------------- */
+  /* NOTE: TRANSITIONS */
+
+  /**
+   * Stairs and ramps in the scene.
+   * @type {ElevationTransition[]}
+   */
+  get transitions() { return this.#getRegions(FLAGS.TRANSITIONS, ElevationTransition); }
+
+  /**
+   * Find the topmost transition at a location.
+   * @param {Point} pt
+   * @returns {ElevationTransition|undefined}
+   */
+  transitionAt(pt) { return this.transitions.findLast(t => t.contains(pt)); }
+
+  /**
+   * Add a stairs or ramp transition to the scene.
+   * @param {ElevationTransitionData} data
+   * @returns {Promise<ElevationTransition>}
+   */
+  async addTransition(data) {
+    const transition = new ElevationTransition(data);
+    await this.#saveRegions(FLAGS.TRANSITIONS, [...this.transitions, transition]);
+    return transition;
+  }
+
+  /**
+   * Change the data for a transition in the scene.
+   * @param {string} id                             Id of the transition
+   * @param {ElevationTransitionData} changes       Data to change
+   */
+  async updateTransition(id, changes) {
+    const transitions = this.transitions.map(t => {
+      if ( t.id !== id ) return t;
+      return new ElevationTransition({ ...t.data, ...changes, id });
+    });
+    await this.#saveRegions(FLAGS.TRANSITIONS, transitions);
+  }
+
+  /**
+   * Remove a transition from the scene.
+   * @param {string} id   Id of the transition
+   */
+  async removeTransition(id) {
+    await this.#saveRegions(FLAGS.TRANSITIONS, this.transitions.filter(t => t.id !== id));
+  }
+
+  /**
+   * Dialog to set the type, elevations, and direction of a transition.
+   * @param {ElevationTransition} transition
+   * @param {object} [options]
+   * @param {boolean} [options.create]    If true, the transition is new and will be added on save.
+   */
+  async transitionDialog(transition, { create = false } = {}) {
+    const types = Object.fromEntries(Object.values(ElevationTransition.TYPES)
+      .map(type => [type, `${MODULE_ID}.transitions.types.${type}`]));
+    const content = await renderTemplate(TEMPLATES.TRANSITION,
+      { ...transition.data, types, gridUnits: canvas.scene.grid.units });
+    const buttons = {
+      save: {
+        icon: '<i class="fas fa-check"></i>',
+        label: game.i18n.localize(`${MODULE_ID}.transitions.save`),
+        callback: html => {
+          const form = html.find("form")[0];
+          const changes = {
+            type: form.type.value,
+            bottom: Number(form.bottom.value) || 0,
+            top: Number(form.top.value) || 0,
+            direction: Number(form.direction.value) || 0
+          };
+          return create
+            ? this.addTransition({ ...transition.data, ...changes })
+            : this.updateTransition(transition.id, changes);
+        }
+      }
+    };
+
+    if ( !create ) {
+      buttons.delete = {
+        icon: '<i class="fas fa-trash"></i>',
+        label: game.i18n.localize(`${MODULE_ID}.transitions.delete`),
+        callback: () => this.removeTransition(transition.id)
+      };
+    }
+
+    new Dialog({
+      title: game.i18n.localize(`${MODULE_ID}.transitions.title`),
+      content,
+      buttons,
+      default: "save"
+    }, {
+      width: 400
+    }).render(true);
+  }
+
+  /* -------------------------------------------- */
+  /* NOTE: WATER */
+
+  /**
+   * Water and other liquid regions in the scene.
+   * @type {WaterRegion[]}
+   */
+  get waterRegions() { return this.#getRegions(FLAGS.WATER, WaterRegion); }
+
+  /**
+   * Find the water region with the highest surface at a location.
+   * @param {Point} pt
+   * @returns {WaterRegion|undefined}
+   */
+  waterAt(pt) {
+    let water;
+    for ( const w of this.waterRegions ) {
+      if ( w.contains(pt) && (!water || w.surface > water.surface) ) water = w;
+    }
+    return water;
+  }
+
+  /**
+   * Add a water region to the scene.
+   * @param {WaterRegionData} data
+   * @returns {Promise<WaterRegion>}
+   */
+  async addWaterRegion(data) {
+    const water = new WaterRegion(data);
+    await this.#saveRegions(FLAGS.WATER, [...this.waterRegions, water]);
+    return water;
+  }
+
+  /**
+   * Change the data for a water region in the scene.
+   * @param {string} id                       Id of the water region
+   * @param {WaterRegionData} changes         Data to change
+   */
+  async updateWaterRegion(id, changes) {
+    const waterRegions = this.waterRegions.map(w => {
+      if ( w.id !== id ) return w;
+      return new WaterRegion({ ...w.data, ...changes, id });
+    });
+    await this.#saveRegions(FLAGS.WATER, waterRegions);
+  }
+
+  /**
+   * Remove a water region from the scene.
+   * @param {string} id   Id of the water region
+   */
+  async removeWaterRegion(id) {
+    await this.#saveRegions(FLAGS.WATER, this.waterRegions.filter(w => w.id !== id));
+  }
+
+  /**
+   * Dialog to set the surface elevation of a water region.
+   * @param {WaterRegion} water
+   * @param {object} [options]
+   * @param {boolean} [options.create]    If true, the water region is new and will be added on save.
+   */
+  async waterDialog(water, { create = false } = {}) {
+    const content = await renderTemplate(TEMPLATES.WATER, { ...water.data, gridUnits: canvas.scene.grid.units });
+    const buttons = {
+      save: {
+        icon: '<i class="fas fa-check"></i>',
+        label: game.i18n.localize(`${MODULE_ID}.water.save`),
+        callback: html => {
+          const form = html.find("form")[0];
+          const changes = { surface: Number(form.surface.value) || 0 };
+          return create
+            ? this.addWaterRegion({ ...water.data, ...changes })
+            : this.updateWaterRegion(water.id, changes);
+        }
+      }
+    };
+
+    if ( !create ) {
+      buttons.delete = {
+        icon: '<i class="fas fa-trash"></i>',
+        label: game.i18n.localize(`${MODULE_ID}.water.delete`),
+        callback: () => this.removeWaterRegion(water.id)
+      };
+    }
+
+    new Dialog({
+      title: game.i18n.localize(`${MODULE_ID}.water.title`),
+      content,
+      buttons,
+      default: "save"
+    }, {
+      width: 400
+    }).render(true);
+  }
 
-    // Create the graphics representing the fill!
-    const graphics = this._graphicsContainer.addChild(new PIXI.Graphics());
-    drawPolygonWithHoles(polys, { graphics, fillColor: this.elevationColor(elevation) });
+  /* -------------------------------------------- */
+  /* NOTE: HISTORY */
 
-    this.renderElevation();
+  /**
+   * @typedef {object} ElevationLayerState
+   * @property {ElevationSublayer} sublayer         Sublayer holding the sprite and graphics
+   * @property {PIXI.Texture} texture               Texture of the background elevation sprite
+   * @property {PIXI.DisplayObject[]} children      Graphics drawn over the background sprite
+   */
+
+  /**
+   * Record graphics just added to the _graphicsContainer in the history.
+   * @param {PIXI.Graphics} graphics
+   * @param {string} label    Short description of the edit
+   */
+  _recordGraphics(graphics, label) {
+    // The active sublayer may change before the edit is undone.
+    const container = this._graphicsContainer;
+    this.history.record({
+      label,
+      undo: () => container.removeChild(graphics),
+      redo: () => container.addChild(graphics),
+      discard: applied => {
+        // Applied graphics are still displayed and will be destroyed with the container.
+        // Children may include a mask, e.g. for fillGradient.
+        if ( !applied ) graphics.destroy({children: true});
+      }
+    });
+  }
 
+  /**
+   * Replace the background texture and all graphics of one or more sublayers, recording the
+   * change in the history. Used by edits that bake the elevation into a new texture.
+   * @param {ElevationLayerState[]} states
+   * @param {string} label    Short description of the edit
+   */
+  #recordElevationState(states, label) {
+    const prevStates = states.map(state => this.#swapElevationState(state));
+    this.#elevationCurrentMax = undefined;
+    this.renderElevation();
     this._requiresSave = true;
-    this.undoQueue.enqueue(graphics);
 
-    return graphics;
+    this.history.record({
+      label,
+      undo: () => prevStates.forEach(state => this.#swapElevationState(state)),
+      redo: () => states.forEach(state => this.#swapElevationState(state)),
+      discard: applied => (applied ? prevStates : states).forEach(state => destroyElevationState(state))
+    });
   }
 
   /**
-   * Helper function to get all walls that may intersect a ray, and then
-   * return the intersections of those walls.
-   * @param {Point} origin        Origin of the ray.
-   * @param {Point} destination   Destination of the ray
-   * @param {"any"|"all"|"sorted"|"closest"}  mode    Affects return value.
-   * @returns {Point3d[][Point3d|boolean|null]}
-   *    any: True if any wall intersects.
-   *    all: Array of intersections that intersect.
-   *    sorted: Sorted array by distance from origin.
-   *    closest: Closest intersection from origin.
-   * Intersections each have the respective wall attached as the "wall" property.
+   * Replace the list of sublayers, recording the change in the history.
+   * Sublayers dropped from the list are destroyed once the change can no longer be undone.
+   * @param {ElevationSublayer[]} sublayers
+   * @param {string} label    Short description of the edit
+   * @param {object} [opts]
+   * @param {ElevationSublayer} [opts.activeSublayer]   Defaults to the first new sublayer
    */
-  _getAllWallCollisions(origin, destination, mode) {
-    const ray = new Ray(origin, destination);
-    const walls = canvas.walls.quadtree.getObjects(ray.bounds);
-    return testWallsForIntersections(origin, destination, walls, mode);
+  #recordSublayers(sublayers, label, { activeSublayer = sublayers[0] } = {}) {
+    const prevState = { sublayers: this.sublayers, activeSublayer: this.activeSublayer };
+    const state = { sublayers, activeSublayer };
+    const apply = ({ sublayers: s, activeSublayer: active }) => {
+      this.sublayers = s;
+      this.activeSublayer = active;
+      this.sublayerConfig?.render();
+    };
+    apply(state);
+    this.#refreshAfterSublayerChange();
+
+    this.history.record({
+      label,
+      undo: () => apply(prevState),
+      redo: () => apply(state),
+      discard: applied => {
+        const [kept, dropped] = applied ? [state, prevState] : [prevState, state];
+        dropped.sublayers.filter(s => !kept.sublayers.includes(s)).forEach(s => s.destroy());
+      }
+    });
   }
 
   /**
-   * Walk from a starting wall, turning right at each intersection or endpoint,
-   * to determine whether the wall is part of a closed polygon boundary.
-   * @param {WallTracer} startingWall
-   * @param {PolygonVertex} startingEndpoint
-   * @param {Map<Wall, WallTracer>} wallTracerMap
-   * @param {Set<WallTracer>} wallTracerSet         Walls encountered will be removed from this set.
-   * @param {Point} startingIx                      Where to start on the starting wall.
-   * @returns {PIXI.Polygon|false} Return the closed polygon or false if no closed polygon found.
+   * Swap the background texture and the graphics drawn over it for a sublayer.
+   * Does not destroy anything; the previous state is returned so it can be restored.
+   * @param {ElevationLayerState} state
+   * @returns {ElevationLayerState} The previous state
    */
-  _testForClosedBoundaryWalls(startingWall, startingEndpoint, wallTracerMap, wallTracerSet, startingIx) {
-    const poly = new PIXI.Polygon();
+  #swapElevationState({ sublayer, texture, children }) {
+    const { backgroundSprite: bg, graphicsContainer: container } = sublayer;
+    const prevChildren = container.children.filter(c => c !== bg);
+    prevChildren.forEach(c => container.removeChild(c));
+    const prevState = { sublayer, texture: bg.texture, children: prevChildren };
 
-    /* Debug
-      drawSegment(startingWall)
-      drawPoint(startingEndpoint, {color: COLORS.black})
-    */
+    bg.texture = texture;
+    children.forEach(c => container.addChild(c));
+    return prevState;
+  }
 
-    let maxIter = 1000;
-    let i = 0;
-    let currWall = startingWall;
-    let currEndpoint = startingEndpoint;
-    let startDistance2 = 0;
+  /**
+   * Undo the prior edit.
+   */
+  undo() {
+    if ( !this.history.undo() ) return;
+    this.#refreshAfterHistoryChange();
+  }
 
-    if ( startingIx ) {
-      startDistance2 = PIXI.Point.distanceSquaredBetween(startingEndpoint, startingIx);
-    } else {
-      poly.addPoint(startingEndpoint);
-    }
-    let currDistance2 = startDistance2;
-    let passedStartingPoint = false;
+  /**
+   * Redo the most recently undone edit.
+   */
+  redo() {
+    if ( !this.history.redo() ) return;
+    this.#refreshAfterHistoryChange();
+  }
 
-    while ( i < maxIter ) {
-      wallTracerSet.delete(currWall);
+  /**
+   * Name the current state of the elevation edits, so it can be restored later this session.
+   * @param {string} name
+   */
+  createCheckpoint(name) {
+    this.history.createCheckpoint(name);
+  }
 
-      // Determine ccw and cw endpoints
-      // If origin --> A --> B is cw, then A is ccw, B is cw
-      if ( currWall.numIntersections ) currWall.processIntersections(wallTracerMap);
-      let next = currWall.nextFromStartingEndpoint(currEndpoint, currDistance2);
+  /**
+   * Undo or redo edits until the elevation matches the named checkpoint.
+   * @param {string} name
+   * @returns {boolean} True if the checkpoint was restored.
+   */
+  restoreCheckpoint(name) {
+    if ( !this.history.restoreCheckpoint(name) ) {
+      ui.notifications.warn(game.i18n.format(`${MODULE_ID}.checkpoints.missing`, { name }));
+      return false;
+    }
+    this.#refreshAfterHistoryChange();
+    return true;
+  }
 
-      /* Debug
-      drawSegment(next.wall)
-      drawPoint(next.startingEndpoint, {color: COLORS.black})
-      */
+  /**
+   * Update the rendered elevation after moving through the history.
+   */
+  #refreshAfterHistoryChange() {
+    this.#elevationCurrentMax = undefined;
+    this._requiresSave = true;
+    this.renderElevation();
+  }
 
-      let pointToAdd;
-      if ( !next ) {
-        // Need to reverse directions
-        currEndpoint = currWall.otherEndpoint(currEndpoint);
-        currDistance2 = 0;
-        pointToAdd = currEndpoint;
-      } else {
-        currWall = next.wall;
-        currEndpoint = next.startingEndpoint;
-        if ( next.ix ) {
-          currDistance2 = PIXI.Point.distanceSquaredBetween(currEndpoint, next.ix);
-          pointToAdd = next.ix;
-        } else {
-          currDistance2 = 0;
-          pointToAdd = currEndpoint;
+  /**
+   * Dialog to create, restore, or delete named checkpoints.
+   * @returns {Promise<void>}
+   */
+  async checkpointDialog() {
+    const checkpoints = this.history.checkpoints;
+    const defaultName = game.i18n.format(`${MODULE_ID}.checkpoints.default-name`, { number: checkpoints.length + 1 });
+    const content = await renderTemplate(TEMPLATES.CHECKPOINTS, { checkpoints, defaultName });
+    const buttons = {
+      create: {
+        icon: '<i class="fas fa-bookmark"></i>',
+        label: game.i18n.localize(`${MODULE_ID}.checkpoints.create`),
+        callback: html => {
+          const name = html.find("[name=checkpointName]").val()?.trim();
+          if ( name ) this.createCheckpoint(name);
         }
       }
+    };
 
-      poly.addPoint(pointToAdd);
+    if ( checkpoints.length ) {
+      buttons.restore = {
+        icon: '<i class="fas fa-clock-rotate-left"></i>',
+        label: game.i18n.localize(`${MODULE_ID}.checkpoints.restore`),
+        callback: html => this.restoreCheckpoint(html.find("[name=checkpoint]").val())
+      };
+      buttons.delete = {
+        icon: '<i class="fas fa-trash"></i>',
+        label: game.i18n.localize(`${MODULE_ID}.checkpoints.delete`),
+        callback: html => this.history.deleteCheckpoint(html.find("[name=checkpoint]").val())
+      };
+    }
 
-      // Stop when returning to the first point.
-      // This is tricky because it is possible to return to the starting wall multiple times.
-      // 1. Simple polygon. Connects at the starting wall endpoint.
-      // 2. Starting below an intersection. Intersection may return to starting wall.
-      //    Need to pass the starting point before returning.
-      // 3. Starting above an intersection.
-      //    Must pass the starting point after processing the intersection at end.
-      if ( currWall === startingWall && currDistance2 <= startDistance2 ) passedStartingPoint = true;
+    new Dialog({
+      title: game.i18n.localize(`${MODULE_ID}.checkpoints.title`),
+      content,
+      buttons,
+      default: "create"
+    }, {
+      width: 400
+    }).render(true);
+  }
 
-      const firstPoint = new PIXI.Point(poly.points[0], poly.points[1]);
-      if ( passedStartingPoint && firstPoint.almostEqual(pointToAdd) ) break;
+  /**
+   * Restore a saved version of the scene elevation.
+   * A version is the blended elevation of all sublayers, so the sublayers are replaced by a
+   * single sublayer holding the version. Can be undone for the rest of the session.
+   * @param {number} timestamp    Timestamp of the version
+   * @returns {Promise<boolean>} True if the version was restored.
+   */
+  async restoreVersion(timestamp) {
+    const version = this._textureManager.versions.find(v => v.timestamp === timestamp);
+    const texture = version ? await this._textureManager.loadVersion(version) : undefined;
+    if ( !texture ) {
+      ui.notifications.warn(game.i18n.localize(`${MODULE_ID}.versions.missing`));
+      return false;
+    }
+    const sublayer = this.#createSublayer({ name: this.#defaultSublayerName(0) });
+    sublayer.backgroundSprite.texture = texture;
+    this.#recordSublayers([sublayer], "Restore elevation version");
+    return true;
+  }
 
-      i += 1;
+  /**
+   * Dialog listing the saved versions of the scene elevation, with thumbnails.
+   * Each version can be restored or compared with the current elevation.
+   * @returns {Promise<void>}
+   */
+  async versionsDialog() {
+    const versions = [];
+    for ( const version of this._textureManager.versions ) {
+      const texture = await this._textureManager.loadVersion(version);
+      versions.push({
+        timestamp: version.timestamp,
+        date: new Date(version.timestamp).toLocaleString(),
+        thumbnail: texture ? await this.#renderVersionImage(texture) : ""
+      });
+      texture?.destroy(true);
     }
 
-    if ( poly.isClosed ) return poly;
-    return false;
+    const retention = Settings.get(Settings.KEYS.VERSIONS.RETENTION);
+    const content = await renderTemplate(TEMPLATES.VERSIONS, { versions, retention });
+    const dialog = new Dialog({
+      title: game.i18n.localize(`${MODULE_ID}.versions.title`),
+      content,
+      buttons: {
+        close: {
+          icon: '<i class="fas fa-times"></i>',
+          label: game.i18n.localize("Close")
+        }
+      },
+      default: "close",
+      render: html => html.find("[data-action]").on("click", async event => {
+        const { action, timestamp } = event.currentTarget.dataset;
+        switch ( action ) {
+          case "restore":
+            if ( await this.restoreVersion(Number(timestamp)) ) dialog.close();
+            break;
+          case "diff": this.versionDiffDialog(Number(timestamp)); break;
+        }
+      })
+    }, {
+      width: 480
+    });
+    dialog.render(true);
   }
 
   /**
-   * Undo the prior graphics addition.
+   * Dialog showing a saved version beside the current elevation.
+   * Areas that differ are highlighted in both images: green where the image is higher
+   * than the other and red where it is lower.
+   * @param {number} timestamp    Timestamp of the version
+   * @returns {Promise<void>}
    */
-  undo() {
-    const g = this.undoQueue.dequeue();
-    if ( !g ) return;
-    this._graphicsContainer.removeChild(g);
-    g.destroy();
-    this.#elevationCurrentMax = undefined;
-    this._requiresSave = true;
-    this.renderElevation();
+  async versionDiffDialog(timestamp) {
+    const version = this._textureManager.versions.find(v => v.timestamp === timestamp);
+    const texture = version ? await this._textureManager.loadVersion(version) : undefined;
+    if ( !texture ) {
+      ui.notifications.warn(game.i18n.localize(`${MODULE_ID}.versions.missing`));
+      return;
+    }
+
+    const width = CONFIG[MODULE_ID].versionDiffWidth;
+    const current = this._elevationTexture;
+    const content = await renderTemplate(TEMPLATES.VERSION_DIFF, {
+      date: new Date(timestamp).toLocaleString(),
+      versionImage: await this.#renderVersionImage(texture, { compareTexture: current, width }),
+      currentImage: await this.#renderVersionImage(current, { compareTexture: texture, width })
+    });
+    texture.destroy(true);
+
+    new Dialog({
+      title: game.i18n.localize(`${MODULE_ID}.versions.diff-title`),
+      content,
+      buttons: {
+        restore: {
+          icon: '<i class="fas fa-clock-rotate-left"></i>',
+          label: game.i18n.localize(`${MODULE_ID}.versions.restore`),
+          callback: () => this.restoreVersion(timestamp)
+        },
+        close: {
+          icon: '<i class="fas fa-times"></i>',
+          label: game.i18n.localize("Close")
+        }
+      },
+      default: "close"
+    }, {
+      width: (width * 2) + 40
+    }).render(true);
   }
 
   /**
-   * Remove all elevation data from the scene.
+   * Draw an elevation texture as a small grayscale image.
+   * See ElevationVersionShader.
+   * @param {PIXI.Texture} texture                Elevation texture sized to the scene
+   * @param {object} [opts]
+   * @param {PIXI.Texture} [opts.compareTexture]  Highlight areas that differ from this texture
+   * @param {number} [opts.width]                 Width of the image, in pixels
+   * @returns {Promise<string>} Base64 image
    */
-  async clearElevationData() {
-    this._clearElevationPixelCache();
-    this._backgroundElevation.destroy();
-    this._backgroundElevation = PIXI.Sprite.from(PIXI.Texture.EMPTY);
-
-    this._graphicsContainer.destroy({children: true});
-    this._graphicsContainer = new PIXI.Container();
+  async #renderVersionImage(texture, { compareTexture, width = CONFIG[MODULE_ID].versionThumbnailWidth } = {}) {
+    const rect = canvas.dimensions.sceneRect;
+    const scale = width / rect.width;
+    const shader = ElevationVersionShader.create({
+      uTerrainSampler: texture,
+      uCompareSampler: compareTexture ?? texture,
+      uCompare: Boolean(compareTexture),
+      uMaxNormalizedElevation: this._normalizeElevation(this.elevationCurrentMax)
+    });
+    const mesh = new EVQuadMesh(rect, shader);
+    const renderTexture = PIXI.RenderTexture.create({ width, height: Math.ceil(rect.height * scale) });
+    const transform = new PIXI.Matrix(scale, 0, 0, scale, -rect.x * scale, -rect.y * scale);
+    canvas.app.renderer.render(mesh, { renderTexture, transform, clear: true });
+    const image = await this._textureManager.convertTextureToImage(renderTexture, { quality: 0.8 });
+    mesh.destroy();
+    renderTexture.destroy(true);
+    return image;
+  }
 
+  /**
+   * Remove all elevation data from the scene, for every sublayer.
+   * Can be undone for the rest of the session.
+   */
+  async clearElevationData() {
+    const states = this.sublayers.map(sublayer => ({ sublayer, texture: PIXI.Texture.EMPTY, children: [] }));
+    this.#recordElevationState(states, "Clear elevation data");
     await canvas.scene.unsetFlag(MODULE_ID, FLAGS.ELEVATION_IMAGE);
+    await canvas.scene.unsetFlag(MODULE_ID, FLAGS.ELEVATION_SUBLAYERS);
     this._requiresSave = false;
     this.#elevationCurrentMax = 0;
-    this.renderElevation();
   }
 
   /**
    * Destroy elevation data when changing scenes or clearing data.
    */
   #destroy() {
+    this.history.clear();
     this._clearElevationPixelCache();
-    this._backgroundElevation.destroy();
-    this._backgroundElevation = PIXI.Sprite.from(PIXI.Texture.EMPTY);
     this._elevationColorsMesh?.destroy();
-
-    this._graphicsContainer.destroy({children: true});
-    this._graphicsContainer = new PIXI.Container();
+    this._hillshadeMesh?.destroy();
+    this._hillshadeMesh = undefined;
+
+    this.sublayers.forEach(s => s.destroy());
+    this.sublayers = [];
+    this.activeSublayer = undefined;
+    this._sublayerCompositor?.destroy();
+    this.contours?.destroy({ children: true });
+    this.contours = undefined;
+    this.readout?.destroy({ children: true });
+    this.readout = undefined;
+    this.sun?.destroy();
+    this.sun = undefined;
 
     this._elevationTexture?.destroy();
   }
@@ -1307,15 +3041,15 @@ export class ElevationLayer extends InteractionLayer {
   /* NOTE: DRAWING ELEVATION ON CANVAS */
 
   /**
-   * (Re)render the graphics stored in the container.
+   * (Re)render the graphics stored in each sublayer and blend them into the elevation texture.
    */
   renderElevation() {
-    const dims = canvas.dimensions;
-    const transform = new PIXI.Matrix(1, 0, 0, 1, -dims.sceneX, -dims.sceneY);
-    canvas.app.renderer.render(this._graphicsContainer, { renderTexture: this._elevationTexture, transform });
+    this.sublayers.forEach(s => s.render());
+    this._sublayerCompositor.composite(this.sublayers, this._elevationTexture);
 
     // Destroy the cache
     this._clearElevationPixelCache();
+    this.contours?.refresh();
   }
 
   /**
@@ -1336,6 +3070,47 @@ export class ElevationLayer extends InteractionLayer {
     this._elevationColorsMesh.shader.updateMinColor();
   }
 
+  /**
+   * Mesh that draws the elevation as shaded relief over the map.
+   * @type {EVQuadMesh}
+   */
+  _hillshadeMesh;
+
+  /**
+   * Direction of the light used for the hillshade.
+   * Uses the first directional light in the scene, if the scene is set to do so.
+   * Otherwise, uses the azimuth and altitude from the scene configuration.
+   * Follows the DirectionalLightSource convention: azimuth 0 is east and 90º is south.
+   * @type {{azimuth: number, elevationAngle: number}}  In radians
+   */
+  get hillshadeLight() {
+    const { DIRECTIONAL, AZIMUTH, ALTITUDE } = Settings.KEYS.HILLSHADE;
+    if ( getSceneSetting(DIRECTIONAL) ) {
+      const src = canvas.effects.lightSources.find(src => src.isDirectional);
+      if ( src ) return { azimuth: src.azimuth, elevationAngle: src.elevationAngle };
+    }
+    return {
+      azimuth: Math.toRadians(getSceneSetting(AZIMUTH)),
+      elevationAngle: Math.toRadians(getSceneSetting(ALTITUDE))
+    };
+  }
+
+  /**
+   * Show or hide the hillshade and update its light and terrain scale from the scene settings.
+   */
+  refreshHillshade() {
+    const mesh = this._hillshadeMesh;
+    if ( !mesh ) return;
+    const { ENABLED, INTENSITY } = Settings.KEYS.HILLSHADE;
+    mesh.visible = Boolean(getSceneSetting(ENABLED));
+    if ( !mesh.visible ) return;
+
+    const { azimuth, elevationAngle } = this.hillshadeLight;
+    mesh.shader.updateTerrain();
+    mesh.shader.updateLight(azimuth, elevationAngle);
+    mesh.shader.updateIntensity(Math.clamped(getSceneSetting(INTENSITY), 0, 1));
+  }
+
   /**
    * Draw wall segments
    */
@@ -1411,12 +3186,53 @@ export class ElevationLayer extends InteractionLayer {
       case "fill-space":
         this.fill(o, currE);
         break;
+      case "transition": {
+        const transition = this.transitionAt(o);
+        if ( transition ) this.transitionDialog(transition);
+        break;
+      }
+      case "water": {
+        const water = this.waterRegions.findLast(w => w.contains(o));
+        if ( water ) this.waterDialog(water);
+        break;
+      }
+      case "generate-terrain":
+        this.generateTerrainDialog(o);
+        break;
+      case "select-polygon":
+        this.#addSelectionVertex(o);
+        break;
+      case "paste": {
+        // Shift-click stamps the clipboard again with the last paste options.
+        const repeat = game.keyboard.isModifierActive(KeyboardManager.MODIFIER_KEYS.SHIFT);
+        if ( repeat ) this.pasteRegion(o, this.pasteOptions);
+        else this.pasteRegionDialog(o);
+        break;
+      }
     }
 
     // Standard left-click handling
     super._onClickLeft(event);
   }
 
+  /**
+   * If the user double-clicks while selecting a polygon, close the polygon and copy it.
+   * @param {PIXI.InteractionEvent} event
+   */
+  _onClickLeft2(event) {
+    if ( game.activeTool === "select-polygon" ) this.#completeSelectionPolygon();
+    super._onClickLeft2(event);
+  }
+
+  /**
+   * If the user right-clicks while selecting a polygon, discard the polygon.
+   * @param {PIXI.InteractionEvent} event
+   */
+  _onClickRight(event) {
+    if ( this.#selectionPolygon ) this.#cancelSelection();
+    super._onClickRight(event);
+  }
+
   /**
    * If the user initiates a drag-left:
    * - fill-by-grid: keep a temporary set of left corner grid locations and draw the grid
@@ -1443,12 +3259,55 @@ export class ElevationLayer extends InteractionLayer {
         this.#temporaryGraphics.set(p.key, child);
       }
       break;
+      case "fill-by-gradient": {
+        // Ramp starts at the current terrain elevation and ends at the selected elevation.
+        const clip = Settings.get(Settings.KEYS.GRADIENT.CLIP)
+          ? SCENE_GRAPH.encompassingPolygonWithHoles(o) : undefined;
+        this.#gradientDrag = { origin: { x: o.x, y: o.y }, elevation: this.elevationAt(o), clip };
+      }
+      break;
+      case "transition":
+        this.#regionDrag = { origin: { x: o.x, y: o.y }, cls: ElevationTransition };
+        break;
+      case "water":
+        this.#regionDrag = { origin: { x: o.x, y: o.y }, cls: WaterRegion };
+        break;
+      case "select-rectangle":
+        this.#cancelSelection();
+        this.#selectionDrag = { origin: { x: o.x, y: o.y } };
+        break;
     }
   }
 
+  /**
+   * Draw a preview of the gradient ramp from the drag origin to the given point.
+   * @param {Point} destination
+   * @param {number} elevation    Elevation at the destination
+   */
+  #previewGradient(destination, elevation) {
+    if ( !this.#gradientDrag ) return;
+    this.#removeGradientPreview();
+    const { origin, elevation: startElevation, clip } = this.#gradientDrag;
+    this.#gradientDrag.preview = this.fillGradient(origin, destination, startElevation, elevation,
+      { clip, preview: true });
+  }
+
+  /**
+   * Remove the gradient ramp preview, if any.
+   */
+  #removeGradientPreview() {
+    const preview = this.#gradientDrag?.preview;
+    if ( !preview ) return;
+    this._graphicsContainer.removeChild(preview);
+    preview.destroy({children: true});
+    this.#gradientDrag.preview = undefined;
+    this.renderElevation();
+  }
+
   /**
    * User continues a drag left.
    * - fill-by-grid: If new grid space, add.
+   * - fill-by-gradient: Redraw the ramp preview.
    */
   _onDragLeftMove(event) {
     const o = event.interactionData.origin;
@@ -1478,6 +3337,16 @@ export class ElevationLayer extends InteractionLayer {
         }
       }
       break;
+      case "fill-by-gradient":
+        this.#previewGradient(d, currE);
+        break;
+      case "transition":
+      case "water":
+        this.#previewRegion(d);
+        break;
+      case "select-rectangle":
+        this.#previewSelectionRectangle(d);
+        break;
     }
   }
 
@@ -1502,6 +3371,48 @@ export class ElevationLayer extends InteractionLayer {
       this.#temporaryGraphics.clear(); // Don't destroy children b/c added already to main graphics
       this._requiresSave = true;
     }
+
+    if ( activeTool === "fill-by-gradient" && this.#gradientDrag ) {
+      this.#removeGradientPreview();
+      const { origin, elevation, clip } = this.#gradientDrag;
+      this.fillGradient(origin, d, elevation, currE, { clip });
+      this.#gradientDrag = undefined;
+    }
+
+    if ( activeTool === "select-rectangle" && this.#selectionDrag ) {
+      const { origin } = this.#selectionDrag;
+      this.#cancelSelection();
+      if ( Math.abs(d.x - origin.x) < 1 || Math.abs(d.y - origin.y) < 1 ) return;
+      this.copyRegion(new PIXI.Rectangle(
+        Math.min(origin.x, d.x),
+        Math.min(origin.y, d.y),
+        Math.abs(d.x - origin.x),
+        Math.abs(d.y - origin.y)));
+      return;
+    }
+
+    if ( (activeTool === "transition" || activeTool === "water") && this.#regionDrag ) {
+      this.#removeRegionPreview();
+      const { origin } = this.#regionDrag;
+      this.#regionDrag = undefined;
+      if ( Math.abs(d.x - origin.x) < 1 || Math.abs(d.y - origin.y) < 1 ) return;
+      const bounds = { x: origin.x, y: origin.y, width: d.x - origin.x, height: d.y - origin.y };
+
+      // The water surface is at the selected elevation.
+      if ( activeTool === "water" ) {
+        this.waterDialog(new WaterRegion({ ...bounds, surface: currE }), { create: true });
+        return;
+      }
+
+      // The stairs or ramp go from the terrain at the drag start up to the selected elevation.
+      const transition = new ElevationTransition({
+        ...bounds,
+        bottom: this.elevationAt(origin),
+        top: currE,
+        direction: Math.round(Math.normalizeDegrees(Math.toDegrees(Math.atan2(d.y - origin.y, d.x - origin.x))))
+      });
+      this.transitionDialog(transition, { create: true });
+    }
   }
 
   /**
@@ -1524,6 +3435,23 @@ export class ElevationLayer extends InteractionLayer {
       });
       this.#temporaryGraphics.clear();
     }
+
+    if ( activeTool === "fill-by-gradient" && this.#gradientDrag ) {
+      log(`dragLeftCancel with tool ${activeTool} and elevation ${currE}`, event);
+      this.#removeGradientPreview();
+      this.#gradientDrag = undefined;
+    }
+
+    if ( (activeTool === "transition" || activeTool === "water") && this.#regionDrag ) {
+      log(`dragLeftCancel with tool ${activeTool} and elevation ${currE}`, event);
+      this.#removeRegionPreview();
+      this.#regionDrag = undefined;
+    }
+
+    if ( activeTool === "select-rectangle" && this.#selectionDrag ) {
+      log(`dragLeftCancel with tool ${activeTool} and elevation ${currE}`, event);
+      this.#cancelSelection();
+    }
   }
 
   /**
@@ -1548,6 +3476,38 @@ export class ElevationLayer extends InteractionLayer {
 
 }
 
+/**
+ * Destroy the texture and graphics of an elevation layer state that can no longer be restored.
+ * @param {ElevationLayerState} state
+ */
+function destroyElevationState({ texture, children }) {
+  if ( texture !== PIXI.Texture.EMPTY ) texture.destroy(true);
+  children.forEach(c => c.destroy({children: true}));
+}
+
+/**
+ * Inverse of the easing functions used by ElevationLayer.prototype.fillGradient.
+ * Each takes the fraction of the elevation change, between 0 and 1, and returns the fraction
+ * of the distance along the ramp at which that elevation is reached.
+ * @type {object<string, function>}
+ */
+const INVERSE_EASING = {
+  // Linear: y = t
+  [Settings.KEYS.GRADIENT.TYPES.LINEAR]: y => y,
+
+  // Smoothstep: y = t * t * (3 - 2t)
+  [Settings.KEYS.GRADIENT.TYPES.EASE]: y => 0.5 - Math.sin(Math.asin(1 - (2 * y)) / 3)
+};
+
+/**
+ * Heightmap formats mapped to their localization keys, for selectOptions.
+ * @returns {object<string, string>}
+ */
+function heightmapFormatChoices() {
+  return Object.fromEntries(Object.values(HEIGHTMAP_FORMATS)
+    .map(format => [format, `${MODULE_ID}.heightmap.formats.${format}`]));
+}
+
 // NOTE: Testing elevation texture pixels
 /*
 api = game.modules.get("elevatedvision").api
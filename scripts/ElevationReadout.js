@@ -0,0 +1,135 @@
+/* globals
+canvas,
+CONFIG,
+game,
+PIXI,
+PreciseText
+*/
+"use strict";
+
+import { MODULE_ID } from "./const.js";
+import { Settings, getSceneSetting } from "./settings.js";
+import { CoordinateElevationCalculator } from "./CoordinateElevationCalculator.js";
+import { extractPixels } from "./perfect-vision/extract-pixels.js";
+
+/* Elevation readout
+
+Label that follows the cursor on the token layer, showing the terrain elevation and the
+elevation of any supporting tile under the cursor. Enabled per scene. Shown while the
+readout key is held or while the readout token control is toggled on.
+
+Players only see the readout where the scene is visible to them or has been explored,
+so that hovering does not reveal terrain hidden by fog of war.
+*/
+
+export class ElevationReadout extends PIXI.Container {
+  /** @type {PreciseText} */
+  label;
+
+  /**
+   * Is the readout key being held?
+   * @type {boolean}
+   */
+  #held = false;
+
+  /**
+   * Last known canvas position of the cursor.
+   * @type {PIXI.Point}
+   */
+  #position = new PIXI.Point();
+
+  constructor() {
+    super();
+    this.eventMode = "none";
+    this.visible = false;
+
+    const style = CONFIG.canvasTextStyle.clone();
+    style.align = "left";
+    this.label = this.addChild(new PreciseText("", style));
+    this.label.anchor.set(0, 1);
+  }
+
+  /**
+   * Is the readout available and requested by the user?
+   * @type {boolean}
+   */
+  get enabled() {
+    if ( !getSceneSetting(Settings.KEYS.READOUT.PLAYERS) || !canvas.tokens.active ) return false;
+    return this.#held || Settings.get(Settings.KEYS.READOUT.ENABLED);
+  }
+
+  /** @type {boolean} */
+  get held() { return this.#held; }
+
+  set held(value) {
+    this.#held = Boolean(value);
+    this.update();
+  }
+
+  /**
+   * Follow the cursor. See Canvas.prototype._onMouseMove.
+   * @param {PIXI.FederatedEvent} event
+   */
+  _onMouseMove(event) {
+    this.#position.copyFrom(event.getLocalPosition(canvas.app.stage));
+    this.update();
+  }
+
+  /**
+   * Update the readout for the current cursor position.
+   */
+  update() {
+    const pos = this.#position;
+    if ( !this.enabled
+      || !canvas.dimensions.sceneRect.contains(pos.x, pos.y)
+      || !this.constructor.isRevealed(pos) ) {
+      this.visible = false;
+      return;
+    }
+
+    const units = canvas.scene.grid.units;
+    const terrainE = CoordinateElevationCalculator.terrainElevationAt(pos);
+    const groundE = CoordinateElevationCalculator.groundElevationAt(pos);
+    const lines = [game.i18n.format(`${MODULE_ID}.readout.terrain`, { elevation: terrainE, units })];
+    if ( groundE > terrainE ) lines.push(game.i18n.format(`${MODULE_ID}.readout.tile`, { elevation: groundE, units }));
+    this.label.text = lines.join("\n");
+
+    // Offset the label from the cursor so it does not sit under the pointer.
+    const offset = canvas.dimensions.size * 0.25;
+    this.label.position.set(pos.x + offset, pos.y - offset);
+    this.visible = true;
+  }
+
+  /**
+   * Can the user see the scene at this position, now or as explored fog?
+   * The GM, and players in scenes without token vision, can see everywhere.
+   * @param {Point} pos   Canvas position
+   * @returns {boolean}
+   */
+  static isRevealed(pos) {
+    if ( game.user.isGM || !canvas.visibility.tokenVision ) return true;
+    if ( canvas.visibility.testVisibility(pos, { tolerance: 0 }) ) return true;
+    return canvas.scene.fogExploration && this.isExplored(pos);
+  }
+
+  /**
+   * Has the user explored the scene at this position?
+   * Reads the explored fog texture, which includes areas seen up to the last fog commit.
+   * @param {Point} pos   Canvas position
+   * @returns {boolean}
+   */
+  static isExplored(pos) {
+    const sprite = canvas.fog.sprite;
+    const texture = sprite?.texture;
+    if ( !texture?.valid || texture === PIXI.Texture.EMPTY ) return false;
+
+    // Read the single texel under the position. Explored areas are marked in the red channel.
+    const local = sprite.toLocal(pos, canvas.stage);
+    if ( local.x < 0 || local.y < 0 || local.x >= texture.width || local.y >= texture.height ) return false;
+    const res = texture.baseTexture.resolution;
+    const x = Math.floor(local.x * res) / res;
+    const y = Math.floor(local.y * res) / res;
+    const { pixels } = extractPixels(canvas.app.renderer, texture, new PIXI.Rectangle(x, y, 1 / res, 1 / res));
+    return pixels[0] > 0;
+  }
+}
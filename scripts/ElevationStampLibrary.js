@@ -0,0 +1,199 @@
+/* globals
+Application,
+canvas,
+Folder,
+foundry,
+fromUuid,
+game,
+JournalEntry,
+mergeObject,
+ui
+*/
+"use strict";
+
+import { MODULE_ID, FLAGS, TEMPLATES } from "./const.js";
+import { ElevationClipboard } from "./ElevationClipboard.js";
+import { log } from "./util.js";
+
+/* Elevation stamps
+A stamp is a copied elevation region saved as a JournalEntry, so it can be reused across scenes and worlds.
+- Stamps are saved in the world, in the "Elevation Stamps" folder, or in an unlocked JournalEntry compendium.
+  The module ships a compendium of common stamps.
+- The region is stored in the stamp flag, with elevations relative to its lowest point.
+- The stamp info flag holds the footprint, in grid spaces, the relative heights, and the ground height,
+  so stamps can be listed from the compendium index without loading the region.
+- The ground height is the stamp elevation that meets the terrain. It is 0 for stamps that rise from
+  the ground, and higher for stamps that dig into it, such as a pit.
+- Placing a stamp copies it to the clipboard and selects the paste tool, pasting relative to the terrain.
+*/
+
+/**
+ * Window listing the elevation stamps in the world and in compendiums, with controls to place or delete
+ * a stamp and to save the clipboard as a new stamp.
+ */
+export class ElevationStampLibrary extends Application {
+  static get defaultOptions() {
+    const options = {
+      classes: ["form", `${MODULE_ID}-stamps`],
+      template: TEMPLATES.STAMPS,
+      id: `${MODULE_ID}-stamps`,
+      title: game.i18n.localize(`${MODULE_ID}.stamps.title`),
+      width: 520,
+      height: "auto",
+      resizable: true
+    };
+    return mergeObject(super.defaultOptions, options);
+  }
+
+  async getData(options) { // eslint-disable-line no-unused-vars
+    const infoKey = `flags.${MODULE_ID}.${FLAGS.STAMP.INFO}`;
+    const worldLabel = game.i18n.localize(`${MODULE_ID}.stamps.world`);
+    const stamps = game.journal
+      .filter(j => j.getFlag(MODULE_ID, FLAGS.STAMP.INFO))
+      .map(j => this.constructor._stampData(j, worldLabel, j.isOwner));
+
+    const destinations = { "": worldLabel };
+    for ( const pack of game.packs ) {
+      if ( pack.documentName !== "JournalEntry" ) continue;
+      if ( !pack.locked ) destinations[pack.collection] = pack.metadata.label;
+      const index = await pack.getIndex({ fields: [infoKey] });
+      for ( const entry of index ) {
+        if ( !foundry.utils.getProperty(entry, infoKey) ) continue;
+        stamps.push(this.constructor._stampData(entry, pack.metadata.label, !pack.locked));
+      }
+    }
+
+    const clipboard = canvas.elevation.clipboard;
+    return {
+      stamps,
+      destinations,
+      hasClipboard: Boolean(clipboard),
+      clipboardName: clipboard?.source ?? ""
+    };
+  }
+
+  /**
+   * Data for one stamp in the list.
+   * @param {JournalEntry|object} entry   World journal entry or compendium index entry
+   * @param {string} sourceLabel          World or compendium name
+   * @param {boolean} canDelete           Can the user delete the stamp?
+   * @returns {object}
+   */
+  static _stampData(entry, sourceLabel, canDelete) {
+    const info = foundry.utils.getProperty(entry, `flags.${MODULE_ID}.${FLAGS.STAMP.INFO}`);
+    return {
+      uuid: entry.uuid,
+      name: entry.name,
+      sourceLabel,
+      canDelete,
+      description: info.description ?? "",
+      footprint: `${Number(info.width.toFixed(1))} × ${Number(info.height.toFixed(1))}`,
+      heights: `${info.low - (info.ground ?? 0)} – ${info.high - (info.ground ?? 0)}`
+    };
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+    html.find("[data-action]").on("click", this._onClickAction.bind(this));
+  }
+
+  /**
+   * Handle a button click for a stamp or the save button.
+   * @param {Event} event
+   */
+  async _onClickAction(event) {
+    event.preventDefault();
+    const action = event.currentTarget.dataset.action;
+    const uuid = event.currentTarget.closest("[data-uuid]")?.dataset.uuid;
+    log(`ElevationStampLibrary ${action} ${uuid}`);
+
+    switch ( action ) {
+      case "place": await this.constructor.placeStamp(uuid); break;
+      case "delete": await (await fromUuid(uuid))?.deleteDialog(); break;
+      case "save": {
+        const form = this.element.find("form")[0];
+        const name = form.stampName.value.trim();
+        if ( !name ) {
+          ui.notifications.warn(game.i18n.localize(`${MODULE_ID}.stamps.no-name`));
+          return;
+        }
+        await this.constructor.saveStamp(canvas.elevation.clipboard, {
+          name,
+          description: form.stampDescription.value.trim(),
+          pack: form.destination.value || undefined
+        });
+        break;
+      }
+    }
+    this.render();
+  }
+
+  /**
+   * Save a copied region as a stamp.
+   * Elevations are stored relative to the lowest point of the region.
+   * @param {ElevationClipboard} clipboard
+   * @param {object} opts
+   * @param {string} opts.name              Name of the stamp
+   * @param {string} [opts.description]     Short description
+   * @param {string} [opts.pack]            Compendium collection to save to. Defaults to the world.
+   * @returns {Promise<JournalEntry|undefined>}
+   */
+  static async saveStamp(clipboard, { name, description = "", pack } = {}) {
+    if ( !clipboard ) {
+      ui.notifications.warn(game.i18n.localize(`${MODULE_ID}.clipboard.empty`));
+      return undefined;
+    }
+
+    const base = clipboard.baseElevation;
+    const stamp = new ElevationClipboard({
+      values: clipboard.values.map(v => v - base),
+      width: clipboard.width,
+      height: clipboard.height,
+      cellSize: clipboard.cellSize,
+      source: name
+    });
+    const { low, high } = stamp.elevationRange;
+    const info = { ...stamp.gridSize, low, high, ground: 0, description };
+
+    const data = {
+      name,
+      flags: { [MODULE_ID]: { [FLAGS.STAMP.DATA]: stamp.toJSON(), [FLAGS.STAMP.INFO]: info } }
+    };
+    if ( !pack ) data.folder = (await this._worldFolder())?.id;
+    return JournalEntry.create(data, { pack });
+  }
+
+  /**
+   * Copy a stamp to the clipboard and select the paste tool to place it.
+   * The stamp is pasted relative to the terrain, with its ground height on the terrain.
+   * @param {string} uuid   Uuid of the stamp journal entry
+   * @returns {Promise<ElevationClipboard|undefined>}
+   */
+  static async placeStamp(uuid) {
+    const doc = await fromUuid(uuid);
+    const data = doc?.getFlag(MODULE_ID, FLAGS.STAMP.DATA);
+    if ( !data ) {
+      ui.notifications.warn(game.i18n.localize(`${MODULE_ID}.stamps.missing`));
+      return undefined;
+    }
+
+    const ev = canvas.elevation;
+    ev.clipboard = new ElevationClipboard({ ...data, source: doc.name });
+    const info = doc.getFlag(MODULE_ID, FLAGS.STAMP.INFO);
+    ev.pasteOptions.relative = true;
+    ev.pasteOptions.offset = -(info?.ground ?? 0);
+    ui.controls.initialize({ control: "elevation", tool: "paste" });
+    ui.notifications.info(game.i18n.format(`${MODULE_ID}.stamps.placing`, { name: doc.name }));
+    return ev.clipboard;
+  }
+
+  /**
+   * Find or create the world folder that holds stamps.
+   * @returns {Promise<Folder|undefined>}
+   */
+  static async _worldFolder() {
+    const name = game.i18n.localize(`${MODULE_ID}.stamps.folder`);
+    const folder = game.folders.find(f => f.type === "JournalEntry" && f.name === name);
+    return folder ?? Folder.create({ name, type: "JournalEntry" });
+  }
+}
@@ -0,0 +1,193 @@
+/* globals
+canvas,
+foundry,
+PIXI
+*/
+"use strict";
+
+import { ElevationCompositeShader } from "./glsl/ElevationCompositeShader.js";
+import { EVQuadMesh } from "./glsl/EVQuadMesh.js";
+
+/* Elevation sublayers
+
+The elevation layer can be split into named sublayers, such as "base terrain," "buildings,"
+or "river cut." Each sublayer holds its own background texture and GM edits, and is rendered
+to its own texture. Visible sublayers are then blended, bottom to top, into the elevation
+texture used by everything else.
+
+Sublayer textures use the alpha channel to mark where the sublayer has data.
+Where a sublayer has no data, the elevation from the sublayers below is kept.
+*/
+
+/**
+ * @typedef {object} ElevationSublayerData
+ * @property {string} id          Unique id, used for the saved image file name
+ * @property {string} name        Name displayed to the GM
+ * @property {boolean} visible    Is this sublayer included in the elevation texture?
+ * @property {string} blendMode   One of ElevationSublayer.BLEND_MODES
+ * @property {string} [imageURL]  Location of the saved sublayer image, if any
+ */
+
+export class ElevationSublayer {
+  /**
+   * How a sublayer combines with the elevation of the sublayers below it.
+   * - replace: Use the sublayer elevation.
+   * - add: Add the sublayer height above the scene minimum elevation.
+   * - max: Use the higher of the two elevations.
+   * - min: Use the lower of the two elevations.
+   * @type {object<string, string>}
+   */
+  static BLEND_MODES = {
+    REPLACE: "replace",
+    ADD: "add",
+    MAX: "max",
+    MIN: "min"
+  };
+
+  /**
+   * @param {object} [opts]   See ElevationSublayerData
+   */
+  constructor({ id, name = "", visible = true, blendMode = ElevationSublayer.BLEND_MODES.REPLACE } = {}) {
+    this.id = id ?? foundry.utils.randomID();
+    this.name = name;
+    this.visible = visible;
+    this.blendMode = blendMode;
+
+    // Background sprite should start at the upper left scene corner.
+    const { sceneX, sceneY } = canvas.dimensions;
+    this.backgroundSprite.position = { x: sceneX, y: sceneY };
+    this.graphicsContainer.addChild(this.backgroundSprite);
+  }
+
+  /**
+   * Sprite that contains the elevation values from the saved sublayer or elevation file.
+   * @type {PIXI.Sprite}
+   */
+  backgroundSprite = PIXI.Sprite.from(PIXI.Texture.EMPTY);
+
+  /**
+   * Container holding the background sprite and the graphics representing GM edits.
+   * @type {PIXI.Container}
+   */
+  graphicsContainer = new PIXI.Container();
+
+  /**
+   * Texture into which the sublayer is rendered. Transparent where the sublayer has no data.
+   * @type {PIXI.RenderTexture}
+   */
+  renderTexture;
+
+  /**
+   * Create the render texture for this sublayer.
+   * @param {ElevationTextureConfiguration} textureConfiguration
+   */
+  initializeTexture(textureConfiguration) {
+    this.renderTexture?.destroy(true);
+    this.renderTexture = PIXI.RenderTexture.create({ ...textureConfiguration, format: PIXI.FORMATS.RGBA });
+    this.renderTexture.baseTexture.clearColor = [0, 0, 0, 0];
+  }
+
+  /**
+   * Render the background sprite and graphics into the render texture.
+   */
+  render() {
+    const dims = canvas.dimensions;
+    const transform = new PIXI.Matrix(1, 0, 0, 1, -dims.sceneX, -dims.sceneY);
+    canvas.app.renderer.render(this.graphicsContainer, { renderTexture: this.renderTexture, transform });
+  }
+
+  /**
+   * Data saved to the scene flag.
+   * @param {string} [imageURL]   Location of the saved sublayer image
+   * @returns {ElevationSublayerData}
+   */
+  toJSON(imageURL) {
+    const { id, name, visible, blendMode } = this;
+    return { id, name, visible, blendMode, imageURL };
+  }
+
+  /**
+   * Destroy the sublayer, including its graphics and textures.
+   */
+  destroy() {
+    this.backgroundSprite.texture.destroy(true);
+    this.graphicsContainer.destroy({ children: true });
+    this.renderTexture?.destroy(true);
+  }
+}
+
+/**
+ * Blend sublayer textures, bottom to top, into a single elevation texture.
+ * Uses two intermediate textures, alternating between them as each sublayer is added.
+ */
+export class ElevationSublayerCompositor {
+  /** @type {EVQuadMesh} */
+  #mesh;
+
+  /** @type {PIXI.RenderTexture[]} */
+  #accumTextures = [];
+
+  /**
+   * @param {ElevationTextureConfiguration} textureConfiguration
+   */
+  constructor(textureConfiguration) {
+    this.textureConfiguration = textureConfiguration;
+
+    // Size the quad to the texture, which may be slightly larger than the scene.
+    const { sceneX, sceneY } = canvas.dimensions;
+    const { width, height } = textureConfiguration;
+    const state = new PIXI.State();
+    state.blend = false;
+    this.#mesh = new EVQuadMesh(
+      new PIXI.Rectangle(sceneX, sceneY, width, height), ElevationCompositeShader.create(), state);
+  }
+
+  /**
+   * Blend the visible sublayers into the target texture.
+   * @param {ElevationSublayer[]} sublayers   Sublayers, bottom first
+   * @param {PIXI.RenderTexture} target       Elevation texture to hold the result
+   */
+  composite(sublayers, target) {
+    const renderer = canvas.app.renderer;
+    const dims = canvas.dimensions;
+    const transform = new PIXI.Matrix(1, 0, 0, 1, -dims.sceneX, -dims.sceneY);
+    const visible = sublayers.filter(s => s.visible);
+    const uniforms = this.#mesh.shader.uniforms;
+
+    if ( !visible.length ) {
+      renderer.render(new PIXI.Container(), { renderTexture: target, clear: true });
+      return;
+    }
+
+    let accum;
+    const ln = visible.length;
+    for ( let i = 0; i < ln; i += 1 ) {
+      const sublayer = visible[i];
+      const renderTexture = (i === ln - 1) ? target : this.#accumTexture(i % 2);
+      uniforms.uHasAccum = Boolean(accum);
+      uniforms.uAccumSampler = accum ?? PIXI.Texture.EMPTY;
+      uniforms.uSublayerSampler = sublayer.renderTexture;
+      uniforms.uBlendMode = ElevationCompositeShader.BLEND_MODES[sublayer.blendMode] ?? 0;
+      renderer.render(this.#mesh, { renderTexture, transform, clear: true });
+      accum = renderTexture;
+    }
+  }
+
+  /**
+   * Intermediate texture used to accumulate the blended elevation.
+   * @param {number} i    0 or 1
+   * @returns {PIXI.RenderTexture}
+   */
+  #accumTexture(i) {
+    return this.#accumTextures[i] ??= PIXI.RenderTexture.create(this.textureConfiguration);
+  }
+
+  /**
+   * Destroy the mesh and intermediate textures.
+   */
+  destroy() {
+    this.#mesh.destroy();
+    this.#accumTextures.forEach(t => t.destroy(true));
+    this.#accumTextures.length = 0;
+  }
+}
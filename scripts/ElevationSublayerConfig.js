@@ -0,0 +1,89 @@
+/* globals
+Application,
+canvas,
+game,
+mergeObject
+*/
+"use strict";
+
+import { MODULE_ID, TEMPLATES } from "./const.js";
+import { ElevationSublayer } from "./ElevationSublayer.js";
+import { log } from "./util.js";
+
+/**
+ * Window listing the elevation sublayers, bottom last, with controls to select, rename,
+ * toggle, reorder, blend, add, and remove them.
+ */
+export class ElevationSublayerConfig extends Application {
+  static get defaultOptions() {
+    const options = {
+      classes: ["form", `${MODULE_ID}-sublayers`],
+      template: TEMPLATES.SUBLAYERS,
+      id: `${MODULE_ID}-sublayers`,
+      title: game.i18n.localize(`${MODULE_ID}.sublayers.title`),
+      width: 480,
+      height: "auto",
+      resizable: true
+    };
+    return mergeObject(super.defaultOptions, options);
+  }
+
+  getData(options) { // eslint-disable-line no-unused-vars
+    const ev = canvas.elevation;
+    const blendModes = Object.values(ElevationSublayer.BLEND_MODES).map(mode => {
+      return { mode, label: game.i18n.localize(`${MODULE_ID}.sublayers.blend.${mode}`) };
+    });
+
+    // List the top sublayer first, as in most image editors.
+    const sublayers = [...ev.sublayers].reverse().map(s => {
+      return {
+        id: s.id,
+        name: s.name,
+        visible: s.visible,
+        blendMode: s.blendMode,
+        active: s === ev.activeSublayer
+      };
+    });
+
+    return { sublayers, blendModes, canRemove: ev.sublayers.length > 1 };
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+    html.find("[data-action]").on("click", this._onClickAction.bind(this));
+    html.find("input[name=name], input[name=visible], select[name=blendMode]").on("change", this._onChangeSublayer.bind(this));
+  }
+
+  /**
+   * Handle a button click for a sublayer or the add button.
+   * @param {Event} event
+   */
+  _onClickAction(event) {
+    event.preventDefault();
+    const ev = canvas.elevation;
+    const action = event.currentTarget.dataset.action;
+    const id = event.currentTarget.closest("[data-sublayer-id]")?.dataset.sublayerId;
+    log(`ElevationSublayerConfig ${action} ${id}`);
+
+    switch ( action ) {
+      case "add": ev.addSublayer(); break;
+      case "activate": ev.activateSublayer(id); break;
+      case "up": ev.moveSublayer(id, 1); break;
+      case "down": ev.moveSublayer(id, -1); break;
+      case "remove": ev.removeSublayer(id); break;
+    }
+    this.render();
+  }
+
+  /**
+   * Handle a change to a sublayer name, visibility, or blend mode.
+   * @param {Event} event
+   */
+  _onChangeSublayer(event) {
+    const input = event.currentTarget;
+    const id = input.closest("[data-sublayer-id]")?.dataset.sublayerId;
+    const value = input.type === "checkbox" ? input.checked : input.value;
+    canvas.elevation.updateSublayer(id, { [input.name]: value });
+    this.render();
+  }
+}
@@ -11,11 +11,26 @@ TextureLoader
 "use strict";
 
 import { MODULE_ID, FLAGS } from "./const.js";
+import { Settings } from "./settings.js";
 import { log } from "./util.js";
+import { ElevationVersionDeltaShader } from "./glsl/ElevationVersionDeltaShader.js";
+import { EVQuadMesh } from "./glsl/EVQuadMesh.js";
 
 
 // Class to manage loading and saving of the elevation texture.
 
+/* Versions
+Each save of the scene elevation file also stores a copy as a version, so a bad edit can be undone
+after the session ends. Foundry cannot delete files, so versions use a fixed set of numbered files,
+"world-scene-elevationMap-version-0.webp" and so on, one per retained version. The oldest version's
+file is overwritten when the retention limit is reached. The scene flag lists the versions, newest first.
+
+Only the newest version is a full copy. On each save, the previous newest version is replaced by its
+difference from the new version (older - newer, wrapping around at 65,536), so that unchanged areas
+compress to almost nothing. An older version is rebuilt by adding the differences, newest first.
+A version is kept as a full copy if the scene size changed between it and the next version.
+*/
+
 export class ElevationTextureManager {
   /**
    * The maximum allowable visibility texture size.
@@ -90,15 +105,95 @@ export class ElevationTextureManager {
 
   /**
    * Load the elevation texture from the stored file for the world and scene.
+   * @param {object} [opts]               Options that affect the file loaded
+   * @param {string} [opts.fileName]      Name of the file, with extension, in the storage directory.
+   *                                      Defaults to the scene elevation file.
    * @returns {PIXI.Texture}
    */
-  async load() {
-    let filePath = `${this.#filePath}/${this.#fileName}`;
+  async load({ fileName = this.#fileName } = {}) {
+    let filePath = `${this.#filePath}/${fileName}`;
 
     // Bust the caching of the texture (The Forge issue).
     if ( filePath.startsWith("https://")
       || filePath.startsWith("http://") ) filePath = `${filePath}?v=${Math.random()}`;
 
+    return this.#loadTexture(filePath);
+  }
+
+  /**
+   * Load a stored version of the elevation texture.
+   * Returns a copy, so it can be destroyed without affecting the texture cache.
+   * @param {ElevationVersionData} version
+   * @returns {PIXI.RenderTexture|undefined}
+   */
+  async loadVersion(version) {
+    const versions = this.versions;
+    const idx = versions.findIndex(v => v.timestamp === version.timestamp);
+    if ( !~idx ) return undefined;
+
+    // Start from the nearest full copy and add the differences down to the requested version.
+    let start = idx;
+    while ( start > 0 && versions[start].delta ) start -= 1;
+    let texture = await this.#loadVersionFile(versions[start]);
+    for ( let i = start + 1; i <= idx && texture; i += 1 ) {
+      const delta = await this.#loadVersionFile(versions[i]);
+      const newer = texture;
+      texture = delta ? this.#renderVersionDelta(newer, delta, 1) : undefined;
+      newer.destroy(true);
+      delta?.destroy(true);
+    }
+    return texture;
+  }
+
+  /**
+   * Load the file for a stored version, without applying any differences.
+   * @param {ElevationVersionData} version
+   * @returns {PIXI.RenderTexture|undefined}
+   */
+  async #loadVersionFile(version) {
+    // Version files are overwritten as they roll over or are replaced by a difference,
+    // so do not use a cached texture for an older version.
+    const v = version.delta ? `${version.timestamp}-delta` : version.timestamp;
+    const texture = await this.#loadTexture(`${version.imageURL}?v=${v}`);
+    if ( !texture?.valid ) return undefined;
+
+    const renderTexture = PIXI.RenderTexture.create({ ...this.textureConfiguration, format: PIXI.FORMATS.RGBA });
+    const sprite = new PIXI.Sprite(texture);
+    canvas.app.renderer.render(sprite, { renderTexture, clear: true });
+    sprite.destroy();
+    return renderTexture;
+  }
+
+  /**
+   * Add or subtract an elevation texture, wrapping around at 65,536.
+   * See ElevationVersionDeltaShader.
+   * @param {PIXI.Texture} texture        Elevation texture
+   * @param {PIXI.Texture} deltaTexture   Elevation texture to add or subtract
+   * @param {number} sign                 1 to add, -1 to subtract
+   * @returns {PIXI.RenderTexture}
+   */
+  #renderVersionDelta(texture, deltaTexture, sign) {
+    const config = this.textureConfiguration;
+    const shader = ElevationVersionDeltaShader.create({
+      uTerrainSampler: texture,
+      uDeltaSampler: deltaTexture,
+      uSign: sign
+    });
+    const state = new PIXI.State();
+    state.blend = false;
+    const mesh = new EVQuadMesh(new PIXI.Rectangle(0, 0, config.width, config.height), shader, state);
+    const renderTexture = PIXI.RenderTexture.create({ ...config, format: PIXI.FORMATS.RGBA });
+    canvas.app.renderer.render(mesh, { renderTexture, clear: true });
+    mesh.destroy();
+    return renderTexture;
+  }
+
+  /**
+   * Load and format a texture from a file path.
+   * @param {string} filePath
+   * @returns {PIXI.Texture}
+   */
+  async #loadTexture(filePath) {
     log(`Loading ${filePath}`);
     try {
       const baseTexture = await TextureLoader.loader.loadTexture(filePath);
@@ -127,6 +222,20 @@ export class ElevationTextureManager {
     }
   }
 
+  /**
+   * Construct an elevation texture from RGBA pixel data, stretched to cover the scene.
+   * @param {Uint8Array} pixels   Four values per pixel, with elevation encoded in red and green
+   * @param {number} width        Width of the pixel data
+   * @param {number} height       Height of the pixel data
+   * @returns {PIXI.Texture}
+   */
+  textureFromPixels(pixels, width, height) {
+    // This makes vertical lines: newTex = PIXI.Texture.fromBuffer(pixels, width, height)
+    const br = new PIXI.BufferResource(pixels, {width, height});
+    const bt = new PIXI.BaseTexture(br);
+    return this._formatElevationTexture(new PIXI.Texture(bt));
+  }
+
   /**
    * Format a texture for use as an elevation texture.
    * @param {PIXI.Texture}
@@ -186,12 +295,118 @@ export class ElevationTextureManager {
    * Save the provided texture to the location in "data" provided in the initialization step.
    * Default location is data/worlds/world-id/assets/elevatedvision/
    * @param {PIXI.Texture} texture      Texture to save as the elevation map
+   * @param {object} [opts]               Options that affect the file saved
+   * @param {string} [opts.fileName]      Name of the file, with extension, in the storage directory.
+   *                                      Defaults to the scene elevation file.
    * @returns {Promise<object>}  The response object from FilePicker.upload.
    */
-  async save(texture) {
-    log(`Saving texture to ${this.#filePath}/${this.#fileName}`);
+  async save(texture, { fileName = this.#fileName } = {}) {
+    log(`Saving texture to ${this.#filePath}/${fileName}`);
     const base64image = await this.convertTextureToImage(texture);
-    return this.constructor.uploadBase64(base64image, this.#fileName, this.#filePath, { type: "image", notify: false });
+    const res = await this.constructor.uploadBase64(
+      base64image, fileName, this.#filePath, { type: "image", notify: false });
+    if ( fileName === this.#fileName && res?.status === "success" ) await this.#saveVersion(base64image, texture);
+    return res;
+  }
+
+  /**
+   * @typedef {object} ElevationVersionData
+   * @property {number} slot        Number of the version file
+   * @property {string} imageURL    Path to the version file
+   * @property {number} timestamp   Time the version was saved
+   * @property {number} width       Width of the elevation texture
+   * @property {number} height      Height of the elevation texture
+   * @property {boolean} [delta]      True if the file holds the difference from the next newer version
+   */
+
+  /**
+   * Stored versions of the scene elevation, newest first.
+   * @type {ElevationVersionData[]}
+   */
+  get versions() {
+    const versions = canvas.scene.getFlag(MODULE_ID, FLAGS.ELEVATION_VERSIONS) ?? [];
+    return versions.slice(0, Settings.get(Settings.KEYS.VERSIONS.RETENTION));
+  }
+
+  /**
+   * Name of the file used to store a version of the scene elevation.
+   * @param {number} slot
+   * @returns {string}
+   */
+  versionFileName(slot) { return this.sublayerFileName(`version-${slot}`); }
+
+  /**
+   * Store a copy of a saved elevation image as the newest version,
+   * overwriting the oldest version if the retention limit is reached.
+   * The previous newest version is replaced by its difference from the new version.
+   * @param {string} base64image      Image already saved to the scene elevation file
+   * @param {PIXI.Texture} texture    Texture used to create the image
+   */
+  async #saveVersion(base64image, texture) {
+    const retention = Settings.get(Settings.KEYS.VERSIONS.RETENTION);
+    if ( !retention ) return;
+
+    const kept = this.versions.slice(0, retention - 1);
+    const usedSlots = new Set(kept.map(v => v.slot));
+    const slot = Array.fromRange(retention).find(i => !usedSlots.has(i));
+    const fileName = this.versionFileName(slot);
+    log(`Saving elevation version to ${this.#filePath}/${fileName}`);
+    const res = await this.constructor.uploadBase64(
+      base64image, fileName, this.#filePath, { type: "image", notify: false });
+    if ( res?.status !== "success" ) {
+      console.error("ElevatedVision|Saving the elevation version failed.", res);
+      return;
+    }
+
+    const version = {
+      slot,
+      imageURL: res.path,
+      timestamp: Date.now(),
+      width: texture.width,
+      height: texture.height
+    };
+    if ( kept.length ) kept[0] = await this.#saveVersionDelta(kept[0], texture);
+    await canvas.scene.setFlag(MODULE_ID, FLAGS.ELEVATION_VERSIONS, [version, ...kept]);
+  }
+
+  /**
+   * Replace the file of the previous newest version with its difference from the new version.
+   * The version is left as a full copy if the scene size changed or the difference cannot be saved.
+   * @param {ElevationVersionData} previous   Previous newest version, stored as a full copy
+   * @param {PIXI.Texture} texture            Texture of the new version
+   * @returns {Promise<ElevationVersionData>} The previous version, updated if now stored as a difference
+   */
+  async #saveVersionDelta(previous, texture) {
+    if ( previous.delta || previous.width !== texture.width || previous.height !== texture.height ) return previous;
+    const previousTexture = await this.#loadVersionFile(previous);
+    if ( !previousTexture ) return previous;
+
+    const deltaTexture = this.#renderVersionDelta(previousTexture, texture, -1);
+    const base64image = await this.convertTextureToImage(deltaTexture);
+    previousTexture.destroy(true);
+    deltaTexture.destroy(true);
+
+    const fileName = this.versionFileName(previous.slot);
+    log(`Saving elevation version difference to ${this.#filePath}/${fileName}`);
+    const res = await this.constructor.uploadBase64(
+      base64image, fileName, this.#filePath, { type: "image", notify: false });
+    if ( res?.status !== "success" ) {
+      console.error("ElevatedVision|Saving the elevation version difference failed.", res);
+      return previous;
+    }
+    return { ...previous, delta: true };
+  }
+
+  /**
+   * Name of the file used to store an elevation sublayer.
+   * Based on the scene elevation file name, e.g. "world-scene-elevationMap-sublayerId.webp".
+   * @param {string} id   Sublayer id
+   * @returns {string}
+   */
+  sublayerFileName(id) {
+    const extIdx = this.#fileName.lastIndexOf(".");
+    if ( extIdx < 0 ) return `${this.#fileName}-${id}`;
+    return `${this.#fileName.slice(0, extIdx)}-${id}${this.#fileName.slice(extIdx)}`;
   }
 
   /**
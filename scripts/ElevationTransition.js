@@ -0,0 +1,209 @@
+/* globals
+canvas,
+foundry,
+PIXI
+*/
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+"use strict";
+
+import { almostBetween, segmentRectangleIntersection } from "./util.js";
+
+/* Elevation transitions
+A rectangular region drawn on the elevation layer that moves a walking token between two elevations.
+- Stairs: A token entering the region at the bottom elevation moves to the top elevation, and vice-versa.
+- Ramp: Within the region, the elevation changes linearly from bottom to top in the ramp direction.
+A token only uses the transition if it enters the region at, or within its step of, the transition elevation.
+Transitions are stored as scene flags. See ElevationLayer.prototype.transitions.
+*/
+
+const INV_10 = 1 / 10; // Used to round elevation to nearest 1/10.
+
+export class ElevationTransition {
+  /**
+   * Types of transitions.
+   * @enum {string}
+   */
+  static TYPES = {
+    STAIRS: "stairs",
+    RAMP: "ramp"
+  };
+
+  /**
+   * @typedef {object} ElevationTransitionData
+   * @property {string} id
+   * @property {string} type          One of ElevationTransition.TYPES
+   * @property {number} x             Top left corner of the region
+   * @property {number} y             Top left corner of the region
+   * @property {number} width
+   * @property {number} height
+   * @property {number} bottom        Bottom elevation, in grid units
+   * @property {number} top           Top elevation, in grid units
+   * @property {number} direction     Ramp direction from bottom to top, in degrees. 0º is due east; 90º is due south.
+   */
+
+  /** @type {ElevationTransitionData} */
+  data;
+
+  /** @type {PIXI.Rectangle} */
+  bounds;
+
+  /**
+   * @param {ElevationTransitionData} data
+   */
+  constructor(data = {}) {
+    this.data = foundry.utils.mergeObject(this.constructor.defaultData, data, { inplace: false });
+    const { x, y, width, height } = this.data;
+    this.bounds = new PIXI.Rectangle(
+      Math.min(x, x + width),
+      Math.min(y, y + height),
+      Math.abs(width),
+      Math.abs(height));
+  }
+
+  /** @type {ElevationTransitionData} */
+  static get defaultData() {
+    return {
+      id: foundry.utils.randomID(),
+      type: this.TYPES.STAIRS,
+      x: 0,
+      y: 0,
+      width: 0,
+      height: 0,
+      bottom: 0,
+      top: canvas.dimensions.distance,
+      direction: 0
+    };
+  }
+
+  /** @type {string} */
+  get id() { return this.data.id; }
+
+  /** @type {boolean} */
+  get isRamp() { return this.data.type === this.constructor.TYPES.RAMP; }
+
+  /**
+   * Unit vector for the ramp direction, from bottom to top.
+   * @type {PIXI.Point}
+   */
+  get directionVector() {
+    const angle = Math.toRadians(this.data.direction);
+    return new PIXI.Point(Math.cos(angle), Math.sin(angle));
+  }
+
+  /**
+   * Is the point within the transition region?
+   * @param {Point} {x, y}
+   * @returns {boolean}
+   */
+  contains({x, y}) { return this.bounds.contains(x, y); }
+
+  /**
+   * Ramp elevation at a location in the region.
+   * The bottom is at the rectangle corner farthest back along the ramp direction
+   * and the top is at the corner farthest forward.
+   * @param {Point} pt
+   * @returns {number} Elevation in grid units
+   */
+  rampElevationAt(pt) {
+    const { bottom, top } = this.data;
+    const dir = this.directionVector;
+    const { left, right, top: minY, bottom: maxY } = this.bounds;
+    const projections = [
+      (left * dir.x) + (minY * dir.y),
+      (right * dir.x) + (minY * dir.y),
+      (right * dir.x) + (maxY * dir.y),
+      (left * dir.x) + (maxY * dir.y)
+    ];
+    const min = Math.min(...projections);
+    const max = Math.max(...projections);
+    const t = max > min ? Math.clamped(((pt.x * dir.x) + (pt.y * dir.y) - min) / (max - min), 0, 1) : 0;
+    return Math.round((bottom + ((top - bottom) * t)) * 10) * INV_10;
+  }
+
+  /**
+   * Elevation of a token after it enters the region at a given elevation.
+   * @param {Point} pt              Location where the token enters the region
+   * @param {number} elevation      Token elevation before entering, in grid units
+   * @param {number} step           How far above the transition elevation the token may be
+   * @returns {number|null} New elevation in grid units, or null if the token does not use the transition.
+   */
+  elevationOnEntry(pt, elevation, step = 0) {
+    const withinStep = e => almostBetween(elevation, e, e + step);
+    if ( this.isRamp ) {
+      const rampE = this.rampElevationAt(pt);
+      return withinStep(rampE) ? rampE : null;
+    }
+    // Test the end nearer the token first. For stairs rising no more than the step, a token at
+    // the top is also within its step of the bottom, and should walk down.
+    const { bottom, top } = this.data;
+    const [near, far] = Math.abs(elevation - top) < Math.abs(elevation - bottom) ? [top, bottom] : [bottom, top];
+    if ( withinStep(near) ) return far;
+    if ( withinStep(far) ) return near;
+    return null;
+  }
+
+  /**
+   * Where does the segment cross the region?
+   * @param {Point} a
+   * @param {Point} b
+   * @returns {{t0: number, t1: number}|null} Percent distance along the segment where it enters
+   *   and leaves the region, or null if it does not cross the region.
+   */
+  segmentIntersection(a, b) { return segmentRectangleIntersection(a, b, this.bounds); }
+
+  /**
+   * Locations along a segment within the ramp where the ramp elevation changes.
+   * The starting point is not included.
+   * @param {Point} a   Start of the segment
+   * @param {Point} b   End of the segment
+   * @returns {object[]} {x, y, elevation} for each change, ordered from a to b.
+   */
+  rampMarkersAlongSegment(a, b) {
+    const markers = [];
+    const dist = PIXI.Point.distanceBetween(a, b);
+    const numSamples = Math.ceil(dist / (canvas.dimensions.size * 0.25));
+    let prevE = this.rampElevationAt(a);
+    for ( let i = 1; i <= numSamples; i += 1 ) {
+      const t = i / numSamples;
+      const x = a.x + ((b.x - a.x) * t);
+      const y = a.y + ((b.y - a.y) * t);
+      const elevation = this.rampElevationAt({x, y});
+      if ( elevation === prevE ) continue;
+      markers.push({ x, y, elevation });
+      prevE = elevation;
+    }
+    return markers;
+  }
+
+  /**
+   * Draw the region outline and, for ramps, an arrow pointing up the ramp.
+   * @param {PIXI.Graphics} graphics
+   * @param {object} [options]
+   * @param {number} [options.color]
+   */
+  draw(graphics, { color = 0xFFA500 } = {}) {
+    const { bounds } = this;
+    graphics.lineStyle(4, color, 1);
+    graphics.beginFill(color, 0.2);
+    graphics.drawShape(bounds);
+    graphics.endFill();
+    if ( !this.isRamp ) return;
+
+    const center = new PIXI.Point(bounds.x + (bounds.width * 0.5), bounds.y + (bounds.height * 0.5));
+    const dir = this.directionVector;
+    const len = Math.min(bounds.width, bounds.height) * 0.4;
+    const tip = new PIXI.Point(center.x + (dir.x * len), center.y + (dir.y * len));
+    graphics.moveTo(center.x - (dir.x * len), center.y - (dir.y * len));
+    graphics.lineTo(tip.x, tip.y);
+
+    // Arrowhead: step back from the tip along the direction, then out to either side.
+    const back = new PIXI.Point(tip.x - (dir.x * len * 0.3), tip.y - (dir.y * len * 0.3));
+    const side = new PIXI.Point(-dir.y * len * 0.2, dir.x * len * 0.2);
+    graphics.lineTo(back.x + side.x, back.y + side.y);
+    graphics.moveTo(tip.x, tip.y);
+    graphics.lineTo(back.x - side.x, back.y - side.y);
+  }
+
+  /** @returns {ElevationTransitionData} */
+  toJSON() { return { ...this.data }; }
+}
@@ -7,12 +7,16 @@ Token
 /* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
 
 import { MODULE_ID } from "./const.js";
+import { Settings } from "./settings.js";
+import { lineSegment3dBoxIntersects } from "./util.js";
 import { Draw } from "./geometry/Draw.js";
 import { Point3d } from "./geometry/3d/Point3d.js";
 import { Plane } from "./geometry/3d/Plane.js";
 
 import { ShadowWallShader, ShadowMesh } from "./glsl/ShadowWallShader.js";
 import { ShadowTerrainShader } from "./glsl/ShadowTerrainShader.js";
+import { ShadowTileShader } from "./glsl/ShadowTileShader.js";
+import { ShadowTokenShader } from "./glsl/ShadowTokenShader.js";
 import { PointSourceShadowWallGeometry } from "./glsl/SourceShadowWallGeometry.js";
 import { ShadowTextureRenderer } from "./glsl/ShadowTextureRenderer.js";
 import { ShadowVisionMaskShader } from "./glsl/ShadowVisionMaskShader.js";
@@ -59,6 +63,12 @@ _initializeEVTerrainShadowMesh
 _initializeEVShadowRenderer
 - Render the wall shadows
 
+_initializeEVTileShadowMeshes
+- Shadows cast by elevated overhead tiles, one mesh per tile.
+
+_initializeEVTokenShadowMeshes
+- Shadows cast by tokens, one mesh per token, if token shadows are enabled.
+
 _initializeEVShadowMask
 - Color red the lit (unshadowed) areas for the source
 
@@ -181,6 +191,11 @@ function destroyEVAssets(ev) {
     ev[asset].destroy();
     ev[asset] = undefined;
   }
+
+  for ( const meshes of ["tileShadowMeshes", "tokenShadowMeshes"] ) {
+    ev[meshes]?.forEach(mesh => mesh.destroy());
+    ev[meshes] = undefined;
+  }
 }
 
 PATCHES.WEBGL.WRAPS = {
@@ -202,6 +217,8 @@ function _initializeEVShadows(initializeMask = true) {
   this._initializeEVShadowMesh();
   this._initializeEVTerrainShadowMesh();
   this._initializeEVShadowRenderer();
+  this._initializeEVTileShadowMeshes();
+  this._initializeEVTokenShadowMeshes();
   if ( initializeMask ) this._initializeEVShadowMask();
 
   // Set uniforms used by the lighting shader.
@@ -257,6 +274,48 @@ function _initializeEVShadowRenderer() {
   ev.shadowRenderer = new ShadowTextureRenderer(this, ev.shadowMesh, ev.terrainShadowMesh);
 }
 
+/**
+ * New method: RenderedPointSource.prototype._initializeEVTileShadowMeshes
+ * Shadows cast by elevated overhead tiles.
+ * One quad mesh sized to the source per tile, added to the shadow renderer.
+ */
+function _initializeEVTileShadowMeshes() {
+  const ev = this[MODULE_ID];
+  if ( ev.tileShadowMeshes ) return;
+  ev.tileShadowMeshes = new Map();
+  if ( this._updateEVTileShadowMeshes() ) ev.shadowRenderer.update();
+}
+
+/**
+ * New method: RenderedPointSource.prototype._updateEVTileShadowMeshes
+ * Add or remove tile shadow meshes so they match the tiles within the source bounds.
+ * @returns {boolean} True if a mesh was added or removed.
+ */
+function _updateEVTileShadowMeshes() {
+  return syncShadowMeshes(this, this[MODULE_ID].tileShadowMeshes, this._getTiles(), ShadowTileShader);
+}
+
+/**
+ * New method: RenderedPointSource.prototype._initializeEVTokenShadowMeshes
+ * Shadows cast by tokens, treated as boxes from their bottom to top elevation.
+ * Only if token shadows are enabled.
+ */
+function _initializeEVTokenShadowMeshes() {
+  const ev = this[MODULE_ID];
+  if ( ev.tokenShadowMeshes || !Settings.get(Settings.KEYS.TOKEN_SHADOWS) ) return;
+  ev.tokenShadowMeshes = new Map();
+  if ( this._updateEVTokenShadowMeshes() ) ev.shadowRenderer.update();
+}
+
+/**
+ * New method: RenderedPointSource.prototype._updateEVTokenShadowMeshes
+ * Add or remove token shadow meshes so they match the tokens within the source bounds.
+ * @returns {boolean} True if a mesh was added or removed.
+ */
+function _updateEVTokenShadowMeshes() {
+  return syncShadowMeshes(this, this[MODULE_ID].tokenShadowMeshes, this._getTokens(), ShadowTokenShader);
+}
+
 /**
  * New method: RenderedPointSource.prototype._initializeEVShadowMask
  * Initialize the mask used by CanvasVisibility and EVVisionMask.
@@ -297,6 +356,18 @@ function _updateEVShadowData(changes, changeObj = {}) {
   if ( changeObj.changedPosition || changeObj.changedRadius ) ev.terrainShadowMesh.updateGeometry(this.bounds);
   if ( ev.terrainShadowMesh.shader.sourceUpdated(this, changeObj) ) shadowsChanged ||= true;
 
+  // Tile and token shadow meshes. Moving the source may bring other objects within the bounds.
+  if ( changeObj.changedPosition || changeObj.changedRadius ) {
+    if ( ev.tileShadowMeshes && this._updateEVTileShadowMeshes() ) shadowsChanged = true;
+    if ( ev.tokenShadowMeshes && this._updateEVTokenShadowMeshes() ) shadowsChanged = true;
+  }
+  for ( const meshes of [ev.tileShadowMeshes, ev.tokenShadowMeshes] ) {
+    for ( const mesh of meshes?.values() ?? [] ) {
+      if ( changeObj.changedPosition || changeObj.changedRadius ) mesh.updateGeometry(this.bounds);
+      if ( mesh.shader.sourceUpdated(this, changeObj) ) shadowsChanged ||= true;
+    }
+  }
+
   // Renderer and mask
   if ( shadowsChanged ) ev.shadowRenderer.updatedSource(changeObj); // TODO: Do we need a separate check for changedRadius here?
   if ( changeObj.changedPosition || changeObj.changedRadius ) ev.shadowVisionMask.updateGeometry(this.bounds);
@@ -328,7 +399,8 @@ function pointInShadow({x, y, z} = {}) {
   z ??= canvas.elevation.elevationAt({x, y});
   const testPt = new Point3d(x, y, z);
   const origin = Point3d.fromPointSource(this);
-  const midCollision = this.hasWallCollision(origin, testPt);
+  const hasCollision = (a, b) => this.hasWallCollision(a, b) || this.hasTokenCollision(a, b);
+  const midCollision = hasCollision(origin, testPt);
   const lightSize = this.data.lightSize;
 
   /* Draw.point(origin, { color: Draw.COLORS.yellow }) */
@@ -337,15 +409,15 @@ function pointInShadow({x, y, z} = {}) {
 
   // Test the top/bottom/left/right points of the light for penumbra shadow.
   let dir = new Point3d(0, 0, lightSize);
-  const topCollision = this.hasWallCollision(origin.add(dir), testPt);
-  const bottomCollision = this.hasWallCollision(origin.subtract(dir), testPt);
+  const topCollision = hasCollision(origin.add(dir), testPt);
+  const bottomCollision = hasCollision(origin.subtract(dir), testPt);
 
   // Get the orthogonal direction to the origin --> testPt line at the light elevation.
   dir = testPt.subtract(origin);
   const orthoDir = (new Point3d(-dir.y, dir.x, 0)).normalize();
   dir = orthoDir.multiplyScalar(lightSize);
-  const side0Collision = this.hasWallCollision(origin.add(dir), testPt);
-  const side1Collision = this.hasWallCollision(origin.subtract(dir), testPt);
+  const side0Collision = hasCollision(origin.add(dir), testPt);
+  const side1Collision = hasCollision(origin.subtract(dir), testPt);
 
   // Shadows: side0/mid/side1 = 100%; side0/mid = 50%; mid/side1 = 50%; any one = 25%
   const sideSum = side0Collision + side1Collision + midCollision;
@@ -474,20 +546,117 @@ function wallUpdated(wall, changes) {
  */
 function wallRemoved(wallId) { handleWallChange(this, wallId, "removeWall"); }
 
+/**
+ * New method: RenderedPointSource.prototype.tileUpdated
+ * Update tile shadows based on a tile that was drawn or updated.
+ * @param {Tile} tile     Tile that was drawn or changed in the scene.
+ */
+function tileUpdated(tile) {
+  const ev = this[MODULE_ID];
+  if ( !ev?.tileShadowMeshes ) return;
+  const mesh = ev.tileShadowMeshes.get(tile.id);
+  const include = this._testTileInclusion(tile);
+  if ( !mesh && !include ) return;
+
+  if ( !include ) removeShadowMesh(this, ev.tileShadowMeshes, tile.id);
+  else if ( mesh ) mesh.shader.updateTile(tile);
+  else addShadowMesh(this, ev.tileShadowMeshes, tile, ShadowTileShader);
+  ev.shadowRenderer.update();
+}
+
+/**
+ * New method: RenderedPointSource.prototype.tileRemoved
+ * Remove the shadow for a tile removed from the scene.
+ * @param {string} tileId     Tile id that was removed from the scene.
+ */
+function tileRemoved(tileId) {
+  const ev = this[MODULE_ID];
+  if ( !ev?.tileShadowMeshes?.has(tileId) ) return;
+  removeShadowMesh(this, ev.tileShadowMeshes, tileId);
+  ev.shadowRenderer.update();
+}
+
+/**
+ * New method: RenderedPointSource.prototype.tokenUpdated
+ * Update token shadows based on a token that was drawn, moved, or resized.
+ * @param {Token} token     Token that was changed in the scene.
+ */
+function tokenUpdated(token) {
+  const ev = this[MODULE_ID];
+  if ( !ev?.tokenShadowMeshes ) return;
+  const mesh = ev.tokenShadowMeshes.get(token.id);
+  const include = this._testTokenInclusion(token);
+  if ( !mesh && !include ) return;
+
+  if ( !include ) removeShadowMesh(this, ev.tokenShadowMeshes, token.id);
+  else if ( mesh ) mesh.shader.updateToken(token);
+  else addShadowMesh(this, ev.tokenShadowMeshes, token, ShadowTokenShader);
+  ev.shadowRenderer.update();
+}
+
+/**
+ * New method: RenderedPointSource.prototype.tokenRemoved
+ * Remove the shadow for a token removed from the scene.
+ * @param {string} tokenId    Token id that was removed from the scene.
+ */
+function tokenRemoved(tokenId) {
+  const ev = this[MODULE_ID];
+  if ( !ev?.tokenShadowMeshes?.has(tokenId) ) return;
+  removeShadowMesh(this, ev.tokenShadowMeshes, tokenId);
+  ev.shadowRenderer.update();
+}
+
 PATCHES.WEBGL.METHODS = {
   _initializeEVShadows,
   _initializeEVShadowGeometry,
   _initializeEVShadowMesh,
   _initializeEVTerrainShadowMesh,
   _initializeEVShadowRenderer,
+  _initializeEVTileShadowMeshes,
   _initializeEVShadowMask,
   _updateEVShadowData,
+  _updateEVTileShadowMeshes,
+  _initializeEVTokenShadowMeshes,
+  _updateEVTokenShadowMeshes,
+  _getTiles,
+  _testTileInclusion,
 
   wallAdded,
   wallUpdated,
-  wallRemoved
+  wallRemoved,
+  tileUpdated,
+  tileRemoved,
+  tokenUpdated,
+  tokenRemoved
 };
 
+/**
+ * New method: RenderedPointSource.prototype._getTiles
+ * Find the set of overhead tiles that could cast a shadow from this source.
+ * @param {PIXI.Rectangle} bounds
+ * @returns {Set<Tile>}
+ */
+function _getTiles(bounds) {
+  bounds ??= this.bounds;
+  const collisionTest = o => this._testTileInclusion(o.t, bounds);
+  return canvas.tiles.quadtree.getObjects(bounds, { collisionTest });
+}
+
+/**
+ * New method: RenderedPointSource.prototype._testTileInclusion
+ * Test whether a given tile could cast a shadow from this source.
+ * Only overhead tiles with a finite elevation cast shadows.
+ * Whether the source is above the tile is left to the shader, as the source elevation may change.
+ * @param {Tile} tile
+ * @param {PIXI.Rectangle} bounds
+ * @returns {boolean}
+ */
+function _testTileInclusion(tile, bounds) {
+  if ( !tile.document.overhead || !isFinite(tile.elevationE) ) return false;
+  bounds ??= this.bounds;
+  return tile.bounds.intersects(bounds);
+}
+
 
 /**
  * New method: RenderedPointSource.prototype._getWalls
@@ -578,10 +747,69 @@ function hasWallCollision(origin, testPt) {
   });
 }
 
+/**
+ * New method: RenderedPointSource.prototype.hasTokenCollision
+ * Test if a token blocks the line between this source origin and test point.
+ * Tokens are treated as boxes from their bottom to their top elevation.
+ * A token does not block at its own location, so the source token and target token are ignored.
+ * Always false unless token shadows are enabled.
+ * @param {Point3d} origin
+ * @param {Point3d} testPt
+ * @returns {boolean}
+ */
+function hasTokenCollision(origin, testPt) {
+  if ( !Settings.get(Settings.KEYS.TOKEN_SHADOWS) ) return false;
+  origin = Point3d.fromObject(origin);
+  testPt = Point3d.fromObject(testPt);
+
+  // Get tokens within the bounding box that frames origin --> testPt.
+  const xMinMax = Math.minMax(origin.x, testPt.x);
+  const yMinMax = Math.minMax(origin.y, testPt.y);
+  const lineBounds = new PIXI.Rectangle(xMinMax.min, yMinMax.min, xMinMax.max - xMinMax.min, yMinMax.max - yMinMax.min);
+  const tokens = this._getTokens(lineBounds);
+  if ( !tokens.size ) return false;
+
+  return tokens.some(token => {
+    const { x, y, w, h, bottomZ, topZ } = token;
+    const frame = new PIXI.Rectangle(x, y, w, h);
+    if ( frame.contains(origin.x, origin.y) || frame.contains(testPt.x, testPt.y) ) return false;
+    return lineSegment3dBoxIntersects(origin, testPt, new Point3d(x, y, bottomZ), new Point3d(x + w, y + h, topZ));
+  });
+}
+
+/**
+ * New method: RenderedPointSource.prototype._getTokens
+ * Find the set of tokens that could cast a shadow from this source.
+ * @param {PIXI.Rectangle} bounds
+ * @returns {Set<Token>}
+ */
+function _getTokens(bounds) {
+  bounds ??= this.bounds;
+  const collisionTest = o => this._testTokenInclusion(o.t, bounds);
+  return canvas.tokens.quadtree.getObjects(bounds, { collisionTest });
+}
+
+/**
+ * New method: RenderedPointSource.prototype._testTokenInclusion
+ * Test whether a given token could cast a shadow from this source.
+ * The token that carries this source, drag previews, and hidden tokens cast no shadow.
+ * @param {Token} token
+ * @param {PIXI.Rectangle} bounds
+ * @returns {boolean}
+ */
+function _testTokenInclusion(token, bounds) {
+  if ( token === this.object || token.isPreview || token.document.hidden ) return false;
+  bounds ??= this.bounds;
+  return new PIXI.Rectangle(token.x, token.y, token.w, token.h).intersects(bounds);
+}
+
 PATCHES.BASIC.METHODS = {
   hasWallCollision,
+  hasTokenCollision,
   _getWalls,
+  _getTokens,
   _testWallInclusion,
+  _testTokenInclusion,
   thresholdApplies,
   pointInShadow,
   targetInShadow
@@ -670,3 +898,58 @@ function handleWallChange(source, wall, updateFn, opts = {}) {
   // For vision sources, update the LOS geometry.
   if ( ev.wallGeometryUnbounded?.[updateFn](wall, opts) ) ev.shadowVisionLOSRenderer.update();
 }
+
+/**
+ * Add or remove shadow meshes so that there is one mesh for each object.
+ * Does not re-render the shadow texture.
+ * @param {RenderedPointSource} source
+ * @param {Map<string, EVUpdatingQuadMesh>} meshes    Meshes keyed by object id
+ * @param {Set<Tile|Token>} objects                   Objects that should cast a shadow
+ * @param {class} shaderClass                         Shader used to build a mesh for an object
+ * @returns {boolean} True if a mesh was added or removed.
+ */
+function syncShadowMeshes(source, meshes, objects, shaderClass) {
+  const ids = new Set([...objects].map(obj => obj.id));
+  let changed = false;
+
+  for ( const id of meshes.keys() ) {
+    if ( ids.has(id) ) continue;
+    removeShadowMesh(source, meshes, id);
+    changed = true;
+  }
+
+  for ( const obj of objects ) {
+    if ( meshes.has(obj.id) ) continue;
+    addShadowMesh(source, meshes, obj, shaderClass);
+    changed = true;
+  }
+  return changed;
+}
+
+/**
+ * Add a shadow mesh for a tile or token to the source shadow renderer.
+ * Does not re-render the shadow texture.
+ * @param {RenderedPointSource} source
+ * @param {Map<string, EVUpdatingQuadMesh>} meshes    Meshes keyed by object id
+ * @param {Tile|Token} obj
+ * @param {class} shaderClass
+ */
+function addShadowMesh(source, meshes, obj, shaderClass) {
+  const mesh = new EVUpdatingQuadMesh(source.bounds, shaderClass.create(source, obj));
+  meshes.set(obj.id, mesh);
+  source[MODULE_ID].shadowRenderer.addShadowMesh(mesh);
+}
+
+/**
+ * Remove and destroy the shadow mesh for a tile or token.
+ * Does not re-render the shadow texture.
+ * @param {RenderedPointSource} source
+ * @param {Map<string, EVUpdatingQuadMesh>} meshes    Meshes keyed by object id
+ * @param {string} id
+ */
+function removeShadowMesh(source, meshes, id) {
+  const mesh = meshes.get(id);
+  source[MODULE_ID].shadowRenderer.removeShadowMesh(mesh);
+  meshes.delete(id);
+  mesh.destroy();
+}
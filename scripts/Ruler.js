@@ -0,0 +1,149 @@
+/* globals
+canvas,
+CONFIG,
+game,
+PIXI
+*/
+"use strict";
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+
+import { MODULE_ID } from "./const.js";
+import { getSceneSetting, Settings } from "./settings.js";
+import { TravelElevationRay } from "./TravelElevationRay.js";
+import { Point3d } from "./geometry/3d/Point3d.js";
+import { Draw } from "./geometry/Draw.js";
+
+// Methods related to Ruler
+
+export const PATCHES = {};
+PATCHES.BASIC = {};
+
+/**
+ * Measure the token elevation along each segment, and add the cost of climbing to the
+ * measured distance. Each segment starts at the elevation where the previous segment ended.
+ */
+function _computeDistance(wrapper, gridSpaces) {
+  wrapper(gridSpaces);
+  const token = this._getMovementToken();
+  if ( !token?.[MODULE_ID]?.TEC || !getSceneSetting(Settings.KEYS.AUTO_ELEVATION) ) return;
+
+  const climbMultiplier = Settings.get(Settings.KEYS.CLIMB.MULTIPLIER);
+  const maxSlope = Settings.get(Settings.KEYS.CLIMB.MAX_SLOPE);
+  const climb = climbMultiplier || maxSlope < 90;
+  if ( !climb && !Settings.get(Settings.KEYS.RULER_PROFILE) ) return;
+
+  const { gridUnitsToPixels } = CONFIG.GeometryLib.utils;
+  let elevation = token.document.elevation;
+  let totalDistance = 0;
+  for ( const segment of this.segments ) {
+    const { A, B } = segment.ray;
+    const origin = new Point3d(A.x, A.y, gridUnitsToPixels(elevation));
+    const ter = segment.travelRay = new TravelElevationRay(token, { origin, destination: B });
+    elevation = ter.endingElevation;
+    if ( climb ) {
+      const cost = ter.movementCost({ climbMultiplier, maxSlope });
+      segment.distance += cost.climbed * climbMultiplier;
+      segment.climbBlocked = cost.blocked;
+    }
+    totalDistance += segment.distance;
+  }
+  this.totalDistance = totalDistance;
+}
+
+/**
+ * Add the terrain elevation at the start and end of the segment.
+ * Mark segments with a slope too steep to climb.
+ */
+function _getSegmentLabel(wrapper, segment, totalDistance) {
+  let label = wrapper(segment, totalDistance);
+  if ( Settings.get(Settings.KEYS.RULER_PROFILE) ) {
+    const { A, B } = segment.ray;
+    label += `\n${game.i18n.format(`${MODULE_ID}.ruler.elevation`, {
+      start: canvas.elevation.elevationAt(A),
+      end: canvas.elevation.elevationAt(B),
+      units: canvas.scene.grid.units
+    })}`;
+  }
+  if ( segment.climbBlocked ) label += `\n${game.i18n.localize(`${MODULE_ID}.climb.too-steep`)}`;
+  return label;
+}
+
+/**
+ * Draw the elevation profile graph under each segment label.
+ */
+function _drawMeasuredPath(wrapper) {
+  wrapper();
+  const enabled = Settings.get(Settings.KEYS.RULER_PROFILE);
+  for ( const segment of this.segments ) {
+    const label = segment.label;
+    if ( !label ) continue;
+    label[MODULE_ID] ??= label.addChild(new PIXI.Graphics());
+    const graphics = label[MODULE_ID];
+    graphics.clear();
+    if ( !enabled || !segment.distance ) continue;
+    drawElevationProfile(graphics, segment);
+
+    // Center the graph under the label text.
+    const width = CONFIG[MODULE_ID].rulerProfile.width;
+    graphics.position.set(
+      ((0.5 - label.anchor.x) * label.width) - (width * 0.5),
+      ((1 - label.anchor.y) * label.height) + 4);
+  }
+}
+
+/**
+ * Prevent moving the token along a slope too steep to climb.
+ */
+function _canMove(wrapper, token) {
+  if ( !wrapper(token) ) return false;
+  if ( this.segments.some(s => s.climbBlocked) ) throw new Error(`${MODULE_ID}.climb.blocked`);
+  return true;
+}
+
+PATCHES.BASIC.WRAPS = { _computeDistance, _getSegmentLabel, _drawMeasuredPath, _canMove };
+
+// ----- NOTE: Helper functions ----- //
+
+/**
+ * Draw a graph of the terrain elevation along a ruler segment.
+ * If a token is being measured, also draw the token elevation along the segment,
+ * in orange where the token is on a tile and in green otherwise.
+ * @param {PIXI.Graphics} graphics
+ * @param {object} segment            Ruler segment
+ */
+function drawElevationProfile(graphics, segment) {
+  const { width, height, samples } = CONFIG[MODULE_ID].rulerProfile;
+  const { ray, travelRay } = segment;
+  const ev = canvas.elevation;
+
+  // Sample the terrain at regular intervals along the segment.
+  const terrain = [];
+  for ( let i = 0; i <= samples; i += 1 ) terrain.push(ev.elevationAt(ray.project(i / samples)));
+  const path = travelRay?.path ?? [];
+
+  let min = Math.min(...terrain);
+  let max = Math.max(...terrain);
+  path.forEach(marker => {
+    min = Math.min(min, marker.elevation);
+    max = Math.max(max, marker.elevation);
+  });
+  const range = (max - min) || 1;
+  const yForElevation = e => height - ((e - min) / range * height);
+
+  // Background and terrain.
+  graphics.beginFill(0x000000, 0.5).drawRect(0, 0, width, height).endFill();
+  graphics.beginFill(Draw.COLORS.gray, 0.8).moveTo(0, height);
+  terrain.forEach((e, i) => graphics.lineTo(i / samples * width, yForElevation(e)));
+  graphics.lineTo(width, height).closePath().endFill();
+
+  // Token elevation, as steps between path markers.
+  path.forEach((marker, i) => {
+    const x0 = marker.t * width;
+    const x1 = (path[i + 1]?.t ?? 1) * width;
+    const y = yForElevation(marker.elevation);
+    const color = marker.tile ? Draw.COLORS.orange : Draw.COLORS.green;
+    graphics.lineStyle(2, color, 1).moveTo(x0, y).lineTo(x1, y);
+    if ( path[i + 1] ) graphics.lineTo(x1, yForElevation(path[i + 1].elevation));
+  });
+  graphics.lineStyle(0);
+}
@@ -0,0 +1,198 @@
+/* globals
+canvas,
+CanvasAnimation,
+CONFIG,
+game
+*/
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+"use strict";
+
+import { MODULE_ID, FLAGS } from "./const.js";
+import { Settings, getSceneSetting } from "./settings.js";
+
+/* Sun path
+Moves directional lights that follow the sun or a moon according to the in-game clock (game.time.worldTime).
+- A world time of 0 is midnight. The day length, in seconds, is set per scene.
+- The sun rises in the east and sets in the west. Its height at noon depends on the scene latitude
+  and the CONFIG solar declination (0 for the equinox).
+- The north direction sets which way the compass points on the canvas.
+- Near sunrise and sunset the light fades; at night it is turned off.
+- Each moon follows the sun's path, falling behind it by a fraction of a day that grows over the moon's
+  period. A new moon rises with the sun; a full moon rises at sunset. Moonlight depends on the phase
+  and is turned off while the sun is up.
+When the clock advances, the sky is animated along its path so shadows move smoothly.
+*/
+
+export class SunPath {
+  /**
+   * Celestial bodies a directional light can follow.
+   * @enum {string}
+   */
+  static BODIES = {
+    NONE: "",
+    SUN: "sun",
+    MOON: "moon"
+  };
+
+  /**
+   * Localization keys for each celestial body.
+   * @type {object}
+   */
+  static BODY_LABELS = {
+    [this.BODIES.NONE]: `${MODULE_ID}.celestial.none`,
+    [this.BODIES.SUN]: `${MODULE_ID}.celestial.sun`,
+    [this.BODIES.MOON]: `${MODULE_ID}.celestial.moon`
+  };
+
+  /**
+   * Position of a celestial body.
+   * Follows the DirectionalLightSource convention: azimuth 0 is east and 90º is south.
+   * @typedef {object} SunPosition
+   * @property {number} azimuth           Canvas direction toward the body, in radians
+   * @property {number} elevationAngle    Angle of the body above the horizon, in radians. Negative when set.
+   * @property {number} brightness        Light from the body, between 0 (none) and 1 (full)
+   */
+
+  /**
+   * Current position of the sun.
+   * @type {SunPosition}
+   */
+  position = { azimuth: 0, elevationAngle: Math.PI_1_2, brightness: 1 };
+
+  /**
+   * World time, in seconds, currently shown by the sky.
+   * Lags behind game.time.worldTime while the sky is being animated.
+   * @type {number|undefined}
+   */
+  time;
+
+  /** @type {string} */
+  get animationName() { return `${MODULE_ID}.sunPath`; }
+
+  /**
+   * Is the sky enabled for the scene?
+   * @type {boolean}
+   */
+  get enabled() { return Boolean(getSceneSetting(Settings.KEYS.SUN.ENABLED)); }
+
+  /**
+   * Directional lights in the scene that follow the sun or a moon.
+   * @type {AmbientLight[]}
+   */
+  get lights() {
+    return canvas.lighting.placeables.filter(l => l.source.isDirectional
+      && l.document.getFlag(MODULE_ID, FLAGS.DIRECTIONAL_LIGHT.CELESTIAL_BODY));
+  }
+
+  /**
+   * Calculate the sun position at a given time, using the scene settings.
+   * @param {number} worldTime    Time in seconds
+   * @returns {SunPosition}
+   */
+  static positionAt(worldTime) {
+    const { LATITUDE, DAY_LENGTH, NORTH } = Settings.KEYS.SUN;
+    const { declination, twilight } = CONFIG[MODULE_ID].sun;
+    const dayLength = Math.max(getSceneSetting(DAY_LENGTH), 1);
+    const lat = Math.toRadians(getSceneSetting(LATITUDE));
+    const dec = Math.toRadians(declination);
+
+    // Hour angle is 0 at noon and increases by 360º over the day.
+    const dayFraction = (((worldTime % dayLength) + dayLength) % dayLength) / dayLength;
+    const hourAngle = (dayFraction - 0.5) * 2 * Math.PI;
+
+    // Altitude and compass bearing (0 is north, 90º is east) of the sun.
+    const sinAltitude = (Math.sin(lat) * Math.sin(dec)) + (Math.cos(lat) * Math.cos(dec) * Math.cos(hourAngle));
+    const elevationAngle = Math.asin(Math.clamped(sinAltitude, -1, 1));
+    const bearing = Math.atan2(
+      Math.sin(hourAngle),
+      (Math.cos(hourAngle) * Math.sin(lat)) - (Math.tan(dec) * Math.cos(lat))) + Math.PI;
+
+    // Canvas angles increase clockwise, as do compass bearings.
+    const azimuth = Math.normalizeRadians(Math.toRadians(getSceneSetting(NORTH)) + bearing);
+    const brightness = twilight > 0
+      ? Math.clamped(Math.toDegrees(elevationAngle) / twilight, 0, 1)
+      : Number(elevationAngle > 0);
+    return { azimuth, elevationAngle, brightness };
+  }
+
+  /**
+   * Calculate the position of a moon at a given time, using the scene settings.
+   * @param {number} worldTime          Time in seconds
+   * @param {object} [options]
+   * @param {number} [options.period]   Days from one new moon to the next
+   * @param {number} [options.phase]    Fraction of the period elapsed at world time 0. 0.5 is a full moon.
+   * @returns {SunPosition}
+   */
+  static moonPositionAt(worldTime, { period = 29.5, phase = 0 } = {}) {
+    const dayLength = Math.max(getSceneSetting(Settings.KEYS.SUN.DAY_LENGTH), 1);
+    const cycle = ((((worldTime / dayLength / Math.max(period, 1)) + phase) % 1) + 1) % 1;
+    const moon = this.positionAt(worldTime - (cycle * dayLength));
+    const sun = this.positionAt(worldTime);
+    const illumination = (1 - Math.cos(cycle * 2 * Math.PI)) * 0.5;
+    moon.brightness *= illumination * (1 - sun.brightness);
+    return moon;
+  }
+
+  /**
+   * Position, at the current sky time, of the body followed by a light.
+   * @param {AmbientLightDocument} lightDoc
+   * @returns {SunPosition|undefined} Undefined if the light does not follow a celestial body.
+   */
+  positionFor(lightDoc) {
+    const { CELESTIAL_BODY, MOON_PERIOD, MOON_PHASE } = FLAGS.DIRECTIONAL_LIGHT;
+    switch ( lightDoc.getFlag(MODULE_ID, CELESTIAL_BODY) ) {
+      case SunPath.BODIES.SUN: return this.position;
+      case SunPath.BODIES.MOON: return this.constructor.moonPositionAt(this.time ?? game.time.worldTime, {
+        period: lightDoc.getFlag(MODULE_ID, MOON_PERIOD) ?? undefined,
+        phase: lightDoc.getFlag(MODULE_ID, MOON_PHASE) ?? undefined
+      });
+    }
+  }
+
+  /**
+   * Move the sky to the current world time.
+   * @param {object} [options]
+   * @param {boolean} [options.animate]   Move the sky along its path instead of jumping to the new time.
+   * @returns {Promise<boolean>|undefined} The animation promise, if animating.
+   */
+  update({ animate = true } = {}) {
+    CanvasAnimation.terminateAnimation(this.animationName);
+    const to = game.time.worldTime;
+    const duration = CONFIG[MODULE_ID].sun.animationDuration;
+    if ( !animate || !duration || this.time === undefined || !this.enabled || !this.lights.length ) {
+      this.time = to;
+      this._apply();
+      return;
+    }
+
+    // Never animate more than one full day.
+    const dayLength = Math.max(getSceneSetting(Settings.KEYS.SUN.DAY_LENGTH), 1);
+    this.time = Math.clamped(this.time, to - dayLength, to + dayLength);
+    const attributes = [{ parent: this, attribute: "time", to }];
+    return CanvasAnimation.animate(attributes, {
+      name: this.animationName,
+      duration,
+      ontick: () => this._apply()
+    });
+  }
+
+  /**
+   * Set the sun position for the current time and update the lights that follow the sky.
+   * Lights are updated even if the sky is disabled, so they return to their own direction.
+   */
+  _apply() {
+    this.position = this.constructor.positionAt(this.time);
+    const lights = this.lights;
+    if ( !lights.length ) return;
+    lights.forEach(l => {
+      l.updateSource({ defer: true });
+      l.renderFlags.set({ refreshElevation: true }); // Updates the tooltip and hillshade.
+    });
+    canvas.perception.update({ refreshLighting: true, refreshVision: true });
+  }
+
+  /**
+   * Stop any animation in progress.
+   */
+  destroy() { CanvasAnimation.terminateAnimation(this.animationName); }
+}
@@ -0,0 +1,116 @@
+/* globals
+canvas,
+flattenObject
+*/
+"use strict";
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+
+// Methods related to Tile
+
+import { MODULE_ID, FLAGS } from "./const.js";
+import { TileHeightmap } from "./TileHeightmap.js";
+
+export const PATCHES = {};
+PATCHES.BASIC = {};
+PATCHES.WEBGL = {};
+
+// NOTE: Tile heightmap hooks
+
+/**
+ * A hook event that fires when a {@link PlaceableObject} is initially drawn.
+ * Load the tile heightmap, if any.
+ * @param {PlaceableObject} object    The object instance being drawn
+ */
+function drawTile(tile) { loadTileHeightmap(tile); }
+
+/**
+ * A hook event that fires for every Document type after conclusion of an update workflow.
+ * Reload the tile heightmap if the heightmap image changed.
+ * @param {Document} document                       The existing Document which was updated
+ * @param {object} change                           Differential data that was used to update the document
+ * @param {DocumentModificationContext} options     Additional options which modified the update request
+ * @param {string} userId                           The ID of the User who triggered the update workflow
+ */
+function updateTileHeightmap(tileD, data, _options, _userId) {
+  const changes = new Set(Object.keys(flattenObject(data)));
+  if ( !changes.has(`flags.${MODULE_ID}.${FLAGS.TILE_HEIGHTMAP.IMAGE}`) ) return;
+  const tile = tileD.object;
+  if ( tile ) loadTileHeightmap(tile);
+}
+
+/**
+ * A hook event that fires when a {@link PlaceableObject} is destroyed.
+ * @param {PlaceableObject} object    The object instance being destroyed
+ */
+function destroyTileHeightmap(tile) { tile.evHeightmap = undefined; }
+
+/**
+ * Load the heightmap for the tile and store it on the tile.
+ * @param {Tile} tile
+ */
+async function loadTileHeightmap(tile) {
+  const heightmap = await TileHeightmap.fromTile(tile);
+  if ( tile.destroyed ) return;
+  tile.evHeightmap = heightmap;
+}
+
+PATCHES.BASIC.HOOKS = {
+  drawTile,
+  updateTile: updateTileHeightmap,
+  destroyTile: destroyTileHeightmap
+};
+
+// NOTE: Tile methods
+
+/**
+ * New method: Tile.prototype.elevationEAt
+ * Elevation of the tile surface at a canvas location, taking into account the tile heightmap.
+ * @param {Point} {x, y}    Canvas coordinates
+ * @returns {number} Elevation in grid units
+ */
+function elevationEAt(pt) { return this.evHeightmap?.elevationAt(pt) ?? this.elevationE; }
+
+PATCHES.BASIC.METHODS = { elevationEAt };
+
+// NOTE: Tile shadow hooks
+
+/**
+ * A hook event that fires when a {@link PlaceableObject} is incrementally refreshed.
+ * Update tile shadows when the tile shape or elevation changes, including when first drawn.
+ * @param {PlaceableObject} object    The object instance being refreshed
+ * @param {object} flags              The render flags being applied
+ */
+function refreshTile(tile, flags) {
+  if ( !flags.refreshShape && !flags.refreshElevation ) return;
+  for ( const src of canvas.effects.lightSources ) src.tileUpdated(tile);
+}
+
+/**
+ * A hook event that fires for every Document type after conclusion of an update workflow.
+ * Overhead status and elevation flags do not necessarily trigger a shape refresh.
+ * @param {Document} document                       The existing Document which was updated
+ * @param {object} change                           Differential data that was used to update the document
+ * @param {DocumentModificationContext} options     Additional options which modified the update request
+ * @param {string} userId                           The ID of the User who triggered the update workflow
+ */
+function updateTile(tileD, data, _options, _userId) {
+  const changes = Object.keys(flattenObject(data));
+  if ( !changes.some(key => key === "overhead" || key.startsWith("flags")) ) return;
+  const tile = tileD.object;
+  if ( !tile ) return;
+  for ( const src of canvas.effects.lightSources ) src.tileUpdated(tile);
+}
+
+/**
+ * A hook event that fires when a {@link PlaceableObject} is destroyed.
+ * @param {PlaceableObject} object    The object instance being destroyed
+ */
+function destroyTile(tile) {
+  for ( const src of canvas.effects.lightSources ) src.tileRemoved(tile.id);
+}
+
+PATCHES.WEBGL.HOOKS = {
+  refreshTile,
+  updateTile,
+  destroyTile
+};
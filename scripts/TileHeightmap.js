@@ -0,0 +1,153 @@
+/* globals
+canvas,
+PIXI,
+TextureLoader
+*/
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+"use strict";
+
+import { MODULE_ID, FLAGS } from "./const.js";
+import { log } from "./util.js";
+import { extractPixels } from "./perfect-vision/extract-pixels.js";
+
+/* Tile heightmaps
+An overhead tile may have a heightmap image that changes the tile elevation across the tile,
+so the tile can represent a sloped roof, a ramp, or a staircase.
+The red channel of the image is the height above the tile elevation: 0 is the tile elevation
+and 255 is the tile elevation plus the heightmap range set in the tile configuration.
+The image is stretched over the tile, following the tile rotation and mirroring.
+*/
+
+const INV_10 = 1 / 10; // Used to round elevation to nearest 1/10.
+
+export class TileHeightmap {
+  /** @type {Tile} */
+  tile;
+
+  /** @type {Uint8Array} */
+  #values;
+
+  /** @type {number} */
+  #width = 0;
+
+  /** @type {number} */
+  #height = 0;
+
+  /**
+   * @param {Tile} tile
+   * @param {object} data   Pixel data from extractPixels
+   * @param {Uint8Array} data.pixels
+   * @param {number} data.width
+   * @param {number} data.height
+   */
+  constructor(tile, { pixels, width, height }) {
+    this.tile = tile;
+    this.#width = width;
+    this.#height = height;
+
+    // Keep only the red channel.
+    const nValues = width * height;
+    const values = this.#values = new Uint8Array(nValues);
+    for ( let i = 0, j = 0; i < nValues; i += 1, j += 4 ) values[i] = pixels[j];
+  }
+
+  /**
+   * Load the heightmap image set for a tile.
+   * @param {Tile} tile
+   * @returns {Promise<TileHeightmap|undefined>} Undefined if the tile has no heightmap or it failed to load.
+   */
+  static async fromTile(tile) {
+    const filePath = tile.document.getFlag(MODULE_ID, FLAGS.TILE_HEIGHTMAP.IMAGE);
+    if ( !filePath ) return undefined;
+
+    log(`Loading tile heightmap ${filePath}`);
+    try {
+      const baseTexture = await TextureLoader.loader.loadTexture(filePath);
+      const texture = new PIXI.Texture(baseTexture);
+      const data = extractPixels(canvas.app.renderer, texture);
+      texture.destroy();
+      return new this(tile, data);
+    } catch(err) {
+      console.warn(`ElevatedVision|TileHeightmap failed to load ${filePath}`, err);
+      return undefined;
+    }
+  }
+
+  /**
+   * Elevation difference between a heightmap value of 0 and of 255, in grid units.
+   * @type {number}
+   */
+  get range() { return Number(this.tile.document.getFlag(MODULE_ID, FLAGS.TILE_HEIGHTMAP.RANGE)) || 0; }
+
+  /**
+   * Canvas distance between neighboring heightmap pixels, using the smaller of the two axes.
+   * @type {number}
+   */
+  get pixelSpacing() {
+    const { width, height } = this.tile.document;
+    return Math.max(1, Math.min(Math.abs(width) / this.#width, Math.abs(height) / this.#height));
+  }
+
+  /**
+   * Heightmap value at a canvas location.
+   * @param {Point} {x, y}    Canvas coordinates
+   * @returns {number|null} Value between 0 and 255, or null if the location is not on the tile.
+   */
+  valueAt({x, y}) {
+    const { x: tileX, y: tileY, width, height, rotation, texture } = this.tile.document;
+
+    // Convert to tile texture coordinates, undoing the tile rotation.
+    const halfW = width * 0.5;
+    const halfH = height * 0.5;
+    const dx = x - (tileX + halfW);
+    const dy = y - (tileY + halfH);
+    const angle = -Math.toRadians(rotation);
+    const c = Math.cos(angle);
+    const s = Math.sin(angle);
+    const signX = Math.sign(texture.scaleX || 1);
+    const signY = Math.sign(texture.scaleY || 1);
+    const u = ((((dx * c) - (dy * s)) / (width * signX)) + 0.5);
+    const v = ((((dx * s) + (dy * c)) / (height * signY)) + 0.5);
+    if ( u < 0 || u > 1 || v < 0 || v > 1 ) return null;
+
+    const i = Math.min(Math.floor(u * this.#width), this.#width - 1);
+    const j = Math.min(Math.floor(v * this.#height), this.#height - 1);
+    return this.#values[(j * this.#width) + i];
+  }
+
+  /**
+   * Elevation of the tile surface at a canvas location.
+   * @param {Point} {x, y}    Canvas coordinates
+   * @returns {number|null} Elevation in grid units, or null if the location is not on the tile.
+   */
+  elevationAt(pt) {
+    const value = this.valueAt(pt);
+    if ( value === null ) return null;
+    const e = this.tile.elevationE + (value / 255 * this.range);
+    return Math.round(e * 10) * INV_10;
+  }
+
+  /**
+   * Locations along a canvas segment where the tile surface elevation changes.
+   * The starting point is not included.
+   * @param {Point} a   Start of the segment
+   * @param {Point} b   End of the segment
+   * @returns {object[]} {x, y, elevation} for each change, ordered from a to b.
+   */
+  elevationMarkersAlongSegment(a, b) {
+    const markers = [];
+    const dist = PIXI.Point.distanceBetween(a, b);
+    const numSamples = Math.ceil(dist / this.pixelSpacing);
+    let prevE = this.elevationAt(a);
+    for ( let i = 1; i <= numSamples; i += 1 ) {
+      const t = i / numSamples;
+      const x = a.x + ((b.x - a.x) * t);
+      const y = a.y + ((b.y - a.y) * t);
+      const elevation = this.elevationAt({x, y});
+      if ( elevation === null || elevation === prevE ) continue;
+      markers.push({ x, y, elevation });
+      prevE = elevation;
+    }
+    return markers;
+  }
+}
@@ -1,9 +1,15 @@
 /* globals
+canvas,
+CanvasAnimation,
+ChatMessage,
 CONFIG,
 DefaultTokenConfig,
 flattenObject,
 game,
-PIXI
+Hooks,
+PIXI,
+Roll,
+ui
 */
 "use strict";
 /* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
@@ -120,6 +126,7 @@ Animating for any given location:
 export const PATCHES_Token = {};
 export const PATCHES_ActiveEffect = {};
 PATCHES_Token.BASIC = {};
+PATCHES_Token.WEBGL = {};
 PATCHES_ActiveEffect.BASIC = {};
 
 
@@ -132,6 +139,7 @@ function drawTokenHook(token) {
   // Debug: log("drawTokenHook", arguments);
   const ev = token[MODULE_ID] ??= {};
   ev.TEC = new TokenElevationCalculator(token);
+  ev.submerged = token.isSubmerged;
 
   // It is possible for existing tokens to not have the flag at all.
   // token.document.isOwner check to fix issue #84
@@ -145,10 +153,21 @@ function drawTokenHook(token) {
 
 /**
  * Hook updateToken to wipe the token calculator if the token shape is modified.
+ * Also announce any falls recorded when the move was calculated.
  */
-function updateTokenHook(tokenD, changed, _options, _userId) {
+function updateTokenHook(tokenD, changed, options, userId) {
+  const drops = options[MODULE_ID]?.drops;
+  if ( drops?.length ) tokenFell(tokenD, drops, userId);
+
   const changeKeys = new Set(Object.keys(flattenObject(changed)));
 
+  // Ambient sounds depend on the listener elevation.
+  if ( changeKeys.has("elevation") ) canvas.perception.update({ refreshSounds: true });
+
+  // Moving into, out of, up, or down in water may change whether the token is submerged.
+  if ( tokenD.object
+    && (changeKeys.has("x") || changeKeys.has("y") || changeKeys.has("elevation")) ) updateSubmerged(tokenD.object, userId);
+
   // Debug
   // console.debug(`updateTokenHook hook ${changed.x}, ${changed.y}, ${changed.elevation}
   //   at ${tokenD.object.center.x},${tokenD.object.center.y} and elevation ${tokenD.elevation}`);
@@ -201,12 +220,19 @@ function preUpdateTokenHook(tokenD, changes, options, _userId) {
   // ${changes.x ? changes.x : tokenD.x},${changes.y ? changes.y : tokenD.y}`);
 
   const ter = new TravelElevationRay(token, { destination });
+  if ( ter.movementCost().blocked ) {
+    ui.notifications.error(`${MODULE_ID}.climb.blocked`, { localize: true });
+    return false;
+  }
 
   // Debug
   // console.debug(`preUpdating token.document.elevation to ${ter.endingElevation}`);
   changes.elevation = ter.endingElevation;
   token[MODULE_ID].ter = ter; // TODO: can we use this in the animation?
 
+  // Pass falls along with the update so every client can call the tokenFell hook.
+  if ( ter.drops.length ) options[MODULE_ID] = { drops: ter.drops.map(drop => ({ ...drop })) };
+
   // Debug: log(`preUpdate path: ${ter.origin.x},${ter.origin.y},${ter.originElevation}
   // --> ${ter.destination.x},${ter.destination.y},${ter.endingElevation}`)
 
@@ -261,6 +287,77 @@ function refreshTokenHook(token, flags) {
   }
 }
 
+/**
+ * Call the tokenFell hook for each drop during a token move.
+ * The user who moved the token also creates the chat card, if enabled.
+ * @param {TokenDocument} tokenD
+ * @param {object[]} drops    Drops recorded by TravelElevationRay
+ * @param {string} userId     User who moved the token
+ */
+function tokenFell(tokenD, drops, userId) {
+  drops.forEach(drop => Hooks.callAll(`${MODULE_ID}.tokenFell`, tokenD.object, drop, userId));
+  if ( userId !== game.user.id || !Settings.get(Settings.KEYS.FALL.CHAT) ) return;
+  createFallChatMessages(tokenD, drops).catch(err => {
+    console.error(err);
+    ui.notifications.error(`${MODULE_ID}.fall.chat-error`, { localize: true });
+  });
+}
+
+/**
+ * Create a chat card for each drop, in order.
+ * @param {TokenDocument} tokenD
+ * @param {object[]} drops
+ */
+async function createFallChatMessages(tokenD, drops) {
+  for ( const drop of drops ) await createFallChatMessage(tokenD, drop);
+}
+
+/**
+ * Create a chat card for a token fall, rolling the fall damage formula if one is set.
+ * The formula can use the actor roll data plus @distance, @fromElevation, and @toElevation.
+ * @param {TokenDocument} tokenD
+ * @param {object} drop
+ * @returns {Promise<ChatMessage>}
+ */
+async function createFallChatMessage(tokenD, drop) {
+  const speaker = ChatMessage.getSpeaker({ token: tokenD });
+  const flavor = game.i18n.format(`${MODULE_ID}.fall.chat`, {
+    name: tokenD.name,
+    distance: drop.distance,
+    units: canvas.scene.grid.units
+  });
+
+  const formula = Settings.get(Settings.KEYS.FALL.FORMULA).trim();
+  if ( !formula ) return ChatMessage.create({ speaker, content: flavor });
+  if ( !Roll.validate(formula) ) {
+    ui.notifications.error(game.i18n.format(`${MODULE_ID}.fall.formula-error`, { formula }));
+    return ChatMessage.create({ speaker, content: flavor });
+  }
+
+  const data = { ...(tokenD.actor?.getRollData() ?? {}), ...drop };
+  const roll = await new Roll(formula, data).evaluate({ async: true });
+  return roll.toMessage({ speaker, flavor });
+}
+
+/**
+ * If the token has moved into or out of the water, call the tokenSubmerged hook.
+ * Update the token vision, and have the user who moved the token toggle the submerged status
+ * effect, if enabled.
+ * @param {Token} token
+ * @param {string} userId     User who moved the token
+ */
+function updateSubmerged(token, userId) {
+  const ev = token[MODULE_ID];
+  if ( !ev ) return;
+  const submerged = token.isSubmerged;
+  if ( submerged === ev.submerged ) return;
+  ev.submerged = submerged;
+  Hooks.callAll(`${MODULE_ID}.tokenSubmerged`, token, submerged, token.waterRegion ?? null);
+  if ( Settings.get(Settings.KEYS.WATER.VISION) ) token.initializeVisionSource();
+  if ( userId !== game.user.id || !Settings.get(Settings.KEYS.WATER.STATUS) ) return;
+  token.toggleEffect(CONFIG[MODULE_ID].water.statusEffect, { active: submerged });
+}
+
 PATCHES_Token.BASIC.HOOKS = {
   preUpdateToken: preUpdateTokenHook,
   refreshToken: refreshTokenHook,
@@ -268,6 +365,30 @@ PATCHES_Token.BASIC.HOOKS = {
   updateToken: updateTokenHook
 };
 
+/**
+ * Hook Token refresh
+ * Update token shadows as the token moves, changes size, or changes elevation.
+ */
+function refreshTokenShadowsHook(token, flags) {
+  if ( !flags.refreshPosition && !flags.refreshSize && !flags.refreshElevation ) return;
+  if ( token.isPreview ) return;
+  for ( const src of canvas.effects.lightSources ) src.tokenUpdated(token);
+}
+
+/**
+ * Hook Token destroy
+ * Remove the token shadow from light sources.
+ */
+function destroyTokenShadowsHook(token) {
+  if ( token.isPreview ) return;
+  for ( const src of canvas.effects.lightSources ) src.tokenRemoved(token.id);
+}
+
+PATCHES_Token.WEBGL.HOOKS = {
+  refreshToken: refreshTokenShadowsHook,
+  destroyToken: destroyTokenShadowsHook
+};
+
 
 // ----- NOTE: Wraps ----- //
 
@@ -284,6 +405,37 @@ function getTopLeft(x, y) {
 
 PATCHES_Token.BASIC.METHODS = { getTopLeft };
 
+/**
+ * Wrap Token.prototype._getVisionSourceData
+ * Limit the vision radius of a submerged token, if set.
+ * @returns {VisionSourceData}
+ */
+function _getVisionSourceData(wrapped) {
+  const data = wrapped();
+  const submergedVision = Settings.get(Settings.KEYS.WATER.VISION);
+  if ( !submergedVision || !this.isSubmerged ) return data;
+  data.radius = Math.min(data.radius, submergedVision * canvas.dimensions.distancePixels);
+  return data;
+}
+
+PATCHES_Token.BASIC.WRAPS = { _getVisionSourceData };
+
+/**
+ * New getter: Token.prototype.waterRegion
+ * Water region with the highest surface at the token center, if any.
+ * @type {WaterRegion|undefined}
+ */
+function waterRegion() { return canvas.elevation?.waterAt(this.center); }
+
+/**
+ * New getter: Token.prototype.isSubmerged
+ * Is the token elevation below the surface of the water at the token center?
+ * @type {boolean}
+ */
+function isSubmerged() { return Boolean(this.waterRegion?.isBelowSurface(this.document.elevation)); }
+
+PATCHES_Token.BASIC.GETTERS = { waterRegion, isSubmerged };
+
 /**
  * Monitor for the prone active effect and update vision for affected tokens.
  * This will cause shadows to change based on the changed token height.
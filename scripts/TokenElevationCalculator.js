@@ -219,14 +219,14 @@ export class TokenElevationCalculator extends CoordinateElevationCalculator {
     if ( tileOpacity > this.options.alphaThreshold ) return true;
 
     // If the terrain equals the tile elevation at this position, simply ignore the tile.
-    const tileE = tile.elevationE;
+    const tileE = this.tileElevation(tile);
     const terrainPixels = this._pixelsForGridOffset("terrain");
     const terrainValue = this.terrainPixelAggregationFn(terrainPixels);
     const terrainE = canvas.elevation._scaleNormalizedElevation(terrainValue);
     if ( tileE === terrainE ) return true;
 
     // Check for overlapping other tiles and terrain sufficient to support.
-    const otherTiles = this.tiles.filter(t => t !== tile && t.elevationE === tileE);
+    const otherTiles = this.tiles.filter(t => t !== tile && this.tileElevation(t) === tileE);
     const tilePixelsArr = [tilePixels];
     for ( const otherTile of otherTiles ) { tilePixelsArr.push(this._pixelsForGridOffset(otherTile)); }
 
@@ -0,0 +1,28 @@
+/* globals
+canvas
+*/
+"use strict";
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+
+// Methods related to TokenLayer
+
+/**
+ * Show the elevation contours when the token layer is activated, if enabled for the scene.
+ */
+function _activate(wrapper) {
+  wrapper();
+  canvas.elevation.contours?.updateVisibility();
+  canvas.elevation.readout?.update();
+}
+
+/**
+ * Hide the elevation contours and readout when the token layer is deactivated.
+ */
+function _deactivate(wrapper) {
+  wrapper();
+  canvas.elevation.contours?.updateVisibility();
+  canvas.elevation.readout?.update();
+}
+
+export const PATCHES = {};
+PATCHES.BASIC = { WRAPS: { _activate, _deactivate } };
@@ -11,6 +11,7 @@ import { MODULE_ID } from "./const.js";
 import { Draw } from "./geometry/Draw.js";
 import { Settings } from "./settings.js";
 import { CoordinateElevationCalculator } from "./CoordinateElevationCalculator.js";
+import { almostGreaterThan } from "./util.js";
 
 /* Averaging pixel values
 
@@ -61,6 +62,9 @@ export class TravelElevationRay {
   /** @type {object[]} */
   #path = [];
 
+  /** @type {object[]} */
+  #drops = [];
+
   /** @type {MarkerTracker} */
   markerTracker;
 
@@ -152,6 +156,17 @@ export class TravelElevationRay {
     return this.#path;
   }
 
+  /**
+   * Locations along the path where the token drops farther than it can step.
+   * Empty if the token is flying.
+   * Each drop: {x, y, t, fromElevation, toElevation, distance, tileId}
+   * @type {object[]}
+   */
+  get drops() {
+    if ( !this.#path.length ) this._walkPath();
+    return this.#drops;
+  }
+
   #flyButtonEnabled() {
     if ( !Settings.get(Settings.KEYS.FLY_BUTTON) ) return false;
     const token_controls = ui.controls.controls.find(elem => elem.name === "token");
@@ -185,6 +200,56 @@ export class TravelElevationRay {
    */
   elevationAtClosestPoint(pt) { return this.elevationAtT(this.tForPoint(pt)); }
 
+  /**
+   * Movement distance along the ray, counting the cost of climbing.
+   * Climbing is measured from the path, so it includes stepping up onto tiles.
+   * Flying tokens do not pay to climb and are never blocked.
+   * @param {object} [options]
+   * @param {number} [options.climbMultiplier]  Extra distance per unit of elevation climbed.
+   *   Defaults to the climbing cost setting.
+   * @param {number} [options.maxSlope]         Steepest climbable slope, in degrees, measured
+   *   over the grid space before each climb. Defaults to the maximum slope setting.
+   * @returns {object} {horizontal, climbed, distance, maxSlopeClimbed, blocked, blockedAt}
+   *   Distances are in grid units. blockedAt is the canvas point of the first slope too steep to climb.
+   */
+  movementCost({ climbMultiplier, maxSlope } = {}) {
+    climbMultiplier ??= Settings.get(Settings.KEYS.CLIMB.MULTIPLIER);
+    maxSlope ??= Settings.get(Settings.KEYS.CLIMB.MAX_SLOPE);
+    const rayLength = PIXI.Point.distanceBetween(this.origin, this.destination);
+    const horizontal = CONFIG.GeometryLib.utils.pixelsToGridUnits(rayLength);
+    const cost = {
+      horizontal,
+      climbed: 0,
+      distance: horizontal,
+      maxSlopeClimbed: 0,
+      blocked: false,
+      blockedAt: null
+    };
+    if ( this.fly || !rayLength ) return cost;
+
+    const path = this.path;
+    const tWindow = canvas.dimensions.size / rayLength;
+    for ( let i = 1; i < path.length; i += 1 ) {
+      const marker = path[i];
+      const rise = marker.elevation - path[i - 1].elevation;
+      if ( rise <= 0 ) continue;
+      cost.climbed += rise;
+
+      // Slope over the grid space leading up to this marker.
+      const t0 = Math.max(0, marker.t - tWindow);
+      const run = horizontal * (marker.t - t0);
+      const slope = run ? Math.toDegrees(Math.atan2(marker.elevation - this.elevationAtT(t0), run)) : 90;
+      cost.maxSlopeClimbed = Math.max(cost.maxSlopeClimbed, slope);
+      if ( slope > maxSlope && !cost.blocked ) {
+        cost.blocked = true;
+        cost.blockedAt = this.pointAtT(marker.t);
+      }
+    }
+    cost.climbed = Math.round(cost.climbed * 10) * INV_10;
+    cost.distance += cost.climbed * climbMultiplier;
+    return cost;
+  }
+
   /**
    * @param {number} t      Percent distance along origin --> destination ray.
    * @returns {PIXI.Point}
@@ -217,11 +282,15 @@ export class TravelElevationRay {
    *   - switch to any tile between the prev and current elevation
    * 2. On tile: check for terrain breaching tile space; switch to terrain
    * 3. On tile end: Prefer tile at elevation; tile within reach; or tile/terrain below.
+   * 4. Entering a stairs or ramp transition at its elevation: move to the other end of the stairs
+   *    or follow the ramp until leaving it.
+   * 5. Entering water, or moving in water at or above its surface: swim at the surface.
    * @returns {object[]}
    */
   _walkPath() {
     const path = this.#path;
     path.length = 0;
+    this.#drops.length = 0;
     const markerTracker = this.markerTracker = new MarkerTracker(this);
     const { TEC, fly, originElevation } = this;
     TEC.overrideTokenPosition = true;
@@ -231,20 +300,31 @@ export class TravelElevationRay {
     let currMarker = this._checkForSupportingTile(
       markerTracker.nextMarker, originElevation, undefined, undefined, true);
     if ( fly ) currMarker = this._flightTest(currMarker, originElevation);
+    else {
+      currMarker = this._identifyNextMarkerFromWater([], currMarker, { elevation: originElevation });
+      this._recordDrop(currMarker, originElevation);
+    }
     path.push(currMarker);
 
     // Iterate over each marker in turn.
     let nextMarkers = markerTracker.pullNextMarkers();
     while ( nextMarkers.length ) {
       // Multiple markers at a given t are possible, if unlikely.
-      const nextTerrainMarker = nextMarkers.find(m => !m.tile);
-      let nextMarker = currMarker.tile
-        ? this._identifyNextMarkerFromTileLocation(nextMarkers, currMarker, nextTerrainMarker)
-        : this._identifyNextMarkerFromTerrainLocation(nextTerrainMarker);
+      const nextTerrainMarker = nextMarkers.find(m => !m.tile && !m.transition && !m.water);
+      let nextMarker;
+      if ( currMarker.ramp ) nextMarker = this._identifyNextMarkerFromRampLocation(nextMarkers, currMarker);
+      else {
+        nextMarker = this._identifyNextMarkerFromTransition(nextMarkers, currMarker);
+        nextMarker ??= currMarker.tile
+          ? this._identifyNextMarkerFromTileLocation(nextMarkers, currMarker, nextTerrainMarker)
+          : this._identifyNextMarkerFromTerrainLocation(nextTerrainMarker);
+      }
+      if ( !fly ) nextMarker = this._identifyNextMarkerFromWater(nextMarkers, nextMarker, currMarker);
 
       if ( nextMarker ) {
         // An elevation event occurred: moving up/down terrain or moving on/off tile.
         if ( fly ) nextMarker = this._flightTest(nextMarker, currMarker.elevation);
+        else this._recordDrop(nextMarker, currMarker.elevation);
         path.push(nextMarker);
         currMarker = nextMarker;
       }
@@ -255,29 +335,59 @@ export class TravelElevationRay {
   }
 
   _flightTest(nextMarker, currE) {
+    if ( !this._exceedsStep(nextMarker, currE) ) return nextMarker;
+    nextMarker = this.markerTracker.constructElevationMarkerAt(nextMarker, currE, nextMarker.t);
+    nextMarker.fly = true;
+    return nextMarker;
+  }
+
+  /**
+   * Does moving to this marker drop the token farther than it can step down?
+   * @param {object} nextMarker   Marker the token is moving to
+   * @param {number} currE        Elevation of the token before the marker
+   * @returns {boolean}
+   */
+  _exceedsStep(nextMarker, currE) {
     const nextE = nextMarker.elevation;
-    if ( nextE >= currE ) return nextMarker;
+    if ( nextE >= currE || nextMarker.transition || nextMarker.water ) return false;
     const withinStep = CoordinateElevationCalculator.withinStep;
     const { tileStep, terrainStep } = this.TEC;
-    if ( (nextMarker.tile && withinStep(currE, nextE, tileStep))
-      || (!nextMarker.tile && withinStep(currE, nextE, terrainStep)) ) return nextMarker;
+    return nextMarker.tile ? !withinStep(currE, nextE, tileStep) : !withinStep(currE, nextE, terrainStep);
+  }
 
-    nextMarker = this.markerTracker.constructElevationMarkerAt(nextMarker, currE, nextMarker.t);
-    nextMarker.fly = true;
-    return nextMarker;
+  /**
+   * If moving to this marker drops the token farther than it can step down, record the drop.
+   * @param {object} nextMarker   Marker the token is moving to
+   * @param {number} currE        Elevation of the token before the marker
+   */
+  _recordDrop(nextMarker, currE) {
+    if ( !this._exceedsStep(nextMarker, currE) ) return;
+    const { x, y } = this.pointAtT(nextMarker.t);
+    const toElevation = nextMarker.elevation;
+    this.#drops.push({
+      x,
+      y,
+      t: nextMarker.t,
+      fromElevation: currE,
+      toElevation,
+      distance: Math.round((currE - toElevation) * 10) * INV_10,
+      tileId: nextMarker.tile?.document.id ?? null
+    });
   }
 
   _identifyNextMarkerFromTileLocation(nextMarkers, currMarker, nextTerrainMarker) {
     const currTile = currMarker.tile;
+    const currE = currMarker.elevation;
 
     // If the elevation is exceeding the tile at this point, switch to the elevation.
     if ( nextTerrainMarker
-      && nextTerrainMarker.prevE <= currTile.elevationE
-      && nextTerrainMarker.elevation > currTile.elevationE ) return nextTerrainMarker;
+      && nextTerrainMarker.prevE <= currE
+      && nextTerrainMarker.elevation > currE ) return nextTerrainMarker;
 
     // If only terrain markers or other tile markers, continue moving along this tile.
-    const tileEndMarker = nextMarkers.find(m => m.tile === currTile);
-    if ( !tileEndMarker ) return null;
+    // Follow changes in the tile surface elevation if the tile has a heightmap.
+    const tileEndMarker = nextMarkers.find(m => m.tile === currTile && !m.surface);
+    if ( !tileEndMarker ) return nextMarkers.find(m => m.tile === currTile && m.surface) ?? null;
 
     // If one of the markers is this tile, it signifies either a hole or the end of the tile.
     // Either way, search for new supporting tile or drop to elevation.
@@ -300,6 +410,84 @@ export class TravelElevationRay {
       nextTerrainMarker, nextTerrainMarker.prevE, undefined, nextTerrainMarker.elevation, reach);
   }
 
+  /**
+   * If the token enters a stairs or ramp transition at its elevation, move the token accordingly.
+   * @param {object[]} nextMarkers    Markers at the next location along the ray
+   * @param {object} currMarker       Current path marker
+   * @returns {object|null} Path marker for the transition, or null if the token does not use one.
+   */
+  _identifyNextMarkerFromTransition(nextMarkers, currMarker) {
+    const entryMarker = nextMarkers.find(m => m.transition && m.entry);
+    if ( !entryMarker ) return null;
+    const { transition, x, y, t } = entryMarker;
+    const elevation = transition.elevationOnEntry(entryMarker, currMarker.elevation, this.TEC.tileStep);
+    if ( elevation === null ) return null;
+    if ( transition.isRamp ) return { x, y, t, elevation, ramp: transition };
+
+    // Stairs: move to the other end, stepping onto a tile there if one is present.
+    const stairsMarker = this._checkForSupportingTile(
+      this.markerTracker.constructElevationMarkerAt(entryMarker, elevation, t),
+      elevation, undefined, elevation - this.TEC.tileStep, true);
+    stairsMarker.transition = transition;
+    return stairsMarker;
+  }
+
+  /**
+   * Follow the ramp the token is on until the token leaves the ramp.
+   * @param {object[]} nextMarkers    Markers at the next location along the ray
+   * @param {object} currMarker       Current path marker, on the ramp
+   * @returns {object|null} Path marker for the next elevation change, or null if none.
+   */
+  _identifyNextMarkerFromRampLocation(nextMarkers, currMarker) {
+    const ramp = currMarker.ramp;
+    const rampMarker = nextMarkers.find(m => m.transition === ramp && !m.entry);
+    if ( !rampMarker ) return null;
+    const { x, y, t } = rampMarker;
+    if ( !rampMarker.exit ) return { x, y, t, elevation: rampMarker.elevation, ramp };
+
+    // Leaving the ramp: step onto a tile or the terrain.
+    this.TEC.location = rampMarker;
+    const exitMarker = this.markerTracker.constructElevationMarkerAt(rampMarker, this.TEC.terrainElevation(), t);
+    return this._checkForSupportingTile(exitMarker, currMarker.elevation, undefined, undefined, true);
+  }
+
+  /**
+   * Keep a walking token at the surface of water instead of sinking to the terrain below.
+   * The token swims if it enters the water or is already at or above the surface.
+   * A token that starts below the surface stays submerged.
+   * @param {object[]} nextMarkers      Markers at the next location along the ray
+   * @param {object|null} nextMarker    Path marker identified for the next location, if any
+   * @param {object} currMarker         Current path marker
+   * @returns {object|null} Path marker for the next location, or null if none.
+   */
+  _identifyNextMarkerFromWater(nextMarkers, nextMarker, currMarker) {
+    if ( nextMarker?.ramp || nextMarker?.transition ) return nextMarker;
+    const waterMarker = nextMarkers.find(m => m.water);
+
+    // Leaving the water while swimming: climb out onto the terrain or a tile.
+    if ( waterMarker?.exit ) {
+      if ( !currMarker.swim ) return nextMarker;
+      let exitMarker = nextMarker;
+      if ( !exitMarker ) {
+        this.TEC.location = waterMarker;
+        exitMarker = this._checkForSupportingTile(
+          this.markerTracker.constructElevationMarkerAt(waterMarker, this.TEC.terrainElevation(), waterMarker.t),
+          currMarker.elevation, undefined, undefined, true);
+      }
+      exitMarker.water = waterMarker.water;
+      return exitMarker;
+    }
+
+    const entering = Boolean(waterMarker?.entry);
+    const marker = nextMarker ?? (entering ? waterMarker : null);
+    if ( !marker ) return nextMarker;
+    const water = entering ? waterMarker.water : canvas.elevation.waterAt(marker);
+    if ( !water?.isBelowSurface(nextMarker?.elevation ?? currMarker.elevation) ) return nextMarker;
+    if ( !entering && !almostGreaterThan(currMarker.elevation, water.surface) ) return nextMarker;
+    const { x, y, t } = marker;
+    return { x, y, t: t ?? 0, elevation: water.surface, swim: water };
+  }
+
   drawPath(path) {
     this.TEC.overrideTokenPosition = true;
     path ??= this.path;
@@ -406,6 +594,12 @@ export class MarkerTracker {
     // Mark any terrain location that changes elevation along the a --> b ray.
     this._markTerrain();
     this.terrainMarkers.reverse();
+
+    // Mark where the ray enters and leaves stairs and ramps.
+    this._markTransitions();
+
+    // Mark where the ray enters and leaves water.
+    this._markWater();
   }
 
   getMarkTransparentTileFn() {
@@ -441,6 +635,54 @@ export class MarkerTracker {
     });
   }
 
+  _markTransitions() {
+    if ( !this.#deltaMag2 ) return;
+    const { origin, destination } = this.travelRay;
+    for ( const transition of canvas.elevation.transitions ) {
+      const ix = transition.segmentIntersection(origin, destination);
+      if ( !ix ) continue;
+
+      // A token starting on stairs does not use them; a token starting on a ramp may.
+      const entry = origin.projectToward(destination, ix.t0);
+      if ( ix.t0 > 0 || transition.isRamp ) this.#insertMarker({ ...this.#pointData(entry), transition, entry: true });
+      if ( !transition.isRamp ) continue;
+
+      // Mark each change in the ramp elevation, and the ramp exit.
+      const exit = origin.projectToward(destination, ix.t1);
+      for ( const step of transition.rampMarkersAlongSegment(entry, exit) ) {
+        this.#insertMarker({ ...this.#pointData(step), elevation: step.elevation, transition });
+      }
+      if ( ix.t1 < 1 ) this.#insertMarker({ ...this.#pointData(exit), transition, exit: true });
+    }
+  }
+
+  _markWater() {
+    if ( !this.#deltaMag2 ) return;
+    const { origin, destination } = this.travelRay;
+    for ( const water of canvas.elevation.waterRegions ) {
+      const ix = water.segmentIntersection(origin, destination);
+      if ( !ix ) continue;
+      if ( ix.t0 > 0 ) {
+        const entry = origin.projectToward(destination, ix.t0);
+        this.#insertMarker({ ...this.#pointData(entry), water, entry: true });
+      }
+      if ( ix.t1 < 1 ) {
+        const exit = origin.projectToward(destination, ix.t1);
+        this.#insertMarker({ ...this.#pointData(exit), water, exit: true });
+      }
+    }
+  }
+
+  /**
+   * Location and t value for a canvas point on the ray.
+   * @param {Point} pt
+   * @returns {object} {x, y, t}
+   */
+  #pointData(pt) {
+    const { x, y } = pt;
+    return { x, y, t: this.tForCanvasPoint(pt) };
+  }
+
   #calculateRayDeltaMag2() {
     const { origin, destination } = this.travelRay;
     const delta = destination.subtract(origin);
@@ -478,17 +720,41 @@ export class MarkerTracker {
       { alphaThreshold, skipFirst: true, forceLast: true, localOffsets, reducerFn });
 
     // Check if destination reached without finding a hole in the tile. If so, do not add the marker.
-    if ( !nextMarker || (nextMarker.forceLast && nextMarker.currPixel > (alphaThreshold * 255)) ) return;
+    const holeFound = nextMarker && !(nextMarker.forceLast && nextMarker.currPixel > (alphaThreshold * 255));
+    if ( tile.evHeightmap ) this.addTileSurfaceMarkers(marker, holeFound ? nextMarker : destination, tile);
+    if ( !holeFound ) return;
 
     // Add information for this next marker.
     nextMarker.tile = tile;
     nextMarker.t = this.tForCanvasPoint(nextMarker);
+    this.#insertMarker(nextMarker);
+  }
 
+  /**
+   * Add markers where the surface elevation of a tile with a heightmap changes.
+   * @param {Point} start   Location where the token steps onto the tile
+   * @param {Point} end     Location of the next hole in the tile or the ray destination
+   * @param {Tile} tile
+   */
+  addTileSurfaceMarkers(start, end, tile) {
+    for ( const surfaceMarker of tile.evHeightmap.elevationMarkersAlongSegment(start, end) ) {
+      surfaceMarker.tile = tile;
+      surfaceMarker.surface = true;
+      surfaceMarker.t = this.tForCanvasPoint(surfaceMarker);
+      this.#insertMarker(surfaceMarker);
+    }
+  }
+
+  /**
+   * Insert a marker into the reverse-sorted queue.
+   * @param {object} marker
+   */
+  #insertMarker(marker) {
     // Probably not worth binary or radix search b/c we don't have that many markers in the queue.
     // Also, a naive binary implementation proves to be slower than find.
-    const findFn = element => element.t > nextMarker.t;
+    const findFn = element => element.t > marker.t;
     const idx = this.terrainMarkers.findLastIndex(findFn);
-    this.terrainMarkers.splice(idx + 1, 0, nextMarker);
+    this.terrainMarkers.splice(idx + 1, 0, marker);
   }
 
   /**
@@ -501,7 +767,7 @@ export class MarkerTracker {
   constructTileMarkerAt(marker, tile) {
     this.addNextTileMarkerAfter(marker, tile);
     const { x, y, t} = marker;
-    return { x, y, t, tile, elevation: tile.elevationE };
+    return { x, y, t, tile, elevation: tile.elevationEAt(marker) };
   }
 
   /**
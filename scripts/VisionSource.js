@@ -101,6 +101,18 @@ function _initializeEVShadowRenderer() {
   ev.shadowRenderer = new ShadowVisionLOSTextureRenderer(this, ev.shadowMesh, ev.terrainShadowMesh);
 }
 
+/**
+ * New method: VisionSource.prototype._initializeEVTileShadowMeshes
+ * Tiles only shadow light sources.
+ */
+function _initializeEVTileShadowMeshes() { return undefined; }
+
+/**
+ * New method: VisionSource.prototype._initializeEVTokenShadowMeshes
+ * Tokens block vision using the visibility test instead. See hasTokenCollision.
+ */
+function _initializeEVTokenShadowMeshes() { return undefined; }
+
 /**
  * New method: VisionSource.prototype._initializeEVShadowMask
  * Mask of entire canvas (LOS)
@@ -152,6 +164,8 @@ PATCHES.WEBGL.METHODS = {
   _initializeEVShadowGeometry,
   _initializeEVTerrainShadowMesh,
   _initializeEVShadowRenderer,
+  _initializeEVTileShadowMeshes,
+  _initializeEVTokenShadowMeshes,
   _initializeEVShadowMask
 };
 
@@ -493,12 +493,15 @@ export class WallTracer extends Graph {
         if ( !splitEdges ) continue; // If the split is at the endpoint, will be null.
 
         // Remove the existing edge and add the new edges.
+        // The split edges belong to the colliding wall, not to this wall.
         this.deleteEdge(cObj.edge);
         const [edge1, edge2] = splitEdges;
         this.addEdge(edge1);
         this.addEdge(edge2);
-        edgeSet.add(edge1);
-        edgeSet.add(edge2);
+        const collidingEdgeSet = this.wallEdges.get(cObj.edge.wall.id);
+        collidingEdgeSet.delete(cObj.edge);
+        collidingEdgeSet.add(edge1);
+        collidingEdgeSet.add(edge2);
       }
 
       // Cycle to next.
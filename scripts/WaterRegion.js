@@ -0,0 +1,105 @@
+/* globals
+canvas,
+foundry,
+PIXI
+*/
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+"use strict";
+
+import { segmentRectangleIntersection } from "./util.js";
+
+/* Water regions
+A rectangular region drawn on the elevation layer with a liquid surface above the terrain.
+- A walking token that enters the water, or is at or above the surface, swims at the surface
+  instead of sinking to the terrain below.
+- A token below the surface is submerged. See Token.prototype.isSubmerged.
+Water regions are stored as scene flags. See ElevationLayer.prototype.waterRegions.
+*/
+
+export class WaterRegion {
+  /**
+   * @typedef {object} WaterRegionData
+   * @property {string} id
+   * @property {number} x             Top left corner of the region
+   * @property {number} y             Top left corner of the region
+   * @property {number} width
+   * @property {number} height
+   * @property {number} surface       Elevation of the liquid surface, in grid units
+   */
+
+  /** @type {WaterRegionData} */
+  data;
+
+  /** @type {PIXI.Rectangle} */
+  bounds;
+
+  /**
+   * @param {WaterRegionData} data
+   */
+  constructor(data = {}) {
+    this.data = foundry.utils.mergeObject(this.constructor.defaultData, data, { inplace: false });
+    const { x, y, width, height } = this.data;
+    this.bounds = new PIXI.Rectangle(
+      Math.min(x, x + width),
+      Math.min(y, y + height),
+      Math.abs(width),
+      Math.abs(height));
+  }
+
+  /** @type {WaterRegionData} */
+  static get defaultData() {
+    return {
+      id: foundry.utils.randomID(),
+      x: 0,
+      y: 0,
+      width: 0,
+      height: 0,
+      surface: canvas.dimensions.distance
+    };
+  }
+
+  /** @type {string} */
+  get id() { return this.data.id; }
+
+  /** @type {number} */
+  get surface() { return this.data.surface; }
+
+  /**
+   * Is the point within the water region?
+   * @param {Point} {x, y}
+   * @returns {boolean}
+   */
+  contains({x, y}) { return this.bounds.contains(x, y); }
+
+  /**
+   * Is something at this elevation below the surface?
+   * @param {number} elevation    Elevation in grid units
+   * @returns {boolean}
+   */
+  isBelowSurface(elevation) { return elevation < this.surface; }
+
+  /**
+   * Where does the segment cross the region?
+   * @param {Point} a
+   * @param {Point} b
+   * @returns {{t0: number, t1: number}|null} Percent distance along the segment where it enters
+   *   and leaves the region, or null if it does not cross the region.
+   */
+  segmentIntersection(a, b) { return segmentRectangleIntersection(a, b, this.bounds); }
+
+  /**
+   * Draw the region outline.
+   * @param {PIXI.Graphics} graphics
+   * @param {object} [options]
+   * @param {number} [options.color]
+   */
+  draw(graphics, { color = 0x1E90FF } = {}) {
+    graphics.lineStyle(4, color, 1);
+    graphics.beginFill(color, 0.3);
+    graphics.drawShape(this.bounds);
+    graphics.endFill();
+  }
+
+  /** @returns {WaterRegionData} */
+  toJSON() { return { ...this.data }; }
+}
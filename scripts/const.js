@@ -16,11 +16,32 @@ export const MODULES_ACTIVE = {
 
 export const FLAGS = {
   ELEVATION_IMAGE: "elevationImage",
+  ELEVATION_SUBLAYERS: "elevationSublayers",
+  ELEVATION_VERSIONS: "elevationVersions",
+  TRANSITIONS: "elevationTransitions",
+  WATER: "waterRegions",
+  STAMP: {
+    DATA: "stamp",
+    INFO: "stampInfo"
+  },
   ELEVATION: "elevation",
   LIGHT_SIZE: "lightSize",
+  TILE_HEIGHTMAP: {
+    IMAGE: "heightmapImage",
+    RANGE: "heightmapRange"
+  },
+  SOUND: {
+    BOTTOM: "soundBottom",
+    TOP: "soundTop"
+  },
   DIRECTIONAL_LIGHT: {
     ENABLED: "directionalLight",
-    SOLAR_ANGLE: "solarAngle"
+    SOLAR_ANGLE: "solarAngle",
+    CELESTIAL_BODY: "celestialBody",
+    MOON_PERIOD: "moonPeriod",
+    MOON_PHASE: "moonPhase",
+    SHADOW_TINT: "shadowTint",
+    SHADOW_INTENSITY: "shadowIntensity"
   },
   ELEVATION_MEASUREMENT: {
     ALGORITHM: "elevationMeasurement",
@@ -42,9 +63,22 @@ export const FLAGS = {
 export const TEMPLATES = {
   TOKEN: `modules/${MODULE_ID}/templates/${MODULE_ID}-token-config.html`,
   AMBIENT_SOURCE: `modules/${MODULE_ID}/templates/${MODULE_ID}-ambient-source-config.html`,
+  AMBIENT_SOUND: `modules/${MODULE_ID}/templates/${MODULE_ID}-ambient-sound-config.html`,
   TILE: `modules/${MODULE_ID}/templates/${MODULE_ID}-tile-config.html`,
   ELEVATION_STEP: `modules/${MODULE_ID}/templates/elevation-step-controls.html`,
-  SCENE: `modules/${MODULE_ID}/templates/scene-elevation-config.html`
+  SCENE: `modules/${MODULE_ID}/templates/scene-elevation-config.html`,
+  CHECKPOINTS: `modules/${MODULE_ID}/templates/elevation-checkpoints.html`,
+  SUBLAYERS: `modules/${MODULE_ID}/templates/elevation-sublayers.html`,
+  HEIGHTMAP_FILE: `modules/${MODULE_ID}/templates/heightmap-file.html`,
+  HEIGHTMAP_RANGE: `modules/${MODULE_ID}/templates/heightmap-range.html`,
+  TRANSITION: `modules/${MODULE_ID}/templates/elevation-transition.html`,
+  WATER: `modules/${MODULE_ID}/templates/water-region.html`,
+  TERRAIN: `modules/${MODULE_ID}/templates/terrain-generator.html`,
+  CELESTIAL_LIGHTS: `modules/${MODULE_ID}/templates/celestial-lights.html`,
+  VERSIONS: `modules/${MODULE_ID}/templates/elevation-versions.html`,
+  VERSION_DIFF: `modules/${MODULE_ID}/templates/elevation-version-diff.html`,
+  PASTE: `modules/${MODULE_ID}/templates/elevation-paste.html`,
+  STAMPS: `modules/${MODULE_ID}/templates/elevation-stamps.html`
 }
 
 // Hook init b/c game.modules is not initialized at start.
@@ -20,7 +20,11 @@ Controls:
 */
 
 import { ElevationLayerToolBar } from "./ElevationLayerToolBar.js";
+import { ElevationSublayerConfig } from "./ElevationSublayerConfig.js";
+import { CelestialLightsConfig } from "./CelestialLightsConfig.js";
+import { ElevationStampLibrary } from "./ElevationStampLibrary.js";
 import { MODULE_ID } from "./const.js";
+import { Settings } from "./settings.js";
 
 Hooks.on("getSceneControlButtons", addElevationLayerSceneControls);
 Hooks.on("renderSceneControls", (controls) => {
@@ -40,7 +44,18 @@ function addDirectionalLightingControl(controls) {
     title: game.i18n.localize(`${MODULE_ID}.controls.directional-light.name`),
     icon: "fas fa-star"
   };
-  lighting.tools = [lighting.tools[0], directionalTool, ...lighting.tools.slice(1)];
+  const celestialTool = {
+    name: "celestial-lights",
+    title: game.i18n.localize(`${MODULE_ID}.controls.celestial-lights.name`),
+    icon: "fas fa-moon",
+    button: true,
+    visible: game.user.isGM,
+    onClick: () => {
+      canvas.elevation.celestialLightsConfig ??= new CelestialLightsConfig();
+      canvas.elevation.celestialLightsConfig.render(true);
+    }
+  };
+  lighting.tools = [lighting.tools[0], directionalTool, celestialTool, ...lighting.tools.slice(1)];
 }
 
 
@@ -68,14 +83,59 @@ function addElevationLayerSceneControls(controls) {
       },
       {
         name: "fill-by-pixel",
-        title: "Fill by Pixel",
+        title: game.i18n.localize(`${MODULE_ID}.controls.fill-by-pixel.name`),
         icon: "fas fa-paintbrush-fine"
       },
+      {
+        name: "fill-by-gradient",
+        title: game.i18n.localize(`${MODULE_ID}.controls.fill-by-gradient.name`),
+        icon: "fas fa-chart-line"
+      },
       {
         name: "fill-space",
         title: game.i18n.localize(`${MODULE_ID}.controls.fill-space.name`),
         icon: "fas fa-fill-drip"
       },
+      {
+        name: "generate-terrain",
+        title: game.i18n.localize(`${MODULE_ID}.controls.generate-terrain.name`),
+        icon: "fas fa-mountain"
+      },
+      {
+        name: "transition",
+        title: game.i18n.localize(`${MODULE_ID}.controls.transition.name`),
+        icon: "fas fa-stairs"
+      },
+      {
+        name: "water",
+        title: game.i18n.localize(`${MODULE_ID}.controls.water.name`),
+        icon: "fas fa-water"
+      },
+      {
+        name: "select-rectangle",
+        title: game.i18n.localize(`${MODULE_ID}.controls.select-rectangle.name`),
+        icon: "fas fa-vector-square"
+      },
+      {
+        name: "select-polygon",
+        title: game.i18n.localize(`${MODULE_ID}.controls.select-polygon.name`),
+        icon: "fas fa-draw-polygon"
+      },
+      {
+        name: "paste",
+        title: game.i18n.localize(`${MODULE_ID}.controls.paste.name`),
+        icon: "fas fa-paste"
+      },
+      {
+        name: "stamps",
+        title: game.i18n.localize(`${MODULE_ID}.controls.stamps.name`),
+        icon: "fas fa-stamp",
+        button: true,
+        onClick: () => {
+          canvas.elevation.stampLibrary ??= new ElevationStampLibrary();
+          canvas.elevation.stampLibrary.render(true);
+        }
+      },
 
       {
         name: "clear",
@@ -91,6 +151,26 @@ function addElevationLayerSceneControls(controls) {
         }
       },
 
+      {
+        name: "sublayers",
+        title: game.i18n.localize(`${MODULE_ID}.controls.sublayers.name`),
+        icon: "fas fa-layer-group",
+        button: true,
+        onClick: () => {
+          canvas.elevation.sublayerConfig ??= new ElevationSublayerConfig();
+          canvas.elevation.sublayerConfig.render(true);
+        }
+      },
+
+      {
+        name: "contours",
+        title: game.i18n.localize(`${MODULE_ID}.controls.contours.name`),
+        icon: "fas fa-mountain-sun",
+        toggle: true,
+        active: Settings.get(Settings.KEYS.CONTOURS.DISPLAY),
+        onClick: toggle => Settings.set(Settings.KEYS.CONTOURS.DISPLAY, toggle)
+      },
+
       {
         name: "upload",
         title: game.i18n.localize(`${MODULE_ID}.controls.upload.name`),
@@ -114,6 +194,22 @@ function addElevationLayerSceneControls(controls) {
         onClick: () => { canvas.elevation.downloadElevationData({format: "image/webp"}); }
       },
 
+      {
+        name: "heightmap-import",
+        title: game.i18n.localize(`${MODULE_ID}.controls.heightmap-import.name`),
+        icon: "fas fa-file-import",
+        button: true,
+        onClick: () => { canvas.elevation.importHeightmapDialog(); }
+      },
+
+      {
+        name: "heightmap-export",
+        title: game.i18n.localize(`${MODULE_ID}.controls.heightmap-export.name`),
+        icon: "fas fa-file-export",
+        button: true,
+        onClick: () => { canvas.elevation.downloadHeightmapDialog(); }
+      },
+
       {
         name: "undo",
         title: game.i18n.localize(`${MODULE_ID}.controls.undo.name`),
@@ -122,6 +218,36 @@ function addElevationLayerSceneControls(controls) {
         onClick: () => {
           canvas.elevation.undo();
         }
+      },
+
+      {
+        name: "redo",
+        title: game.i18n.localize(`${MODULE_ID}.controls.redo.name`),
+        icon: "fas fa-rotate-right",
+        button: true,
+        onClick: () => {
+          canvas.elevation.redo();
+        }
+      },
+
+      {
+        name: "checkpoints",
+        title: game.i18n.localize(`${MODULE_ID}.controls.checkpoints.name`),
+        icon: "fas fa-bookmark",
+        button: true,
+        onClick: () => {
+          canvas.elevation.checkpointDialog();
+        }
+      },
+
+      {
+        name: "versions",
+        title: game.i18n.localize(`${MODULE_ID}.controls.versions.name`),
+        icon: "fas fa-clock-rotate-left",
+        button: true,
+        onClick: () => {
+          canvas.elevation.versionsDialog();
+        }
       }
 
     ]
@@ -144,7 +270,8 @@ function addElevationLayerSubControls(controls) {
 function drawBrush(controls) {
   if ( !canvas.elevation ) return;
   switch (controls.tool) {
-    case 'fill-by-pixel': 
+    case 'fill-by-pixel':
+    case 'fill-by-gradient':
       canvas.elevation.drawBrush();
       break;
     default:
@@ -66,6 +66,7 @@ void main() {
 /**
  * Add Shadow GLSL code to the fragment source.
  * Mark shadow areas using the depth parameter---moving toward full shadow decreases depth to 0.
+ * Directional lights also tint the light in shadowed areas.
  */
 function addShadowFragmentCode(source) {
   try {
@@ -75,15 +76,26 @@ function addShadowFragmentCode(source) {
       .addUniform("uEVShadows", "bool")
       .addUniform("uEVDirectional", "bool")
       .addVarying("vEVCanvasUV", "vec2")
+      .addGlobal("EV_lightTint", "vec3", "vec3(1.0)")
       .replace(/gl_FragColor = /, `
-        if ( uEVShadows ) {
-          vec2 texCoordEV = uEVDirectional ? vEVCanvasUV : vUvs;
-          vec4 EV_shadowTexel = texture2D(uEVShadowSampler, texCoordEV);
+        if ( uEVShadows && uEVDirectional ) {
+          // Directional lights pass the light color, already combined with the shadow tint and intensity.
+          vec4 EV_lightColor = texture2D(uEVShadowSampler, vEVCanvasUV);
+          float EV_lightAmount = max(EV_lightColor.r, max(EV_lightColor.g, EV_lightColor.b));
+          depth *= EV_lightAmount;
+          if ( EV_lightAmount > 0.0 ) EV_lightTint = EV_lightColor.rgb / EV_lightAmount;
+        } else if ( uEVShadows ) {
+          vec4 EV_shadowTexel = texture2D(uEVShadowSampler, vUvs);
           float EV_lightAmount = EV_shadowTexel.r;
           if ( EV_shadowTexel.g < 0.3) EV_lightAmount *= EV_shadowTexel.b;
           depth *= EV_lightAmount;
         }
         gl_FragColor =`)
+      .wrapMain(`
+void main() {
+  @main();
+  gl_FragColor.rgb *= EV_lightTint;
+}`)
 
       .getSource();
   } finally {
@@ -0,0 +1,79 @@
+/* global
+PIXI
+*/
+"use strict";
+
+import { AbstractEVShader } from "./AbstractEVShader.js";
+
+/**
+ * Shader to convert a directional light shadow texture into the color of the light reaching
+ * each canvas pixel. Lit areas are white. Shadowed areas receive the shadow tint, darkened
+ * by the shadow intensity. See ShadowDirectionalTextureRenderer.
+ */
+export class DirectionalLightColorShader extends AbstractEVShader {
+  /**
+   * Vertex shader constructs a quad and calculates the texture coordinate varying.
+   * @type {string}
+   */
+  static vertexShader =
+  // eslint-disable-next-line indent
+`#version 300 es
+precision ${PIXI.settings.PRECISION_VERTEX} float;
+
+in vec2 aVertexPosition;
+in vec2 aTextureCoord;
+
+out vec2 vTextureCoord;
+
+uniform mat3 translationMatrix;
+uniform mat3 projectionMatrix;
+
+void main() {
+  vTextureCoord = aTextureCoord;
+  gl_Position = vec4((projectionMatrix * translationMatrix * vec3(aVertexPosition, 1.0)).xy, 0.0, 1.0);
+}`;
+
+  static fragmentShader =
+  // eslint-disable-next-line indent
+`#version 300 es
+precision ${PIXI.settings.PRECISION_FRAGMENT} float;
+
+in vec2 vTextureCoord;
+
+out vec4 fragColor;
+
+uniform sampler2D uShadowSampler;
+uniform vec3 uShadowTint;
+uniform float uShadowIntensity;
+
+void main() {
+  // Same combination of the shadow channels as the lighting shaders.
+  vec4 shadowTexel = texture(uShadowSampler, vTextureCoord);
+  float lightAmount = shadowTexel.r;
+  if ( shadowTexel.g < 0.3 ) lightAmount *= shadowTexel.b;
+
+  vec3 shadowColor = uShadowTint * (1.0 - uShadowIntensity);
+  fragColor = vec4(mix(shadowColor, vec3(1.0), lightAmount), 1.0);
+}`;
+
+  /**
+   * Uniforms:
+   * uShadowSampler: shadow texture from the ShadowDirectionalTextureRenderer
+   * uShadowTint: Color of the light in full shadow, before the intensity is applied
+   * uShadowIntensity: Darkness of the shadow, between 0 (no shadow) and 1 (black)
+   */
+  static defaultUniforms = {
+    uShadowSampler: 0,
+    uShadowTint: [1, 1, 1],
+    uShadowIntensity: 1
+  };
+
+  /**
+   * Update the tint and intensity from the source data.
+   * @param {DirectionalLightSource} source
+   */
+  updateShadowColor(source) {
+    this.uniforms.uShadowTint = source.data.shadowTint ?? [1, 1, 1];
+    this.uniforms.uShadowIntensity = source.data.shadowIntensity ?? 1;
+  }
+}
@@ -0,0 +1,96 @@
+/* global
+PIXI
+*/
+"use strict";
+
+import { defineFunction } from "./GLSLFunctions.js";
+import { AbstractEVShader } from "./AbstractEVShader.js";
+
+/**
+ * Shader to blend one elevation sublayer on top of the elevation accumulated from the
+ * sublayers below it. Elevation is encoded in the red and green channels; the sublayer
+ * alpha channel marks where the sublayer has elevation data.
+ */
+export class ElevationCompositeShader extends AbstractEVShader {
+  /**
+   * Blend modes, in the order used by the uBlendMode uniform.
+   * @type {object<string, number>}
+   */
+  static BLEND_MODES = {
+    replace: 0,
+    add: 1,
+    max: 2,
+    min: 3
+  };
+
+  /**
+   * Vertex shader constructs a quad and calculates the texture coordinate varying.
+   * @type {string}
+   */
+  static vertexShader =
+  // eslint-disable-next-line indent
+`#version 300 es
+precision ${PIXI.settings.PRECISION_VERTEX} float;
+
+in vec2 aVertexPosition;
+in vec2 aTextureCoord;
+
+out vec2 vTextureCoord;
+
+uniform mat3 translationMatrix;
+uniform mat3 projectionMatrix;
+
+void main() {
+  vTextureCoord = aTextureCoord;
+  gl_Position = vec4((projectionMatrix * translationMatrix * vec3(aVertexPosition, 1.0)).xy, 0.0, 1.0);
+}`;
+
+  static fragmentShader =
+  // eslint-disable-next-line indent
+`#version 300 es
+precision ${PIXI.settings.PRECISION_FRAGMENT} float;
+
+in vec2 vTextureCoord;
+
+out vec4 fragColor;
+
+uniform sampler2D uAccumSampler; // Elevation accumulated from the sublayers below.
+uniform sampler2D uSublayerSampler; // Elevation of this sublayer.
+uniform bool uHasAccum;
+uniform int uBlendMode;
+
+${defineFunction("decodeElevationChannels")}
+${defineFunction("encodeElevationChannels")}
+
+void main() {
+  float accumE = uHasAccum ? decodeElevationChannels(texture(uAccumSampler, vTextureCoord)) : 0.0;
+  vec4 sublayerPixel = texture(uSublayerSampler, vTextureCoord);
+
+  // Sublayer has no data here; keep the elevation from below.
+  if ( sublayerPixel.a < 0.5 ) {
+    fragColor = encodeElevationChannels(accumE);
+    return;
+  }
+
+  float sublayerE = decodeElevationChannels(sublayerPixel);
+  float e = sublayerE;
+  if ( uBlendMode == 1 ) e = accumE + sublayerE;
+  else if ( uBlendMode == 2 ) e = max(accumE, sublayerE);
+  else if ( uBlendMode == 3 ) e = min(accumE, sublayerE);
+  fragColor = encodeElevationChannels(e);
+}`;
+
+  /**
+   * Uniforms:
+   * uAccumSampler: elevation accumulated from lower sublayers
+   * uSublayerSampler: elevation for this sublayer
+   * uHasAccum: If false, this is the lowest sublayer and the accumulated elevation is 0.
+   * uBlendMode: One of BLEND_MODES
+   */
+  static defaultUniforms = {
+    uAccumSampler: 0,
+    uSublayerSampler: 0,
+    uHasAccum: false,
+    uBlendMode: 0
+  };
+}
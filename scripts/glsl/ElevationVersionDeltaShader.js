@@ -0,0 +1,71 @@
+/* global
+PIXI
+*/
+"use strict";
+
+import { defineFunction } from "./GLSLFunctions.js";
+import { AbstractEVShader } from "./AbstractEVShader.js";
+
+/**
+ * Shader to add or subtract two elevation textures, wrapping around at 65,536.
+ * Used to store an older elevation version as its difference from the next newer version,
+ * and to rebuild the older version from that difference.
+ */
+export class ElevationVersionDeltaShader extends AbstractEVShader {
+  /**
+   * Vertex shader constructs a quad and calculates the texture coordinate varying.
+   * @type {string}
+   */
+  static vertexShader =
+  // eslint-disable-next-line indent
+`#version 300 es
+precision ${PIXI.settings.PRECISION_VERTEX} float;
+
+in vec2 aVertexPosition;
+in vec2 aTextureCoord;
+
+out vec2 vTextureCoord;
+
+uniform mat3 translationMatrix;
+uniform mat3 projectionMatrix;
+
+void main() {
+  vTextureCoord = aTextureCoord;
+  gl_Position = vec4((projectionMatrix * translationMatrix * vec3(aVertexPosition, 1.0)).xy, 0.0, 1.0);
+}`;
+
+  static fragmentShader =
+  // eslint-disable-next-line indent
+`#version 300 es
+precision ${PIXI.settings.PRECISION_FRAGMENT} float;
+
+in vec2 vTextureCoord;
+
+out vec4 fragColor;
+
+uniform sampler2D uTerrainSampler;
+uniform sampler2D uDeltaSampler;
+uniform float uSign;
+
+${defineFunction("decodeElevationChannels")}
+${defineFunction("encodeElevationChannels")}
+
+void main() {
+  // Round before wrapping, so a value a hair below 0 does not wrap to 65,535.
+  float e = round(decodeElevationChannels(texture(uTerrainSampler, vTextureCoord)));
+  float delta = round(decodeElevationChannels(texture(uDeltaSampler, vTextureCoord)));
+  fragColor = encodeElevationChannels(mod(e + (uSign * delta), 65536.0));
+}`;
+
+  /**
+   * Uniforms:
+   * uTerrainSampler: elevation texture
+   * uDeltaSampler: elevation texture to add or subtract
+   * uSign: 1 to add the delta texture, -1 to subtract it
+   */
+  static defaultUniforms = {
+    uTerrainSampler: 0,
+    uDeltaSampler: 0,
+    uSign: 1
+  };
+}
@@ -0,0 +1,80 @@
+/* global
+PIXI
+*/
+"use strict";
+
+import { defineFunction } from "./GLSLFunctions.js";
+import { AbstractEVShader } from "./AbstractEVShader.js";
+
+/**
+ * Shader to draw a stored elevation version as a grayscale image, for thumbnails.
+ * When comparing, areas where the elevation differs from the compare texture are highlighted:
+ * green where this version is higher and red where it is lower.
+ */
+export class ElevationVersionShader extends AbstractEVShader {
+  /**
+   * Vertex shader constructs a quad and calculates the texture coordinate varying.
+   * @type {string}
+   */
+  static vertexShader =
+  // eslint-disable-next-line indent
+`#version 300 es
+precision ${PIXI.settings.PRECISION_VERTEX} float;
+
+in vec2 aVertexPosition;
+in vec2 aTextureCoord;
+
+out vec2 vTextureCoord;
+
+uniform mat3 translationMatrix;
+uniform mat3 projectionMatrix;
+
+void main() {
+  vTextureCoord = aTextureCoord;
+  gl_Position = vec4((projectionMatrix * translationMatrix * vec3(aVertexPosition, 1.0)).xy, 0.0, 1.0);
+}`;
+
+  static fragmentShader =
+  // eslint-disable-next-line indent
+`#version 300 es
+precision ${PIXI.settings.PRECISION_FRAGMENT} float;
+
+in vec2 vTextureCoord;
+
+out vec4 fragColor;
+
+uniform sampler2D uTerrainSampler;
+uniform sampler2D uCompareSampler;
+uniform bool uCompare;
+uniform float uMaxNormalizedElevation;
+
+${defineFunction("decodeElevationChannels")}
+
+void main() {
+  float eNorm = decodeElevationChannels(texture(uTerrainSampler, vTextureCoord));
+  float gray = clamp(eNorm / max(uMaxNormalizedElevation, 1.0), 0.0, 1.0);
+  vec3 color = vec3(0.1 + (gray * 0.9));
+
+  if ( uCompare ) {
+    float compareNorm = decodeElevationChannels(texture(uCompareSampler, vTextureCoord));
+    if ( eNorm > compareNorm ) color = mix(color, vec3(0.0, 1.0, 0.0), 0.6);
+    else if ( eNorm < compareNorm ) color = mix(color, vec3(1.0, 0.0, 0.0), 0.6);
+  }
+
+  fragColor = vec4(color, 1.0);
+}`;
+
+  /**
+   * Uniforms:
+   * uTerrainSampler: elevation texture to draw
+   * uCompareSampler: elevation texture to compare against
+   * uCompare: If true, highlight the differences from the compare texture
+   * uMaxNormalizedElevation: Normalized elevation drawn as white
+   */
+  static defaultUniforms = {
+    uTerrainSampler: 0,
+    uCompareSampler: 0,
+    uCompare: false,
+    uMaxNormalizedElevation: 65536
+  };
+}
@@ -295,6 +295,21 @@ float decodeElevationChannels(in vec4 color) {
   return (color.g * 256.0) + color.r;
 }`;
 
+GLSLFunctions.encodeElevationChannels =
+`
+/**
+ * Return the color representation for a given normalized elevation value.
+ * Inverse of decodeElevationChannels.
+ * @param {float} value   The normalized elevation value, between 0 and 65,535.
+ * @returns {vec4} Color with elevation in the red and green channels, fully opaque.
+ */
+vec4 encodeElevationChannels(in float value) {
+  value = clamp(round(value), 0.0, 65535.0);
+  float g = floor(value / 256.0);
+  float r = value - (g * 256.0);
+  return vec4(r / 255.0, g / 255.0, 0.0, 1.0);
+}`;
+
 GLSLFunctions.scaleNormalizedElevation =
 `
 /**
@@ -0,0 +1,151 @@
+/* global
+canvas,
+CONFIG,
+PIXI
+*/
+"use strict";
+
+import { MODULE_ID } from "../const.js";
+import { defineFunction } from "./GLSLFunctions.js";
+import { AbstractEVShader } from "./AbstractEVShader.js";
+
+/**
+ * Shader to draw the elevation texture as shaded relief.
+ * Slopes facing the light are lightened and slopes facing away are darkened.
+ * Flat terrain is left unchanged, so the map shows through.
+ */
+export class HillshadeShader extends AbstractEVShader {
+  /**
+   * Vertex shader constructs a quad and calculates the texture coordinate varying.
+   * @type {string}
+   */
+  static vertexShader =
+  // eslint-disable-next-line indent
+`#version 300 es
+precision ${PIXI.settings.PRECISION_VERTEX} float;
+
+in vec2 aVertexPosition;
+in vec2 aTextureCoord;
+
+out vec2 vTextureCoord;
+
+uniform mat3 translationMatrix;
+uniform mat3 projectionMatrix;
+
+void main() {
+  vTextureCoord = aTextureCoord;
+  gl_Position = vec4((projectionMatrix * translationMatrix * vec3(aVertexPosition, 1.0)).xy, 0.0, 1.0);
+}`;
+
+  static fragmentShader =
+  // eslint-disable-next-line indent
+`#version 300 es
+precision ${PIXI.settings.PRECISION_FRAGMENT} float;
+
+in vec2 vTextureCoord;
+
+out vec4 fragColor;
+
+uniform sampler2D uTerrainSampler; // Elevation Texture
+uniform vec2 uTexelSize;
+uniform float uElevationScale;
+uniform vec3 uLightDirection;
+uniform float uIntensity;
+
+${defineFunction("decodeElevationChannels")}
+
+/**
+ * Normalized elevation of a neighboring texel.
+ * @param {vec2} offset   Offset from this texel, in texels
+ * @returns {float}
+ */
+float neighborElevation(in vec2 offset) {
+  return decodeElevationChannels(texture(uTerrainSampler, vTextureCoord + (offset * uTexelSize)));
+}
+
+void main() {
+  // Horn's method: weighted differences across the surrounding 3x3 texels.
+  float nw = neighborElevation(vec2(-1.0, -1.0));
+  float n = neighborElevation(vec2(0.0, -1.0));
+  float ne = neighborElevation(vec2(1.0, -1.0));
+  float w = neighborElevation(vec2(-1.0, 0.0));
+  float e = neighborElevation(vec2(1.0, 0.0));
+  float sw = neighborElevation(vec2(-1.0, 1.0));
+  float s = neighborElevation(vec2(0.0, 1.0));
+  float se = neighborElevation(vec2(1.0, 1.0));
+
+  float dzdx = ((ne + (2.0 * e) + se) - (nw + (2.0 * w) + sw)) * 0.125 * uElevationScale;
+  float dzdy = ((sw + (2.0 * s) + se) - (nw + (2.0 * n) + ne)) * 0.125 * uElevationScale;
+  vec3 normal = normalize(vec3(-dzdx, -dzdy, 1.0));
+
+  // Compare to the light on flat terrain, so that flat terrain is transparent.
+  float shade = dot(normal, uLightDirection) - uLightDirection.z;
+  float alpha = clamp(abs(shade) * uIntensity, 0.0, 1.0);
+  vec3 color = shade < 0.0 ? vec3(0.0) : vec3(1.0);
+  fragColor = vec4(color * alpha, alpha);
+}`;
+
+  /**
+   * Uniforms:
+   * uTerrainSampler: elevation texture
+   * uTexelSize: Size of one elevation texel, in texture coordinates
+   * uElevationScale: Elevation of one normalized unit divided by the width of one texel,
+   *   both in grid units, times the vertical exaggeration
+   * uLightDirection: Unit vector pointing toward the light. x: east, y: south, z: up.
+   * uIntensity: Opacity of the shading, between 0 and 1
+   */
+  static defaultUniforms = {
+    uTerrainSampler: 0,
+    uTexelSize: [1, 1],
+    uElevationScale: 1,
+    uLightDirection: [0, 0, 1],
+    uIntensity: 0.5
+  };
+
+  static create(defaultUniforms = {}) {
+    defaultUniforms.uTerrainSampler = canvas.elevation._elevationTexture;
+    const shader = super.create(defaultUniforms);
+    shader.updateTerrain();
+    return shader;
+  }
+
+  /**
+   * Update the texel size and elevation scale after the elevation texture or scene
+   * elevation settings change.
+   */
+  updateTerrain() {
+    const ev = canvas.elevation;
+    const tex = ev._elevationTexture;
+    const { realWidth, realHeight } = tex.baseTexture;
+    this.uniforms.uTerrainSampler = tex;
+    this.uniforms.uTexelSize = [1 / realWidth, 1 / realHeight];
+
+    // Each texel covers 1 / resolution canvas pixels.
+    const texelDistance = ev.coordinatesToGridUnits(1 / tex.resolution);
+    const exaggeration = CONFIG[MODULE_ID].hillshadeExaggeration ?? 1;
+    this.uniforms.uElevationScale = ev.elevationStep * exaggeration / texelDistance;
+  }
+
+  /**
+   * Update the direction of the light.
+   * Follows the DirectionalLightSource convention: azimuth 0 is east and 90º is south.
+   * @param {number} azimuth          In radians
+   * @param {number} elevationAngle   Angle above the horizon, in radians
+   */
+  updateLight(azimuth, elevationAngle) {
+    const cosElevation = Math.cos(elevationAngle);
+    this.uniforms.uLightDirection = [
+      Math.cos(azimuth) * cosElevation,
+      Math.sin(azimuth) * cosElevation,
+      Math.sin(elevationAngle)
+    ];
+  }
+
+  /**
+   * Update the opacity of the shading.
+   * @param {number} intensity    Between 0 and 1
+   */
+  updateIntensity(intensity) {
+    this.uniforms.uIntensity = intensity;
+  }
+}
@@ -8,12 +8,14 @@ PIXI
 
 import { MODULE_ID } from "../const.js";
 import { PixelCache } from "../geometry/PixelCache.js";
+import { EVQuadMesh } from "./EVQuadMesh.js";
+import { DirectionalLightColorShader } from "./DirectionalLightColorShader.js";
 
 const PIXEL_INV = 1 / 255;
 
 /**
  * Take the output of a shadow mesh and render to a texture representing the light amount.
- * TODO: Combine with multiple tile shadow meshes to get total light amount.
+ * Tile and token shadow meshes are rendered on top of the wall and terrain shadows.
  */
 export class ShadowTextureRenderer {
   // TODO: Allow to be changed via CONFIG.
@@ -134,6 +136,20 @@ export class ShadowTextureRenderer {
     this.#pixelCache = undefined;
   }
 
+  /**
+   * Add a mesh representing the shadow of an overhead tile or a token.
+   * Does not re-render the texture.
+   * @param {PIXI.Mesh} mesh
+   */
+  addShadowMesh(mesh) { this.meshContainer.addChild(mesh); }
+
+  /**
+   * Remove a tile or token shadow mesh.
+   * Does not re-render the texture.
+   * @param {PIXI.Mesh} mesh
+   */
+  removeShadowMesh(mesh) { this.meshContainer.removeChild(mesh); }
+
   configureTexture() {
     const { width, height, resolution } = this;
     return {
@@ -194,6 +210,80 @@ export class ShadowVisionLOSTextureRenderer extends ShadowTextureRenderer {
 }
 
 export class ShadowDirectionalTextureRenderer extends ShadowTextureRenderer {
+  /**
+   * Light color combining the directional lights that follow the sun or a moon, so that the
+   * sky lights share one set of shadows. See ShadowDirectionalTextureRenderer.renderSkyTexture.
+   * @type {PIXI.RenderTexture|undefined}
+   */
+  static #skyTexture;
+
+  /** @type {PIXI.RenderTexture|undefined} */
+  static get skyTexture() { return this.#skyTexture; }
+
+  /**
+   * Renderers for the lit directional lights that follow the sun or a moon.
+   * @type {ShadowDirectionalTextureRenderer[]}
+   */
+  static get skyRenderers() {
+    return (canvas.lighting?.placeables ?? [])
+      .map(l => l.source)
+      .filter(s => s.isDirectional && s.celestialBody && !s.data.disabled)
+      .map(s => s[MODULE_ID]?.shadowRenderer)
+      .filter(r => r?.lightColorTexture);
+  }
+
+  /**
+   * Combine the light color textures of the sky lights.
+   * Each light counts in proportion to its brightness, so a spot in the shadow of a faint moon
+   * stays nearly as bright as the sunlit ground around it, and the tint of each light's shadows
+   * is mixed into the light of the others.
+   */
+  static renderSkyTexture() {
+    const renderers = this.skyRenderers;
+    if ( !renderers.length ) {
+      this.#skyTexture?.destroy(true);
+      this.#skyTexture = undefined;
+      return;
+    }
+
+    const { width, height, resolution } = renderers[0];
+    if ( !this.#skyTexture ) this.#skyTexture = PIXI.RenderTexture.create(renderers[0].configureTexture());
+    else if ( this.#skyTexture.width !== width || this.#skyTexture.height !== height ) {
+      this.#skyTexture.setResolution(resolution);
+      this.#skyTexture.resize(width, height, true);
+    }
+
+    // Add the weighted light colors together.
+    const weights = renderers.map(r => Math.max(r.source.data.alpha ?? 1, 0));
+    const totalWeight = weights.reduce((acc, w) => acc + w, 0);
+    const container = new PIXI.Container();
+    renderers.forEach((r, i) => {
+      const sprite = container.addChild(new PIXI.Sprite(r.lightColorTexture));
+      sprite.blendMode = PIXI.BLEND_MODES.ADD;
+      sprite.alpha = totalWeight ? weights[i] / totalWeight : 1 / renderers.length;
+    });
+    canvas.app.renderer.render(container, { renderTexture: this.#skyTexture, clear: true });
+    container.destroy({ children: true });
+  }
+
+  /**
+   * Color of the light reaching each canvas pixel, combining the shadows with the source
+   * shadow tint and intensity. Passed to the lighting shaders in place of the shadow texture.
+   * @type {PIXI.RenderTexture}
+   */
+  lightColorTexture;
+
+  /** @type {EVQuadMesh} */
+  lightColorMesh;
+
+  constructor(source, shadowMesh, terrainShadowMesh) {
+    super(source, shadowMesh, terrainShadowMesh);
+    const shader = DirectionalLightColorShader.create({ uShadowSampler: this.renderTexture });
+    this.lightColorMesh = new EVQuadMesh(canvas.dimensions.rect, shader);
+    this.lightColorTexture = PIXI.RenderTexture.create(this.configureTexture());
+    this.renderLightColorTexture();
+  }
+
   /** @type {number} */
   get width() { return canvas.dimensions.width; }
 
@@ -210,6 +300,32 @@ export class ShadowDirectionalTextureRenderer extends ShadowTextureRenderer {
 
   // Disable updating source radius b/c not needed.
   updateSourceRadius() { return; } // eslint-disable-line no-useless-return
+
+  /**
+   * Render the shadow meshes, then the light color.
+   * The light color texture does not yet exist when the parent constructor renders.
+   */
+  renderShadowMeshToTexture() {
+    super.renderShadowMeshToTexture();
+    if ( this.lightColorTexture ) this.renderLightColorTexture();
+  }
+
+  /**
+   * Render the light color texture from the shadow texture and the source shadow tint and intensity.
+   */
+  renderLightColorTexture() {
+    this.lightColorMesh.shader.updateShadowColor(this.source);
+    canvas.app.renderer.render(this.lightColorMesh, { renderTexture: this.lightColorTexture, clear: true });
+    if ( this.source.celestialBody ) this.constructor.renderSkyTexture();
+  }
+
+  destroy() {
+    super.destroy();
+    this.lightColorMesh.destroy();
+    this.lightColorTexture.destroy();
+    this.lightColorTexture = undefined;
+    if ( this.source.celestialBody ) this.constructor.renderSkyTexture();
+  }
 }
 
 /* Testing
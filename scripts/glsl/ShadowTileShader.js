@@ -0,0 +1,180 @@
+/* globals
+canvas,
+CONFIG,
+PIXI
+*/
+"use strict";
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+
+// Shadow terrain below an elevated overhead tile.
+// For each terrain pixel, project toward the light onto the tile plane and test the tile alpha there.
+
+import { MODULE_ID } from "../const.js";
+import { AbstractEVShader } from "./AbstractEVShader.js";
+import { defineFunction } from "./GLSLFunctions.js";
+
+export class ShadowTileShader extends AbstractEVShader {
+  static vertexShader =
+  // eslint-disable-next-line indent
+`#version 300 es
+precision ${PIXI.settings.PRECISION_VERTEX} float;
+
+in vec2 aVertexPosition;
+
+out vec2 vVertexPosition;
+out vec2 vTerrainTexCoord;
+
+uniform mat3 translationMatrix;
+uniform mat3 projectionMatrix;
+uniform vec4 uSceneDims;
+
+void main() {
+  // Calculate the terrain texture coordinate at this vertex based on scene dimensions.
+  vTerrainTexCoord = (aVertexPosition.xy - uSceneDims.xy) / uSceneDims.zw;
+  vVertexPosition = aVertexPosition;
+  gl_Position = vec4((projectionMatrix * translationMatrix * vec3(aVertexPosition, 1.0)).xy, 0.0, 1.0);
+}`;
+
+  static fragmentShader =
+  // eslint-disable-next-line indent
+`#version 300 es
+precision ${PIXI.settings.PRECISION_VERTEX} float;
+precision ${PIXI.settings.PRECISION_FRAGMENT} usampler2D;
+
+in vec2 vVertexPosition;
+in vec2 vTerrainTexCoord;
+
+out vec4 fragColor;
+
+uniform sampler2D uTerrainSampler;
+uniform sampler2D uTileSampler;
+uniform vec4 uElevationRes;
+uniform vec3 uSourcePosition;
+uniform vec3 uLightDirection;
+uniform bool uDirectional;
+uniform float uTileElevation;
+uniform vec2 uTileCenter;
+uniform vec2 uTileSize; // Negative if the tile texture is mirrored.
+uniform float uTileRotation; // Radians
+uniform float uAlphaThreshold;
+
+${defineFunction("terrainElevation")}
+
+void main() {
+  // Terrain at or above the tile is not shadowed by it.
+  float elevation = terrainElevation(uTerrainSampler, vTerrainTexCoord, uElevationRes);
+  if ( elevation >= uTileElevation ) discard;
+
+  // Project from the terrain toward the light until reaching the tile elevation.
+  vec2 ix;
+  float dz = uTileElevation - elevation;
+  if ( uDirectional ) {
+    if ( uLightDirection.z <= 0.0 ) discard;
+    ix = vVertexPosition + (uLightDirection.xy * (dz / uLightDirection.z));
+  } else {
+    if ( uSourcePosition.z <= uTileElevation ) discard;
+    ix = mix(vVertexPosition, uSourcePosition.xy, dz / (uSourcePosition.z - elevation));
+  }
+
+  // Convert to tile texture coordinates, undoing the tile rotation.
+  vec2 delta = ix - uTileCenter;
+  float c = cos(-uTileRotation);
+  float s = sin(-uTileRotation);
+  delta = vec2((delta.x * c) - (delta.y * s), (delta.x * s) + (delta.y * c));
+  vec2 uv = (delta / uTileSize) + 0.5;
+  if ( any(lessThan(uv, vec2(0.0))) || any(greaterThan(uv, vec2(1.0))) ) discard;
+
+  // Transparent portions of the tile let the light through.
+  if ( texture(uTileSampler, uv).a < uAlphaThreshold ) discard;
+
+  // Encoding for no light.
+  fragColor = vec4(0.0, 1.0, 1.0, 1.0);
+}`;
+
+  static defaultUniforms = {
+    uSceneDims: [0, 0, 1, 1],
+    uElevationRes: [0, 1, 256 * 256, 1],
+    uTerrainSampler: 0,
+    uTileSampler: 0,
+    uSourcePosition: [0, 0, 0],
+    uLightDirection: [0, 0, 1],
+    uDirectional: false,
+    uTileElevation: 0,
+    uTileCenter: [0, 0],
+    uTileSize: [1, 1],
+    uTileRotation: 0,
+    uAlphaThreshold: 0.75
+  };
+
+  /**
+   * @param {RenderedPointSource} source
+   * @param {Tile} tile
+   * @param {object} [defaultUniforms]
+   */
+  static create(source, tile, defaultUniforms = {}) {
+    const { sceneRect, distancePixels } = canvas.dimensions;
+    defaultUniforms.uSceneDims ??= [
+      sceneRect.x,
+      sceneRect.y,
+      sceneRect.width,
+      sceneRect.height
+    ];
+
+    const ev = canvas.elevation;
+    defaultUniforms.uElevationRes ??= [
+      ev.elevationMin,
+      ev.elevationStep,
+      ev.elevationMax,
+      distancePixels
+    ];
+
+    defaultUniforms.uTerrainSampler = ev._elevationTexture;
+    defaultUniforms.uAlphaThreshold = CONFIG[MODULE_ID].alphaThreshold;
+
+    const shader = super.create(defaultUniforms);
+    shader.updateSourcePosition(source);
+    shader.updateTile(tile);
+    return shader;
+  }
+
+  /**
+   * Update based on indicated changes to the source.
+   * @param {RenderedSourcePoint} source
+   * @param {object} [changes]    Object indicating which properties of the source changed
+   * @param {boolean} [changes.changedPosition]     True if the source changed position
+   * @param {boolean} [changes.changedElevation]    True if the source changed elevation
+   * @param {boolean} [changes.changedAzimuth]      True if the directional source changed azimuth
+   * @param {boolean} [changes.changedElevationAngle]   True if the directional source changed elevation angle
+   * @returns {boolean} True if the indicated changes resulted in a change to the shader.
+   */
+  sourceUpdated(source, { changedPosition, changedElevation, changedAzimuth, changedElevationAngle } = {}) {
+    const changed = changedPosition || changedElevation || changedAzimuth || changedElevationAngle;
+    if ( changed ) this.updateSourcePosition(source);
+    return changed;
+  }
+
+  updateSourcePosition(source) {
+    this.uniforms.uSourcePosition = [source.x, source.y, source.elevationZ];
+    this.uniforms.uDirectional = Boolean(source.isDirectional);
+    if ( source.isDirectional ) {
+      const { x, y, z } = source.lightDirection;
+      this.uniforms.uLightDirection = [x, y, z];
+    }
+  }
+
+  /**
+   * Update the tile texture, elevation, and shape.
+   * @param {Tile} tile
+   */
+  updateTile(tile) {
+    const { x, y, width, height, rotation, texture } = tile.document;
+    this.uniforms.uTileSampler = tile.texture;
+    this.uniforms.uTileElevation = tile.elevationZ;
+    this.uniforms.uTileCenter = [x + (width * 0.5), y + (height * 0.5)];
+    this.uniforms.uTileSize = [
+      width * Math.sign(texture.scaleX || 1),
+      height * Math.sign(texture.scaleY || 1)
+    ];
+    this.uniforms.uTileRotation = Math.toRadians(rotation);
+  }
+}
@@ -0,0 +1,171 @@
+/* globals
+canvas,
+PIXI
+*/
+"use strict";
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+
+// Shadow terrain behind a token, treating the token as a box from its bottom to its top elevation.
+// For each terrain pixel, test whether the ray toward the light passes through the box.
+
+import { AbstractEVShader } from "./AbstractEVShader.js";
+import { defineFunction } from "./GLSLFunctions.js";
+
+export class ShadowTokenShader extends AbstractEVShader {
+  static vertexShader =
+  // eslint-disable-next-line indent
+`#version 300 es
+precision ${PIXI.settings.PRECISION_VERTEX} float;
+
+in vec2 aVertexPosition;
+
+out vec2 vVertexPosition;
+out vec2 vTerrainTexCoord;
+
+uniform mat3 translationMatrix;
+uniform mat3 projectionMatrix;
+uniform vec4 uSceneDims;
+
+void main() {
+  // Calculate the terrain texture coordinate at this vertex based on scene dimensions.
+  vTerrainTexCoord = (aVertexPosition.xy - uSceneDims.xy) / uSceneDims.zw;
+  vVertexPosition = aVertexPosition;
+  gl_Position = vec4((projectionMatrix * translationMatrix * vec3(aVertexPosition, 1.0)).xy, 0.0, 1.0);
+}`;
+
+  static fragmentShader =
+  // eslint-disable-next-line indent
+`#version 300 es
+precision ${PIXI.settings.PRECISION_VERTEX} float;
+precision ${PIXI.settings.PRECISION_FRAGMENT} usampler2D;
+
+in vec2 vVertexPosition;
+in vec2 vTerrainTexCoord;
+
+out vec4 fragColor;
+
+uniform sampler2D uTerrainSampler;
+uniform vec4 uElevationRes;
+uniform vec3 uSourcePosition;
+uniform vec3 uLightDirection;
+uniform bool uDirectional;
+uniform vec3 uTokenMin;
+uniform vec3 uTokenMax;
+
+${defineFunction("terrainElevation")}
+
+/**
+ * Does the ray from the origin intersect the box between t = 0 and tMax?
+ * Slab method, one axis at a time.
+ */
+bool rayIntersectsBox(in vec3 origin, in vec3 dir, in float tMax, in vec3 boxMin, in vec3 boxMax) {
+  float t0 = 0.0;
+  float t1 = tMax;
+  for ( int i = 0; i < 3; i += 1 ) {
+    if ( abs(dir[i]) < 1e-6 ) {
+      if ( origin[i] < boxMin[i] || origin[i] > boxMax[i] ) return false;
+      continue;
+    }
+    float tNear = (boxMin[i] - origin[i]) / dir[i];
+    float tFar = (boxMax[i] - origin[i]) / dir[i];
+    t0 = max(t0, min(tNear, tFar));
+    t1 = min(t1, max(tNear, tFar));
+    if ( t0 > t1 ) return false;
+  }
+  return true;
+}
+
+void main() {
+  // A token does not shadow the ground it stands on.
+  if ( all(greaterThanEqual(vVertexPosition, uTokenMin.xy))
+    && all(lessThanEqual(vVertexPosition, uTokenMax.xy)) ) discard;
+
+  float elevation = terrainElevation(uTerrainSampler, vTerrainTexCoord, uElevationRes);
+  vec3 origin = vec3(vVertexPosition, elevation);
+
+  bool blocked = uDirectional
+    ? rayIntersectsBox(origin, uLightDirection, 1e10, uTokenMin, uTokenMax)
+    : rayIntersectsBox(origin, uSourcePosition - origin, 1.0, uTokenMin, uTokenMax);
+  if ( !blocked ) discard;
+
+  // Encoding for no light.
+  fragColor = vec4(0.0, 1.0, 1.0, 1.0);
+}`;
+
+  static defaultUniforms = {
+    uSceneDims: [0, 0, 1, 1],
+    uElevationRes: [0, 1, 256 * 256, 1],
+    uTerrainSampler: 0,
+    uSourcePosition: [0, 0, 0],
+    uLightDirection: [0, 0, 1],
+    uDirectional: false,
+    uTokenMin: [0, 0, 0],
+    uTokenMax: [1, 1, 1]
+  };
+
+  /**
+   * @param {RenderedPointSource} source
+   * @param {Token} token
+   * @param {object} [defaultUniforms]
+   */
+  static create(source, token, defaultUniforms = {}) {
+    const { sceneRect, distancePixels } = canvas.dimensions;
+    defaultUniforms.uSceneDims ??= [
+      sceneRect.x,
+      sceneRect.y,
+      sceneRect.width,
+      sceneRect.height
+    ];
+
+    const ev = canvas.elevation;
+    defaultUniforms.uElevationRes ??= [
+      ev.elevationMin,
+      ev.elevationStep,
+      ev.elevationMax,
+      distancePixels
+    ];
+
+    defaultUniforms.uTerrainSampler = ev._elevationTexture;
+
+    const shader = super.create(defaultUniforms);
+    shader.updateSourcePosition(source);
+    shader.updateToken(token);
+    return shader;
+  }
+
+  /**
+   * Update based on indicated changes to the source.
+   * @param {RenderedSourcePoint} source
+   * @param {object} [changes]    Object indicating which properties of the source changed
+   * @param {boolean} [changes.changedPosition]     True if the source changed position
+   * @param {boolean} [changes.changedElevation]    True if the source changed elevation
+   * @param {boolean} [changes.changedAzimuth]      True if the directional source changed azimuth
+   * @param {boolean} [changes.changedElevationAngle]   True if the directional source changed elevation angle
+   * @returns {boolean} True if the indicated changes resulted in a change to the shader.
+   */
+  sourceUpdated(source, { changedPosition, changedElevation, changedAzimuth, changedElevationAngle } = {}) {
+    const changed = changedPosition || changedElevation || changedAzimuth || changedElevationAngle;
+    if ( changed ) this.updateSourcePosition(source);
+    return changed;
+  }
+
+  updateSourcePosition(source) {
+    this.uniforms.uSourcePosition = [source.x, source.y, source.elevationZ];
+    this.uniforms.uDirectional = Boolean(source.isDirectional);
+    if ( source.isDirectional ) {
+      const { x, y, z } = source.lightDirection;
+      this.uniforms.uLightDirection = [x, y, z];
+    }
+  }
+
+  /**
+   * Update the token box.
+   * Uses the rendered token position, so the shadow follows the token while it animates.
+   * @param {Token} token
+   */
+  updateToken(token) {
+    const { x, y, w, h, bottomZ, topZ } = token;
+    this.uniforms.uTokenMin = [x, y, bottomZ];
+    this.uniforms.uTokenMax = [x + w, y + h, topZ];
+  }
+}
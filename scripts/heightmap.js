@@ -0,0 +1,416 @@
+/* globals
+CompressionStream,
+DecompressionStream
+*/
+"use strict";
+
+/* Heightmap import and export
+
+Reads and writes heightmaps produced by terrain generators and GIS tools:
+- 16-bit grayscale PNG. (8-bit and color PNGs are read using the first channel.)
+- Headerless RAW, 16-bit unsigned integers, little or big endian.
+- ESRI ASCII grid.
+
+Heightmaps are represented as a Heightmap object holding one value per cell, row by row from
+the top left. Values are in the units of the source file; see ElevationLayer.prototype.importHeightmap
+for mapping them onto the scene elevation.
+*/
+
+/**
+ * @typedef {object} Heightmap
+ * @property {Float32Array} values      One value per cell, row by row from the top left.
+ * @property {number} width             Number of columns
+ * @property {number} height            Number of rows
+ * @property {number} [noData]          Value representing a cell without data, if any
+ */
+
+export const HEIGHTMAP_FORMATS = {
+  PNG16: "png16",
+  RAW_LE: "raw-le",
+  RAW_BE: "raw-be",
+  ASC: "asc"
+};
+
+/**
+ * File extension and MIME type used when exporting each format.
+ * @type {object<string, {extension: string, type: string}>}
+ */
+export const HEIGHTMAP_FILE_TYPES = {
+  [HEIGHTMAP_FORMATS.PNG16]: { extension: "png", type: "image/png" },
+  [HEIGHTMAP_FORMATS.RAW_LE]: { extension: "raw", type: "application/octet-stream" },
+  [HEIGHTMAP_FORMATS.RAW_BE]: { extension: "raw", type: "application/octet-stream" },
+  [HEIGHTMAP_FORMATS.ASC]: { extension: "asc", type: "text/plain" }
+};
+
+/**
+ * Parse a heightmap file.
+ * @param {ArrayBuffer} buffer    File contents
+ * @param {string} format         One of HEIGHTMAP_FORMATS
+ * @param {object} [opts]         Options used for RAW files, which have no header
+ * @param {number} [opts.width]   Number of columns. Defaults to a square heightmap.
+ * @param {number} [opts.height]  Number of rows. Defaults to the number of values / width.
+ * @returns {Promise<Heightmap>}
+ */
+export async function parseHeightmap(buffer, format, { width, height } = {}) {
+  switch ( format ) {
+    case HEIGHTMAP_FORMATS.PNG16: return parsePNG(buffer);
+    case HEIGHTMAP_FORMATS.RAW_LE: return parseRAW(buffer, { width, height, littleEndian: true });
+    case HEIGHTMAP_FORMATS.RAW_BE: return parseRAW(buffer, { width, height, littleEndian: false });
+    case HEIGHTMAP_FORMATS.ASC: return parseASCIIGrid(new TextDecoder().decode(buffer));
+  }
+  throw new Error(`Heightmap format ${format} not recognized.`);
+}
+
+/**
+ * Encode a heightmap as a file.
+ * PNG and RAW formats store integers between 0 and 65,535; values are rounded and clamped.
+ * @param {Heightmap} heightmap
+ * @param {string} format         One of HEIGHTMAP_FORMATS
+ * @param {object} [opts]         Options used for ASCII grids
+ * @param {number} [opts.cellSize]  Size of each cell, in map units
+ * @returns {Promise<Uint8Array|string>}
+ */
+export async function encodeHeightmap(heightmap, format, { cellSize = 1 } = {}) {
+  switch ( format ) {
+    case HEIGHTMAP_FORMATS.PNG16: return encodePNG16(heightmap);
+    case HEIGHTMAP_FORMATS.RAW_LE: return encodeRAW(heightmap, { littleEndian: true });
+    case HEIGHTMAP_FORMATS.RAW_BE: return encodeRAW(heightmap, { littleEndian: false });
+    case HEIGHTMAP_FORMATS.ASC: return encodeASCIIGrid(heightmap, { cellSize });
+  }
+  throw new Error(`Heightmap format ${format} not recognized.`);
+}
+
+/**
+ * Minimum and maximum value in a heightmap, ignoring cells without data.
+ * @param {Heightmap} heightmap
+ * @returns {{min: number, max: number}}
+ */
+export function heightmapRange({ values, noData }) {
+  let min = Number.POSITIVE_INFINITY;
+  let max = Number.NEGATIVE_INFINITY;
+  const ln = values.length;
+  for ( let i = 0; i < ln; i += 1 ) {
+    const v = values[i];
+    if ( v === noData || !Number.isFinite(v) ) continue;
+    min = Math.min(min, v);
+    max = Math.max(max, v);
+  }
+  if ( min > max ) return { min: 0, max: 0 };
+  return { min, max };
+}
+
+// NOTE: RAW
+
+/**
+ * Parse a headerless RAW file of 16-bit unsigned integers.
+ * @param {ArrayBuffer} buffer
+ * @param {object} [opts]
+ * @param {number} [opts.width]
+ * @param {number} [opts.height]
+ * @param {boolean} [opts.littleEndian]
+ * @returns {Heightmap}
+ */
+function parseRAW(buffer, { width, height, littleEndian = true } = {}) {
+  const numValues = Math.floor(buffer.byteLength / 2);
+  width ||= Math.round(Math.sqrt(numValues));
+  height ||= Math.floor(numValues / width);
+  if ( !width || width * height > numValues ) {
+    throw new Error(`RAW heightmap has ${numValues} values, which is too few for ${width} x ${height}.`);
+  }
+
+  const view = new DataView(buffer);
+  const ln = width * height;
+  const values = new Float32Array(ln);
+  for ( let i = 0; i < ln; i += 1 ) values[i] = view.getUint16(i * 2, littleEndian);
+  return { values, width, height };
+}
+
+/**
+ * Encode a heightmap as a headerless RAW file of 16-bit unsigned integers.
+ * @param {Heightmap} heightmap
+ * @param {object} [opts]
+ * @param {boolean} [opts.littleEndian]
+ * @returns {Uint8Array}
+ */
+function encodeRAW({ values }, { littleEndian = true } = {}) {
+  const out = new Uint8Array(values.length * 2);
+  const view = new DataView(out.buffer);
+  values.forEach((v, i) => view.setUint16(i * 2, clampUint16(v), littleEndian));
+  return out;
+}
+
+// NOTE: ESRI ASCII grid
+
+/**
+ * Parse an ESRI ASCII grid.
+ * Header keys are case-insensitive; cell centers (xllcenter) are treated like corners.
+ * @param {string} text
+ * @returns {Heightmap}
+ */
+function parseASCIIGrid(text) {
+  const tokens = text.trim().split(/\s+/);
+  const header = {};
+  let i = 0;
+  while ( i < tokens.length && /^[a-z_]+$/i.test(tokens[i]) ) {
+    header[tokens[i].toLowerCase()] = Number(tokens[i + 1]);
+    i += 2;
+  }
+
+  const width = header.ncols;
+  const height = header.nrows;
+  if ( !width || !height ) throw new Error("ASCII grid is missing the ncols or nrows header.");
+  if ( tokens.length - i < width * height ) {
+    throw new Error(`ASCII grid has ${tokens.length - i} values, which is too few for ${width} x ${height}.`);
+  }
+
+  const ln = width * height;
+  const values = new Float32Array(ln);
+  for ( let j = 0; j < ln; j += 1 ) values[j] = Number(tokens[i + j]);
+  return { values, width, height, noData: header.nodata_value };
+}
+
+/**
+ * Encode a heightmap as an ESRI ASCII grid, with the lower left corner at 0, 0.
+ * @param {Heightmap} heightmap
+ * @param {object} [opts]
+ * @param {number} [opts.cellSize]
+ * @returns {string}
+ */
+function encodeASCIIGrid({ values, width, height, noData }, { cellSize = 1 } = {}) {
+  const lines = [
+    `ncols ${width}`,
+    `nrows ${height}`,
+    "xllcorner 0",
+    "yllcorner 0",
+    `cellsize ${cellSize}`
+  ];
+  if ( typeof noData !== "undefined" ) lines.push(`NODATA_value ${noData}`);
+
+  for ( let row = 0; row < height; row += 1 ) {
+    const start = row * width;
+    lines.push(Array.from(values.subarray(start, start + width)).join(" "));
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+// NOTE: PNG
+
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+/** Number of channels for each PNG color type. */
+const PNG_CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 };
+
+/**
+ * Parse a PNG file, keeping the full bit depth of the first channel.
+ * Supports non-interlaced grayscale, grayscale with alpha, RGB, and RGBA images at 8 or 16 bits.
+ * The browser's image decoding reduces 16-bit images to 8 bits, so the PNG is decoded here.
+ * @param {ArrayBuffer} buffer
+ * @returns {Promise<Heightmap>}
+ */
+async function parsePNG(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(buffer);
+  if ( PNG_SIGNATURE.some((b, i) => bytes[i] !== b) ) throw new Error("File is not a PNG.");
+
+  let ihdr;
+  const idat = [];
+  let offset = 8;
+  while ( offset < bytes.length ) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const data = bytes.subarray(offset + 8, offset + 8 + length);
+    if ( type === "IHDR" ) ihdr = {
+      width: view.getUint32(offset + 8),
+      height: view.getUint32(offset + 12),
+      bitDepth: data[8],
+      colorType: data[9],
+      interlace: data[12]
+    };
+    else if ( type === "IDAT" ) idat.push(data);
+    else if ( type === "IEND" ) break;
+    offset += length + 12;
+  }
+
+  if ( !ihdr ) throw new Error("PNG is missing its header.");
+  const { width, height, bitDepth, colorType, interlace } = ihdr;
+  const channels = PNG_CHANNELS[colorType];
+  if ( !channels || (bitDepth !== 8 && bitDepth !== 16) || interlace ) {
+    throw new Error(`PNG color type ${colorType}, bit depth ${bitDepth}, interlace ${interlace} is not supported.`);
+  }
+
+  const bytesPerSample = bitDepth / 8;
+  const bytesPerPixel = channels * bytesPerSample;
+  const stride = width * bytesPerPixel;
+  const raw = await inflate(idat);
+  const pixels = unfilterPNG(raw, { height, stride, bytesPerPixel });
+
+  const values = new Float32Array(width * height);
+  const ln = values.length;
+  for ( let i = 0; i < ln; i += 1 ) {
+    const idx = i * bytesPerPixel;
+    values[i] = bytesPerSample === 2 ? ((pixels[idx] << 8) | pixels[idx + 1]) : pixels[idx];
+  }
+  return { values, width, height };
+}
+
+/**
+ * Reverse the PNG scanline filters.
+ * @param {Uint8Array} raw    Decompressed image data, with a filter byte before each row
+ * @param {object} opts
+ * @param {number} opts.height
+ * @param {number} opts.stride          Bytes per row, excluding the filter byte
+ * @param {number} opts.bytesPerPixel
+ * @returns {Uint8Array} Pixel bytes, without filter bytes
+ */
+function unfilterPNG(raw, { height, stride, bytesPerPixel }) {
+  const out = new Uint8Array(height * stride);
+  for ( let row = 0; row < height; row += 1 ) {
+    const filter = raw[row * (stride + 1)];
+    const src = (row * (stride + 1)) + 1;
+    const dst = row * stride;
+    const prev = dst - stride;
+    for ( let i = 0; i < stride; i += 1 ) {
+      const a = i >= bytesPerPixel ? out[dst + i - bytesPerPixel] : 0;
+      const b = row ? out[prev + i] : 0;
+      const c = (row && i >= bytesPerPixel) ? out[prev + i - bytesPerPixel] : 0;
+      let predictor = 0;
+      switch ( filter ) {
+        case 1: predictor = a; break;
+        case 2: predictor = b; break;
+        case 3: predictor = (a + b) >> 1; break;
+        case 4: predictor = paeth(a, b, c); break;
+      }
+      out[dst + i] = (raw[src + i] + predictor) & 0xFF;
+    }
+  }
+  return out;
+}
+
+/**
+ * Paeth predictor used by PNG filter type 4.
+ */
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if ( pa <= pb && pa <= pc ) return a;
+  if ( pb <= pc ) return b;
+  return c;
+}
+
+/**
+ * Encode a heightmap as a 16-bit grayscale PNG.
+ * @param {Heightmap} heightmap
+ * @returns {Promise<Uint8Array>}
+ */
+async function encodePNG16({ values, width, height }) {
+  // Each row is a filter byte (0: none) followed by big-endian 16-bit samples.
+  const stride = (width * 2) + 1;
+  const raw = new Uint8Array(stride * height);
+  for ( let row = 0; row < height; row += 1 ) {
+    for ( let col = 0; col < width; col += 1 ) {
+      const v = clampUint16(values[(row * width) + col]);
+      const idx = (row * stride) + 1 + (col * 2);
+      raw[idx] = v >> 8;
+      raw[idx + 1] = v & 0xFF;
+    }
+  }
+
+  const ihdr = new Uint8Array(13);
+  const ihdrView = new DataView(ihdr.buffer);
+  ihdrView.setUint32(0, width);
+  ihdrView.setUint32(4, height);
+  ihdr[8] = 16; // Bit depth
+  ihdr[9] = 0; // Grayscale
+
+  const chunks = [
+    new Uint8Array(PNG_SIGNATURE),
+    pngChunk("IHDR", ihdr),
+    pngChunk("IDAT", await deflate(raw)),
+    pngChunk("IEND", new Uint8Array(0))
+  ];
+  return concatBytes(chunks);
+}
+
+/**
+ * Construct a PNG chunk: length, type, data, and CRC of type + data.
+ * @param {string} type
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+function pngChunk(type, data) {
+  const out = new Uint8Array(data.length + 12);
+  const view = new DataView(out.buffer);
+  view.setUint32(0, data.length);
+  for ( let i = 0; i < 4; i += 1 ) out[4 + i] = type.charCodeAt(i);
+  out.set(data, 8);
+  view.setUint32(data.length + 8, crc32(out.subarray(4, data.length + 8)));
+  return out;
+}
+
+/** @type {Uint32Array} */
+let CRC_TABLE;
+
+/**
+ * CRC-32 as used by PNG.
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+function crc32(bytes) {
+  CRC_TABLE ??= Uint32Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for ( let k = 0; k < 8; k += 1 ) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+    return c >>> 0;
+  });
+
+  let crc = 0xFFFFFFFF;
+  for ( const b of bytes ) crc = CRC_TABLE[(crc ^ b) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// NOTE: Helpers
+
+/**
+ * Decompress zlib data, such as PNG IDAT chunks.
+ * @param {Uint8Array[]} parts
+ * @returns {Promise<Uint8Array>}
+ */
+async function inflate(parts) {
+  const stream = new Blob(parts).stream().pipeThrough(new DecompressionStream("deflate"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Compress data using zlib.
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Uint8Array>}
+ */
+async function deflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream("deflate"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Join byte arrays.
+ * @param {Uint8Array[]} arrays
+ * @returns {Uint8Array}
+ */
+function concatBytes(arrays) {
+  const out = new Uint8Array(arrays.reduce((acc, arr) => acc + arr.length, 0));
+  let offset = 0;
+  for ( const arr of arrays ) {
+    out.set(arr, offset);
+    offset += arr.length;
+  }
+  return out;
+}
+
+/**
+ * Round and clamp a value to a 16-bit unsigned integer.
+ * @param {number} v
+ * @returns {number}
+ */
+function clampUint16(v) {
+  return Math.min(Math.max(Math.round(v) || 0, 0), 65535);
+}
@@ -14,12 +14,23 @@ import { log } from "./util.js";
 // API imports
 import * as util from "./util.js";
 import * as extract from "./perfect-vision/extract-pixels.js";
+import * as heightmap from "./heightmap.js";
 
 import { FILOQueue } from "./FILOQueue.js";
+import { ElevationHistory } from "./ElevationHistory.js";
+import { ElevationSublayer } from "./ElevationSublayer.js";
 import { WallTracerEdge, WallTracerVertex, WallTracer, SCENE_GRAPH } from "./WallTracer.js";
 import { CoordinateElevationCalculator } from "./CoordinateElevationCalculator.js";
 import { TokenElevationCalculator } from "./TokenElevationCalculator.js";
 import { TravelElevationRay, MarkerTracker } from "./TravelElevationRay.js";
+import { CoverCalculator } from "./CoverCalculator.js";
+import { TileHeightmap } from "./TileHeightmap.js";
+import { ElevationTransition } from "./ElevationTransition.js";
+import { WaterRegion } from "./WaterRegion.js";
+import { SunPath } from "./SunPath.js";
+import { CelestialLightsConfig } from "./CelestialLightsConfig.js";
+import { ElevationClipboard } from "./ElevationClipboard.js";
+import { ElevationStampLibrary } from "./ElevationStampLibrary.js";
 
 import { DirectionalLightSource } from "./DirectionalLightSource.js";
 
@@ -34,7 +45,7 @@ import { ElevationLayer } from "./ElevationLayer.js";
 // Settings, to toggle whether to change elevation on token move
 import { Settings, getSceneSetting, setSceneSetting } from "./settings.js";
 
-import { updateFlyTokenControl } from "./scenes.js";
+import { updateFlyTokenControl, updateReadoutTokenControl } from "./scenes.js";
 
 // Other self-executing hooks
 import "./changelog.js";
@@ -53,7 +64,7 @@ Hooks.once("init", function() {
   CONFIG[MODULE_ID] = {
 
     /**
-     * TravelElevation.
+     * TravelElevation, ShadowTileShader.
      * The percent threshold under which a tile should be considered transparent at that pixel.
      * @type {number}
      */
@@ -75,6 +86,119 @@ Hooks.once("init", function() {
      */
     resolution: 0.25,
 
+    /**
+     * ElevationLayer.
+     * Width, in pixels, of the thumbnails in the elevation versions dialog
+     * and of each image when comparing a version with the current elevation.
+     * @type {number}
+     */
+    versionThumbnailWidth: 160,
+    versionDiffWidth: 360,
+
+    /**
+     * ElevationContours.
+     * Appearance of the contour line overlay. Line widths are in canvas pixels.
+     * Labels on major lines are placed at least labelSpacing grid spaces apart.
+     * @type {object}
+     */
+    contours: {
+      color: 0x000000,
+      alpha: 0.6,
+      width: 1,
+      majorWidth: 3,
+      labelSpacing: 10
+    },
+
+    /**
+     * ElevationLayer.
+     * Vertical exaggeration applied to terrain slopes when drawing the hillshade.
+     * Increase to make gentle slopes easier to see.
+     * @type {number}
+     */
+    hillshadeExaggeration: 1,
+
+    /**
+     * Ruler.
+     * Size of the elevation profile graph drawn under each ruler segment label, in pixels.
+     * Terrain is sampled samples + 1 times along each segment.
+     * @type {object}
+     */
+    rulerProfile: {
+      width: 150,
+      height: 40,
+      samples: 50
+    },
+
+    /**
+     * AmbientSound.
+     * Percent by which a sound is quieter when a limited-height wall or the terrain
+     * is between the sound and the listener. 0 to ignore; 1 to block the sound entirely.
+     * @type {object}
+     */
+    soundAttenuation: {
+      walls: 0.5,
+      terrain: 0.5
+    },
+
+    /**
+     * CoverCalculator.
+     * inset: Percent of the target token width and height by which to inset the sample points.
+     * thresholds: Minimum percent of blocked sample points for each cover level.
+     * @type {object}
+     */
+    cover: {
+      inset: 0.1,
+      thresholds: {
+        half: 0.5,
+        threeQuarters: 0.75,
+        total: 1
+      }
+    },
+
+    /**
+     * Water regions.
+     * statusEffect: Status effect toggled on submerged tokens, if the submerged status setting is enabled.
+     * @type {object}
+     */
+    water: {
+      statusEffect: {
+        id: `${MODULE_ID}-submerged`,
+        label: `${MODULE_ID}.water.submerged`,
+        icon: "icons/svg/aura.svg"
+      }
+    },
+
+    /**
+     * SunPath.
+     * declination: Angle of the sun north of the equator, in degrees. 0 for the equinox;
+     *   about 23 for the northern summer solstice.
+     * twilight: Elevation angle of the sun, in degrees, below which the light fades toward night.
+     * animationDuration: Time, in milliseconds, to move the sun when the game clock advances.
+     *   0 to jump to the new position.
+     * @type {object}
+     */
+    sun: {
+      declination: 0,
+      twilight: 6,
+      animationDuration: 2000
+    },
+
+    /**
+     * CelestialLightsConfig.
+     * AmbientLight data used when adding a sun or moon from the celestial lights window.
+     * @type {object}
+     */
+    celestialLights: {
+      sun: {
+        config: { dim: 1, bright: 1, color: "#fff4d6", alpha: 0.3 },
+        flags: { [MODULE_ID]: { shadowTint: "#4060a0", shadowIntensity: 0.8 } }
+      },
+      moon: {
+        config: { dim: 1, bright: 1, color: "#9fb4ff", alpha: 0.4, luminosity: 0.2 },
+        flags: { [MODULE_ID]: { moonPeriod: 29.5, moonPhase: 0.5, shadowTint: "#000000", shadowIntensity: 1 } }
+      }
+    },
+
     /**
      * TravelElevation.
      * Permitted step size to allow tokens to move between tiles of similar elevations before flying.
@@ -135,8 +259,11 @@ Hooks.once("init", function() {
   game.modules.get(MODULE_ID).api = {
     util,
     extract,
+    heightmap,
     ElevationLayer,
     FILOQueue,
+    ElevationHistory,
+    ElevationSublayer,
     WallTracerEdge,
     WallTracerVertex,
     WallTracer,
@@ -146,6 +273,14 @@ Hooks.once("init", function() {
     DirectionalLightSource,
     TravelElevationRay,
     MarkerTracker,
+    CoverCalculator,
+    TileHeightmap,
+    ElevationTransition,
+    WaterRegion,
+    SunPath,
+    CelestialLightsConfig,
+    ElevationClipboard,
+    ElevationStampLibrary,
 
     PATCHER
   };
@@ -153,6 +288,7 @@ Hooks.once("init", function() {
   // These methods need to be registered early
   registerGeometry();
   Settings.registerAll();
+  Settings.registerKeybindings();
   initializePatching();
   registerLayer();
 
@@ -177,6 +313,7 @@ Hooks.on("canvasInit", function(_canvas) {
   log("canvasInit");
   registerPatchesForSceneSettings();
   updateFlyTokenControl();
+  updateReadoutTokenControl();
 });
 
 Hooks.on("canvasReady", function() {
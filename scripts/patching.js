@@ -13,6 +13,10 @@ import { DirectionalLightSource } from "./DirectionalLightSource.js";
 
 import { PATCHES as PATCHES_AdaptiveLightingShader } from "./glsl/AdaptiveLightingShader.js";
 import { PATCHES as PATCHES_AmbientLight } from "./AmbientLight.js";
+import {
+  PATCHES_AmbientSound,
+  PATCHES_AmbientSoundConfig,
+  PATCHES_SoundsLayer } from "./AmbientSound.js";
 import { PATCHES as PATCHES_Canvas } from "./Canvas.js";
 import { PATCHES as PATCHES_CanvasVisibility } from "./CanvasVisibility.js";
 import { PATCHES as PATCHES_ClockwiseSweepPolygon } from "./ClockwiseSweepPolygon.js";
@@ -20,6 +24,9 @@ import { PATCHES as PATCHES_PIXI_LegacyGraphics } from "./PIXI_LegacyGraphics.js
 import { PATCHES as PATCHES_GlobalLightSource } from "./GlobalLightSource.js";
 import { PATCHES as PATCHES_LightSource } from "./LightSource.js";
 import { PATCHES as PATCHES_RenderedPointSource } from "./RenderedPointSource.js";
+import { PATCHES as PATCHES_Ruler } from "./Ruler.js";
+import { PATCHES as PATCHES_Tile } from "./Tile.js";
+import { PATCHES as PATCHES_TokenLayer } from "./TokenLayer.js";
 import { PATCHES as PATCHES_VisionSource } from "./VisionSource.js";
 import { PATCHES as PATCHES_Wall } from "./Wall.js";
 
@@ -30,6 +37,7 @@ import {
 
 import {
   PATCHES_AmbientLightConfig,
+  PATCHES_TileConfig,
   PATCHES_TokenConfig } from "./render_configs.js";
 
 import { PATCHES_Token, PATCHES_ActiveEffect } from "./Token.js";
@@ -55,6 +63,8 @@ export const PATCHES = {
   AdaptiveLightingShader: PATCHES_AdaptiveLightingShader,
   AmbientLight: PATCHES_AmbientLight,
   AmbientLightConfig: PATCHES_AmbientLightConfig,
+  AmbientSound: PATCHES_AmbientSound,
+  AmbientSoundConfig: PATCHES_AmbientSoundConfig,
   Canvas: PATCHES_Canvas,
   CanvasVisibility: PATCHES_CanvasVisibility,
   ClockwiseSweepPolygon: PATCHES_ClockwiseSweepPolygon,
@@ -65,8 +75,13 @@ export const PATCHES = {
   LightSource: PATCHES_LightSource,
   "PIXI.LegacyGraphics": PATCHES_PIXI_LegacyGraphics,
   RenderedPointSource: PATCHES_RenderedPointSource,
+  Ruler: PATCHES_Ruler,
+  SoundsLayer: PATCHES_SoundsLayer,
+  Tile: PATCHES_Tile,
+  TileConfig: PATCHES_TileConfig,
   Token: PATCHES_Token,
   TokenConfig: PATCHES_TokenConfig,
+  TokenLayer: PATCHES_TokenLayer,
   VisionSource: PATCHES_VisionSource,
   Wall: PATCHES_Wall
 };
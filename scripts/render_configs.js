@@ -8,13 +8,16 @@ renderTemplate
 
 import { MODULE_ID, TEMPLATES, FLAGS } from "./const.js";
 import { DirectionalLightSource } from "./DirectionalLightSource.js";
+import { SunPath } from "./SunPath.js";
 import { Settings, getSceneSetting } from "./settings.js";
 
 export const PATCHES_AmbientLightConfig = {};
 export const PATCHES_TokenConfig = {};
+export const PATCHES_TileConfig = {};
 
 PATCHES_AmbientLightConfig.BASIC = {};
 PATCHES_TokenConfig.BASIC = {};
+PATCHES_TileConfig.BASIC = {};
 
 async function renderTokenConfigHook(app, html, data) {
   const template = TEMPLATES.TOKEN;
@@ -40,6 +43,20 @@ PATCHES_TokenConfig.BASIC.HOOKS = {
   renderTokenConfig: renderTokenConfigHook
 };
 
+/**
+ * Inject html to add controls to the tile configuration to set a heightmap for the tile.
+ */
+async function renderTileConfigHook(app, html, data) {
+  const template = TEMPLATES.TILE;
+  const findString = "div[data-tab='overhead']:last";
+  await injectConfiguration(app, html, data, template, findString);
+  html.find("button.file-picker.elevatedvision").click(app._activateFilePicker.bind(app));
+}
+
+PATCHES_TileConfig.BASIC.HOOKS = {
+  renderTileConfig: renderTileConfigHook
+};
+
 /**
  * Inject html to add controls to the ambient light configuration to allow user to set elevation.
  */
@@ -71,6 +88,8 @@ function calculateDirectionalData(app, data) {
     pixelsDistance: (1 / canvas.dimensions.distancePixels).toPrecision(1),
     azimuth: Math.normalizeDegrees(Math.toDegrees(azimuth)).toFixed(1),
     elevationAngle: Math.normalizeDegrees(Math.toDegrees(elevationAngle)).toFixed(1),
+    celestialBodies: SunPath.BODY_LABELS,
+    shadowTint: app.object.flags[MODULE_ID]?.shadowTint || "#ffffff",
     isDirectional };
   foundry.utils.mergeObject(data.data, renderData, {inplace: true});
 }
@@ -119,6 +138,7 @@ function onCheckDirectional(event) {
   const elemAzimuth = document.getElementById("elevatedvision-config-azimuth");
   const elemElevationAngle = document.getElementById("elevatedvision-config-elevationAngle");
   const elemSolarAngle = document.getElementById("elevatedvision-config-solarAngle");
+  const elemCelestial = document.getElementById("elevatedvision-config-celestial");
   const clone = this.object.object._preview;
   const directionalLightChecked = event.target.checked;
 
@@ -128,6 +148,7 @@ function onCheckDirectional(event) {
     elemAzimuth.style.display = "block";
     elemElevationAngle.style.display = "block";
     elemSolarAngle.style.display = "block";
+    elemCelestial.style.display = "block";
 
   } else {  // Point source
     if ( clone ) clone.convertFromDirectionalLight();
@@ -135,6 +156,7 @@ function onCheckDirectional(event) {
     elemAzimuth.style.display = "none";
     elemElevationAngle.style.display = "none";
     elemSolarAngle.style.display = "none";
+    elemCelestial.style.display = "none";
   }
 }
 
@@ -27,23 +27,43 @@ async function flyControlClicked(toggle) {
   await Settings.set(Settings.KEYS.FLY_BUTTON_ENABLED, toggle);
 }
 
+const READOUT_CONTROL = {
+  name: Settings.KEYS.READOUT.ENABLED,
+  title: `${MODULE_ID}.controls.${Settings.KEYS.READOUT.ENABLED}.name`,
+  icon: "fas fa-ruler-vertical",
+  toggle: true,
+  onClick: readoutControlClicked
+};
+
+async function readoutControlClicked(toggle) {
+  await Settings.set(Settings.KEYS.READOUT.ENABLED, toggle);
+}
+
 Hooks.once("init", function() {
   // Cannot access localization until init.
   FLY_CONTROL.title = game.i18n.localize(FLY_CONTROL.title);
+  READOUT_CONTROL.title = game.i18n.localize(READOUT_CONTROL.title);
 });
 
 Hooks.on("getSceneControlButtons", getSceneControlButtonsHook);
 Hooks.on("renderSceneConfig", renderSceneConfigHook);
 Hooks.on("updateScene", updateSceneHook);
 Hooks.on("preUpdateScene", preUpdateSceneHook);
+Hooks.on("updateWorldTime", updateWorldTimeHook);
 
 
 /**
  * Render the fly button if that setting is enabled and auto elevation is enabled.
+ * Render the elevation readout button if the readout is enabled for the scene.
  */
 function getSceneControlButtonsHook(controls) {
-  if ( !canvas.scene || !Settings.get(Settings.KEYS.FLY_BUTTON) || !getSceneSetting(Settings.KEYS.AUTO_ELEVATION) ) return;
+  if ( !canvas.scene ) return;
   const tokenTools = controls.find(c => c.name === "token");
+  if ( getSceneSetting(Settings.KEYS.READOUT.PLAYERS) ) {
+    READOUT_CONTROL.active = Settings.get(Settings.KEYS.READOUT.ENABLED);
+    tokenTools.tools.push(READOUT_CONTROL);
+  }
+  if ( !Settings.get(Settings.KEYS.FLY_BUTTON) || !getSceneSetting(Settings.KEYS.AUTO_ELEVATION) ) return;
   tokenTools.tools.push(FLY_CONTROL);
 }
 
@@ -62,7 +82,20 @@ async function renderSceneConfigHook(app, html, data) {
     Settings.KEYS.ELEVATION_MINIMUM,
     Settings.KEYS.ELEVATION_INCREMENT,
     Settings.KEYS.AUTO_ELEVATION,
-    Settings.KEYS.SHADING.ALGORITHM
+    Settings.KEYS.SHADING.ALGORITHM,
+    Settings.KEYS.CONTOURS.INTERVAL,
+    Settings.KEYS.CONTOURS.MAJOR,
+    Settings.KEYS.CONTOURS.PLAYERS,
+    Settings.KEYS.READOUT.PLAYERS,
+    Settings.KEYS.HILLSHADE.ENABLED,
+    Settings.KEYS.HILLSHADE.DIRECTIONAL,
+    Settings.KEYS.HILLSHADE.AZIMUTH,
+    Settings.KEYS.HILLSHADE.ALTITUDE,
+    Settings.KEYS.HILLSHADE.INTENSITY,
+    Settings.KEYS.SUN.ENABLED,
+    Settings.KEYS.SUN.LATITUDE,
+    Settings.KEYS.SUN.DAY_LENGTH,
+    Settings.KEYS.SUN.NORTH
   ];
 
   for ( const setting of sceneSettings ) {
@@ -104,6 +137,29 @@ async function updateSceneHook(document, change, _options, _userId) {
     else if ( autoelevate === false ) ui.notifications.notify("Elevated Vision autoelevate disabled for scene.");
   }
 
+  // Redraw the contours if their settings changed.
+  const { INTERVAL, MAJOR, PLAYERS } = Settings.KEYS.CONTOURS;
+  if ( [INTERVAL, MAJOR, PLAYERS].some(key => Object.hasOwn(modFlags, key)) && canvas.elevation.contours ) {
+    canvas.elevation.contours.refresh();
+    canvas.elevation.contours.updateVisibility();
+  }
+
+  // Add or remove the elevation readout control.
+  const readout = modFlags[Settings.KEYS.READOUT.PLAYERS];
+  if ( typeof readout !== "undefined" ) {
+    updateReadoutTokenControl(readout);
+    canvas.elevation.readout?.update();
+  }
+
+  // Update the hillshade if its settings or the elevation increment changed.
+  const { ENABLED, DIRECTIONAL, AZIMUTH, ALTITUDE, INTENSITY } = Settings.KEYS.HILLSHADE;
+  const hillshadeKeys = [ENABLED, DIRECTIONAL, AZIMUTH, ALTITUDE, INTENSITY, Settings.KEYS.ELEVATION_INCREMENT];
+  if ( hillshadeKeys.some(key => Object.hasOwn(modFlags, key)) ) canvas.elevation.refreshHillshade();
+
+  // Move the sun if its settings changed.
+  const sunKeys = Object.values(Settings.KEYS.SUN).filter(key => typeof key === "string");
+  if ( sunKeys.some(key => Object.hasOwn(modFlags, key)) ) canvas.elevation.sun?.update({ animate: false });
+
   const algorithm = modFlags[Settings.KEYS.SHADING.ALGORITHM];
   if ( algorithm ) {
     registerPatchesForSceneSettings();
@@ -112,6 +168,16 @@ async function updateSceneHook(document, change, _options, _userId) {
   }
 }
 
+/**
+ * Move the sun when the game clock changes.
+ * @param {number} _worldTime   The new world time
+ * @param {number} _delta       The time advanced, in seconds
+ */
+function updateWorldTimeHook(_worldTime, _delta) {
+  if ( !canvas.ready ) return;
+  canvas.elevation.sun?.update();
+}
+
 export function updateFlyTokenControl(enable) {
   enable ??= getSceneSetting(Settings.KEYS.AUTO_ELEVATION);
   const tokenTools = ui.controls.controls.find(c => c.name === "token");
@@ -123,3 +189,15 @@ export function updateFlyTokenControl(enable) {
   else if ( ~flyIndex ) tokenTools.tools.splice(flyIndex, 1);
   ui.controls.render(true);
 }
+
+export function updateReadoutTokenControl(enable) {
+  enable ??= getSceneSetting(Settings.KEYS.READOUT.PLAYERS);
+  const tokenTools = ui.controls.controls.find(c => c.name === "token");
+  const readoutIndex = tokenTools.tools.findIndex(b => b.name === Settings.KEYS.READOUT.ENABLED);
+  if ( enable && !~readoutIndex ) {
+    READOUT_CONTROL.active = Settings.get(Settings.KEYS.READOUT.ENABLED);
+    tokenTools.tools.push(READOUT_CONTROL);
+  }
+  else if ( !enable && ~readoutIndex ) tokenTools.tools.splice(readoutIndex, 1);
+  ui.controls.render(true);
+}
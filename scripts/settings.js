@@ -1,6 +1,7 @@
 /* globals
 canvas,
 ColorPicker,
+CONST,
 game
 */
 "use strict";
@@ -27,7 +28,88 @@ export const SETTINGS = {
     SIZE: "brush-size",
     DEFAULT_SIZE: 100,
     MAX_SIZE: 500,
-    MIN_SIZE: 1
+    MIN_SIZE: 1,
+    SHAPE: "brush-shape",
+    SHAPES: {
+      CIRCLE: "brush_circle",
+      SQUARE: "brush_square",
+      HEX: "brush_hex",
+      GRID: "brush_grid"
+    },
+    GRID_RADIUS: "brush-grid-radius",
+    MAX_GRID_RADIUS: 20,
+    GRID_FOOTPRINT: "brush-grid-footprint",
+    FOOTPRINTS: {
+      SQUARE: "footprint_square",
+      DIAMOND: "footprint_diamond"
+    }
+  },
+
+  GRADIENT: {
+    EASING: "gradient-easing",
+    TYPES: {
+      LINEAR: "gradient_linear",
+      EASE: "gradient_ease"
+    },
+    CLIP: "gradient-clip-walls"
+  },
+
+  CONTOURS: {
+    DISPLAY: "contours-display",
+    INTERVAL: "contours-interval",
+    MAJOR: "contours-major",
+    PLAYERS: "contours-players",
+    DEFAULT_INTERVAL: 10,
+    DEFAULT_MAJOR: 5
+  },
+
+  HILLSHADE: {
+    ENABLED: "hillshade-enabled",
+    DIRECTIONAL: "hillshade-directional",
+    AZIMUTH: "hillshade-azimuth",
+    ALTITUDE: "hillshade-altitude",
+    INTENSITY: "hillshade-intensity",
+    DEFAULT_AZIMUTH: 225,
+    DEFAULT_ALTITUDE: 45,
+    DEFAULT_INTENSITY: 0.5
+  },
+
+  SUN: {
+    ENABLED: "sun-enabled",
+    LATITUDE: "sun-latitude",
+    DAY_LENGTH: "sun-day-length",
+    NORTH: "sun-north",
+    DEFAULT_LATITUDE: 40,
+    DEFAULT_DAY_LENGTH: 86400,
+    DEFAULT_NORTH: 270
+  },
+
+  FALL: {
+    CHAT: "fall-chat",
+    FORMULA: "fall-damage-formula",
+    DEFAULT_FORMULA: "(floor(@distance / 10))d6"
+  },
+
+  CLIMB: {
+    MULTIPLIER: "climb-multiplier",
+    MAX_SLOPE: "climb-max-slope"
+  },
+
+  WATER: {
+    VISION: "water-vision",
+    STATUS: "water-status"
+  },
+
+  VERSIONS: {
+    RETENTION: "versions-retention",
+    DEFAULT_RETENTION: 5,
+    MAX_RETENTION: 20
+  },
+
+  READOUT: {
+    PLAYERS: "readout-players",
+    ENABLED: "readout-enabled",
+    KEYBINDING: "readout-key"
   },
 
   COLOR: {
@@ -53,11 +135,13 @@ export const SETTINGS = {
 
   TEST_VISIBILITY: "test-visibility",
   LIGHTS_FULL_PENUMBRA: "lights-full-penumbra",
+  TOKEN_SHADOWS: "token-shadows",
   // VISION_USE_SHADER: "vision-use-shader",  // Deprecated
   AUTO_ELEVATION: "auto-change-elevation",
   // AUTO_AVERAGING: "auto-change-elevation.averaging", // Deprecated
   CLOCKWISE_SWEEP: "enhance-cw-sweep",
   FLY_BUTTON: "add-fly-button",
+  RULER_PROFILE: "ruler-profile",
   FLY_BUTTON_ENABLED: "fly-button-enabled",
   ELEVATION_MINIMUM: "elevationmin",
   ELEVATION_INCREMENT: "elevationstep",
@@ -82,6 +166,19 @@ export function defaultSceneSetting(value) {
     case Settings.KEYS.ELEVATION_INCREMENT: return Settings.get(value) ?? 1;
     case Settings.KEYS.AUTO_ELEVATION: return Settings.get(value) ?? true;
     case Settings.KEYS.SHADING.ALGORITHM: return Settings.get(value) ?? Settings.KEYS.SHADING.TYPES.POLYGONS;
+    case Settings.KEYS.CONTOURS.INTERVAL: return Settings.KEYS.CONTOURS.DEFAULT_INTERVAL;
+    case Settings.KEYS.CONTOURS.MAJOR: return Settings.KEYS.CONTOURS.DEFAULT_MAJOR;
+    case Settings.KEYS.CONTOURS.PLAYERS: return false;
+    case Settings.KEYS.READOUT.PLAYERS: return false;
+    case Settings.KEYS.HILLSHADE.ENABLED: return false;
+    case Settings.KEYS.HILLSHADE.DIRECTIONAL: return true;
+    case Settings.KEYS.HILLSHADE.AZIMUTH: return Settings.KEYS.HILLSHADE.DEFAULT_AZIMUTH;
+    case Settings.KEYS.HILLSHADE.ALTITUDE: return Settings.KEYS.HILLSHADE.DEFAULT_ALTITUDE;
+    case Settings.KEYS.HILLSHADE.INTENSITY: return Settings.KEYS.HILLSHADE.DEFAULT_INTENSITY;
+    case Settings.KEYS.SUN.ENABLED: return false;
+    case Settings.KEYS.SUN.LATITUDE: return Settings.KEYS.SUN.DEFAULT_LATITUDE;
+    case Settings.KEYS.SUN.DAY_LENGTH: return Settings.KEYS.SUN.DEFAULT_DAY_LENGTH;
+    case Settings.KEYS.SUN.NORTH: return Settings.KEYS.SUN.DEFAULT_NORTH;
   }
 }
 
@@ -168,6 +265,78 @@ export class Settings extends ModuleSettingsAbstract {
       type: Number
     });
 
+    const BRUSH_SHAPES = KEYS.BRUSH.SHAPES;
+    register(KEYS.BRUSH.SHAPE, {
+      name: localize(`${KEYS.BRUSH.SHAPE}.name`),
+      hint: localize(`${KEYS.BRUSH.SHAPE}.hint`),
+      scope: "world",
+      config: true,
+      default: BRUSH_SHAPES.CIRCLE,
+      type: String,
+      requiresReload: false,
+      choices: {
+        [BRUSH_SHAPES.CIRCLE]: localize(`${BRUSH_SHAPES.CIRCLE}`),
+        [BRUSH_SHAPES.SQUARE]: localize(`${BRUSH_SHAPES.SQUARE}`),
+        [BRUSH_SHAPES.HEX]: localize(`${BRUSH_SHAPES.HEX}`),
+        [BRUSH_SHAPES.GRID]: localize(`${BRUSH_SHAPES.GRID}`)
+      }
+    });
+
+    register(KEYS.BRUSH.GRID_RADIUS, {
+      name: localize(`${KEYS.BRUSH.GRID_RADIUS}.name`),
+      hint: localize(`${KEYS.BRUSH.GRID_RADIUS}.hint`),
+      scope: "world",
+      config: true,
+      range: {
+        min: 0,
+        step: 1,
+        max: KEYS.BRUSH.MAX_GRID_RADIUS
+      },
+      default: 0,
+      requiresReload: false,
+      type: Number
+    });
+
+    const FOOTPRINTS = KEYS.BRUSH.FOOTPRINTS;
+    register(KEYS.BRUSH.GRID_FOOTPRINT, {
+      name: localize(`${KEYS.BRUSH.GRID_FOOTPRINT}.name`),
+      hint: localize(`${KEYS.BRUSH.GRID_FOOTPRINT}.hint`),
+      scope: "world",
+      config: true,
+      default: FOOTPRINTS.SQUARE,
+      type: String,
+      requiresReload: false,
+      choices: {
+        [FOOTPRINTS.SQUARE]: localize(`${FOOTPRINTS.SQUARE}`),
+        [FOOTPRINTS.DIAMOND]: localize(`${FOOTPRINTS.DIAMOND}`)
+      }
+    });
+
+    const GRADIENT_TYPES = KEYS.GRADIENT.TYPES;
+    register(KEYS.GRADIENT.EASING, {
+      name: localize(`${KEYS.GRADIENT.EASING}.name`),
+      hint: localize(`${KEYS.GRADIENT.EASING}.hint`),
+      scope: "world",
+      config: true,
+      default: GRADIENT_TYPES.LINEAR,
+      type: String,
+      requiresReload: false,
+      choices: {
+        [GRADIENT_TYPES.LINEAR]: localize(`${GRADIENT_TYPES.LINEAR}`),
+        [GRADIENT_TYPES.EASE]: localize(`${GRADIENT_TYPES.EASE}`)
+      }
+    });
+
+    register(KEYS.GRADIENT.CLIP, {
+      name: localize(`${KEYS.GRADIENT.CLIP}.name`),
+      hint: localize(`${KEYS.GRADIENT.CLIP}.hint`),
+      scope: "world",
+      config: true,
+      default: false,
+      type: Boolean,
+      requiresReload: false
+    });
+
     register(KEYS.AUTO_ELEVATION, {
       name: localize(`${KEYS.AUTO_ELEVATION}.name`),
       hint: localize(`${KEYS.AUTO_ELEVATION}.hint`),
@@ -190,6 +359,102 @@ export class Settings extends ModuleSettingsAbstract {
       onChange: reloadTokenControls
     });
 
+    register(KEYS.FALL.CHAT, {
+      name: localize(`${KEYS.FALL.CHAT}.name`),
+      hint: localize(`${KEYS.FALL.CHAT}.hint`),
+      scope: "world",
+      config: true,
+      default: false,
+      type: Boolean,
+      requiresReload: false
+    });
+
+    register(KEYS.FALL.FORMULA, {
+      name: localize(`${KEYS.FALL.FORMULA}.name`),
+      hint: localize(`${KEYS.FALL.FORMULA}.hint`),
+      scope: "world",
+      config: true,
+      default: KEYS.FALL.DEFAULT_FORMULA,
+      type: String,
+      requiresReload: false
+    });
+
+    register(KEYS.CLIMB.MULTIPLIER, {
+      name: localize(`${KEYS.CLIMB.MULTIPLIER}.name`),
+      hint: localize(`${KEYS.CLIMB.MULTIPLIER}.hint`),
+      scope: "world",
+      config: true,
+      range: {
+        min: 0,
+        max: 5,
+        step: 0.5
+      },
+      default: 0,
+      type: Number,
+      requiresReload: false
+    });
+
+    register(KEYS.CLIMB.MAX_SLOPE, {
+      name: localize(`${KEYS.CLIMB.MAX_SLOPE}.name`),
+      hint: localize(`${KEYS.CLIMB.MAX_SLOPE}.hint`),
+      scope: "world",
+      config: true,
+      range: {
+        min: 0,
+        max: 90,
+        step: 1
+      },
+      default: 90,
+      type: Number,
+      requiresReload: false
+    });
+
+    register(KEYS.WATER.VISION, {
+      name: localize(`${KEYS.WATER.VISION}.name`),
+      hint: localize(`${KEYS.WATER.VISION}.hint`),
+      scope: "world",
+      config: true,
+      default: 0,
+      type: Number,
+      requiresReload: false,
+      onChange: () => canvas.tokens?.placeables.forEach(t => t.initializeVisionSource())
+    });
+
+    register(KEYS.WATER.STATUS, {
+      name: localize(`${KEYS.WATER.STATUS}.name`),
+      hint: localize(`${KEYS.WATER.STATUS}.hint`),
+      scope: "world",
+      config: true,
+      default: false,
+      type: Boolean,
+      requiresReload: false
+    });
+
+    register(KEYS.VERSIONS.RETENTION, {
+      name: localize(`${KEYS.VERSIONS.RETENTION}.name`),
+      hint: localize(`${KEYS.VERSIONS.RETENTION}.hint`),
+      scope: "world",
+      config: true,
+      range: {
+        min: 0,
+        max: KEYS.VERSIONS.MAX_RETENTION,
+        step: 1
+      },
+      default: KEYS.VERSIONS.DEFAULT_RETENTION,
+      type: Number,
+      requiresReload: false
+    });
+
+    register(KEYS.RULER_PROFILE, {
+      name: localize(`${KEYS.RULER_PROFILE}.name`),
+      hint: localize(`${KEYS.RULER_PROFILE}.hint`),
+      scope: "user",
+      config: true,
+      default: false,
+      type: Boolean,
+      requiresReload: false
+    });
+
     const ELEV_TYPES = KEYS.ELEVATION_MEASUREMENT.TYPES;
     register(KEYS.ELEVATION_MEASUREMENT.ALGORITHM, {
       name: localize(`${KEYS.ELEVATION_MEASUREMENT.ALGORITHM}.name`),
@@ -274,6 +539,16 @@ export class Settings extends ModuleSettingsAbstract {
       type: Boolean
     });
 
+    register(KEYS.TOKEN_SHADOWS, {
+      name: localize(`${KEYS.TOKEN_SHADOWS}.name`),
+      hint: localize(`${KEYS.TOKEN_SHADOWS}.hint`),
+      scope: "world",
+      config: true,
+      default: false,
+      requiresReload: true,
+      type: Boolean
+    });
+
     register(KEYS.CLOCKWISE_SWEEP, {
       name: localize(`${KEYS.CLOCKWISE_SWEEP}.name`),
       hint: localize(`${KEYS.CLOCKWISE_SWEEP}.hint`),
@@ -291,6 +566,47 @@ export class Settings extends ModuleSettingsAbstract {
       requiresReload: false,
       type: Boolean
     });
+
+    register(KEYS.CONTOURS.DISPLAY, {
+      scope: "user",
+      config: false,
+      default: false,
+      requiresReload: false,
+      type: Boolean,
+      onChange: () => canvas.elevation?.contours?.updateVisibility()
+    });
+
+    register(KEYS.READOUT.ENABLED, {
+      scope: "user",
+      config: false,
+      default: false,
+      requiresReload: false,
+      type: Boolean,
+      onChange: () => canvas.elevation?.readout?.update()
+    });
+  }
+
+  /**
+   * Register keybindings for this module.
+   */
+  static registerKeybindings() {
+    const { KEYS, localize } = this;
+    game.keybindings.register(MODULE_ID, KEYS.READOUT.KEYBINDING, {
+      name: localize(`${KEYS.READOUT.KEYBINDING}.name`),
+      hint: localize(`${KEYS.READOUT.KEYBINDING}.hint`),
+      editable: [{ key: "KeyE" }],
+      onDown: () => {
+        const readout = canvas.elevation?.readout;
+        if ( !readout || !getSceneSetting(KEYS.READOUT.PLAYERS) ) return false;
+        readout.held = true;
+        return true;
+      },
+      onUp: () => {
+        const readout = canvas.elevation?.readout;
+        if ( readout ) readout.held = false;
+      },
+      precedence: CONST.KEYBINDING_PRECEDENCE.NORMAL
+    });
   }
 }
 
@@ -0,0 +1,221 @@
+/* globals
+*/
+"use strict";
+
+/* Procedural terrain
+
+Generates a Heightmap (see heightmap.js) with values between 0 and 1, which
+ElevationLayer.prototype.generateTerrain maps onto an elevation range.
+- Fractal noise: Several octaves of gradient noise, each at twice the frequency and a fraction of
+  the amplitude of the one before. Produces rolling hills.
+- Ridged noise: Fractal noise folded at zero, producing sharp ridges and valleys like mountains.
+- Island falloff: Lowers the terrain toward the edges so the high ground is in the middle.
+- Erosion: Thermal erosion moves material down slopes steeper than a threshold, softening peaks
+  and filling valleys.
+The same seed and options always produce the same terrain.
+*/
+
+export const TERRAIN_NOISE_TYPES = {
+  FRACTAL: "fractal",
+  RIDGED: "ridged"
+};
+
+/**
+ * Generate a heightmap of procedural terrain.
+ * @param {object} opts
+ * @param {number} opts.width               Number of columns
+ * @param {number} opts.height              Number of rows
+ * @param {string} [opts.type]              One of TERRAIN_NOISE_TYPES
+ * @param {number|string} [opts.seed]       Seed for the random number generator
+ * @param {number} [opts.scale]             Approximate size of the largest features, in cells
+ * @param {number} [opts.octaves]           Number of noise layers to combine
+ * @param {number} [opts.persistence]       Amplitude of each octave relative to the one before
+ * @param {boolean} [opts.island]           Lower the terrain toward the edges
+ * @param {number} [opts.erosion]           Number of thermal erosion iterations
+ * @returns {Heightmap} Values between 0 and 1.
+ */
+export function generateTerrain({
+  width,
+  height,
+  type = TERRAIN_NOISE_TYPES.FRACTAL,
+  seed = 0,
+  scale = 100,
+  octaves = 5,
+  persistence = 0.5,
+  island = false,
+  erosion = 0 } = {}) {
+
+  const random = mulberry32(hashSeed(seed));
+  const noise = gradientNoise(random);
+  const octaveFn = type === TERRAIN_NOISE_TYPES.RIDGED
+    ? n => (1 - Math.abs(n)) ** 2
+    : n => (n + 1) * 0.5;
+
+  // Offset each octave so the octaves do not line up at the origin.
+  const offsets = Array.fromRange(octaves).map(() => [random() * 256, random() * 256]);
+  const invScale = 1 / Math.max(scale, 1);
+  const values = new Float32Array(width * height);
+  for ( let y = 0, i = 0; y < height; y += 1 ) {
+    for ( let x = 0; x < width; x += 1, i += 1 ) {
+      let value = 0;
+      let amplitude = 1;
+      let frequency = invScale;
+      for ( let o = 0; o < octaves; o += 1 ) {
+        const [ox, oy] = offsets[o];
+        value += amplitude * octaveFn(noise((x * frequency) + ox, (y * frequency) + oy));
+        amplitude *= persistence;
+        frequency *= 2;
+      }
+      values[i] = value;
+    }
+  }
+  normalizeValues(values);
+
+  if ( island ) applyIslandFalloff(values, width, height);
+  if ( erosion > 0 ) applyThermalErosion(values, width, height, erosion);
+  normalizeValues(values);
+  return { values, width, height };
+}
+
+/**
+ * Convert a number or string seed to an unsigned 32-bit integer, using FNV-1a.
+ * @param {number|string} seed
+ * @returns {number}
+ */
+function hashSeed(seed) {
+  const str = String(seed);
+  let hash = 2166136261;
+  for ( let i = 0; i < str.length; i += 1 ) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Seeded random number generator.
+ * @param {number} seed   Unsigned 32-bit integer
+ * @returns {function} Returns a number between 0 (inclusive) and 1 (exclusive) with each call.
+ */
+function mulberry32(seed) {
+  return function() {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Two-dimensional gradient (Perlin) noise, using a permutation shuffled by the random function.
+ * @param {function} random
+ * @returns {function} Takes x and y and returns a value between -1 and 1.
+ */
+function gradientNoise(random) {
+  const p = Array.fromRange(256);
+  for ( let i = 255; i > 0; i -= 1 ) {
+    const j = Math.floor(random() * (i + 1));
+    [p[i], p[j]] = [p[j], p[i]];
+  }
+  const perm = new Uint8Array(512);
+  for ( let i = 0; i < 512; i += 1 ) perm[i] = p[i & 255];
+
+  const fade = t => t * t * t * ((t * ((t * 6) - 15)) + 10);
+  const lerp = (a, b, t) => a + ((b - a) * t);
+  const grad = (hash, x, y) => {
+    switch ( hash & 3 ) {
+      case 0: return x + y;
+      case 1: return -x + y;
+      case 2: return x - y;
+      default: return -x - y;
+    }
+  };
+
+  return (x, y) => {
+    const xi = Math.floor(x);
+    const yi = Math.floor(y);
+    const xf = x - xi;
+    const yf = y - yi;
+    const X = xi & 255;
+    const Y = yi & 255;
+    const u = fade(xf);
+    const v = fade(yf);
+
+    const aa = perm[perm[X] + Y];
+    const ab = perm[perm[X] + Y + 1];
+    const ba = perm[perm[X + 1] + Y];
+    const bb = perm[perm[X + 1] + Y + 1];
+    const x1 = lerp(grad(aa, xf, yf), grad(ba, xf - 1, yf), u);
+    const x2 = lerp(grad(ab, xf, yf - 1), grad(bb, xf - 1, yf - 1), u);
+    return lerp(x1, x2, v);
+  };
+}
+
+/**
+ * Rescale values in place so they span 0 to 1.
+ * @param {Float32Array} values
+ */
+function normalizeValues(values) {
+  let min = Number.POSITIVE_INFINITY;
+  let max = Number.NEGATIVE_INFINITY;
+  const ln = values.length;
+  for ( let i = 0; i < ln; i += 1 ) {
+    min = Math.min(min, values[i]);
+    max = Math.max(max, values[i]);
+  }
+  const range = max - min;
+  for ( let i = 0; i < ln; i += 1 ) values[i] = range ? (values[i] - min) / range : 0;
+}
+
+/**
+ * Lower values toward the edges of the heightmap, reaching 0 at the corners.
+ * @param {Float32Array} values
+ * @param {number} width
+ * @param {number} height
+ */
+function applyIslandFalloff(values, width, height) {
+  const smoothstep = (edge0, edge1, x) => {
+    const t = Math.clamped((x - edge0) / (edge1 - edge0), 0, 1);
+    return t * t * (3 - (2 * t));
+  };
+  for ( let y = 0, i = 0; y < height; y += 1 ) {
+    const ny = ((y / Math.max(height - 1, 1)) * 2) - 1;
+    for ( let x = 0; x < width; x += 1, i += 1 ) {
+      const nx = ((x / Math.max(width - 1, 1)) * 2) - 1;
+      values[i] *= 1 - smoothstep(0.4, 1, Math.hypot(nx, ny));
+    }
+  }
+}
+
+/**
+ * Thermal erosion. Each iteration, every cell higher than its lowest neighbor by more than
+ * the talus threshold moves half the excess to that neighbor.
+ * @param {Float32Array} values
+ * @param {number} width
+ * @param {number} height
+ * @param {number} iterations
+ */
+function applyThermalErosion(values, width, height, iterations) {
+  const talus = 4 / Math.max(width, height);
+  const deltas = new Float32Array(values.length);
+  for ( let n = 0; n < iterations; n += 1 ) {
+    deltas.fill(0);
+    for ( let y = 0, i = 0; y < height; y += 1 ) {
+      for ( let x = 0; x < width; x += 1, i += 1 ) {
+        const h = values[i];
+        let lowest = i;
+        if ( x > 0 && values[i - 1] < values[lowest] ) lowest = i - 1;
+        if ( x < width - 1 && values[i + 1] < values[lowest] ) lowest = i + 1;
+        if ( y > 0 && values[i - width] < values[lowest] ) lowest = i - width;
+        if ( y < height - 1 && values[i + width] < values[lowest] ) lowest = i + width;
+        const excess = h - values[lowest] - talus;
+        if ( excess <= 0 ) continue;
+        const moved = excess * 0.5;
+        deltas[i] -= moved;
+        deltas[lowest] += moved;
+      }
+    }
+    const ln = values.length;
+    for ( let i = 0; i < ln; i += 1 ) values[i] += deltas[i];
+  }
+}
@@ -4,12 +4,14 @@ foundry,
 canvas,
 ClipperLib,
 CONFIG,
+CONST,
 PIXI
 */
 "use strict";
 
 import { MODULE_ID } from "./const.js";
 import { Point3d } from "./geometry/3d/Point3d.js";
+import { Plane } from "./geometry/3d/Plane.js";
 
 
 /**
@@ -22,6 +24,25 @@ export function mod256(n) { return (n & 255); }
  */
 export function quotient256(n) { return (n >> 8); }
 
+/**
+ * Given red and green 8-bit channels of a color,
+ * return an integer value.
+ * @param {number} r    Red channel value, between 0 and 255.
+ * @param {number} g    Green channel value, between 0 and 255.
+ * @returns {number} Number between 0 and 65,536. (256 * 256).
+ */
+export function decodeElevationChannels(r, g) { return (g * 256) + r; }
+
+/**
+ * Given a number representing normalized elevation, returns its encoded color channels.
+ * @param {number} e    Normalized elevation integer between 0 and 65,536.
+ * @returns {object}
+ *   - {number} r   Red channel, integer between 0 and 255
+ *   - {number} g   Green channel, integer between 0 and 255
+ *   - {number} b   Blue channel, currently unused
+ */
+export function encodeElevationChannels(e) { return { r: mod256(e), g: quotient256(e), b: 0 }; }
+
 export function almostLessThan(a, b) { return a < b || a.almostEqual(b); }
 
 export function almostGreaterThan(a, b) { return a > b || a.almostEqual(b); }
@@ -199,6 +220,23 @@ export function drawPolygonWithHoles(polygonArray, {
   graphics.endFill();
 }
 
+/**
+ * Test whether a point is within polygons that may have holes.
+ * The point must be within a boundary polygon and not within a hole.
+ * @param {PIXI.Polygon[]} polygonArray   Polygons representing boundaries or holes.
+ * @param {Point} pt
+ * @returns {boolean}
+ */
+export function polygonsWithHolesContain(polygonArray, pt) {
+  let inside = false;
+  for ( const poly of polygonArray ) {
+    if ( !poly.contains(pt.x, pt.y) ) continue;
+    if ( poly.isHole ) return false;
+    inside = true;
+  }
+  return inside;
+}
+
 export function drawPolygonWithHolesPV(polygonArray, {
   graphics,
   fillColor = 0xFFFFFF,
@@ -290,6 +328,114 @@ export function convertBase64ToImage(image64) {
   return ab;
 }
 
+/**
+ * Test whether any wall blocks the line segment AB in 3d.
+ * @param {Point3d} a     The first endpoint of segment AB
+ * @param {Point3d} b     The second endpoint of segment AB
+ * @param {object} [options]
+ * @param {string} [options.senseType]      Wall restriction type to test: "sight", "sound", "light", or "move"
+ * @param {boolean} [options.limitedOnly]   Only test walls with a finite top or bottom elevation
+ * @returns {boolean}
+ */
+export function wallsBlockLine(a, b, { senseType = "sight", limitedOnly = false } = {}) {
+  const xMinMax = Math.minMax(a.x, b.x);
+  const yMinMax = Math.minMax(a.y, b.y);
+  const lineBounds = new PIXI.Rectangle(xMinMax.min, yMinMax.min, xMinMax.max - xMinMax.min, yMinMax.max - yMinMax.min);
+  const collisionTest = o => {
+    const wall = o.t;
+    if ( wall.document[senseType] === CONST.WALL_SENSE_TYPES.NONE || wall.isOpen ) return false;
+    return !limitedOnly || isFinite(wall.topE) || isFinite(wall.bottomE);
+  };
+  const walls = canvas.walls.quadtree.getObjects(lineBounds, { collisionTest });
+  if ( !walls.size ) return false;
+
+  const dir = b.subtract(a);
+  return walls.some(w => {
+    const wallPts = Point3d.fromWall(w, { finite: true });
+    const t = Plane.rayIntersectionQuad3dLD(a, dir, wallPts.A.top, wallPts.A.bottom, wallPts.B.bottom, wallPts.B.top);
+    return t !== null && t >= 0 && t <= 1;
+  });
+}
+
+/**
+ * Test whether the terrain rises above the line segment AB.
+ * Samples the terrain every quarter grid space, not including the endpoints.
+ * @param {Point3d} a     The first endpoint of segment AB
+ * @param {Point3d} b     The second endpoint of segment AB
+ * @returns {boolean}
+ */
+export function terrainBlocksLine(a, b) {
+  const { pixelsToGridUnits } = CONFIG.GeometryLib.utils;
+  const aE = pixelsToGridUnits(a.z);
+  const bE = pixelsToGridUnits(b.z);
+  const dist = PIXI.Point.distanceBetween(a, b);
+  const numSamples = Math.ceil(dist / (canvas.dimensions.size * 0.25));
+  const a2d = a.to2d();
+  const b2d = b.to2d();
+  for ( let i = 1; i < numSamples; i += 1 ) {
+    const t = i / numSamples;
+    const lineE = aE + ((bE - aE) * t);
+    if ( canvas.elevation.elevationAt(a2d.projectToward(b2d, t)) > lineE ) return true;
+  }
+  return false;
+}
+
+/**
+ * Where does the line segment AB cross a rectangle?
+ * Uses the Liang–Barsky method, clipping the segment against each pair of rectangle edges.
+ * @param {Point} a               The first endpoint of segment AB
+ * @param {Point} b               The second endpoint of segment AB
+ * @param {PIXI.Rectangle} rect
+ * @returns {{t0: number, t1: number}|null} Percent distance along the segment where it enters
+ *   and leaves the rectangle, or null if it does not cross the rectangle.
+ */
+export function segmentRectangleIntersection(a, b, rect) {
+  const { left, right, top, bottom } = rect;
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  let t0 = 0;
+  let t1 = 1;
+  const clip = (p, q) => {
+    if ( !p ) return q >= 0;
+    const r = q / p;
+    if ( p < 0 ) t0 = Math.max(t0, r);
+    else t1 = Math.min(t1, r);
+    return t0 <= t1;
+  };
+  if ( !(clip(-dx, a.x - left)
+    && clip(dx, right - a.x)
+    && clip(-dy, a.y - top)
+    && clip(dy, bottom - a.y)) ) return null;
+  return { t0, t1 };
+}
+
+/**
+ * Test whether the line segment AB intersects an axis-aligned box in 3d.
+ * Uses the slab method, clipping the segment against each pair of box faces.
+ * @param {Point3d} a       The first endpoint of segment AB
+ * @param {Point3d} b       The second endpoint of segment AB
+ * @param {Point3d} minPt   Box corner with the minimum x, y, and z
+ * @param {Point3d} maxPt   Box corner with the maximum x, y, and z
+ * @returns {boolean} Does the line segment intersect the box?
+ */
+export function lineSegment3dBoxIntersects(a, b, minPt, maxPt) {
+  let t0 = 0;
+  let t1 = 1;
+  for ( const axis of ["x", "y", "z"] ) {
+    const delta = b[axis] - a[axis];
+    if ( !delta ) {
+      if ( a[axis] < minPt[axis] || a[axis] > maxPt[axis] ) return false;
+      continue;
+    }
+    const tA = (minPt[axis] - a[axis]) / delta;
+    const tB = (maxPt[axis] - a[axis]) / delta;
+    t0 = Math.max(t0, Math.min(tA, tB));
+    t1 = Math.min(t1, Math.max(tA, tB));
+    if ( t0 > t1 ) return false;
+  }
+  return true;
+}
+
 /**
  * Quickly test whether the line segment AB intersects with a wall in 3d.
  * Extension of lineSegmentPlaneIntersects where the plane is not infinite.
@@ -306,7 +452,7 @@ export function convertBase64ToImage(image64) {
  */
 export function lineSegment3dWallIntersection(a, b, wall, epsilon = 1e-8) {
   let bottomZ = wall.bottomZ;
-  let topZ = wall.bottomZ;
+  let topZ = wall.topZ;
 
   if ( !isFinite(bottomZ) ) bottomZ = Number.MIN_SAFE_INTEGER;
   if ( !isFinite(topZ) ) topZ = Number.MAX_SAFE_INTEGER;
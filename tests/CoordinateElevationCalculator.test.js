@@ -0,0 +1,150 @@
+/* globals
+PIXI,
+canvas
+*/
+"use strict";
+
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { Point3d } from "../scripts/geometry/3d/Point3d.js";
+import { CoordinateElevationCalculator } from "../scripts/CoordinateElevationCalculator.js";
+
+/**
+ * Overhead tile covering a rectangle, with a pixel cache that is opaque everywhere
+ * except within an optional hole.
+ * @param {object} opts
+ * @param {number} opts.elevation       Tile elevation, in grid units
+ * @param {PIXI.Rectangle} [opts.hole]  Transparent portion of the tile
+ * @param {boolean} [opts.overhead]     Is this an overhead tile?
+ * @param {function} [opts.heightmap]   Function returning the tile surface elevation at a canvas point
+ * @returns {object} Stand-in for a Foundry Tile
+ */
+function makeTile({ elevation, hole = new PIXI.Rectangle(), overhead = true, heightmap }) {
+  const bounds = new PIXI.Rectangle(0, 0, 1000, 1000);
+  return {
+    bounds,
+    document: { overhead },
+    elevationE: elevation,
+    elevationZ: elevation * 20,
+    evHeightmap: heightmap ? { elevationAt: heightmap } : undefined,
+    elevationEAt(pt) { return this.evHeightmap?.elevationAt(pt) ?? this.elevationE; },
+    evPixelCache: {
+      maximumPixelValue: 255,
+      pixelAtCanvas: (x, y) => (hole.contains(x, y) ? 0 : 255),
+      containsPixel: (x, y, threshold) => (hole.contains(x, y) ? 0 : 1) >= threshold
+    }
+  };
+}
+
+describe("CoordinateElevationCalculator", () => {
+  const elevationLayer = canvas.elevation;
+  let tiles;
+
+  /** Add a tile to the canvas quadtree */
+  const addTile = opts => {
+    const tile = makeTile(opts);
+    canvas.tiles.quadtree.insert({ r: tile.bounds, t: tile });
+    tiles.push(tile);
+    return tile;
+  };
+
+  /** Calculator at a canvas location and elevation in grid units */
+  const calcAt = (x, y, elevation, opts) => {
+    const calc = new CoordinateElevationCalculator(new Point3d(x, y), opts);
+    calc.elevation = elevation;
+    return calc;
+  };
+
+  beforeEach(() => {
+    tiles = [];
+    canvas.elevation = {
+      elevationStep: 5,
+      elevationAt: p => (p.x < 500 ? 5 : 15) // Terrain steps up halfway across the canvas.
+    };
+  });
+
+  afterEach(() => {
+    canvas.tiles.quadtree.clear();
+    canvas.elevation = elevationLayer;
+  });
+
+  it("converts elevation between grid units and pixels", () => {
+    const calc = calcAt(100, 100, 10);
+    assert.equal(calc.elevationZ, 200);
+    calc.elevationZ = 50;
+    assert.equal(calc.elevation, 2.5);
+  });
+
+  it("uses the terrain elevation when there are no tiles", () => {
+    assert.equal(CoordinateElevationCalculator.groundElevationAt(new Point3d(100, 100)), 5);
+    assert.equal(CoordinateElevationCalculator.groundElevationAt(new Point3d(600, 100)), 15);
+  });
+
+  it("locates overhead tiles with a finite elevation, highest first", () => {
+    const low = addTile({ elevation: 10 });
+    const high = addTile({ elevation: 30 });
+    addTile({ elevation: 20, overhead: false });
+    addTile({ elevation: Number.POSITIVE_INFINITY });
+    assert.deepEqual(calcAt(100, 100, 0).tiles, [high, low]);
+  });
+
+  it("uses the highest opaque tile above the terrain", () => {
+    addTile({ elevation: 20 });
+    addTile({ elevation: 30, hole: new PIXI.Rectangle(0, 0, 200, 200) });
+    assert.equal(CoordinateElevationCalculator.groundElevationAt(new Point3d(100, 100)), 20);
+    assert.equal(CoordinateElevationCalculator.groundElevationAt(new Point3d(300, 300)), 30);
+  });
+
+  it("uses the terrain when it rises above the tile", () => {
+    addTile({ elevation: 10 });
+    assert.equal(CoordinateElevationCalculator.groundElevationAt(new Point3d(100, 100)), 10);
+    assert.equal(CoordinateElevationCalculator.groundElevationAt(new Point3d(600, 100)), 15);
+  });
+
+  it("follows the surface of a tile with a heightmap", () => {
+    const roof = addTile({ elevation: 10, heightmap: pt => 10 + (pt.x / 100) });
+    assert.equal(CoordinateElevationCalculator.groundElevationAt(new Point3d(300, 300)), 13);
+    assert.ok(calcAt(300, 300, 13).isOnTile(roof));
+    assert.ok(!calcAt(300, 300, 10).isOnTile(roof));
+  });
+
+  it("tests whether the coordinate is on the tile, terrain, or ground", () => {
+    const tile = addTile({ elevation: 20, hole: new PIXI.Rectangle(0, 0, 200, 200) });
+
+    const onTile = calcAt(300, 300, 20);
+    assert.ok(onTile.isOnTile(tile));
+    assert.ok(onTile.isOnGround());
+    assert.ok(!onTile.isOnTerrain());
+
+    const inHole = calcAt(100, 100, 20);
+    assert.ok(!inHole.isOnTile(tile));
+    assert.ok(!inHole.isOnGround());
+
+    const onTerrain = calcAt(100, 100, 5);
+    assert.ok(onTerrain.isOnTerrain());
+    assert.ok(onTerrain.isOnGround());
+  });
+
+  it("reaches a tile within the tile step", () => {
+    const tile = addTile({ elevation: 20 });
+    assert.ok(calcAt(300, 300, 22, { tileStep: 5 }).tileWithinReach(tile));
+    assert.ok(!calcAt(300, 300, 26, { tileStep: 5 }).tileWithinReach(tile));
+    assert.ok(!calcAt(300, 300, 22).tileWithinReach(tile));
+  });
+
+  it("tests the terrain within the terrain step", () => {
+    assert.ok(calcAt(600, 100, 12).terrainWithinStep());
+    assert.ok(!calcAt(600, 100, 8).terrainWithinStep());
+    assert.ok(calcAt(600, 100, 8, { terrainStep: 10 }).terrainWithinStep());
+  });
+
+  it("finds a supporting tile below the coordinate but above the terrain", () => {
+    const low = addTile({ elevation: 10 });
+    const high = addTile({ elevation: 30 });
+    assert.equal(calcAt(300, 300, 40).findSupportingTileBelow(), high);
+    assert.equal(calcAt(300, 300, 25).findSupportingTileBelow(), low);
+    assert.equal(calcAt(300, 300, 25).findSupportingTileBelow(low), null);
+    assert.equal(calcAt(600, 300, 12).findSupportingTileBelow(), null); // Terrain at 15.
+  });
+});
@@ -0,0 +1,50 @@
+/* globals
+*/
+"use strict";
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { ElevationTransition } from "../scripts/ElevationTransition.js";
+
+const REGION = { x: 0, y: 0, width: 200, height: 100 };
+
+describe("ElevationTransition stairs", () => {
+  const stairs = new ElevationTransition({ ...REGION, bottom: 0, top: 20 });
+
+  it("moves a token at the bottom to the top", () => {
+    assert.equal(stairs.elevationOnEntry({ x: 0, y: 50 }, 0, 5), 20);
+    assert.equal(stairs.elevationOnEntry({ x: 0, y: 50 }, 4, 5), 20);
+  });
+
+  it("moves a token at the top to the bottom", () => {
+    assert.equal(stairs.elevationOnEntry({ x: 0, y: 50 }, 20, 5), 0);
+  });
+
+  it("ignores a token that is not at either end", () => {
+    assert.equal(stairs.elevationOnEntry({ x: 0, y: 50 }, 10, 5), null);
+    assert.equal(stairs.elevationOnEntry({ x: 0, y: 50 }, 30, 5), null);
+  });
+
+  it("moves a token at the top of stairs no higher than its step down", () => {
+    const short = new ElevationTransition({ ...REGION, bottom: 0, top: 5 });
+    assert.equal(short.elevationOnEntry({ x: 0, y: 50 }, 5, 5), 0);
+    assert.equal(short.elevationOnEntry({ x: 0, y: 50 }, 0, 5), 5);
+  });
+});
+
+describe("ElevationTransition ramps", () => {
+  // Rises from 0 at the west edge to 20 at the east edge.
+  const ramp = new ElevationTransition({ ...REGION, type: "ramp", bottom: 0, top: 20, direction: 0 });
+
+  it("interpolates the elevation along the ramp direction", () => {
+    assert.equal(ramp.rampElevationAt({ x: 0, y: 50 }), 0);
+    assert.equal(ramp.rampElevationAt({ x: 100, y: 50 }), 10);
+    assert.equal(ramp.rampElevationAt({ x: 200, y: 0 }), 20);
+  });
+
+  it("moves a token onto the ramp only if it is at, or within its step above, the ramp", () => {
+    assert.equal(ramp.elevationOnEntry({ x: 100, y: 0 }, 12, 5), 10);
+    assert.equal(ramp.elevationOnEntry({ x: 100, y: 0 }, 8, 5), null);
+  });
+});
@@ -0,0 +1,187 @@
+/* globals
+PIXI,
+canvas
+*/
+"use strict";
+
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { MODULE_ID } from "../scripts/const.js";
+import { Point3d } from "../scripts/geometry/3d/Point3d.js";
+import { CoordinateElevationCalculator } from "../scripts/CoordinateElevationCalculator.js";
+import { ElevationTransition } from "../scripts/ElevationTransition.js";
+import { WaterRegion } from "../scripts/WaterRegion.js";
+import { TravelElevationRay } from "../scripts/TravelElevationRay.js";
+
+/**
+ * Calculator standing in for the token's TokenElevationCalculator, measuring a single pixel.
+ */
+class TestElevationCalculator extends CoordinateElevationCalculator {
+  overrideTokenPosition = false;
+
+  _getLocalOffsets() { return undefined; }
+}
+
+/**
+ * Elevation layer whose terrain is defined by a function of the canvas point.
+ * Normalized pixel values are the elevation in grid units.
+ * @param {function} elevationFn                    Function taking a point and returning the terrain elevation
+ * @param {object} [regions]
+ * @param {ElevationTransition[]} [regions.transitions]  Stairs and ramps in the scene
+ * @param {WaterRegion[]} [regions.waterRegions]        Water in the scene
+ * @returns {object} Stand-in for canvas.elevation
+ */
+function terrainLayer(elevationFn, { transitions = [], waterRegions = [] } = {}) {
+  return {
+    transitions,
+    waterRegions,
+    waterAt: pt => waterRegions.findLast(w => w.contains(pt)),
+    elevationStep: 5,
+    elevationAt: elevationFn,
+    _scaleNormalizedElevation: value => value,
+    elevationPixelCache: {
+      /** Step along the ray a pixel at a time, marking each pixel where markFn returns true. */
+      _extractAllMarkedPixelValuesAlongCanvasRay(origin, destination, markFn, { forceLast = false } = {}) {
+        const markers = [];
+        const nSteps = Math.ceil(PIXI.Point.distanceBetween(origin, destination));
+        let prevPixel;
+        for ( let i = 0; i <= nSteps; i += 1 ) {
+          const { x, y } = origin.projectToward(destination, i / nSteps);
+          const currPixel = elevationFn({ x, y });
+          if ( markFn(currPixel, prevPixel) ) markers.push({ x, y, currPixel, prevPixel });
+          else if ( forceLast && i === nSteps ) markers.push({ x, y, currPixel, prevPixel, forceLast });
+          prevPixel = currPixel;
+        }
+        return markers;
+      }
+    }
+  };
+}
+
+describe("TravelElevationRay", () => {
+  const elevationLayer = canvas.elevation;
+  const origin = new PIXI.Point(100, 100);
+  const destination = new PIXI.Point(500, 100);
+
+  /**
+   * Travel ray for a token starting at the origin.
+   * @param {number} elevation    Starting token elevation, in grid units
+   * @param {boolean} [fly]       Is the token flying?
+   * @returns {TravelElevationRay}
+   */
+  const travelRay = (elevation, fly = false) => {
+    const TEC = new TestElevationCalculator(new Point3d(), { terrainStep: 5 });
+    const token = { [MODULE_ID]: { TEC }, center: origin, elevationZ: elevation * 20 };
+    return new TravelElevationRay(token, { destination, fly });
+  };
+
+  /** Terrain that changes from one elevation to another halfway along the ray. */
+  const cliff = (before, after) => { canvas.elevation = terrainLayer(p => (p.x < 300 ? before : after)); };
+
+  beforeEach(() => { canvas.elevation = terrainLayer(() => 0); });
+
+  afterEach(() => { canvas.elevation = elevationLayer; });
+
+  it("stays at the terrain elevation on flat terrain", () => {
+    const ray = travelRay(0);
+    assert.ok(ray.path.every(marker => marker.elevation === 0));
+    assert.equal(ray.endingElevation, 0);
+    assert.deepEqual(ray.drops, []);
+  });
+
+  it("marks where the terrain rises along the ray", () => {
+    cliff(0, 10);
+    const ray = travelRay(0);
+    const [start, rise] = ray.path;
+    assert.equal(start.t, 0);
+    assert.equal(start.elevation, 0);
+    assert.equal(rise.t, 0.5);
+    assert.equal(rise.elevation, 10);
+    assert.equal(ray.elevationAtT(0.25), 0);
+    assert.equal(ray.elevationAtT(0.75), 10);
+    assert.equal(ray.endingElevation, 10);
+  });
+
+  it("records a drop off a cliff higher than the terrain step", () => {
+    cliff(20, 0);
+    const ray = travelRay(20);
+    assert.equal(ray.endingElevation, 0);
+    assert.deepEqual(ray.drops, [{
+      x: 300,
+      y: 100,
+      t: 0.5,
+      fromElevation: 20,
+      toElevation: 0,
+      distance: 20,
+      tileId: null
+    }]);
+  });
+
+  it("does not record a step down within the terrain step", () => {
+    cliff(3, 0);
+    const ray = travelRay(3);
+    assert.equal(ray.endingElevation, 0);
+    assert.deepEqual(ray.drops, []);
+  });
+
+  it("keeps a flying token at its elevation over a cliff", () => {
+    cliff(20, 0);
+    const ray = travelRay(20, true);
+    assert.equal(ray.endingElevation, 20);
+    assert.deepEqual(ray.drops, []);
+    assert.ok(ray.path.slice(1).every(marker => marker.fly));
+  });
+
+  it("climbs stairs entered at their bottom", () => {
+    const stairs = new ElevationTransition({ x: 250, y: 50, width: 100, height: 100, bottom: 0, top: 20 });
+    canvas.elevation = terrainLayer(p => (p.x < 350 ? 0 : 20), { transitions: [stairs] });
+    const ray = travelRay(0);
+    const stairsMarker = ray.path.find(marker => marker.transition);
+    assert.equal(stairsMarker.t, 0.375);
+    assert.equal(stairsMarker.elevation, 20);
+    assert.equal(ray.elevationAtT(0.5), 20);
+    assert.equal(ray.endingElevation, 20);
+    assert.deepEqual(ray.drops, []);
+  });
+
+  it("swims at the surface of water instead of dropping into it", () => {
+    const water = new WaterRegion({ x: 250, y: 50, width: 100, height: 100, surface: 0 });
+    const pit = p => (p.x >= 250 && p.x < 350 ? -20 : 0);
+    canvas.elevation = terrainLayer(pit, { waterRegions: [water] });
+    const ray = travelRay(0);
+    assert.equal(ray.elevationAtT(0.5), 0);
+    assert.ok(ray.path.some(marker => marker.swim === water));
+    assert.equal(ray.endingElevation, 0);
+    assert.deepEqual(ray.drops, []);
+
+    canvas.elevation = terrainLayer(pit);
+    const dry = travelRay(0);
+    assert.equal(dry.elevationAtT(0.5), -20);
+    assert.equal(dry.drops.length, 1);
+  });
+
+  it("counts the cost of climbing and blocks slopes that are too steep", () => {
+    cliff(0, 10);
+    const ray = travelRay(0);
+
+    // The rise of 10 is measured over the grid space (5 grid units) before it.
+    const cost = ray.movementCost({ climbMultiplier: 1, maxSlope: 70 });
+    assert.equal(cost.horizontal, 20);
+    assert.equal(cost.climbed, 10);
+    assert.equal(cost.distance, 30);
+    assert.ok(cost.maxSlopeClimbed.almostEqual(Math.toDegrees(Math.atan2(10, 5))));
+    assert.equal(cost.blocked, false);
+
+    const blocked = ray.movementCost({ climbMultiplier: 1, maxSlope: 45 });
+    assert.equal(blocked.blocked, true);
+    assert.deepEqual(blocked.blockedAt, new PIXI.Point(300, 100));
+  });
+
+  it("does not charge a flying token for climbing", () => {
+    cliff(0, 10);
+    const cost = travelRay(0, true).movementCost({ climbMultiplier: 1, maxSlope: 45 });
+    assert.equal(cost.distance, 20);
+    assert.equal(cost.blocked, false);
+  });
+});
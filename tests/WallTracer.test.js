@@ -0,0 +1,98 @@
+/* globals
+PIXI,
+Wall
+*/
+"use strict";
+
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { WallTracer, WallTracerEdge } from "../scripts/WallTracer.js";
+
+/** Endpoints of each edge, as [Ax, Ay, Bx, By], sorted for comparison. */
+const edgeCoords = edges => [...edges]
+  .map(e => [e.A.x, e.A.y, e.B.x, e.B.y])
+  .sort((a, b) => a.join().localeCompare(b.join()));
+
+describe("WallTracerEdge", () => {
+  const wall = new Wall({ id: "w", c: [0, 0, 100, 200] });
+
+  it("locates points along the wall by ratio", () => {
+    assert.deepEqual(WallTracerEdge.pointAtWallRatio(wall, 0), new PIXI.Point(0, 0));
+    assert.deepEqual(WallTracerEdge.pointAtWallRatio(wall, 1), new PIXI.Point(100, 200));
+    assert.deepEqual(WallTracerEdge.pointAtWallRatio(wall, 0.25), new PIXI.Point(25, 50));
+  });
+
+  it("splits an edge into two edges that share the split point", () => {
+    const edge = WallTracerEdge.fromWall(wall, 0.5, 1);
+    const [edge1, edge2] = edge.splitAtT(0.5);
+    assert.equal(edge1.tA, 0.5);
+    assert.equal(edge1.tB, 0.75);
+    assert.equal(edge2.tA, 0.75);
+    assert.equal(edge2.tB, 1);
+    assert.equal(edge1.B.key, edge2.A.key);
+    assert.deepEqual(edge1.B.point, new PIXI.Point(75, 150));
+  });
+
+  it("does not split at an endpoint", () => {
+    const edge = WallTracerEdge.fromWall(wall);
+    assert.equal(edge.splitAtT(0), null);
+    assert.equal(edge.splitAtT(1), null);
+  });
+});
+
+describe("WallTracer", () => {
+  let graph;
+  beforeEach(() => { graph = new WallTracer(); });
+
+  it("represents a wall without collisions as a single edge", () => {
+    graph.addWall(new Wall({ id: "a", c: [0, 0, 100, 0] }));
+    graph.addWall(new Wall({ id: "b", c: [0, 100, 100, 100] }));
+    assert.equal(graph.edges.size, 2);
+    assert.equal(graph.vertices.size, 4);
+    assert.deepEqual(edgeCoords(graph.wallEdges.get("a")), [[0, 0, 100, 0]]);
+  });
+
+  it("splits crossing walls into four edges that share the crossing vertex", () => {
+    graph.addWall(new Wall({ id: "a", c: [0, 50, 100, 50] }));
+    graph.addWall(new Wall({ id: "b", c: [50, 0, 50, 100] }));
+
+    assert.equal(graph.edges.size, 4);
+    assert.equal(graph.vertices.size, 5);
+    assert.deepEqual(edgeCoords(graph.wallEdges.get("a")), [[0, 50, 50, 50], [50, 50, 100, 50]]);
+    assert.deepEqual(edgeCoords(graph.wallEdges.get("b")), [[50, 0, 50, 50], [50, 50, 50, 100]]);
+
+    const crossing = graph.vertices.get(new PIXI.Point(50, 50).key);
+    assert.equal(crossing.edges.length, 4);
+  });
+
+  it("splits a wall where another wall ends on it", () => {
+    graph.addWall(new Wall({ id: "a", c: [0, 0, 100, 0] }));
+    graph.addWall(new Wall({ id: "b", c: [40, 0, 40, 100] }));
+
+    assert.equal(graph.edges.size, 3);
+    const junction = graph.vertices.get(new PIXI.Point(40, 0).key);
+    assert.equal(junction.edges.length, 3);
+  });
+
+  it("connects walls that share an endpoint without splitting them", () => {
+    graph.addWall(new Wall({ id: "a", c: [0, 0, 100, 0] }));
+    graph.addWall(new Wall({ id: "b", c: [100, 0, 100, 100] }));
+
+    assert.equal(graph.edges.size, 2);
+    assert.equal(graph.vertices.size, 3);
+    assert.equal(graph.vertices.get(new PIXI.Point(100, 0).key).edges.length, 2);
+  });
+
+  it("removes the edges of a removed wall but keeps the walls it split", () => {
+    const wall = new Wall({ id: "b", c: [50, 0, 50, 100] });
+    graph.addWall(new Wall({ id: "a", c: [0, 50, 100, 50] }));
+    graph.addWall(wall);
+    graph.removeWall(wall);
+
+    assert.equal(graph.wallEdges.has("b"), false);
+    assert.equal(graph.edges.size, 2);
+    assert.deepEqual(edgeCoords(graph.edges.values()), [[0, 50, 50, 50], [50, 50, 100, 50]]);
+    assert.deepEqual(edgeCoords(graph.wallEdges.get("a")), [[0, 50, 50, 50], [50, 50, 100, 50]]);
+  });
+});
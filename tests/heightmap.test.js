@@ -0,0 +1,103 @@
+/* globals
+*/
+"use strict";
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  HEIGHTMAP_FORMATS,
+  parseHeightmap,
+  encodeHeightmap,
+  heightmapRange } from "../scripts/heightmap.js";
+
+/** 3 x 2 heightmap using values that need both bytes of a 16-bit integer. */
+const HEIGHTMAP = { values: Float32Array.from([0, 1, 256, 1000, 32768, 65535]), width: 3, height: 2 };
+
+/**
+ * Convert the output of encodeHeightmap to the ArrayBuffer passed to parseHeightmap.
+ * @param {Uint8Array|string} file
+ * @returns {ArrayBuffer}
+ */
+function toBuffer(file) {
+  const bytes = typeof file === "string" ? new TextEncoder().encode(file) : file;
+  return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+}
+
+describe("Heightmap round trips", () => {
+  for ( const format of Object.values(HEIGHTMAP_FORMATS) ) {
+    it(`parses the ${format} file it encodes`, async () => {
+      const file = await encodeHeightmap(HEIGHTMAP, format);
+      const opts = { width: HEIGHTMAP.width, height: HEIGHTMAP.height };
+      const parsed = await parseHeightmap(toBuffer(file), format, opts);
+      assert.equal(parsed.width, HEIGHTMAP.width);
+      assert.equal(parsed.height, HEIGHTMAP.height);
+      assert.deepEqual(Array.from(parsed.values), Array.from(HEIGHTMAP.values));
+    });
+  }
+});
+
+describe("RAW heightmaps", () => {
+  it("orders the bytes by endianness", async () => {
+    const heightmap = { values: Float32Array.from([258]), width: 1, height: 1 };
+    assert.deepEqual(Array.from(await encodeHeightmap(heightmap, HEIGHTMAP_FORMATS.RAW_LE)), [2, 1]);
+    assert.deepEqual(Array.from(await encodeHeightmap(heightmap, HEIGHTMAP_FORMATS.RAW_BE)), [1, 2]);
+  });
+
+  it("rounds and clamps values to 16-bit integers", async () => {
+    const heightmap = { values: Float32Array.from([-5, 1.6, 70000, Number.NaN]), width: 4, height: 1 };
+    const file = await encodeHeightmap(heightmap, HEIGHTMAP_FORMATS.RAW_LE);
+    const parsed = await parseHeightmap(toBuffer(file), HEIGHTMAP_FORMATS.RAW_LE, { width: 4 });
+    assert.deepEqual(Array.from(parsed.values), [0, 2, 65535, 0]);
+  });
+
+  it("defaults to a square heightmap", async () => {
+    const file = new Uint8Array(2 * 16);
+    const parsed = await parseHeightmap(file.buffer, HEIGHTMAP_FORMATS.RAW_LE);
+    assert.equal(parsed.width, 4);
+    assert.equal(parsed.height, 4);
+  });
+
+  it("throws if the file is too small for the dimensions", async () => {
+    const file = new Uint8Array(2 * 4);
+    await assert.rejects(parseHeightmap(file.buffer, HEIGHTMAP_FORMATS.RAW_LE, { width: 3, height: 2 }));
+  });
+});
+
+describe("ASCII grid heightmaps", () => {
+  it("reads the header case-insensitively, with the no data value", async () => {
+    const text = "NCOLS 2\nnrows 2\nxllcenter 0\nyllcenter 0\ncellsize 10\nNODATA_value -9999\n1.5 2\n-9999 4\n";
+    const parsed = await parseHeightmap(toBuffer(text), HEIGHTMAP_FORMATS.ASC);
+    assert.equal(parsed.noData, -9999);
+    assert.deepEqual(Array.from(parsed.values), [1.5, 2, -9999, 4]);
+    assert.deepEqual(heightmapRange(parsed), { min: 1.5, max: 4 });
+  });
+
+  it("throws if the header is missing the dimensions", async () => {
+    await assert.rejects(parseHeightmap(toBuffer("cellsize 1\n1 2 3\n"), HEIGHTMAP_FORMATS.ASC));
+  });
+});
+
+describe("PNG heightmaps", () => {
+  it("writes a 16-bit grayscale image", async () => {
+    const file = await encodeHeightmap(HEIGHTMAP, HEIGHTMAP_FORMATS.PNG16);
+    assert.deepEqual(Array.from(file.subarray(0, 8)), [137, 80, 78, 71, 13, 10, 26, 10]);
+    assert.equal(file[24], 16); // Bit depth
+    assert.equal(file[25], 0); // Grayscale
+  });
+
+  it("throws if the file is not a PNG", async () => {
+    await assert.rejects(parseHeightmap(new ArrayBuffer(16), HEIGHTMAP_FORMATS.PNG16));
+  });
+});
+
+describe("heightmapRange", () => {
+  it("ignores cells without data", () => {
+    const values = Float32Array.from([5, Number.NaN, -1, 20]);
+    assert.deepEqual(heightmapRange({ values, noData: 20 }), { min: -1, max: 5 });
+  });
+
+  it("is 0 to 0 for an empty heightmap", () => {
+    assert.deepEqual(heightmapRange({ values: new Float32Array(0) }), { min: 0, max: 0 });
+  });
+});
@@ -0,0 +1,23 @@
+/* globals
+*/
+"use strict";
+
+/* Test module loader
+The geometry library is a git submodule at scripts/geometry, which is not checked out for the tests.
+Imports from it are redirected to the stand-ins in tests/stubs/geometry.
+*/
+
+const GEOMETRY_DIR = "/scripts/geometry/";
+const STUB_DIR = new URL("./stubs/geometry/", import.meta.url);
+
+export async function resolve(specifier, context, nextResolve) {
+  if ( context.parentURL && (specifier.startsWith(".") || specifier.startsWith("/")) ) {
+    const url = new URL(specifier, context.parentURL);
+    const idx = url.pathname.indexOf(GEOMETRY_DIR);
+    if ( idx !== -1 ) {
+      const stub = new URL(url.pathname.slice(idx + GEOMETRY_DIR.length), STUB_DIR);
+      return nextResolve(stub.href, context);
+    }
+  }
+  return nextResolve(specifier, context);
+}
@@ -0,0 +1,13 @@
+/* globals
+*/
+"use strict";
+
+/* Test setup
+Loaded before each test file with `node --import ./tests/setup.js --test`.
+Installs the Foundry and PIXI stand-ins and redirects geometry library imports to their stand-ins.
+*/
+
+import { register } from "node:module";
+import "./stubs/foundry.js";
+
+register("./loader.js", import.meta.url);
@@ -0,0 +1,356 @@
+/* globals
+*/
+"use strict";
+
+/* Foundry stand-ins
+Minimal versions of the Foundry and PIXI globals used by the modules under test.
+Each follows the behavior of the Foundry v11 method it replaces, for the cases the tests use.
+*/
+
+// NOTE: Foundry extensions to built-in classes
+
+Array.fromRange ??= function(n) { return Array.from({ length: n }, (_, i) => i); };
+
+Math.clamped ??= function(num, min, max) { return Math.min(max, Math.max(num, min)); };
+
+Math.minMax ??= function(...args) { return { min: Math.min(...args), max: Math.max(...args) }; };
+
+Math.roundDecimals ??= function(number, places) {
+  const scale = 10 ** places;
+  return Math.round(number * scale) / scale;
+};
+
+Math.toDegrees ??= function(angle) { return angle * (180 / Math.PI); };
+
+Math.toRadians ??= function(angle) { return angle * (Math.PI / 180); };
+
+// eslint-disable-next-line no-extend-native
+Number.prototype.almostEqual ??= function(n, epsilon = 1e-8) { return Math.abs(this - n) <= epsilon; };
+
+// NOTE: foundry.utils
+
+/**
+ * Orientation of point c relative to the directed line AB.
+ * Positive if c is counterclockwise (to the left in a y-down canvas), negative if clockwise, 0 if collinear.
+ */
+function orient2dFast(a, b, c) {
+  return ((a.y - c.y) * (b.x - c.x)) - ((a.x - c.x) * (b.y - c.y));
+}
+
+/**
+ * Does segment AB intersect segment CD? Touching counts as intersecting; collinear segments do not.
+ */
+function lineSegmentIntersects(a, b, c, d) {
+  const xa = orient2dFast(a, b, c);
+  const xb = orient2dFast(a, b, d);
+  if ( !xa && !xb ) return false;
+  const xab = (xa * xb) <= 0;
+  const xcd = (orient2dFast(c, d, a) * orient2dFast(c, d, b)) <= 0;
+  return xab && xcd;
+}
+
+/**
+ * Merge the properties of other into original, recursing into inner objects.
+ */
+function mergeObject(original, other = {}, { inplace = true } = {}) {
+  const target = inplace ? original : structuredClone(original);
+  for ( const [key, value] of Object.entries(other) ) {
+    const isObject = value && typeof value === "object" && !Array.isArray(value);
+    if ( isObject && target[key] && typeof target[key] === "object" ) target[key] = mergeObject(target[key], value);
+    else target[key] = value;
+  }
+  return target;
+}
+
+/**
+ * Random 16-character alphanumeric id.
+ */
+function randomID(length = 16) {
+  let id = "";
+  while ( id.length < length ) id += Math.random().toString(36).slice(2);
+  return id.slice(0, length);
+}
+
+globalThis.foundry = { utils: { orient2dFast, lineSegmentIntersects, mergeObject, randomID } };
+
+// NOTE: PIXI
+
+/**
+ * Rectangle with Foundry's Cohen-Sutherland zone and segment intersection methods.
+ */
+class Rectangle {
+  static CS_ZONES = {
+    INSIDE: 0x0000,
+    LEFT: 0x0001,
+    RIGHT: 0x0010,
+    TOP: 0x1000,
+    BOTTOM: 0x0100
+  };
+
+  constructor(x = 0, y = 0, width = 0, height = 0) {
+    this.x = x;
+    this.y = y;
+    this.width = width;
+    this.height = height;
+  }
+
+  /**
+   * Flip a negative width or height so the rectangle starts at its top left corner.
+   * @returns {Rectangle} This rectangle, for chaining.
+   */
+  normalize() {
+    if ( this.width < 0 ) {
+      this.x += this.width;
+      this.width = -this.width;
+    }
+    if ( this.height < 0 ) {
+      this.y += this.height;
+      this.height = -this.height;
+    }
+    return this;
+  }
+
+  /**
+   * Do the rectangles overlap or touch?
+   * @param {Rectangle} other
+   * @returns {boolean}
+   */
+  intersects(other) {
+    return this.left <= other.right && other.left <= this.right
+      && this.top <= other.bottom && other.top <= this.bottom;
+  }
+
+  contains(x, y) { return x >= this.left && x < this.right && y >= this.top && y < this.bottom; }
+
+  get left() { return this.x; }
+
+  get right() { return this.x + this.width; }
+
+  get top() { return this.y; }
+
+  get bottom() { return this.y + this.height; }
+
+  _getZone(point) {
+    const zones = Rectangle.CS_ZONES;
+    let code = zones.INSIDE;
+    if ( point.x < this.x ) code |= zones.LEFT;
+    else if ( point.x > this.right ) code |= zones.RIGHT;
+    if ( point.y < this.y ) code |= zones.TOP;
+    else if ( point.y > this.bottom ) code |= zones.BOTTOM;
+    return code;
+  }
+
+  /**
+   * Clip segment AB to the rectangle, using the Liang–Barsky method.
+   * @returns {{t0: number, t1: number}|null}
+   */
+  _clipSegment(a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    let t0 = 0;
+    let t1 = 1;
+    const clip = (p, q) => {
+      if ( !p ) return q >= 0;
+      const r = q / p;
+      if ( p < 0 ) t0 = Math.max(t0, r);
+      else t1 = Math.min(t1, r);
+      return t0 <= t1;
+    };
+    if ( !(clip(-dx, a.x - this.left)
+      && clip(dx, this.right - a.x)
+      && clip(-dy, a.y - this.top)
+      && clip(dy, this.bottom - a.y)) ) return null;
+    return { t0, t1 };
+  }
+
+  lineSegmentIntersects(a, b, { inside = false } = {}) {
+    if ( !(this._getZone(a) | this._getZone(b)) ) return inside;
+    return Boolean(this._clipSegment(a, b));
+  }
+
+  segmentIntersections(a, b) {
+    const ix = this._clipSegment(a, b);
+    if ( !ix ) return [];
+    const ixs = [];
+    const pointAt = t => ({ x: a.x + ((b.x - a.x) * t), y: a.y + ((b.y - a.y) * t) });
+    if ( this._getZone(a) ) ixs.push(pointAt(ix.t0));
+    if ( this._getZone(b) ) ixs.push(pointAt(ix.t1));
+    return ixs;
+  }
+}
+
+/**
+ * Point with the vector methods the geometry library adds to PIXI.Point.
+ */
+class Point {
+  constructor(x = 0, y = 0) {
+    this.x = x;
+    this.y = y;
+  }
+
+  static distanceSquaredBetween(a, b) { return ((b.x - a.x) ** 2) + ((b.y - a.y) ** 2); }
+
+  static distanceBetween(a, b) { return Math.sqrt(this.distanceSquaredBetween(a, b)); }
+
+  /** Integer key used by Foundry for polygon vertices. */
+  get key() { return (Math.round(this.x) << 16) ^ Math.round(this.y); }
+
+  clone() { return new this.constructor(this.x, this.y); }
+
+  copyFrom(other) {
+    this.x = other.x;
+    this.y = other.y;
+    return this;
+  }
+
+  equals(other) { return this.x === other.x && this.y === other.y; }
+
+  almostEqual(other, epsilon = 1e-8) {
+    return this.x.almostEqual(other.x, epsilon) && this.y.almostEqual(other.y, epsilon);
+  }
+
+  roundDecimals(places = 0) {
+    this.x = Math.roundDecimals(this.x, places);
+    this.y = Math.roundDecimals(this.y, places);
+    return this;
+  }
+
+  add(other, outPoint = new this.constructor()) {
+    outPoint.x = this.x + other.x;
+    outPoint.y = this.y + other.y;
+    return outPoint;
+  }
+
+  subtract(other, outPoint = new this.constructor()) {
+    outPoint.x = this.x - other.x;
+    outPoint.y = this.y - other.y;
+    return outPoint;
+  }
+
+  multiplyScalar(scalar, outPoint = new this.constructor()) {
+    outPoint.x = this.x * scalar;
+    outPoint.y = this.y * scalar;
+    return outPoint;
+  }
+
+  magnitudeSquared() { return (this.x * this.x) + (this.y * this.y); }
+
+  projectToward(other, t, outPoint = new this.constructor()) {
+    outPoint.x = this.x + ((other.x - this.x) * t);
+    outPoint.y = this.y + ((other.y - this.y) * t);
+    return outPoint;
+  }
+}
+
+globalThis.PIXI = { Point, Rectangle };
+
+// NOTE: Foundry globals
+
+/**
+ * Orientation of point D relative to the plane through A, B, and C. 0 if D is on the plane.
+ */
+function orient3dFast(a, b, c, d) {
+  const adx = a.x - d.x;
+  const bdx = b.x - d.x;
+  const cdx = c.x - d.x;
+  const ady = a.y - d.y;
+  const bdy = b.y - d.y;
+  const cdy = c.y - d.y;
+  const adz = a.z - d.z;
+  const bdz = b.z - d.z;
+  const cdz = c.z - d.z;
+  return (adx * ((bdy * cdz) - (bdz * cdy)))
+    + (bdx * ((cdy * adz) - (cdz * ady)))
+    + (cdx * ((ady * bdz) - (adz * bdy)));
+}
+
+/**
+ * Does segment AB cross, or touch, the plane through C, D, and E?
+ * Unlike the geometry library, throws if C, D, and E are collinear and so do not define a plane,
+ * which would make every segment appear to touch it.
+ */
+function lineSegment3dPlaneIntersects(a, b, c, d, e) {
+  const u = { x: d.x - c.x, y: d.y - c.y, z: d.z - c.z };
+  const v = { x: e.x - c.x, y: e.y - c.y, z: e.z - c.z };
+  const normal = [(u.y * v.z) - (u.z * v.y), (u.z * v.x) - (u.x * v.z), (u.x * v.y) - (u.y * v.x)];
+  if ( normal.every(n => !n) ) throw new Error("lineSegment3dPlaneIntersects|Points C, D, and E do not define a plane.");
+  return (orient3dFast(c, d, e, a) * orient3dFast(c, d, e, b)) <= 0;
+}
+
+/**
+ * Intersection of the lines through AB and CD, with the t value along each.
+ * @returns {{x: number, y: number, t0: number, t1: number}|null} Null if the lines are parallel.
+ */
+function lineLineIntersection(a, b, c, d) {
+  const denom = ((d.y - c.y) * (b.x - a.x)) - ((d.x - c.x) * (b.y - a.y));
+  if ( !denom ) return null;
+  const t0 = (((d.x - c.x) * (a.y - c.y)) - ((d.y - c.y) * (a.x - c.x))) / denom;
+  const t1 = (((b.x - a.x) * (a.y - c.y)) - ((b.y - a.y) * (a.x - c.x))) / denom;
+  return { x: a.x + ((b.x - a.x) * t0), y: a.y + ((b.y - a.y) * t0), t0, t1 };
+}
+
+function pixelsToGridUnits(pixels) { return pixels * canvas.dimensions.distance / canvas.dimensions.size; }
+
+function gridUnitsToPixels(units) { return units * canvas.dimensions.size / canvas.dimensions.distance; }
+
+/**
+ * Quadtree that tests every object, for the small number of objects in a test.
+ */
+class CanvasQuadtree {
+  #objects = new Map();
+
+  insert(obj) { this.#objects.set(obj.t, obj); }
+
+  remove(t) { this.#objects.delete(t); }
+
+  clear() { this.#objects.clear(); }
+
+  getObjects(rect, { collisionTest } = {}) {
+    const out = new Set();
+    for ( const obj of this.#objects.values() ) {
+      if ( !obj.r.intersects(rect) ) continue;
+      if ( !collisionTest || collisionTest(obj, rect) ) out.add(obj.t);
+    }
+    return out;
+  }
+}
+
+/**
+ * Wall with the endpoints, bounds, and elevation used by the wall graph and 3d tests.
+ */
+class Wall {
+  constructor({ id, c, bottomZ = Number.NEGATIVE_INFINITY, topZ = Number.POSITIVE_INFINITY, document = {} }) {
+    this.id = id;
+    this.A = new Point(c[0], c[1]);
+    this.B = new Point(c[2], c[3]);
+    this.bottomZ = bottomZ;
+    this.topZ = topZ;
+    this.document = { id, c, ...document };
+  }
+
+  get bounds() { return new Rectangle(this.A.x, this.A.y, this.B.x - this.A.x, this.B.y - this.A.y).normalize(); }
+
+  get isOpen() { return false; }
+}
+
+globalThis.CanvasQuadtree = CanvasQuadtree;
+globalThis.Wall = Wall;
+globalThis.CONST = { WALL_SENSE_TYPES: { NONE: 0, LIMITED: 10, NORMAL: 20 } };
+globalThis.CONFIG = {
+  GeometryLib: {
+    utils: {
+      orient3dFast,
+      lineSegment3dPlaneIntersects,
+      lineLineIntersection,
+      pixelsToGridUnits,
+      gridUnitsToPixels
+    }
+  }
+};
+globalThis.Hooks = { on() {}, once() {}, callAll() {} };
+globalThis.game = { settings: { get() {} }, i18n: { localize: key => key } };
+globalThis.canvas = {
+  dimensions: { size: 100, distance: 5 },
+  elevation: {},
+  tiles: { quadtree: new CanvasQuadtree() }
+};
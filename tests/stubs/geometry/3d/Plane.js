@@ -0,0 +1,8 @@
+/* globals
+*/
+"use strict";
+
+/**
+ * Stand-in for the geometry library's Plane. The tests do not use it.
+ */
+export class Plane {}
@@ -0,0 +1,33 @@
+/* globals
+PIXI
+*/
+"use strict";
+
+/**
+ * Stand-in for the geometry library's Point3d, with the vector methods used by util.js
+ * and the elevation calculators.
+ */
+export class Point3d extends PIXI.Point {
+  constructor(x = 0, y = 0, z = 0) {
+    super(x, y);
+    this.z = z;
+  }
+
+  clone() { return new this.constructor(this.x, this.y, this.z); }
+
+  copyFrom(other) {
+    super.copyFrom(other);
+    this.z = other.z ?? 0;
+    return this;
+  }
+
+  to2d() { return new PIXI.Point(this.x, this.y); }
+
+  add(other) { return new this.constructor(this.x + other.x, this.y + other.y, this.z + (other.z ?? 0)); }
+
+  subtract(other) { return new this.constructor(this.x - other.x, this.y - other.y, this.z - (other.z ?? 0)); }
+
+  multiplyScalar(scalar) { return new this.constructor(this.x * scalar, this.y * scalar, this.z * scalar); }
+
+  dot(other) { return (this.x * other.x) + (this.y * other.y) + (this.z * (other.z ?? 0)); }
+}
@@ -0,0 +1,8 @@
+/* globals
+*/
+"use strict";
+
+/**
+ * Stand-in for the geometry library's ClipperPaths. The tests do not use it.
+ */
+export class ClipperPaths {}
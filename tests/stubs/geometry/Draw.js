@@ -0,0 +1,16 @@
+/* globals
+*/
+"use strict";
+
+/**
+ * Stand-in for the geometry library's Draw. Drawing is a no-op in the tests.
+ */
+export class Draw {
+  static COLORS = {};
+
+  static point() {}
+
+  static segment() {}
+
+  static labelPoint() {}
+}
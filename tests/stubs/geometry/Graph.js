@@ -0,0 +1,83 @@
+/* globals
+*/
+"use strict";
+
+/**
+ * Stand-ins for the geometry library's graph classes.
+ * Vertices are shared by key, and each vertex tracks the edges that use it.
+ */
+export class GraphVertex {
+  /** @type {Set<GraphEdge>} */
+  edgeSet = new Set();
+
+  constructor(key) { this.key = key; }
+
+  /** @type {GraphEdge[]} */
+  get edges() { return [...this.edgeSet]; }
+}
+
+export class GraphEdge {
+  constructor(A, B, distance = 0) {
+    this.A = A;
+    this.B = B;
+    this.distance = distance;
+  }
+
+  /** @type {string} */
+  get key() { return `${this.A.key}_${this.B.key}`; }
+
+  otherVertex(vertex) { return vertex.key === this.A.key ? this.B : this.A; }
+
+  reverse() { return new this.constructor(this.B, this.A, this.distance); }
+}
+
+export class Graph {
+  static VERTEX_SORT = { NONE: 0, LEAST: 1, MOST: 2 };
+
+  /** @type {Map<*, GraphVertex>} */
+  vertices = new Map();
+
+  /** @type {Map<string, GraphEdge>} */
+  edges = new Map();
+
+  /**
+   * Add a vertex, or return the existing vertex with the same key.
+   * @param {GraphVertex} vertex
+   * @returns {GraphVertex}
+   */
+  addVertex(vertex) {
+    if ( !this.vertices.has(vertex.key) ) this.vertices.set(vertex.key, vertex);
+    return this.vertices.get(vertex.key);
+  }
+
+  /**
+   * Add an edge, connecting it to any existing vertices at its endpoints.
+   * @param {GraphEdge} edge
+   * @returns {GraphEdge}
+   */
+  addEdge(edge) {
+    edge.A = this.addVertex(edge.A);
+    edge.B = this.addVertex(edge.B);
+    edge.A.edgeSet.add(edge);
+    edge.B.edgeSet.add(edge);
+    this.edges.set(edge.key, edge);
+    return edge;
+  }
+
+  /**
+   * Remove an edge, and any vertices left without edges.
+   * @param {GraphEdge} edge
+   */
+  deleteEdge(edge) {
+    this.edges.delete(edge.key);
+    for ( const vertex of [edge.A, edge.B] ) {
+      vertex.edgeSet.delete(edge);
+      if ( !vertex.edgeSet.size ) this.vertices.delete(vertex.key);
+    }
+  }
+
+  clear() {
+    this.vertices.clear();
+    this.edges.clear();
+  }
+}
@@ -0,0 +1,65 @@
+/* globals
+*/
+"use strict";
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { TERRAIN_NOISE_TYPES, generateTerrain } from "../scripts/terrain_generator.js";
+
+const SIZE = { width: 32, height: 24 };
+
+/**
+ * Largest difference in value between horizontally or vertically adjacent cells.
+ * @param {Heightmap} heightmap
+ * @returns {number}
+ */
+function maxSlope({ values, width, height }) {
+  let max = 0;
+  for ( let y = 0, i = 0; y < height; y += 1 ) {
+    for ( let x = 0; x < width; x += 1, i += 1 ) {
+      if ( x < width - 1 ) max = Math.max(max, Math.abs(values[i] - values[i + 1]));
+      if ( y < height - 1 ) max = Math.max(max, Math.abs(values[i] - values[i + width]));
+    }
+  }
+  return max;
+}
+
+describe("generateTerrain", () => {
+  it("fills a heightmap of the requested size", () => {
+    const terrain = generateTerrain({ ...SIZE, scale: 8 });
+    assert.equal(terrain.width, SIZE.width);
+    assert.equal(terrain.height, SIZE.height);
+    assert.equal(terrain.values.length, SIZE.width * SIZE.height);
+  });
+
+  for ( const type of Object.values(TERRAIN_NOISE_TYPES) ) {
+    it(`normalizes ${type} noise to span 0 to 1`, () => {
+      const { values } = generateTerrain({ ...SIZE, type, scale: 8, seed: "hills" });
+      assert.equal(Math.min(...values), 0);
+      assert.equal(Math.max(...values), 1);
+    });
+  }
+
+  it("produces the same terrain for the same seed", () => {
+    const a = generateTerrain({ ...SIZE, scale: 8, seed: 42 });
+    const b = generateTerrain({ ...SIZE, scale: 8, seed: 42 });
+    assert.deepEqual(a.values, b.values);
+  });
+
+  it("produces different terrain for different seeds", () => {
+    const a = generateTerrain({ ...SIZE, scale: 8, seed: 1 });
+    const b = generateTerrain({ ...SIZE, scale: 8, seed: 2 });
+    assert.notDeepEqual(a.values, b.values);
+  });
+
+  it("lowers the corners to 0 for an island", () => {
+    const { values, width, height } = generateTerrain({ ...SIZE, scale: 8, island: true });
+    for ( const i of [0, width - 1, width * (height - 1), (width * height) - 1] ) assert.equal(values[i], 0);
+  });
+
+  it("softens slopes with erosion", () => {
+    const opts = { ...SIZE, type: TERRAIN_NOISE_TYPES.RIDGED, scale: 4, seed: "peaks" };
+    assert.ok(maxSlope(generateTerrain({ ...opts, erosion: 20 })) < maxSlope(generateTerrain(opts)));
+  });
+});
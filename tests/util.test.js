@@ -0,0 +1,139 @@
+/* globals
+PIXI
+*/
+"use strict";
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+import { Point3d } from "../scripts/geometry/3d/Point3d.js";
+import {
+  bresenhamLine,
+  decodeElevationChannels,
+  encodeElevationChannels,
+  lineSegment3dWallIntersection,
+  trimLineSegmentToPixelRectangle } from "../scripts/util.js";
+
+describe("Elevation channel encoding", () => {
+  it("splits the elevation into low and high bytes", () => {
+    assert.deepEqual(encodeElevationChannels(0), { r: 0, g: 0, b: 0 });
+    assert.deepEqual(encodeElevationChannels(255), { r: 255, g: 0, b: 0 });
+    assert.deepEqual(encodeElevationChannels(256), { r: 0, g: 1, b: 0 });
+    assert.deepEqual(encodeElevationChannels(65535), { r: 255, g: 255, b: 0 });
+  });
+
+  it("decodes the channels it encodes", () => {
+    for ( const e of [0, 1, 127, 255, 256, 257, 1000, 32768, 65534, 65535] ) {
+      const { r, g } = encodeElevationChannels(e);
+      assert.equal(decodeElevationChannels(r, g), e);
+    }
+  });
+
+  it("decodes the green channel as the high byte", () => {
+    assert.equal(decodeElevationChannels(0, 1), 256);
+    assert.equal(decodeElevationChannels(10, 2), 522);
+  });
+});
+
+describe("bresenhamLine", () => {
+  /** Split the flat pixel array into [x, y] pairs. */
+  const pairs = pixels => Array.fromRange(pixels.length / 2).map(i => [pixels[i * 2], pixels[(i * 2) + 1]]);
+
+  it("includes both endpoints of a horizontal line", () => {
+    assert.deepEqual(bresenhamLine(0, 0, 3, 0), [0, 0, 1, 0, 2, 0, 3, 0]);
+  });
+
+  it("steps diagonally for a 45º line", () => {
+    assert.deepEqual(bresenhamLine(2, 2, 0, 0), [2, 2, 1, 1, 0, 0]);
+  });
+
+  it("returns a single pixel for a zero-length line", () => {
+    assert.deepEqual(bresenhamLine(5, 7, 5, 7), [5, 7]);
+  });
+
+  it("rounds the endpoints to pixels", () => {
+    assert.deepEqual(bresenhamLine(0.4, 0.6, 2.5, 1.2), [0, 1, 1, 1, 2, 1, 3, 1]);
+  });
+
+  it("moves at most one pixel in each direction per step", () => {
+    const pts = pairs(bresenhamLine(3, 20, 10, 0));
+    assert.equal(pts.length, 21);
+    assert.deepEqual(pts[0], [3, 20]);
+    assert.deepEqual(pts.at(-1), [10, 0]);
+    for ( let i = 1; i < pts.length; i += 1 ) {
+      assert.ok(Math.abs(pts[i][0] - pts[i - 1][0]) <= 1);
+      assert.equal(pts[i - 1][1] - pts[i][1], 1);
+    }
+  });
+});
+
+describe("trimLineSegmentToPixelRectangle", () => {
+  // Pixels 0–9 in each direction.
+  const rect = new PIXI.Rectangle(0, 0, 10, 10);
+
+  /** Round intersection points, which may be off by floating point error. */
+  const rounded = pts => pts?.map(({ x, y }) => ({ x: Number(x.toFixed(6)), y: Number(y.toFixed(6)) }));
+
+  it("keeps a segment inside the rectangle", () => {
+    const a = { x: 1, y: 1 };
+    const b = { x: 8, y: 5 };
+    assert.deepEqual(trimLineSegmentToPixelRectangle(rect, a, b), [a, b]);
+  });
+
+  it("returns null for a segment outside the rectangle", () => {
+    assert.equal(trimLineSegmentToPixelRectangle(rect, { x: -5, y: -5 }, { x: 20, y: -1 }), null);
+  });
+
+  it("trims both ends of a segment crossing the rectangle", () => {
+    const ixs = trimLineSegmentToPixelRectangle(rect, { x: -5, y: 5 }, { x: 20, y: 5 });
+    assert.deepEqual(rounded(ixs), [{ x: 0, y: 5 }, { x: 9, y: 5 }]);
+  });
+
+  it("trims the end outside the rectangle", () => {
+    const a = { x: 5, y: 5 };
+    assert.deepEqual(rounded(trimLineSegmentToPixelRectangle(rect, a, { x: 5, y: 30 })), [a, { x: 5, y: 9 }]);
+    assert.deepEqual(rounded(trimLineSegmentToPixelRectangle(rect, { x: 5, y: -30 }, a)), [{ x: 5, y: 0 }, a]);
+  });
+
+  it("treats the right and bottom borders as outside", () => {
+    const a = { x: 2, y: 2 };
+    assert.deepEqual(rounded(trimLineSegmentToPixelRectangle(rect, a, { x: 10, y: 2 })), [a, { x: 9, y: 2 }]);
+  });
+});
+
+describe("lineSegment3dWallIntersection", () => {
+  // Wall along x = 50, from y = 0 to y = 100, between elevations 0 and 10.
+  const wall = { A: { x: 50, y: 0 }, B: { x: 50, y: 100 }, bottomZ: 0, topZ: 10 };
+
+  it("returns the intersection with a segment through the wall", () => {
+    const ix = lineSegment3dWallIntersection(new Point3d(0, 50, 5), new Point3d(100, 50, 5), wall);
+    assert.deepEqual({ ...ix }, { x: 50, y: 50, z: 5 });
+  });
+
+  it("interpolates the elevation of a sloped segment", () => {
+    const ix = lineSegment3dWallIntersection(new Point3d(0, 25, 0), new Point3d(100, 75, 16), wall);
+    assert.deepEqual({ ...ix }, { x: 50, y: 50, z: 8 });
+  });
+
+  it("returns null when the segment passes over or under the wall", () => {
+    assert.equal(lineSegment3dWallIntersection(new Point3d(0, 50, 15), new Point3d(100, 50, 15), wall), null);
+    const below = { ...wall, bottomZ: 5 };
+    assert.equal(lineSegment3dWallIntersection(new Point3d(0, 50, 2), new Point3d(100, 50, 2), below), null);
+  });
+
+  it("returns null when the segment misses the wall from above", () => {
+    assert.equal(lineSegment3dWallIntersection(new Point3d(0, 150, 5), new Point3d(100, 150, 5), wall), null);
+    assert.equal(lineSegment3dWallIntersection(new Point3d(0, 50, 5), new Point3d(40, 50, 5), wall), null);
+  });
+
+  it("counts the top edge of the wall as blocking", () => {
+    const ix = lineSegment3dWallIntersection(new Point3d(0, 50, 10), new Point3d(100, 50, 10), wall);
+    assert.equal(ix?.z, 10);
+  });
+
+  it("treats infinite bottom and top as unbounded", () => {
+    const infinite = { ...wall, bottomZ: Number.NEGATIVE_INFINITY, topZ: Number.POSITIVE_INFINITY };
+    const ix = lineSegment3dWallIntersection(new Point3d(0, 50, 1e6), new Point3d(100, 50, 1e6), infinite);
+    assert.equal(ix?.z, 1e6);
+  });
+});